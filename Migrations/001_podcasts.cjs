@@ -0,0 +1,69 @@
+/**
+ * Baseline for the `podcasts` catalogue table, which normally comes from
+ * the PodcastIndex database dump. A missing table is created with the dump's
+ * columns; an older hand-made table (e.g. id/title/author only) gets the
+ * columns search and recommendations query, with `author` copied into
+ * `itunesAuthor`.
+ *
+ * Irreversible: the table may hold imported data this build did not create.
+ */
+
+// PodcastIndex dump columns, in dump order
+const COLUMNS = {
+  url: "TEXT",
+  title: "TEXT",
+  lastUpdate: "INTEGER",
+  link: "TEXT",
+  lastHttpStatus: "INTEGER",
+  dead: "INTEGER",
+  contentType: "TEXT",
+  itunesId: "INTEGER",
+  originalUrl: "TEXT",
+  itunesAuthor: "TEXT",
+  itunesOwnerName: "TEXT",
+  explicit: "INTEGER",
+  imageUrl: "TEXT",
+  itunesType: "TEXT",
+  generator: "TEXT",
+  newestItemPubdate: "INTEGER",
+  language: "TEXT",
+  oldestItemPubdate: "INTEGER",
+  episodeCount: "INTEGER",
+  popularityScore: "INTEGER",
+  priority: "INTEGER",
+  createdOn: "INTEGER",
+  updateFrequency: "INTEGER",
+  chash: "TEXT",
+  host: "TEXT",
+  newestEnclosureUrl: "TEXT",
+  podcastGuid: "TEXT",
+  description: "TEXT",
+  category1: "TEXT",
+  category2: "TEXT",
+  category3: "TEXT",
+  category4: "TEXT",
+  category5: "TEXT",
+  category6: "TEXT",
+  category7: "TEXT",
+  category8: "TEXT",
+  category9: "TEXT",
+  category10: "TEXT",
+  newestEnclosureDuration: "INTEGER",
+};
+
+/** @param {import("../Services/migrations.cjs").MigrationContext} ctx */
+async function up({ db, dbRun, columns, hasTable }) {
+  if (!(await hasTable("podcasts"))) {
+    const cols = Object.entries(COLUMNS).map(([name, type]) => `${name} ${type}`);
+    await dbRun(db, `CREATE TABLE podcasts (id INTEGER PRIMARY KEY, ${cols.join(", ")})`);
+    return;
+  }
+  const have = await columns("podcasts");
+  for (const [name, type] of Object.entries(COLUMNS)) {
+    if (!have.has(name)) await dbRun(db, `ALTER TABLE podcasts ADD COLUMN ${name} ${type}`);
+  }
+  if (have.has("author") && !have.has("itunesAuthor"))
+    await dbRun(db, "UPDATE podcasts SET itunesAuthor = author WHERE itunesAuthor IS NULL");
+}
+
+module.exports = { up };
@@ -1,9 +1,18 @@
+-- Podcast search index (Services/search.cjs). Uses the same tokenizer as
+-- the episode and transcript indexes; any older podcasts_fts, whatever its
+-- tokenizer, is replaced and rebuilt from the podcasts table.
+
+-- migrate:up
+
 -- 1) Basic indexes (keep even with FTS)
 CREATE INDEX IF NOT EXISTS idx_podcasts_title ON podcasts(title);
 CREATE INDEX IF NOT EXISTS idx_podcasts_author ON podcasts(itunesAuthor);
 CREATE INDEX IF NOT EXISTS idx_podcasts_popularity ON podcasts(popularityScore);
 
 -- 2) FTS virtual table
+DROP TRIGGER IF EXISTS podcasts_ai;
+DROP TRIGGER IF EXISTS podcasts_ad;
+DROP TRIGGER IF EXISTS podcasts_au;
 DROP TABLE IF EXISTS podcasts_fts;
 CREATE VIRTUAL TABLE podcasts_fts USING fts5(
   title,
@@ -11,27 +20,36 @@ CREATE VIRTUAL TABLE podcasts_fts USING fts5(
   itunesAuthor,
   content='podcasts',
   content_rowid='id',
-  tokenize='porter'
+  tokenize='porter unicode61'
 );
 
 -- 3) Seed FTS
-INSERT INTO podcasts_fts(rowid, title, description, itunesAuthor)
-SELECT id, title, description, itunesAuthor FROM podcasts;
+INSERT INTO podcasts_fts(podcasts_fts) VALUES ('rebuild');
 
 -- 4) Triggers to keep FTS in sync
-CREATE TRIGGER IF NOT EXISTS podcasts_ai AFTER INSERT ON podcasts BEGIN
+CREATE TRIGGER podcasts_ai AFTER INSERT ON podcasts BEGIN
   INSERT INTO podcasts_fts(rowid, title, description, itunesAuthor)
   VALUES (new.id, new.title, new.description, new.itunesAuthor);
 END;
 
-CREATE TRIGGER IF NOT EXISTS podcasts_ad AFTER DELETE ON podcasts BEGIN
+CREATE TRIGGER podcasts_ad AFTER DELETE ON podcasts BEGIN
   INSERT INTO podcasts_fts(podcasts_fts, rowid, title, description, itunesAuthor)
   VALUES('delete', old.id, old.title, old.description, old.itunesAuthor);
 END;
 
-CREATE TRIGGER IF NOT EXISTS podcasts_au AFTER UPDATE ON podcasts BEGIN
+CREATE TRIGGER podcasts_au AFTER UPDATE ON podcasts BEGIN
   INSERT INTO podcasts_fts(podcasts_fts, rowid, title, description, itunesAuthor)
   VALUES('delete', old.id, old.title, old.description, old.itunesAuthor);
   INSERT INTO podcasts_fts(rowid, title, description, itunesAuthor)
   VALUES (new.id, new.title, new.description, new.itunesAuthor);
 END;
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS podcasts_au;
+DROP TRIGGER IF EXISTS podcasts_ad;
+DROP TRIGGER IF EXISTS podcasts_ai;
+DROP TABLE IF EXISTS podcasts_fts;
+DROP INDEX IF EXISTS idx_podcasts_popularity;
+DROP INDEX IF EXISTS idx_podcasts_author;
+DROP INDEX IF EXISTS idx_podcasts_title;
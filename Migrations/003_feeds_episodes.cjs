@@ -0,0 +1,90 @@
+/**
+ * Feed registry and episodes table used by ingestion (Services/ingest.cjs).
+ *
+ * Older databases have an `episodes` table keyed by `podcast_id` with an
+ * `image` column; the columns ingestion writes are added alongside, and the
+ * legacy values copied into `podcastId` and `imageUrl`. The legacy columns
+ * stay (SQLite cannot drop a column used by a foreign key) but nothing reads
+ * them.
+ *
+ * Irreversible: `episodes` may predate this migration.
+ */
+
+const FEEDS_SQL = `
+  CREATE TABLE IF NOT EXISTS feeds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    urlKey TEXT NOT NULL UNIQUE,
+    podcastId TEXT,
+    title TEXT,
+    author TEXT,
+    imageUrl TEXT,
+    etag TEXT,
+    lastModified TEXT,
+    lastFetchedAt INTEGER,
+    lastSuccessAt INTEGER,
+    nextFetchAt INTEGER NOT NULL DEFAULT 0,
+    failureCount INTEGER NOT NULL DEFAULT 0,
+    lastError TEXT,
+    createdAt INTEGER NOT NULL
+  )`;
+
+const EPISODES_SQL = `
+  CREATE TABLE IF NOT EXISTS episodes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    feedId INTEGER,
+    podcastId TEXT,
+    guid TEXT,
+    title TEXT,
+    description TEXT,
+    link TEXT,
+    pubDate TEXT,
+    publishedAt INTEGER,
+    imageUrl TEXT,
+    mediaUrl TEXT,
+    mediaType TEXT,
+    duration TEXT,
+    seasonNumber INTEGER,
+    episodeNumber INTEGER,
+    extensions TEXT,
+    updatedAt INTEGER
+  )`;
+
+// Columns ingestion writes that older episodes tables lack
+const EPISODE_COLUMNS = {
+  feedId: "INTEGER",
+  podcastId: "TEXT",
+  guid: "TEXT",
+  description: "TEXT",
+  link: "TEXT",
+  pubDate: "TEXT",
+  publishedAt: "INTEGER",
+  imageUrl: "TEXT",
+  mediaUrl: "TEXT",
+  mediaType: "TEXT",
+  duration: "TEXT",
+  seasonNumber: "INTEGER",
+  episodeNumber: "INTEGER",
+  extensions: "TEXT", // Podcasting 2.0 fields as JSON
+  updatedAt: "INTEGER",
+};
+
+/** @param {import("../Services/migrations.cjs").MigrationContext} ctx */
+async function up({ db, dbRun, columns }) {
+  await dbRun(db, FEEDS_SQL);
+  await dbRun(db, EPISODES_SQL);
+
+  const have = await columns("episodes");
+  for (const [name, type] of Object.entries(EPISODE_COLUMNS)) {
+    if (!have.has(name)) await dbRun(db, `ALTER TABLE episodes ADD COLUMN ${name} ${type}`);
+  }
+  if (have.has("podcast_id"))
+    await dbRun(db, "UPDATE episodes SET podcastId = CAST(podcast_id AS TEXT) WHERE podcastId IS NULL AND podcast_id IS NOT NULL");
+  if (have.has("image"))
+    await dbRun(db, "UPDATE episodes SET imageUrl = image WHERE imageUrl IS NULL");
+
+  await dbRun(db, "CREATE UNIQUE INDEX IF NOT EXISTS idx_episodes_feed_guid ON episodes(feedId, guid)");
+  await dbRun(db, "CREATE INDEX IF NOT EXISTS idx_episodes_feed_published ON episodes(feedId, publishedAt DESC)");
+}
+
+module.exports = { up };
@@ -0,0 +1,36 @@
+-- Episode text search (Services/episode-search.cjs), kept in sync with the
+-- episodes table by triggers.
+
+-- migrate:up
+
+DROP TABLE IF EXISTS episodes_fts;
+CREATE VIRTUAL TABLE episodes_fts USING fts5(
+  title, description, content='episodes', content_rowid='id', tokenize='porter unicode61'
+);
+
+DROP TRIGGER IF EXISTS episodes_ai;
+CREATE TRIGGER episodes_ai AFTER INSERT ON episodes BEGIN
+  INSERT INTO episodes_fts(rowid, title, description) VALUES (new.id, new.title, new.description);
+END;
+
+DROP TRIGGER IF EXISTS episodes_ad;
+CREATE TRIGGER episodes_ad AFTER DELETE ON episodes BEGIN
+  INSERT INTO episodes_fts(episodes_fts, rowid, title, description)
+  VALUES ('delete', old.id, old.title, old.description);
+END;
+
+DROP TRIGGER IF EXISTS episodes_au;
+CREATE TRIGGER episodes_au AFTER UPDATE OF title, description ON episodes BEGIN
+  INSERT INTO episodes_fts(episodes_fts, rowid, title, description)
+  VALUES ('delete', old.id, old.title, old.description);
+  INSERT INTO episodes_fts(rowid, title, description) VALUES (new.id, new.title, new.description);
+END;
+
+INSERT INTO episodes_fts(episodes_fts) VALUES ('rebuild');
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS episodes_au;
+DROP TRIGGER IF EXISTS episodes_ad;
+DROP TRIGGER IF EXISTS episodes_ai;
+DROP TABLE IF EXISTS episodes_fts;
@@ -0,0 +1,56 @@
+-- Podcasting 2.0 documents fetched during ingestion: transcripts as timed,
+-- full-text indexed segments, chapters as normalized JSON.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS transcripts (
+  episodeId INTEGER PRIMARY KEY,
+  url TEXT NOT NULL,
+  format TEXT,
+  language TEXT,
+  status TEXT NOT NULL,
+  error TEXT,
+  segmentCount INTEGER NOT NULL DEFAULT 0,
+  fetchedAt INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS transcript_segments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  episodeId INTEGER NOT NULL,
+  startSec REAL,
+  endSec REAL,
+  speaker TEXT,
+  text TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_episode ON transcript_segments(episodeId, startSec);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS transcript_segments_fts USING fts5(
+  text, content='transcript_segments', content_rowid='id', tokenize='porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS transcript_segments_ai AFTER INSERT ON transcript_segments BEGIN
+  INSERT INTO transcript_segments_fts(rowid, text) VALUES (new.id, new.text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS transcript_segments_ad AFTER DELETE ON transcript_segments BEGIN
+  INSERT INTO transcript_segments_fts(transcript_segments_fts, rowid, text) VALUES ('delete', old.id, old.text);
+END;
+
+CREATE TABLE IF NOT EXISTS chapters (
+  episodeId INTEGER PRIMARY KEY,
+  url TEXT NOT NULL,
+  status TEXT NOT NULL,
+  error TEXT,
+  chapters TEXT,
+  fetchedAt INTEGER NOT NULL
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS chapters;
+DROP TRIGGER IF EXISTS transcript_segments_ad;
+DROP TRIGGER IF EXISTS transcript_segments_ai;
+DROP TABLE IF EXISTS transcript_segments_fts;
+DROP TABLE IF EXISTS transcript_segments;
+DROP TABLE IF EXISTS transcripts;
@@ -0,0 +1,16 @@
+-- Vectors for semantic episode search, one row per (kind, refId, model) so
+-- switching embedding models never mixes vectors.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS embeddings (
+  kind TEXT NOT NULL,
+  refId INTEGER NOT NULL,
+  model TEXT NOT NULL,
+  vector BLOB NOT NULL,
+  PRIMARY KEY (kind, refId, model)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS embeddings;
@@ -0,0 +1,28 @@
+-- Shared response cache for CACHE_BACKEND=sqlite (Services/cache.cjs):
+-- serialized bodies with their ETag and expiry, plus a tag index for
+-- invalidation.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS response_cache (
+  key TEXT PRIMARY KEY,
+  body TEXT NOT NULL,
+  etag TEXT NOT NULL,
+  storedAt INTEGER NOT NULL,
+  expiresAt INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_response_cache_expires ON response_cache(expiresAt);
+
+CREATE TABLE IF NOT EXISTS response_cache_tags (
+  tag TEXT NOT NULL,
+  key TEXT NOT NULL,
+  PRIMARY KEY (tag, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_response_cache_tags_key ON response_cache_tags(key);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS response_cache_tags;
+DROP TABLE IF EXISTS response_cache;
@@ -0,0 +1,60 @@
+/**
+ * One row per podcast and category term, so category pages and counts use an
+ * index instead of LIKE scans over `category1`..`category10`. Terms are the
+ * PodcastIndex category words, lowercased ("mental", "true crime"); the tree
+ * built on top of them lives in Services/categories.cjs.
+ *
+ * Triggers keep the table in step with inserts, deletes and category edits
+ * on `podcasts`, so a fresh dump import fills it as rows arrive.
+ */
+
+const COLUMNS = Array.from({ length: 10 }, (_, i) => `category${i + 1}`);
+
+// One SELECT per category column, for `row` ("new" in triggers, a table alias otherwise)
+const termsOf = (row, from = "") =>
+  COLUMNS.map(
+    (col) => `SELECT ${row}.id, lower(trim(${row}.${col})) ${from}
+      WHERE trim(coalesce(${row}.${col}, '')) <> ''`
+  ).join("\n    UNION ");
+
+/** @param {import("../Services/migrations.cjs").MigrationContext} ctx */
+async function up({ exec }) {
+  await exec(`
+    CREATE TABLE podcast_categories (
+      term TEXT NOT NULL,
+      podcastId INTEGER NOT NULL,
+      PRIMARY KEY (term, podcastId)
+    ) WITHOUT ROWID;
+    CREATE INDEX idx_podcast_categories_podcast ON podcast_categories(podcastId);
+
+    INSERT OR IGNORE INTO podcast_categories (podcastId, term)
+    ${termsOf("p", "FROM podcasts p")};
+
+    CREATE TRIGGER podcast_categories_ai AFTER INSERT ON podcasts BEGIN
+      INSERT OR IGNORE INTO podcast_categories (podcastId, term)
+      ${termsOf("new")};
+    END;
+
+    CREATE TRIGGER podcast_categories_ad AFTER DELETE ON podcasts BEGIN
+      DELETE FROM podcast_categories WHERE podcastId = old.id;
+    END;
+
+    CREATE TRIGGER podcast_categories_au AFTER UPDATE OF ${COLUMNS.join(", ")} ON podcasts BEGIN
+      DELETE FROM podcast_categories WHERE podcastId = old.id;
+      INSERT OR IGNORE INTO podcast_categories (podcastId, term)
+      ${termsOf("new")};
+    END;
+  `);
+}
+
+/** @param {import("../Services/migrations.cjs").MigrationContext} ctx */
+async function down({ exec }) {
+  await exec(`
+    DROP TRIGGER IF EXISTS podcast_categories_au;
+    DROP TRIGGER IF EXISTS podcast_categories_ad;
+    DROP TRIGGER IF EXISTS podcast_categories_ai;
+    DROP TABLE IF EXISTS podcast_categories;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+/**
+ * Stable public ids for episodes (`episodes.stableId`, see stableEpisodeId
+ * in Services/feed-url.cjs) and channel-level feed metadata
+ * (`feeds.extensions`: funding links, value block, persons and categories as
+ * JSON), both read by the podcast and episode detail routes.
+ *
+ * Existing episodes are backfilled here; feed metadata fills in on each
+ * feed's next refresh.
+ */
+
+const { stableEpisodeId } = require("../Services/feed-url.cjs");
+
+const BATCH = 500;
+
+/** @param {import("../Services/migrations.cjs").MigrationContext} ctx */
+async function up({ db, dbAll, dbRun, columns }) {
+  if (!(await columns("episodes")).has("stableId"))
+    await dbRun(db, "ALTER TABLE episodes ADD COLUMN stableId TEXT");
+  if (!(await columns("feeds")).has("extensions"))
+    await dbRun(db, "ALTER TABLE feeds ADD COLUMN extensions TEXT");
+
+  for (;;) {
+    const rows = await dbAll(
+      db,
+      `SELECT e.id, e.guid, e.mediaUrl, f.urlKey
+       FROM episodes e JOIN feeds f ON f.id = e.feedId
+       WHERE e.stableId IS NULL AND coalesce(e.guid, e.mediaUrl) IS NOT NULL
+       LIMIT ?`,
+      [BATCH]
+    );
+    for (const row of rows) {
+      await dbRun(db, "UPDATE episodes SET stableId = ? WHERE id = ?", [
+        stableEpisodeId(row.urlKey, row.guid || row.mediaUrl),
+        row.id,
+      ]);
+    }
+    if (rows.length < BATCH) break;
+  }
+
+  await dbRun(db, "CREATE UNIQUE INDEX IF NOT EXISTS idx_episodes_stable_id ON episodes(stableId)");
+}
+
+/** @param {import("../Services/migrations.cjs").MigrationContext} ctx */
+async function down({ exec }) {
+  await exec(`
+    DROP INDEX IF EXISTS idx_episodes_stable_id;
+    ALTER TABLE episodes DROP COLUMN stableId;
+    ALTER TABLE feeds DROP COLUMN extensions;
+  `);
+}
+
+module.exports = { up, down };
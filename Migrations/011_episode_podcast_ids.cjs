@@ -0,0 +1,22 @@
+/**
+ * Episodes of feeds without a PodcastIndex id were stored with the local
+ * feed row id as their `podcastId`, which shares a namespace with
+ * PodcastIndex ids and attributed them to unrelated podcasts. Those ids are
+ * cleared; ingestion fills in the real one once the feed is matched.
+ */
+
+/** @param {import("../Services/migrations.cjs").MigrationContext} ctx */
+async function up({ db, dbRun }) {
+  await dbRun(
+    db,
+    `UPDATE episodes SET podcastId = NULL
+     WHERE feedId IS NOT NULL
+       AND podcastId = CAST(feedId AS TEXT)
+       AND EXISTS (SELECT 1 FROM feeds f WHERE f.id = episodes.feedId AND f.podcastId IS NULL)`
+  );
+}
+
+// Nothing to restore: the cleared ids pointed at the wrong podcasts
+async function down() {}
+
+module.exports = { up, down };
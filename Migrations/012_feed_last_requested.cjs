@@ -0,0 +1,21 @@
+/**
+ * `feeds.lastRequestedAt`: when a listener last asked for the feed. Feeds
+ * that nobody requests or follows for a while drop out of scheduled
+ * refreshes (see expireIdleFeeds in Services/ingest.cjs).
+ *
+ * Existing feeds start their idle period now rather than at their creation.
+ */
+
+/** @param {import("../Services/migrations.cjs").MigrationContext} ctx */
+async function up({ db, dbRun, columns }) {
+  if (!(await columns("feeds")).has("lastRequestedAt"))
+    await dbRun(db, "ALTER TABLE feeds ADD COLUMN lastRequestedAt INTEGER");
+  await dbRun(db, "UPDATE feeds SET lastRequestedAt = ? WHERE lastRequestedAt IS NULL", [Date.now()]);
+}
+
+/** @param {import("../Services/migrations.cjs").MigrationContext} ctx */
+async function down({ exec }) {
+  await exec("ALTER TABLE feeds DROP COLUMN lastRequestedAt;");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// Per-user inbox actions; episodes without an entry are unplayed
+const InboxEntrySchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    episodeId: { type: String, required: true },
+    status: { type: String, enum: ["played", "archived"], required: true },
+  },
+  { timestamps: true }
+);
+
+InboxEntrySchema.index({ userId: 1, episodeId: 1 }, { unique: true });
+
+module.exports =
+  mongoose.models.InboxEntry || mongoose.model("InboxEntry", InboxEntrySchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+const PlayQueueSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, unique: true },
+    items: [
+      {
+        _id: false,
+        episodeId: { type: String, required: true },
+        podcastId: String,
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+    currentEpisodeId: { type: String, default: null },
+    deviceId: { type: String, default: null },
+    clientUpdatedAt: Date,
+    version: Number,
+  },
+  { timestamps: true }
+);
+
+module.exports =
+  mongoose.models.PlayQueue || mongoose.model("PlayQueue", PlayQueueSchema);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Manual playlists keep their items; smart ones are evaluated from `rules` on read
+const PlaylistSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    name: { type: String, required: true, maxlength: 200 },
+    kind: { type: String, enum: ["manual", "smart"], default: "manual" },
+    items: [
+      {
+        _id: false,
+        episodeId: { type: String, required: true },
+        podcastId: String,
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+    rules: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { timestamps: true }
+);
+
+PlaylistSchema.index({ userId: 1, updatedAt: -1 });
+
+module.exports = mongoose.models.Playlist || mongoose.model("Playlist", PlaylistSchema);
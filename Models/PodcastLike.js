@@ -3,14 +3,17 @@ const mongoose = require("mongoose");
 const PodcastLikeSchema = new mongoose.Schema(
   {
     podcastId: { type: String, required: true, index: true },
+    // null for a like on the show itself
+    episodeId: { type: String, default: null },
     userId: { type: String, required: true },
     liked: { type: Boolean, default: true },
   },
   { timestamps: true }
 );
 
-PodcastLikeSchema.index({ podcastId: 1, userId: 1 }, { unique: true });
+PodcastLikeSchema.index({ podcastId: 1, episodeId: 1, userId: 1 }, { unique: true });
+PodcastLikeSchema.index({ userId: 1, updatedAt: -1 });
 
 module.exports =
   mongoose.models.PodcastLike ||
-  mongoose.model("PodcastLike", PodcastLikeSchema);
\ No newline at end of file
+  mongoose.model("PodcastLike", PodcastLikeSchema);
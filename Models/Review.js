@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const ReviewSchema = new mongoose.Schema(
+  {
+    podcastId: { type: String, required: true },
+    userId: { type: String, required: true },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    text: { type: String, default: null, maxlength: 5000 },
+    hidden: { type: Boolean, default: false },
+    hiddenReason: String,
+    reports: [
+      {
+        _id: false,
+        userId: String,
+        reason: String,
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    editedAt: Date,
+    // set when the author deletes it; the document stays so moderation and the edit window still apply
+    deletedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+ReviewSchema.index({ podcastId: 1, userId: 1 }, { unique: true });
+ReviewSchema.index({ podcastId: 1, hidden: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Review || mongoose.model("Review", ReviewSchema);
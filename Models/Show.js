@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const ShowSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    title: { type: String, required: true },
+    description: { type: String, default: "" },
+    author: String,
+    ownerName: String,
+    ownerEmail: String,
+    link: String,
+    language: { type: String, default: "en" },
+    copyright: String,
+    artworkUrl: String,
+    artworkKey: String,
+    categories: [{ _id: false, name: String, subcategory: String }],
+    explicit: { type: Boolean, default: false },
+    type: { type: String, enum: ["episodic", "serial"], default: "episodic" },
+  },
+  { timestamps: true }
+);
+
+ShowSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Show || mongoose.model("Show", ShowSchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Per-user, per-show playback preferences
+const ShowSettingsSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    podcastId: { type: String, required: true },
+    playbackSpeed: { type: Number, min: 0.5, max: 3.5, default: 1 },
+    deviceId: { type: String, default: null },
+    clientUpdatedAt: Date,
+    version: Number,
+  },
+  { timestamps: true }
+);
+
+ShowSettingsSchema.index({ userId: 1, podcastId: 1 }, { unique: true });
+ShowSettingsSchema.index({ userId: 1, version: 1 });
+
+module.exports =
+  mongoose.models.ShowSettings || mongoose.model("ShowSettings", ShowSettingsSchema);
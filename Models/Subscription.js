@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+const SubscriptionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    feedUrl: { type: String, required: true },
+    feedKey: { type: String, required: true }, // normalized feedUrl
+    podcastId: String, // PodcastIndex feed id, when known
+    localFeedId: Number, // feeds.id in the ingestion registry
+    title: String,
+    image: String,
+    lastVisitedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+SubscriptionSchema.index({ userId: 1, feedKey: 1 }, { unique: true });
+SubscriptionSchema.index({ userId: 1, podcastId: 1 });
+SubscriptionSchema.index({ feedKey: 1 }); // followers of a feed, for episode events
+
+module.exports =
+  mongoose.models.Subscription || mongoose.model("Subscription", SubscriptionSchema);
@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// Per-user change counter; every synced write takes the next version
+const SyncStateSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  version: { type: Number, default: 0 },
+  // versions taken by writes that have not landed yet; pulls stop short of the lowest
+  inFlight: [{ _id: false, version: Number, at: Date }],
+});
+
+module.exports =
+  mongoose.models.SyncState || mongoose.model("SyncState", SyncStateSchema);
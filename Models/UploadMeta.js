@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const UploadMetaSchema = new mongoose.Schema({
+  userId: String,
+  title: String,
+  description: String,
+  fileUrl: String,
+  storageKey: String,
+  coverUrl: String,
+  coverKey: String,
+  originalName: String,
+  mimeType: String,
+  format: String,
+  codec: String,
+  size: { type: Number, default: 0 },
+  durationSec: Number,
+  bitrate: Number,
+  sampleRate: Number,
+  channels: Number,
+  tags: {
+    title: String,
+    artist: String,
+    album: String,
+  },
+  // show membership; publishedAt stays null while the episode is a draft
+  showId: { type: mongoose.Schema.Types.ObjectId, ref: "Show", default: null },
+  seasonNumber: Number,
+  episodeNumber: Number,
+  episodeType: { type: String, enum: ["full", "trailer", "bonus"], default: "full" },
+  explicit: Boolean,
+  publishedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+UploadMetaSchema.index({ userId: 1, createdAt: -1 });
+UploadMetaSchema.index({ showId: 1, publishedAt: -1 });
+
+module.exports =
+  mongoose.models.UploadMeta || mongoose.model("UploadMeta", UploadMetaSchema);
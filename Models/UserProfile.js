@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Listener preferences; catalogue routes read language and region from here
+const UserProfileSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, unique: true },
+    language: { type: String, default: null }, // ISO 639-1, e.g. "fr"
+    region: { type: String, default: null }, // ISO 3166-1 alpha-2, e.g. "CA"
+  },
+  { timestamps: true }
+);
+
+module.exports =
+  mongoose.models.UserProfile || mongoose.model("UserProfile", UserProfileSchema);
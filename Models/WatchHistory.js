@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+const WatchHistorySchema = new mongoose.Schema({
+  userId: String,
+  episodeId: String,
+  podcastId: String,
+  positionSec: Number,
+  completed: Boolean,
+  // when the episode was last finished; kept if it is replayed
+  completedAt: { type: Date, default: null },
+  lastPlayedAt: { type: Date, default: Date.now },
+  source: String,
+  // playback sync: reporting device, its clock, and the per-user change version
+  deviceId: { type: String, default: null },
+  clientUpdatedAt: Date,
+  version: Number,
+});
+
+WatchHistorySchema.index({ userId: 1, lastPlayedAt: -1 });
+WatchHistorySchema.index({ userId: 1, episodeId: 1 }, { unique: true });
+WatchHistorySchema.index({ userId: 1, version: 1 });
+
+module.exports =
+  mongoose.models.WatchHistory || mongoose.model("WatchHistory", WatchHistorySchema);
@@ -1,21 +1,20 @@
 const express = require("express");
-module.exports = ({ mongoose }) => {
+const { normalizeLang, normalizeRegion } = require("../Services/locale.cjs");
+
+/**
+ * @param {{
+ *   uploads: import("../Services/repos/uploads.cjs").UploadRepo,
+ *   profiles: import("../Services/repos/profiles.cjs").ProfileRepo,
+ *   onProfileUpdated?: (userId: string) => void
+ * }} deps
+ */
+module.exports = ({ uploads: uploadRepo, profiles, onProfileUpdated = () => {} }) => {
   const router = express.Router();
-  const Upload = mongoose.model(
-    "UploadMeta",
-    new mongoose.Schema({
-      userId: String,
-      title: String,
-      description: String,
-      fileUrl: String,
-      createdAt: { type: Date, default: Date.now },
-    }).index({ userId: 1, createdAt: -1 })
-  );
 
   router.get("/me", async (req, res) => {
     const [uploads, count] = await Promise.all([
-      Upload.find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(5).lean(),
-      Upload.countDocuments({ userId: req.user.id }),
+      uploadRepo.listByUser(req.user.id, { limit: 5 }),
+      uploadRepo.countByUser(req.user.id),
     ]);
     res.json({
       userId: req.user.id,
@@ -26,12 +25,37 @@ module.exports = ({ mongoose }) => {
   });
 
   router.get("/uploads/mine", async (req, res) => {
-    const uploads = await Upload.find({ userId: req.user.id })
-      .sort({ createdAt: -1 })
-      .limit(50)
-      .lean();
+    const uploads = await uploadRepo.listByUser(req.user.id, { limit: 50 });
     res.json({ uploads });
   });
 
+  // GET /account/profile
+  router.get("/profile", async (req, res) => {
+    const profile = await profiles.get(req.user.id);
+    res.json({ profile: profile || { userId: req.user.id, language: null, region: null } });
+  });
+
+  // PUT /account/profile { language?: "fr" | null, region?: "CA" | null }
+  router.put("/profile", async (req, res) => {
+    const body = req.body || {};
+    const fields = {};
+    for (const [key, normalize, example] of [
+      ["language", normalizeLang, "an ISO 639 code like \"fr\""],
+      ["region", normalizeRegion, "an ISO 3166 code like \"CA\""],
+    ]) {
+      if (body[key] === undefined) continue;
+      if (body[key] === null || body[key] === "") {
+        fields[key] = null;
+        continue;
+      }
+      const value = normalize(body[key]);
+      if (!value) return res.status(400).json({ error: `${key} must be ${example}` });
+      fields[key] = value;
+    }
+    const profile = await profiles.update(req.user.id, fields);
+    onProfileUpdated(req.user.id);
+    res.json({ profile });
+  });
+
   return router;
-};
\ No newline at end of file
+};
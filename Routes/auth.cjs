@@ -9,21 +9,43 @@ module.exports = (env) => {
   const getKey = (header, cb) =>
     client.getSigningKey(header.kid, (err, key) => cb(err, key?.getPublicKey()));
 
+  // Every auth failure uses the same JSON shape: { error, code }
+  function authError(res, status, code, message) {
+    return res.status(status).json({ error: message, code });
+  }
+
+  const tokenOf = (req) =>
+    req.cookies?.["sb-access-token"] ||
+    (req.headers.authorization || "").replace(/^Bearer /, "");
+
+  const verify = (token, cb) =>
+    jwt.verify(token, getKey, { audience: env.SUPABASE_AUD, issuer: env.SUPABASE_ISS }, cb);
+
   function requireAuth(req, res, next) {
-    const token =
-      req.cookies["sb-access-token"] ||
-      (req.headers.authorization || "").replace(/^Bearer /, "");
-    if (!token) return res.status(401).json({ error: "Unauthorized" });
-    jwt.verify(
-      token,
-      getKey,
-      { audience: env.SUPABASE_AUD, issuer: env.SUPABASE_ISS },
-      (err, decoded) => {
-        if (err) return res.status(401).json({ error: "Invalid token" });
+    const token = tokenOf(req);
+    if (!token) return authError(res, 401, "auth_required", "Unauthorized");
+    verify(token, (err, decoded) => {
+      if (err?.name === "TokenExpiredError")
+        return authError(res, 401, "token_expired", "Token expired");
+      if (err) return authError(res, 401, "invalid_token", "Invalid token");
+      // anon-key JWTs verify fine but don't identify a user
+      if (!decoded.sub || decoded.role === "anon")
+        return authError(res, 403, "forbidden", "Forbidden");
+      req.user = { id: decoded.sub, email: decoded.email };
+      next();
+    });
+  }
+
+  // Public routes: identifies the listener when a valid session is present,
+  // otherwise carries on anonymously
+  function optionalAuth(req, res, next) {
+    const token = tokenOf(req);
+    if (!token) return next();
+    verify(token, (err, decoded) => {
+      if (!err && decoded.sub && decoded.role !== "anon")
         req.user = { id: decoded.sub, email: decoded.email };
-        next();
-      }
-    );
+      next();
+    });
   }
 
   // session hand-off
@@ -48,5 +70,5 @@ module.exports = (env) => {
     });
   });
 
-  return { requireAuth, supabaseJWKS: { client, getKey }, authPublic: router };
+  return { requireAuth, optionalAuth, authError, supabaseJWKS: { client, getKey }, authPublic: router };
 };
\ No newline at end of file
@@ -0,0 +1,160 @@
+const express = require("express");
+const { EVENT_TYPES } = require("../Services/events.cjs");
+
+const HEARTBEAT_MS = 25_000;
+// Events sent on connect before the stream goes live; older ones need /events
+const STREAM_REPLAY_MAX = 500;
+
+// "a,b" or ?types=a&types=b
+function parseTypes(value) {
+  if (value == null || value === "") return undefined;
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((t) => String(t).trim())
+    .filter(Boolean);
+}
+
+// Validation errors from the event bus carry a 4xx status; anything else is ours
+function clientError(res, err) {
+  if (!err.status || err.status >= 500) throw err;
+  res.status(err.status).json({ error: err.message, ...(err.code && { code: err.code }) });
+}
+
+/**
+ * The signed-in user's domain events, and their outbound webhooks.
+ *
+ *   GET    /events/stream           server-sent events; resumes after Last-Event-ID
+ *   GET    /events                  replay: ?since=<event id>&types=&limit=
+ *   GET    /webhooks                registered webhooks (secrets are not returned)
+ *   POST   /webhooks                { url, events? } -> webhook plus its signing secret
+ *   DELETE /webhooks/:id
+ *   POST   /webhooks/:id/enable     switch back on after repeated failures
+ *   GET    /webhooks/:id/deliveries recent attempts, newest first
+ *
+ * @param {{
+ *   events: ReturnType<import("../Services/events.cjs")["createEventBus"]>,
+ *   maxStreamsPerUser?: number,
+ *   heartbeatMs?: number
+ * }} deps
+ * @returns {{ events: import("express").Router, webhooks: import("express").Router }}
+ */
+module.exports = ({ events: bus, maxStreamsPerUser = 5, heartbeatMs = HEARTBEAT_MS }) => {
+  const events = express.Router();
+  const webhooks = express.Router();
+  const streams = new Map();
+
+  // GET /events/stream?types=&since= (EventSource sends Last-Event-ID on reconnect)
+  events.get("/stream", async (req, res) => {
+    const userId = req.user.id;
+    const types = parseTypes(req.query.types);
+    const since = req.get("last-event-id") ?? req.query.since;
+    const unknown = types?.find((t) => !EVENT_TYPES.includes(t));
+    if (unknown) return res.status(400).json({ error: `Unknown event type ${unknown}` });
+    if ((streams.get(userId) || 0) >= maxStreamsPerUser)
+      return res.status(429).json({ error: "Too many open event streams", code: "too_many_streams" });
+
+    // subscribe before replaying so nothing published in between is lost
+    const pending = [];
+    let replaying = true;
+    let lastId = 0;
+    const wanted = (event) => !types || types.includes(event.type);
+    const write = (event) => {
+      if (Number(event.id) <= lastId || !wanted(event)) return;
+      lastId = Number(event.id);
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    const unsubscribe = bus.subscribe(userId, (event) => (replaying ? pending.push(event) : write(event)));
+
+    // counted and released before the first await, so a client that leaves during the replay frees its slot
+    streams.set(userId, (streams.get(userId) || 0) + 1);
+    let heartbeat = null;
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      const open = (streams.get(userId) || 1) - 1;
+      if (open) streams.set(userId, open);
+      else streams.delete(userId);
+    };
+    res.on("close", release);
+
+    let missed = null;
+    if (since != null && since !== "") {
+      try {
+        missed = await bus.list(userId, { since, types, limit: STREAM_REPLAY_MAX });
+      } catch (err) {
+        release();
+        return clientError(res, err);
+      }
+      lastId = Number(since);
+    }
+    if (req.destroyed || res.writableEnded) return release();
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      // no-transform keeps compression() from buffering the stream
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: 5000\n\n`);
+
+    if (missed) {
+      missed.events.forEach(write);
+      // too far behind to catch up here; the client pages through /events
+      if (missed.hasMore)
+        res.write(`event: replay.truncated\ndata: ${JSON.stringify({ lastEventId: missed.lastEventId })}\n\n`);
+    }
+    replaying = false;
+    pending.forEach(write);
+
+    heartbeat = setInterval(() => res.write(": keep-alive\n\n"), heartbeatMs);
+  });
+
+  // GET /events?since=&types=&limit= (oldest first; pass lastEventId back as since)
+  events.get("/", async (req, res) => {
+    const { since, limit } = req.query;
+    try {
+      res.json(await bus.list(req.user.id, { since, limit, types: parseTypes(req.query.types) }));
+    } catch (err) {
+      clientError(res, err);
+    }
+  });
+
+  webhooks.get("/", async (req, res) => {
+    res.json({ webhooks: await bus.listWebhooks(req.user.id), eventTypes: EVENT_TYPES });
+  });
+
+  // POST /webhooks { url, events?: ["episode.published", ...] | ["*"] }
+  webhooks.post("/", async (req, res) => {
+    try {
+      const { webhook, secret } = await bus.createWebhook(req.user.id, req.body || {});
+      console.log(`✓ Webhook ${webhook.id} registered for ${req.user.id}`);
+      res.status(201).json({ webhook, secret });
+    } catch (err) {
+      clientError(res, err);
+    }
+  });
+
+  webhooks.delete("/:id", async (req, res) => {
+    if (!(await bus.deleteWebhook(req.user.id, req.params.id)))
+      return res.status(404).json({ error: "Webhook not found" });
+    res.sendStatus(204);
+  });
+
+  webhooks.post("/:id/enable", async (req, res) => {
+    const webhook = await bus.enableWebhook(req.user.id, req.params.id);
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+    res.json({ webhook });
+  });
+
+  webhooks.get("/:id/deliveries", async (req, res) => {
+    const deliveries = await bus.listDeliveries(req.user.id, req.params.id);
+    if (!deliveries) return res.status(404).json({ error: "Webhook not found" });
+    res.json({ deliveries });
+  });
+
+  return { events, webhooks };
+};
@@ -0,0 +1,310 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Playlist = require("../Models/Playlist.js");
+const queue = require("../Services/play-queue.cjs");
+const { parseRules, evaluateSmartPlaylist, playbackStates } = require("../Services/playlists.cjs");
+
+const MAX_PLAYLISTS = 100;
+const MAX_PLAYLIST_ITEMS = 1000;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Play queue ("up next") and playlists, mounted under /user.
+ *
+ * Items are referenced by `episodeId` (the episodes table) or by `feedUrl`
+ * plus `guid` / `mediaUrl`, which registers and parses the feed if needed.
+ *
+ * @param {{ ingest: ReturnType<import("../Services/ingest.cjs")["createIngestService"]> }} deps
+ */
+module.exports = ({ ingest }) => {
+  const router = express.Router();
+
+  const deviceIdOf = (req) => {
+    const id = req.get("X-Device-Id");
+    return id ? String(id).slice(0, 100) : null;
+  };
+
+  function sendError(res, err, action) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
+    console.error(`${action} failed:`, err.message);
+    res.status(502).json({ error: `${action} failed` });
+  }
+
+  async function resolveRef(body) {
+    const { episodeId, feedUrl, guid, mediaUrl } = body || {};
+    if (episodeId == null && !(feedUrl && (guid || mediaUrl)))
+      throw httpError(400, "episodeId, or feedUrl with guid or mediaUrl, required");
+    if (feedUrl && !/^https?:\/\//i.test(feedUrl)) throw httpError(400, "Invalid feed URL");
+    const episode = await ingest.resolveEpisode({ episodeId, feedUrl, guid, mediaUrl });
+    if (!episode) throw httpError(404, "Episode not found");
+    return episode;
+  }
+
+  // Joins episode details and the listener's progress onto stored items
+  async function expandItems(userId, items) {
+    const ids = items.map((i) => i.episodeId);
+    const [episodes, states] = await Promise.all([ingest.getEpisodes(ids), playbackStates(userId, ids)]);
+    const byId = new Map(episodes.map((e) => [e.id, e]));
+    return items.map((item) => ({
+      ...item,
+      episode: byId.get(item.episodeId) || null,
+      positionSec: states.get(item.episodeId).positionSec,
+      completed: states.get(item.episodeId).state === "completed",
+    }));
+  }
+
+  // ---- Queue ----
+
+  // GET /user/queue
+  router.get("/queue", async (req, res) => {
+    const userId = req.user.id;
+    let state = await queue.getQueue(userId);
+    // episodes finished before they were queued, or on an older client
+    const states = await playbackStates(userId, state.items.map((i) => i.episodeId), { inboxMarks: false });
+    const finished = [...states].filter(([, s]) => s.state === "completed").map(([id]) => id);
+    if (finished.length) state = await queue.advancePast(userId, deviceIdOf(req), finished);
+    res.json({ ...state, items: await expandItems(userId, state.items) });
+  });
+
+  // POST /user/queue { episodeId } | { feedUrl, guid } — append
+  // POST /user/queue/next — insert after the playing episode
+  for (const [path, next] of [["/queue", false], ["/queue/next", true]]) {
+    router.post(path, async (req, res) => {
+      try {
+        const episode = await resolveRef(req.body);
+        const state = await queue.addToQueue(
+          req.user.id,
+          deviceIdOf(req),
+          [{ episodeId: episode.id, podcastId: episode.podcastId }],
+          { next }
+        );
+        res.status(201).json(state);
+      } catch (err) {
+        sendError(res, err, "Queue add");
+      }
+    });
+  }
+
+  // POST /user/queue/move { episodeId, index }
+  router.post("/queue/move", async (req, res) => {
+    const { episodeId, index } = req.body || {};
+    if (episodeId == null || !Number.isInteger(index))
+      return res.status(400).json({ error: "episodeId and an integer index required" });
+    try {
+      res.json(await queue.moveInQueue(req.user.id, deviceIdOf(req), String(episodeId), index));
+    } catch (err) {
+      sendError(res, err, "Queue move");
+    }
+  });
+
+  // PUT /user/queue/current { episodeId | null }
+  router.put("/queue/current", async (req, res) => {
+    const episodeId = req.body?.episodeId;
+    try {
+      res.json(await queue.setCurrent(req.user.id, deviceIdOf(req), episodeId == null ? null : String(episodeId)));
+    } catch (err) {
+      sendError(res, err, "Queue update");
+    }
+  });
+
+  // DELETE /user/queue/:episodeId
+  router.delete("/queue/:episodeId", async (req, res) => {
+    try {
+      res.json(await queue.removeFromQueue(req.user.id, deviceIdOf(req), req.params.episodeId));
+    } catch (err) {
+      sendError(res, err, "Queue remove");
+    }
+  });
+
+  // DELETE /user/queue
+  router.delete("/queue", async (req, res) => {
+    res.json(await queue.clearQueue(req.user.id, deviceIdOf(req)));
+  });
+
+  // ---- Playlists ----
+
+  function summary(p) {
+    return {
+      id: String(p._id),
+      name: p.name,
+      kind: p.kind,
+      rules: p.rules,
+      itemCount: p.kind === "manual" ? p.items.length : null,
+      createdAt: p.createdAt,
+      updatedAt: p.updatedAt,
+    };
+  }
+
+  async function loadPlaylist(req, res) {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      res.status(404).json({ error: "Playlist not found" });
+      return null;
+    }
+    const playlist = await Playlist.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!playlist) res.status(404).json({ error: "Playlist not found" });
+    return playlist;
+  }
+
+  async function playlistItems(userId, playlist) {
+    if (playlist.kind === "smart") {
+      const episodes = await evaluateSmartPlaylist(playlist.rules, { userId, ingest });
+      return expandItems(
+        userId,
+        episodes.map((e) => ({ episodeId: e.id, podcastId: e.podcastId ?? null }))
+      );
+    }
+    return expandItems(
+      userId,
+      playlist.items.map((i) => ({ episodeId: i.episodeId, podcastId: i.podcastId ?? null, addedAt: i.addedAt }))
+    );
+  }
+
+  // GET /user/playlists
+  router.get("/playlists", async (req, res) => {
+    const playlists = await Playlist.find({ userId: req.user.id }).sort({ updatedAt: -1 }).lean();
+    res.json({ playlists: playlists.map(summary) });
+  });
+
+  // POST /user/playlists { name, kind?: "manual" | "smart", rules? }
+  router.post("/playlists", async (req, res) => {
+    const { name, kind = "manual", rules } = req.body || {};
+    if (!name || typeof name !== "string" || name.length > 200)
+      return res.status(400).json({ error: "name required (max 200 characters)" });
+    if (!["manual", "smart"].includes(kind)) return res.status(400).json({ error: "kind must be manual or smart" });
+    if (kind === "manual" && rules != null) return res.status(400).json({ error: "Only smart playlists have rules" });
+    try {
+      const count = await Playlist.countDocuments({ userId: req.user.id });
+      if (count >= MAX_PLAYLISTS) return res.status(409).json({ error: `At most ${MAX_PLAYLISTS} playlists` });
+      const playlist = await Playlist.create({
+        userId: req.user.id,
+        name: name.trim(),
+        kind,
+        rules: kind === "smart" ? parseRules(rules) : null,
+      });
+      res.status(201).json({ playlist: summary(playlist) });
+    } catch (err) {
+      sendError(res, err, "Playlist create");
+    }
+  });
+
+  // GET /user/playlists/:id — smart playlists are evaluated on every read
+  router.get("/playlists/:id", async (req, res) => {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    try {
+      res.json({ playlist: { ...summary(playlist), items: await playlistItems(req.user.id, playlist) } });
+    } catch (err) {
+      sendError(res, err, "Playlist load");
+    }
+  });
+
+  // PATCH /user/playlists/:id { name?, rules? }
+  router.patch("/playlists/:id", async (req, res) => {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    const { name, rules } = req.body || {};
+    try {
+      if (name != null) {
+        if (typeof name !== "string" || !name.trim() || name.length > 200)
+          return res.status(400).json({ error: "name must be 1-200 characters" });
+        playlist.name = name.trim();
+      }
+      if (rules !== undefined) {
+        if (playlist.kind !== "smart") return res.status(400).json({ error: "Only smart playlists have rules" });
+        playlist.rules = parseRules(rules);
+      }
+      await playlist.save();
+      res.json({ playlist: summary(playlist) });
+    } catch (err) {
+      sendError(res, err, "Playlist update");
+    }
+  });
+
+  // DELETE /user/playlists/:id
+  router.delete("/playlists/:id", async (req, res) => {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    await playlist.deleteOne();
+    res.sendStatus(204);
+  });
+
+  async function loadManual(req, res) {
+    const playlist = await loadPlaylist(req, res);
+    if (playlist && playlist.kind !== "manual") {
+      res.status(409).json({ error: "Smart playlists are defined by their rules", code: "smart_playlist" });
+      return null;
+    }
+    return playlist;
+  }
+
+  // POST /user/playlists/:id/items { episodeId } | { feedUrl, guid }
+  router.post("/playlists/:id/items", async (req, res) => {
+    const playlist = await loadManual(req, res);
+    if (!playlist) return;
+    try {
+      const episode = await resolveRef(req.body);
+      if (!playlist.items.some((i) => i.episodeId === episode.id)) {
+        if (playlist.items.length >= MAX_PLAYLIST_ITEMS)
+          return res.status(409).json({ error: `Playlists are limited to ${MAX_PLAYLIST_ITEMS} items` });
+        playlist.items.push({ episodeId: episode.id, podcastId: episode.podcastId });
+        await playlist.save();
+      }
+      res.status(201).json({ playlist: summary(playlist) });
+    } catch (err) {
+      sendError(res, err, "Playlist add");
+    }
+  });
+
+  // POST /user/playlists/:id/items/move { episodeId, index }
+  router.post("/playlists/:id/items/move", async (req, res) => {
+    const { episodeId, index } = req.body || {};
+    if (episodeId == null || !Number.isInteger(index))
+      return res.status(400).json({ error: "episodeId and an integer index required" });
+    const playlist = await loadManual(req, res);
+    if (!playlist) return;
+    const items = playlist.items.map((i) => i.toObject());
+    const from = items.findIndex((i) => i.episodeId === String(episodeId));
+    if (from === -1) return res.status(404).json({ error: "Episode is not in the playlist" });
+    const [item] = items.splice(from, 1);
+    items.splice(Math.min(Math.max(index, 0), items.length), 0, item);
+    playlist.items = items;
+    await playlist.save();
+    res.json({ playlist: summary(playlist) });
+  });
+
+  // DELETE /user/playlists/:id/items/:episodeId
+  router.delete("/playlists/:id/items/:episodeId", async (req, res) => {
+    const playlist = await loadManual(req, res);
+    if (!playlist) return;
+    const before = playlist.items.length;
+    playlist.items = playlist.items.filter((i) => i.episodeId !== req.params.episodeId);
+    if (playlist.items.length === before) return res.status(404).json({ error: "Episode is not in the playlist" });
+    await playlist.save();
+    res.sendStatus(204);
+  });
+
+  // POST /user/playlists/:id/queue { mode?: "append" | "replace" } — unfinished items only
+  router.post("/playlists/:id/queue", async (req, res) => {
+    const mode = req.body?.mode || "append";
+    if (!["append", "replace"].includes(mode)) return res.status(400).json({ error: "mode must be append or replace" });
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
+    try {
+      const items = (await playlistItems(req.user.id, playlist)).filter((i) => i.episode && !i.completed);
+      const state =
+        mode === "replace"
+          ? await queue.replaceQueue(req.user.id, deviceIdOf(req), items)
+          : await queue.addToQueue(req.user.id, deviceIdOf(req), items);
+      res.json(state);
+    } catch (err) {
+      sendError(res, err, "Playlist enqueue");
+    }
+  });
+
+  return router;
+};
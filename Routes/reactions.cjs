@@ -0,0 +1,207 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Review = require("../Models/Review.js");
+const { aggregateRatings } = require("../Services/ratings.cjs");
+
+const HOUR = 60 * 60 * 1000;
+const REPORTS_TO_HIDE = 3;
+
+function parseCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!t || !mongoose.isValidObjectId(id)) return undefined;
+    return { t: new Date(t), id };
+  } catch {
+    return undefined;
+  }
+}
+
+const encodeCursor = (review) =>
+  Buffer.from(JSON.stringify({ t: review.createdAt, id: String(review._id) })).toString("base64url");
+
+// What other listeners see; reports stay private to moderators
+function publicReview(review) {
+  const { reports, hiddenReason, deletedAt, __v, ...rest } = review;
+  return rest;
+}
+
+/**
+ * Likes, star ratings and text reviews for podcasts and episodes.
+ * Reading reviews and aggregates is public; everything else needs a session.
+ *
+ * @param {{
+ *   requireAuth: import("express").RequestHandler,
+ *   likes: import("../Services/repos/likes.cjs").LikeRepo,
+ *   moderatorIds?: string[],
+ *   editWindowMs?: number
+ * }} deps
+ * @returns {{ podcasts: import("express").Router, reviews: import("express").Router }}
+ */
+module.exports = ({ requireAuth, likes, moderatorIds = [], editWindowMs = 24 * HOUR }) => {
+  const podcasts = express.Router();
+  const reviews = express.Router();
+  const moderators = new Set(moderatorIds);
+
+  function requireModerator(req, res, next) {
+    if (!moderators.has(req.user.id))
+      return res.status(403).json({ error: "Moderator access required", code: "forbidden" });
+    next();
+  }
+
+  async function like(req, res) {
+    const { podcastId, episodeId = null } = req.params;
+    const { liked } = await likes.set({ podcastId, episodeId, userId: req.user.id }, req.body?.liked !== false);
+    res.json({ podcastId, episodeId, liked });
+  }
+
+  async function unlike(req, res) {
+    const { podcastId, episodeId = null } = req.params;
+    await likes.remove({ podcastId, episodeId, userId: req.user.id });
+    res.sendStatus(204);
+  }
+
+  // PUT /podcasts/:podcastId/like { liked?: boolean } (false records a dislike)
+  podcasts.put("/:podcastId/like", requireAuth, like);
+  podcasts.delete("/:podcastId/like", requireAuth, unlike);
+  podcasts.put("/:podcastId/episodes/:episodeId/like", requireAuth, like);
+  podcasts.delete("/:podcastId/episodes/:episodeId/like", requireAuth, unlike);
+
+  // GET /podcasts/:podcastId/episodes/:episodeId/likes
+  podcasts.get("/:podcastId/episodes/:episodeId/likes", async (req, res) => {
+    const { podcastId, episodeId } = req.params;
+    res.json({ podcastId, episodeId, ...(await likes.counts(podcastId, episodeId)) });
+  });
+
+  // GET /podcasts/:podcastId/ratings
+  podcasts.get("/:podcastId/ratings", async (req, res) => {
+    const { podcastId } = req.params;
+    const [summaries, distribution] = await Promise.all([
+      aggregateRatings([podcastId]),
+      Review.aggregate([
+        { $match: { podcastId, hidden: false, deletedAt: null } },
+        { $group: { _id: "$rating", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const stars = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const row of distribution) stars[row._id] = row.count;
+    res.json({ podcastId, ...summaries.get(podcastId), distribution: stars });
+  });
+
+  // GET /podcasts/:podcastId/reviews?cursor=&limit= (newest first)
+  podcasts.get("/:podcastId/reviews", async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const cursor = parseCursor(req.query.cursor);
+    if (cursor === undefined) return res.status(400).json({ error: "Invalid cursor" });
+
+    const query = { podcastId: req.params.podcastId, hidden: false, deletedAt: null, text: { $ne: null } };
+    if (cursor) {
+      query.$or = [
+        { createdAt: { $lt: cursor.t } },
+        { createdAt: cursor.t, _id: { $lt: cursor.id } },
+      ];
+    }
+    const rows = await Review.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean();
+    const page = rows.slice(0, limit);
+    res.json({
+      reviews: page.map(publicReview),
+      nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null,
+    });
+  });
+
+  // PUT /podcasts/:podcastId/review { rating: 1-5, text? }
+  podcasts.put("/:podcastId/review", requireAuth, async (req, res) => {
+    const { podcastId } = req.params;
+    const rating = Number(req.body?.rating);
+    const text = typeof req.body?.text === "string" ? req.body.text.trim() || null : null;
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5)
+      return res.status(400).json({ error: "rating must be an integer from 1 to 5" });
+    if (text && text.length > 5000)
+      return res.status(400).json({ error: "Review text is limited to 5000 characters" });
+
+    let existing = await Review.findOne({ podcastId, userId: req.user.id });
+    if (!existing) {
+      try {
+        const review = await Review.create({ podcastId, userId: req.user.id, rating, text });
+        return res.status(201).json({ review: publicReview(review.toObject()) });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+      // a parallel PUT created it first; this one becomes an edit of that review
+      existing = await Review.findOne({ podcastId, userId: req.user.id });
+    }
+    // posting again after a delete revives the old review, so it is still moderated and time-limited
+    const deleted = !!existing.deletedAt;
+    if (deleted && existing.hidden)
+      return res.status(403).json({ error: "This review was hidden and cannot be posted again", code: "review_hidden" });
+    if (Date.now() - existing.createdAt.getTime() > editWindowMs)
+      return res.status(403).json({ error: "Reviews can no longer be edited", code: "edit_window_closed" });
+
+    existing.set({ rating, text, editedAt: new Date(), deletedAt: null });
+    await existing.save();
+    res.status(deleted ? 201 : 200).json({ review: publicReview(existing.toObject()) });
+  });
+
+  // DELETE /podcasts/:podcastId/review (soft delete; see PUT)
+  podcasts.delete("/:podcastId/review", requireAuth, async (req, res) => {
+    const { matchedCount } = await Review.updateOne(
+      { podcastId: req.params.podcastId, userId: req.user.id, deletedAt: null },
+      { $set: { deletedAt: new Date() } }
+    );
+    if (!matchedCount) return res.status(404).json({ error: "Review not found" });
+    res.sendStatus(204);
+  });
+
+  async function findReview(req, res) {
+    const { id } = req.params;
+    const review = mongoose.isValidObjectId(id) ? await Review.findById(id) : null;
+    if (!review) res.status(404).json({ error: "Review not found" });
+    return review;
+  }
+
+  // POST /reviews/:id/report { reason? } (enough reports hide it until a moderator looks)
+  reviews.post("/:id/report", requireAuth, async (req, res) => {
+    const review = await findReview(req, res);
+    if (!review) return;
+    if (review.deletedAt) return res.status(404).json({ error: "Review not found" });
+    if (review.userId === req.user.id)
+      return res.status(400).json({ error: "Cannot report your own review" });
+    if (review.reports.some((r) => r.userId === req.user.id)) return res.sendStatus(204);
+
+    const reason = String(req.body?.reason || "").slice(0, 500) || null;
+    review.reports.push({ userId: req.user.id, reason });
+    if (!review.hidden && review.reports.length >= REPORTS_TO_HIDE) {
+      review.set({ hidden: true, hiddenReason: "reported" });
+    }
+    await review.save();
+    res.sendStatus(204);
+  });
+
+  // GET /reviews/reported (moderators)
+  reviews.get("/reported", requireAuth, requireModerator, async (req, res) => {
+    const rows = await Review.find({ "reports.0": { $exists: true } })
+      .sort({ updatedAt: -1 })
+      .limit(100)
+      .lean();
+    res.json({ reviews: rows });
+  });
+
+  // POST /reviews/:id/hide { reason? } | /unhide (moderators)
+  reviews.post("/:id/hide", requireAuth, requireModerator, async (req, res) => {
+    const review = await findReview(req, res);
+    if (!review) return;
+    review.set({ hidden: true, hiddenReason: String(req.body?.reason || "moderator") });
+    await review.save();
+    res.json({ review: review.toObject() });
+  });
+
+  reviews.post("/:id/unhide", requireAuth, requireModerator, async (req, res) => {
+    const review = await findReview(req, res);
+    if (!review) return;
+    review.set({ hidden: false, hiddenReason: null, reports: [] });
+    await review.save();
+    res.json({ review: review.toObject() });
+  });
+
+  return { podcasts, reviews };
+};
@@ -0,0 +1,246 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Show = require("../Models/Show.js");
+const Upload = require("../Models/UploadMeta.js");
+const { buildShowFeed } = require("../Services/rss-feed.cjs");
+
+const SHOW_FIELDS = [
+  "title",
+  "description",
+  "author",
+  "ownerName",
+  "ownerEmail",
+  "link",
+  "language",
+  "copyright",
+  "artworkUrl",
+  "categories",
+  "explicit",
+  "type",
+];
+const TEXT_FIELDS = SHOW_FIELDS.filter((k) => !["categories", "explicit"].includes(k));
+const SHOW_TYPES = Show.schema.path("type").enumValues;
+const EPISODE_TYPES = Upload.schema.path("episodeType").enumValues;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 3 or "3"; NaN, 0, -1, 1.5 and booleans are not episode or season numbers
+function positiveInt(value) {
+  const n = typeof value === "string" && value.trim() ? Number(value) : value;
+  return Number.isSafeInteger(n) && n > 0 ? n : null;
+}
+
+// Returns { fields } or { error } for a 400; ownerEmail is published in the feed, so it is only set on request
+function pickShowFields(body = {}) {
+  const out = {};
+  for (const key of SHOW_FIELDS) if (body[key] !== undefined) out[key] = body[key];
+  const badText = TEXT_FIELDS.find((k) => out[k] != null && typeof out[k] !== "string");
+  if (badText) return { error: `${badText} must be a string` };
+  if (out.type != null && !SHOW_TYPES.includes(out.type))
+    return { error: `type must be one of ${SHOW_TYPES.join(", ")}` };
+  if (out.explicit !== undefined && typeof out.explicit !== "boolean")
+    return { error: "explicit must be true or false" };
+  if (out.ownerEmail !== undefined) {
+    // "" or null removes it from the feed
+    out.ownerEmail = out.ownerEmail?.trim() || null;
+    if (out.ownerEmail && (out.ownerEmail.length > 254 || !EMAIL_RE.test(out.ownerEmail)))
+      return { error: "ownerEmail must be an email address" };
+  }
+  if (out.categories !== undefined) {
+    // accept "Technology" or "Society & Culture > Documentary" strings as well as objects
+    out.categories = [].concat(out.categories).slice(0, 3).map((c) => {
+      if (typeof c !== "string") return { name: c?.name, subcategory: c?.subcategory };
+      const [name, subcategory] = c.split(">").map((s) => s.trim());
+      return { name, subcategory };
+    });
+  }
+  return { fields: out };
+}
+
+// PNG/JPEG only; returns null for anything else
+function sniffImage(buf) {
+  if (buf.length > 24 && buf.readUInt32BE(0) === 0x89504e47)
+    return { mimeType: "image/png", ext: "png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  if (buf.length > 4 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) {
+    let i = 2;
+    while (i + 9 < buf.length) {
+      if (buf[i] !== 0xff) return null;
+      const marker = buf[i + 1];
+      const len = buf.readUInt16BE(i + 2);
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker))
+        return { mimeType: "image/jpeg", ext: "jpg", width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+      i += 2 + len;
+    }
+    return { mimeType: "image/jpeg", ext: "jpg", width: null, height: null };
+  }
+  return null;
+}
+
+/**
+ * Creator shows: grouping uploads into shows, and publishing each show as a
+ * public RSS feed.
+ *
+ * @param {{
+ *   storage: import("../Services/storage.cjs").Storage,
+ *   publicBaseUrl: string
+ * }} deps
+ * @returns {{ shows: import("express").Router, feeds: import("express").Router }}
+ */
+module.exports = ({ storage, publicBaseUrl }) => {
+  const shows = express.Router();
+  const feeds = express.Router();
+
+  const feedUrl = (show) => `${publicBaseUrl.replace(/\/$/, "")}/feeds/${show._id}.xml`;
+  const withFeedUrl = (show) => ({ ...show, feedUrl: feedUrl(show) });
+
+  async function ownShow(req, res) {
+    const { id } = req.params;
+    const show = mongoose.isValidObjectId(id)
+      ? await Show.findOne({ _id: id, userId: req.user.id })
+      : null;
+    if (!show) res.status(404).json({ error: "Show not found" });
+    return show;
+  }
+
+  // POST /shows
+  shows.post("/", async (req, res) => {
+    const { fields, error } = pickShowFields(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!fields.title?.trim()) return res.status(400).json({ error: "title required" });
+    const show = await Show.create({ ...fields, userId: req.user.id });
+    res.status(201).json({ show: withFeedUrl(show.toObject()) });
+  });
+
+  // GET /shows
+  shows.get("/", async (req, res) => {
+    const mine = await Show.find({ userId: req.user.id }).sort({ createdAt: -1 }).lean();
+    res.json({ shows: mine.map(withFeedUrl) });
+  });
+
+  // GET /shows/:id
+  shows.get("/:id", async (req, res) => {
+    const show = await ownShow(req, res);
+    if (!show) return;
+    const episodes = await Upload.find({ showId: show._id })
+      .sort({ seasonNumber: 1, episodeNumber: 1, createdAt: 1 })
+      .lean();
+    res.json({ show: withFeedUrl(show.toObject()), episodes });
+  });
+
+  // PUT /shows/:id
+  shows.put("/:id", async (req, res) => {
+    const show = await ownShow(req, res);
+    if (!show) return;
+    const { fields, error } = pickShowFields(req.body);
+    if (error) return res.status(400).json({ error });
+    show.set(fields);
+    if (!show.title?.trim()) return res.status(400).json({ error: "title required" });
+    await show.save();
+    res.json({ show: withFeedUrl(show.toObject()) });
+  });
+
+  // DELETE /shows/:id (episodes go back to being loose uploads)
+  shows.delete("/:id", async (req, res) => {
+    const show = await ownShow(req, res);
+    if (!show) return;
+    await Upload.updateMany(
+      { showId: show._id },
+      { $set: { showId: null, episodeNumber: null, seasonNumber: null, publishedAt: null } }
+    );
+    await show.deleteOne();
+    if (show.artworkKey) await storage.remove(show.artworkKey).catch(() => {});
+    res.sendStatus(204);
+  });
+
+  // PUT /shows/:id/artwork (raw PNG or JPEG body)
+  shows.put(
+    "/:id/artwork",
+    express.raw({ type: () => true, limit: "5mb" }),
+    async (req, res) => {
+      const show = await ownShow(req, res);
+      if (!show) return;
+      const buf = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const image = sniffImage(buf);
+      if (!image) return res.status(415).json({ error: "Artwork must be PNG or JPEG" });
+      if (image.width && image.width !== image.height)
+        return res.status(422).json({ error: "Artwork must be square", width: image.width, height: image.height });
+
+      const key = `${req.user.id}/shows/${show._id}-${Date.now()}.${image.ext}`;
+      const { url } = await storage.put(key, buf, { contentType: image.mimeType });
+      const previous = show.artworkKey;
+      show.set({ artworkUrl: url, artworkKey: key });
+      await show.save();
+      if (previous) await storage.remove(previous).catch(() => {});
+      res.json({ artworkUrl: url, width: image.width, height: image.height });
+    }
+  );
+
+  // POST /shows/:id/episodes { uploadId, seasonNumber?, episodeNumber?, episodeType?, explicit?, publish? }
+  shows.post("/:id/episodes", async (req, res) => {
+    const show = await ownShow(req, res);
+    if (!show) return;
+    const { uploadId, seasonNumber, episodeNumber, episodeType, explicit, publish = true } =
+      req.body || {};
+    if (!mongoose.isValidObjectId(uploadId))
+      return res.status(400).json({ error: "uploadId required" });
+    if (episodeType != null && !EPISODE_TYPES.includes(episodeType))
+      return res.status(400).json({ error: `episodeType must be one of ${EPISODE_TYPES.join(", ")}` });
+    const season = seasonNumber != null ? positiveInt(seasonNumber) : null;
+    if (seasonNumber != null && season == null)
+      return res.status(400).json({ error: "seasonNumber must be a positive integer" });
+    let number = episodeNumber != null ? positiveInt(episodeNumber) : null;
+    if (episodeNumber != null && number == null)
+      return res.status(400).json({ error: "episodeNumber must be a positive integer" });
+
+    const upload = await Upload.findOne({ _id: uploadId, userId: req.user.id });
+    if (!upload) return res.status(404).json({ error: "Upload not found" });
+
+    if (number == null && (episodeType || "full") === "full") {
+      const [last] = await Upload.find({ showId: show._id, seasonNumber: season, _id: { $ne: upload._id } })
+        .sort({ episodeNumber: -1 })
+        .limit(1)
+        .lean();
+      number = (last?.episodeNumber || 0) + 1;
+    }
+
+    upload.set({
+      showId: show._id,
+      seasonNumber: season,
+      episodeNumber: number,
+      episodeType: episodeType || "full",
+      publishedAt: publish ? upload.publishedAt || new Date() : null,
+    });
+    if (explicit !== undefined) upload.set("explicit", !!explicit);
+    await upload.save();
+    res.status(201).json({ episode: upload.toObject() });
+  });
+
+  // DELETE /shows/:id/episodes/:uploadId
+  shows.delete("/:id/episodes/:uploadId", async (req, res) => {
+    const show = await ownShow(req, res);
+    if (!show) return;
+    const { uploadId } = req.params;
+    if (!mongoose.isValidObjectId(uploadId)) return res.status(404).json({ error: "Episode not found" });
+    const result = await Upload.updateOne(
+      { _id: uploadId, showId: show._id },
+      { $set: { showId: null, episodeNumber: null, seasonNumber: null, publishedAt: null } }
+    );
+    if (!result.matchedCount) return res.status(404).json({ error: "Episode not found" });
+    res.sendStatus(204);
+  });
+
+  // GET /feeds/:id.xml (public)
+  feeds.get("/:id.xml", async (req, res) => {
+    const { id } = req.params;
+    const show = mongoose.isValidObjectId(id) ? await Show.findById(id).lean() : null;
+    if (!show) return res.status(404).json({ error: "Feed not found" });
+    const episodes = await Upload.find({ showId: show._id, publishedAt: { $ne: null, $lte: new Date() } })
+      .sort({ publishedAt: -1 })
+      .lean();
+
+    res.set("Content-Type", "application/rss+xml; charset=utf-8");
+    res.set("Cache-Control", "public, max-age=300");
+    res.send(buildShowFeed(show, episodes, { selfUrl: feedUrl(show) }));
+  });
+
+  return { shows, feeds };
+};
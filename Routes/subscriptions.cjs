@@ -0,0 +1,265 @@
+const express = require("express");
+const multer = require("multer");
+const Subscription = require("../Models/Subscription.js");
+const InboxEntry = require("../Models/InboxEntry.js");
+const History = require("../Models/WatchHistory.js");
+const { normalizeFeedUrl } = require("../Services/feed-url.cjs");
+const { parseOpml, buildOpml, importOutlines } = require("../Services/opml.cjs");
+
+const DAY = 24 * 60 * 60 * 1000;
+const OPML_MAX_BYTES = 2 * 1024 * 1024;
+const IMPORT_CONCURRENCY = 4;
+// batches of 2 * limit episodes read per inbox page at most
+const INBOX_SCAN_ROUNDS = 5;
+
+// Inbox cursors point at the last episode of the previous page, in (publishedAt, id) order
+function parseInboxCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isFinite(t) || !/^\d+$/.test(String(id))) return undefined;
+    return { publishedAt: t, id: String(id) };
+  } catch {
+    return undefined;
+  }
+}
+
+const encodeInboxCursor = (episode) =>
+  Buffer.from(JSON.stringify({ t: episode.publishedAt, id: episode.id })).toString("base64url");
+
+const opmlUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: OPML_MAX_BYTES } });
+
+/**
+ * Follows and the new-episode inbox, mounted under /user.
+ *
+ * @param {{
+ *   ingest: ReturnType<import("../Services/ingest.cjs")["createIngestService"]>,
+ *   podcastIndex: ReturnType<import("../Services/podcastindex.cjs")["createPodcastIndexClient"]>,
+ *   backfillDays?: number
+ * }} deps
+ */
+module.exports = ({ ingest, podcastIndex, backfillDays = 14 }) => {
+  const router = express.Router();
+
+  // Turns { feedId } or { feedUrl } into a feed URL plus whatever metadata we know;
+  // a URL's directory id is looked up by ingest rather than taken from the client
+  async function resolveFeed({ feedId, feedUrl }) {
+    if (feedUrl) return { feedUrl, podcastId: null };
+    const feed = await podcastIndex.podcastByFeedId(feedId);
+    if (!feed?.url) return null;
+    return {
+      feedUrl: feed.url,
+      podcastId: String(feed.id),
+      title: feed.title,
+      image: feed.image || feed.artwork,
+    };
+  }
+
+  function subscriptionQuery(userId, { feedId, feedUrl }) {
+    if (feedUrl) return { userId, feedKey: normalizeFeedUrl(feedUrl) };
+    if (feedId != null) return { userId, podcastId: String(feedId) };
+    return null;
+  }
+
+  /**
+   * Subscribes a user to a feed; shared with OPML import.
+   * @param {string} userId
+   * @param {{ feedId?: string | number, feedUrl?: string, title?: string }} target
+   */
+  async function subscribe(userId, target) {
+    const resolved = await resolveFeed(target);
+    if (!resolved) {
+      const err = new Error("Feed not found");
+      err.status = 404;
+      throw err;
+    }
+    const feed = await ingest.registerFeed(resolved.feedUrl, { podcastId: resolved.podcastId });
+    if (!feed.lastSuccessAt) ingest.refreshFeed(feed.id).catch(() => {});
+    const podcastId = resolved.podcastId || feed.podcastId;
+
+    const feedKey = normalizeFeedUrl(resolved.feedUrl);
+    return Subscription.findOneAndUpdate(
+      { userId, feedKey },
+      {
+        $set: {
+          feedUrl: resolved.feedUrl,
+          localFeedId: feed.id,
+          ...(podcastId && { podcastId }),
+          ...((resolved.title || feed.title || target.title) && {
+            title: resolved.title || feed.title || target.title,
+          }),
+          ...((resolved.image || feed.imageUrl) && { image: resolved.image || feed.imageUrl }),
+        },
+        $setOnInsert: { userId, feedKey, lastVisitedAt: new Date() },
+      },
+      { upsert: true, new: true, lean: true }
+    );
+  }
+
+  // GET /user/subscriptions
+  router.get("/subscriptions", async (req, res) => {
+    const subscriptions = await Subscription.find({ userId: req.user.id })
+      .sort({ title: 1 })
+      .lean();
+    res.json({ subscriptions });
+  });
+
+  // POST /user/subscriptions { feedId } | { feedUrl }
+  router.post("/subscriptions", async (req, res) => {
+    const { feedId, feedUrl } = req.body || {};
+    if (feedId == null && !feedUrl)
+      return res.status(400).json({ error: "feedId or feedUrl required" });
+    if (feedUrl && !/^https?:\/\//i.test(feedUrl))
+      return res.status(400).json({ error: "Invalid feed URL" });
+    try {
+      const subscription = await subscribe(req.user.id, { feedId, feedUrl });
+      res.status(201).json({ subscription });
+    } catch (err) {
+      if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
+      if (err.code === "PODCASTINDEX_UNAVAILABLE") {
+        if (err.retryAfterSec) res.setHeader("Retry-After", String(err.retryAfterSec));
+        return res.status(503).json({ error: err.message, code: err.code });
+      }
+      console.error("Subscribe failed:", err.message);
+      res.status(502).json({ error: "Could not resolve feed" });
+    }
+  });
+
+  // DELETE /user/subscriptions?feedId= | ?feedUrl=
+  router.delete("/subscriptions", async (req, res) => {
+    const query = subscriptionQuery(req.user.id, { ...req.query, ...req.body });
+    if (!query) return res.status(400).json({ error: "feedId or feedUrl required" });
+    const { deletedCount } = await Subscription.deleteOne(query);
+    if (!deletedCount) return res.status(404).json({ error: "Not subscribed" });
+    res.sendStatus(204);
+  });
+
+  // Episode ids the user has played to the end, or marked played or archived in the inbox
+  async function hiddenEpisodeIds(userId, ids) {
+    const [entries, completed] = await Promise.all([
+      InboxEntry.find({ userId, episodeId: { $in: ids } }, { episodeId: 1 }).lean(),
+      History.find({ userId, episodeId: { $in: ids }, completed: true }, { episodeId: 1 }).lean(),
+    ]);
+    return new Set([...entries, ...completed].map((d) => d.episodeId));
+  }
+
+  // GET /user/inbox?cursor=&limit= — unplayed episodes from followed feeds; isNew is relative to
+  // the last POST /user/inbox/seen, which reading the inbox does not touch
+  router.get("/inbox", async (req, res) => {
+    const userId = req.user.id;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const cursor = parseInboxCursor(req.query.cursor);
+    if (cursor === undefined) return res.status(400).json({ error: "Invalid cursor" });
+    const subs = await Subscription.find({ userId, localFeedId: { $ne: null } }).lean();
+    if (!subs.length) return res.json({ items: [], newCount: 0, nextCursor: null });
+
+    const bySub = new Map(subs.map((s) => [s.localFeedId, s]));
+    const ranges = subs.map((s) => ({
+      feedId: s.localFeedId,
+      since: new Date(s.createdAt).getTime() - backfillDays * DAY,
+    }));
+
+    // Hidden episodes live in Mongo, so they are filtered here, a batch at a time, until the
+    // page is full; a long run of played episodes ends the page early but still gives a cursor
+    const batchSize = limit * 2;
+    const visible = [];
+    let before = cursor;
+    let exhausted = false;
+    for (let round = 0; round < INBOX_SCAN_ROUNDS && visible.length <= limit; round++) {
+      const batch = await ingest.listEpisodesSince(ranges, { limit: batchSize, before });
+      const hidden = batch.length ? await hiddenEpisodeIds(userId, batch.map((e) => e.id)) : new Set();
+      visible.push(...batch.filter((e) => !hidden.has(e.id)));
+      if (batch.length < batchSize) {
+        exhausted = true;
+        break;
+      }
+      before = batch[batch.length - 1];
+    }
+
+    const page = visible.slice(0, limit);
+    let nextCursor = null;
+    if (visible.length > limit) nextCursor = encodeInboxCursor(page[page.length - 1]);
+    else if (!exhausted) nextCursor = encodeInboxCursor(before);
+
+    const items = page.map((e) => ({
+      ...e,
+      podcastTitle: bySub.get(e.feedId)?.title || e.podcastTitle,
+      isNew: e.publishedAt > new Date(bySub.get(e.feedId).lastVisitedAt).getTime(),
+    }));
+
+    res.json({ items, newCount: items.filter((i) => i.isNew).length, nextCursor });
+  });
+
+  // POST /user/inbox/seen — everything published so far stops counting as new
+  router.post("/inbox/seen", async (req, res) => {
+    await Subscription.updateMany({ userId: req.user.id }, { $set: { lastVisitedAt: new Date() } });
+    res.sendStatus(204);
+  });
+
+  function inboxAction(status) {
+    return async (req, res) => {
+      await InboxEntry.updateOne(
+        { userId: req.user.id, episodeId: req.params.episodeId },
+        { $set: { status } },
+        { upsert: true }
+      );
+      res.sendStatus(204);
+    };
+  }
+
+  // POST /user/inbox/:episodeId/played | /archive, DELETE to restore
+  router.post("/inbox/:episodeId/played", inboxAction("played"));
+  router.post("/inbox/:episodeId/archive", inboxAction("archived"));
+  router.delete("/inbox/:episodeId", async (req, res) => {
+    await InboxEntry.deleteOne({ userId: req.user.id, episodeId: req.params.episodeId });
+    res.sendStatus(204);
+  });
+
+  // POST /user/opml — OPML as the raw body (text/xml, text/x-opml) or a multipart "file"
+  router.post(
+    "/opml",
+    opmlUpload.single("file"),
+    express.text({ type: ["text/*", "application/xml", "application/*+xml"], limit: OPML_MAX_BYTES }),
+    async (req, res) => {
+      const text = req.file ? req.file.buffer.toString("utf8") : typeof req.body === "string" ? req.body : req.body?.opml;
+      if (!text) return res.status(400).json({ error: "OPML document required" });
+
+      const outlines = parseOpml(text);
+      if (!outlines.length) return res.status(422).json({ error: "No feeds found in OPML" });
+
+      const existing = new Set(
+        (await Subscription.find({ userId: req.user.id }, { feedKey: 1 }).lean()).map((s) => s.feedKey)
+      );
+
+      // each feed is fetched once before it is followed, so dead URLs are reported
+      const results = await importOutlines(outlines, {
+        concurrency: IMPORT_CONCURRENCY,
+        isSubscribed: (xmlUrl) => existing.has(normalizeFeedUrl(xmlUrl)),
+        follow: async ({ xmlUrl, title }) => {
+          await ingest.validateFeed(xmlUrl);
+          return subscribe(req.user.id, { feedUrl: xmlUrl, title });
+        },
+      });
+
+      const count = (status) => results.filter((r) => r.status === status).length;
+      console.log(`✓ OPML import for ${req.user.id}: ${count("subscribed")}/${results.length} subscribed`);
+      res.json({
+        total: results.length,
+        subscribed: count("subscribed"),
+        alreadySubscribed: count("already-subscribed"),
+        failed: count("failed"),
+        results,
+      });
+    }
+  );
+
+  // GET /user/opml
+  router.get("/opml", async (req, res) => {
+    const subs = await Subscription.find({ userId: req.user.id }).sort({ title: 1 }).lean();
+    res.set("Content-Type", "text/x-opml; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="pods-subscriptions.opml"');
+    res.send(buildOpml(subs, { ownerEmail: req.user.email }));
+  });
+
+  return router;
+};
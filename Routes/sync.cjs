@@ -0,0 +1,57 @@
+const express = require("express");
+const {
+  applyProgress,
+  applyQueue,
+  applyShowSettings,
+  changesSince,
+} = require("../Services/playback-sync.cjs");
+
+const MAX_BATCH = 200;
+
+/**
+ * Cross-device playback sync, mounted under /user.
+ * See Services/playback-sync.cjs for the conflict rules.
+ */
+module.exports = () => {
+  const router = express.Router();
+
+  const deviceIdOf = (req) => {
+    const id = req.body?.deviceId || req.get("X-Device-Id");
+    return id ? String(id).slice(0, 100) : null;
+  };
+
+  // GET /user/sync?since=<version>&limit= — changes after `since` (0 for everything)
+  router.get("/sync", async (req, res) => {
+    const since = Math.max(parseInt(req.query.since || "0", 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 1000);
+    res.json(await changesSince(req.user.id, since, { limit }));
+  });
+
+  // POST /user/sync { deviceId, progress?: [...], queue?: {...}, showSettings?: [...] }
+  router.post("/sync", async (req, res) => {
+    const userId = req.user.id;
+    const deviceId = deviceIdOf(req);
+    if (!deviceId) return res.status(400).json({ error: "deviceId required" });
+    const { progress = [], queue, showSettings = [] } = req.body || {};
+    if (!Array.isArray(progress) || !Array.isArray(showSettings))
+      return res.status(400).json({ error: "progress and showSettings must be arrays" });
+    if (progress.length + showSettings.length > MAX_BATCH)
+      return res.status(413).json({ error: `At most ${MAX_BATCH} changes per request` });
+
+    try {
+      // Sequential, so versions follow the order the client sent
+      const results = { progress: [], queue: null, showSettings: [] };
+      for (const change of progress) results.progress.push(await applyProgress(userId, deviceId, change));
+      if (queue) results.queue = await applyQueue(userId, deviceId, queue);
+      for (const change of showSettings)
+        results.showSettings.push(await applyShowSettings(userId, deviceId, change));
+      res.json(results);
+    } catch (err) {
+      if (err.status === 400 || err.status === 409)
+        return res.status(err.status).json({ error: err.message });
+      throw err;
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,332 @@
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { sniffAudio, extractAudioMeta } = require("../Services/audio-meta.cjs");
+
+const MB = 1024 * 1024;
+const EXTENSIONS = { mp3: "mp3", m4a: "m4a", ogg: "ogg", webm: "webm" };
+
+/**
+ * Resumable chunked uploads for creators.
+ *
+ *   POST   /uploads                 start a session { filename, size, title?, description? }
+ *   GET    /uploads/:id             current offset, to resume after a dropped connection
+ *   PUT    /uploads/:id             append a chunk at `Upload-Offset` (or Content-Range)
+ *   POST   /uploads/:id/complete    sniff, extract metadata, store, write UploadMeta
+ *   DELETE /uploads/:id             abort
+ *
+ * Session state lives next to the partial file in `workDir`, so uploads
+ * survive a restart; the bytes each user's open sessions reserve against the
+ * quota are read from there once and then tracked in memory. The outcome of /complete is also published as an
+ * `upload.processed` or `upload.failed` event to the uploader.
+ *
+ * @param {{
+ *   storage: import("../Services/storage.cjs").Storage,
+ *   uploads: import("../Services/repos/uploads.cjs").UploadRepo,
+ *   events: ReturnType<import("../Services/events.cjs")["createEventBus"]>,
+ *   workDir: string,
+ *   quotaBytes?: number,
+ *   maxFileBytes?: number,
+ *   maxChunkBytes?: number,
+ *   sessionTtlMs?: number
+ * }} deps
+ */
+module.exports = ({
+  storage,
+  uploads,
+  events,
+  workDir,
+  quotaBytes = 1024 * MB,
+  maxFileBytes = 500 * MB,
+  maxChunkBytes = 8 * MB,
+  sessionTtlMs = 24 * 60 * 60 * 1000,
+}) => {
+  const router = express.Router();
+  const busy = new Set();
+  // open session id -> { userId, size, updatedAt }, and reserved bytes per user
+  let open = null;
+  let loading = null;
+  const reserved = new Map();
+
+  const sessionPath = (id) => path.join(workDir, `${id}.json`);
+  const partPath = (id) => path.join(workDir, `${id}.part`);
+
+  async function loadSession(id, userId) {
+    if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+    try {
+      const session = JSON.parse(await fs.readFile(sessionPath(id), "utf8"));
+      return session.userId === userId ? session : null;
+    } catch {
+      return null;
+    }
+  }
+
+  const saveSession = (session) =>
+    fs.writeFile(sessionPath(session.id), JSON.stringify(session));
+
+  function track(session) {
+    if (!open || open.has(session.id)) return;
+    open.set(session.id, { userId: session.userId, size: session.size, updatedAt: session.updatedAt });
+    reserved.set(session.userId, (reserved.get(session.userId) || 0) + session.size);
+  }
+
+  function untrack(id) {
+    const entry = open?.get(id);
+    if (!entry) return;
+    open.delete(id);
+    const left = reserved.get(entry.userId) - entry.size;
+    if (left > 0) reserved.set(entry.userId, left);
+    else reserved.delete(entry.userId);
+  }
+
+  async function dropSession(id) {
+    untrack(id);
+    await fs.rm(sessionPath(id), { force: true });
+    await fs.rm(partPath(id), { force: true });
+  }
+
+  // Reads the sessions left in workDir by an earlier run, once
+  function loadOpenSessions() {
+    loading ??= (async () => {
+      const names = await fs.readdir(workDir).catch(() => []);
+      open = new Map();
+      for (const name of names.filter((n) => n.endsWith(".json"))) {
+        try {
+          track(JSON.parse(await fs.readFile(path.join(workDir, name), "utf8")));
+        } catch {
+          // half-written session file; ignore
+        }
+      }
+    })();
+    return loading;
+  }
+
+  // Bytes of stored uploads; abandoned sessions are removed first. Open sessions are
+  // added from `reserved` by the caller, in the same tick as it reserves more.
+  async function storedBytes(userId) {
+    await loadOpenSessions();
+    const cutoff = Date.now() - sessionTtlMs;
+    for (const [id, entry] of open) {
+      if (entry.updatedAt < cutoff) await dropSession(id);
+    }
+    return uploads.totalBytes(userId);
+  }
+
+  // Events never hold up or fail the request that caused them
+  function notify(userId, type, data) {
+    events.publish(type, data, { userIds: [userId] }).catch((err) =>
+      console.warn(`⚠️ Publishing ${type} failed:`, err.message)
+    );
+  }
+
+  const notifyFailed = (session, error) =>
+    notify(session.userId, "upload.failed", { uploadId: session.id, filename: session.filename, error });
+
+  // Upload-Offset header, or the start of a "bytes a-b/total" Content-Range
+  function chunkOffset(req) {
+    if (req.headers["upload-offset"] !== undefined) return Number(req.headers["upload-offset"]);
+    const m = /^bytes (\d+)-\d+\/\d+$/.exec(req.headers["content-range"] || "");
+    return m ? Number(m[1]) : NaN;
+  }
+
+  router.post("/", async (req, res) => {
+    const { filename, size, title, description } = req.body || {};
+    if (!Number.isInteger(size) || size <= 0)
+      return res.status(400).json({ error: "size must be a positive integer" });
+    if (size > maxFileBytes)
+      return res.status(413).json({ error: "File too large", maxFileBytes });
+
+    const stored = await storedBytes(req.user.id);
+    const used = stored + (reserved.get(req.user.id) || 0);
+    if (used + size > quotaBytes)
+      return res.status(413).json({ error: "Upload quota exceeded", quotaBytes, usedBytes: used });
+
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      userId: req.user.id,
+      filename: typeof filename === "string" ? path.basename(filename) : null,
+      title: typeof title === "string" ? title : null,
+      description: typeof description === "string" ? description : null,
+      size,
+      received: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+    // reserved before the next await, so parallel creates cannot all pass the check above
+    track(session);
+    try {
+      await fs.mkdir(workDir, { recursive: true });
+      await fs.writeFile(partPath(session.id), "");
+      await saveSession(session);
+    } catch (err) {
+      await dropSession(session.id);
+      throw err;
+    }
+    res.status(201).json({ uploadId: session.id, offset: 0, size, maxChunkBytes });
+  });
+
+  router.get("/:id", async (req, res) => {
+    const session = await loadSession(req.params.id, req.user.id);
+    if (!session) return res.status(404).json({ error: "Upload not found" });
+    res.set("Upload-Offset", String(session.received));
+    res.json({
+      uploadId: session.id,
+      offset: session.received,
+      size: session.size,
+      complete: session.received === session.size,
+    });
+  });
+
+  router.put(
+    "/:id",
+    express.raw({ type: () => true, limit: maxChunkBytes }),
+    async (req, res) => {
+      const { id } = req.params;
+      const session = await loadSession(id, req.user.id);
+      if (!session) return res.status(404).json({ error: "Upload not found" });
+      if (busy.has(id)) return res.status(409).json({ error: "Chunk already in progress", offset: session.received });
+
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const offset = chunkOffset(req);
+      if (offset !== session.received)
+        return res.status(409).json({ error: "Offset mismatch", offset: session.received });
+      if (!chunk.length) return res.status(400).json({ error: "Empty chunk" });
+      if (offset + chunk.length > session.size)
+        return res.status(400).json({ error: "Chunk exceeds declared size" });
+
+      // Reject non-audio as soon as the first bytes arrive
+      if (offset === 0 && chunk.length >= 12 && !sniffAudio(chunk)) {
+        await dropSession(id);
+        return res.status(415).json({ error: "Unsupported audio format" });
+      }
+
+      busy.add(id);
+      try {
+        const handle = await fs.open(partPath(id), "r+");
+        try {
+          await handle.write(chunk, 0, chunk.length, offset);
+        } finally {
+          await handle.close();
+        }
+        session.received = offset + chunk.length;
+        session.updatedAt = Date.now();
+        await saveSession(session);
+        if (open?.has(id)) open.get(id).updatedAt = session.updatedAt;
+      } finally {
+        busy.delete(id);
+      }
+
+      res.set("Upload-Offset", String(session.received));
+      res.json({ uploadId: id, offset: session.received, size: session.size });
+    }
+  );
+
+  router.post("/:id/complete", async (req, res) => {
+    const { id } = req.params;
+    // claimed before the first await: a second complete (or a late chunk) gets 409, not a duplicate upload
+    if (busy.has(id)) return res.status(409).json({ error: "Upload is busy" });
+    busy.add(id);
+    try {
+      await complete(req, res, id);
+    } finally {
+      busy.delete(id);
+    }
+  });
+
+  async function complete(req, res, id) {
+    const session = await loadSession(id, req.user.id);
+    if (!session) return res.status(404).json({ error: "Upload not found" });
+    if (session.received !== session.size)
+      return res.status(409).json({ error: "Upload incomplete", offset: session.received });
+
+    let meta;
+    try {
+      meta = await extractAudioMeta(partPath(id));
+    } catch (err) {
+      console.warn("Audio metadata extraction failed:", err.message);
+      // the bytes will not parse on a retry either
+      await dropSession(id);
+      notifyFailed(session, "Unreadable audio file");
+      return res.status(422).json({ error: "Unreadable audio file", details: err.message });
+    }
+    if (!meta) {
+      await dropSession(id);
+      notifyFailed(session, "Unsupported audio format");
+      return res.status(415).json({ error: "Unsupported audio format" });
+    }
+
+    const storageKey = `${session.userId}/${id}.${EXTENSIONS[meta.format]}`;
+    const { url: fileUrl } = await storage.put(storageKey, partPath(id), {
+      contentType: meta.mimeType,
+    });
+
+    let coverUrl = null;
+    let coverKey = null;
+    if (meta.cover?.data.length) {
+      coverKey = `${session.userId}/${id}-cover.${meta.cover.mimeType === "image/png" ? "png" : "jpg"}`;
+      try {
+        ({ url: coverUrl } = await storage.put(coverKey, meta.cover.data, {
+          contentType: meta.cover.mimeType,
+        }));
+      } catch (err) {
+        console.warn("Cover art upload failed:", err.message);
+        coverKey = null;
+      }
+    }
+
+    let upload;
+    try {
+      upload = await uploads.create({
+        userId: session.userId,
+        title: session.title || meta.tags.title || session.filename || "Untitled upload",
+        description: session.description || "",
+        fileUrl,
+        storageKey,
+        coverUrl,
+        coverKey,
+        originalName: session.filename,
+        mimeType: meta.mimeType,
+        format: meta.format,
+        codec: meta.codec,
+        size: session.size,
+        durationSec: meta.durationSec,
+        bitrate: meta.bitrate,
+        sampleRate: meta.sampleRate,
+        channels: meta.channels,
+        tags: meta.tags,
+      });
+    } catch (err) {
+      // the session stays, so the client can complete again; the stored copies would be orphans
+      await storage.remove(storageKey).catch(() => {});
+      if (coverKey) await storage.remove(coverKey).catch(() => {});
+      throw err;
+    }
+    await dropSession(id);
+
+    console.log(`✓ Upload stored (${meta.format}, ${session.size} bytes): ${storageKey}`);
+    notify(session.userId, "upload.processed", {
+      uploadId: id,
+      upload: {
+        id: upload.id,
+        title: upload.title,
+        fileUrl,
+        coverUrl,
+        format: meta.format,
+        size: session.size,
+        durationSec: meta.durationSec,
+      },
+    });
+    res.status(201).json({ upload });
+  }
+
+  router.delete("/:id", async (req, res) => {
+    const session = await loadSession(req.params.id, req.user.id);
+    if (!session) return res.status(404).json({ error: "Upload not found" });
+    await dropSession(session.id);
+    res.sendStatus(204);
+  });
+
+  return router;
+};
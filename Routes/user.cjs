@@ -1,82 +1,91 @@
 const express = require("express");
+const { normalizeFeedUrl } = require("../Services/feed-url.cjs");
+const { recommend } = require("../Services/recommend.cjs");
+const { applyProgress } = require("../Services/playback-sync.cjs");
 
-module.exports = ({ mongoose, db }) => {
+/**
+ * Listener routes: progress reports, continue-listening and recommendations.
+ *
+ * @param {{
+ *   repos: import("../Services/repos/index.cjs").Repositories,
+ *   now?: () => number
+ * }} deps
+ */
+module.exports = ({ repos, now = Date.now }) => {
   const router = express.Router();
-  const History = mongoose.model(
-    "WatchHistory",
-    new mongoose.Schema({
-      userId: String,
-      episodeId: String,
-      podcastId: String,
-      positionSec: Number,
-      completed: Boolean,
-      lastPlayedAt: { type: Date, default: Date.now },
-      source: String,
-    }).index({ userId: 1, lastPlayedAt: -1 })
-  );
+  const { history, episodes, podcasts } = repos;
 
-  // POST /user/history
+  // POST /user/history — single progress report; same conflict rules as /user/sync
   router.post("/history", async (req, res) => {
-    const { episodeId, podcastId, positionSec, completed, source } = req.body;
-    if (!episodeId) return res.status(400).json({ error: "episodeId required" });
-    await History.updateOne(
-      { userId: req.user.id, episodeId },
-      {
-        $set: {
-          podcastId,
-          positionSec: Math.floor(positionSec || 0),
-          completed: !!completed,
-          lastPlayedAt: new Date(),
-          source: source || "rss",
-        },
-      },
-      { upsert: true }
-    );
-    res.sendStatus(204);
+    const deviceId = req.body?.deviceId || req.get("X-Device-Id") || null;
+    try {
+      const result = await applyProgress(req.user.id, deviceId && String(deviceId).slice(0, 100), req.body || {});
+      if (!result.accepted)
+        return res.status(409).json({ error: "Newer progress exists", code: `sync_${result.reason}`, record: result.record });
+      res.sendStatus(204);
+    } catch (err) {
+      if (err.status === 400 || err.status === 409)
+        return res.status(err.status).json({ error: err.message });
+      throw err;
+    }
   });
 
   // GET /user/continue
   router.get("/continue", async (req, res) => {
-    const rows = await History.find({ userId: req.user.id, completed: false })
-      .sort({ lastPlayedAt: -1 })
-      .limit(10)
-      .lean();
-
-    if (!rows.length) return res.json({ items: [] });
-    const ids = rows.map(r => r.episodeId);
-    const placeholders = ids.map(() => "?").join(",");
-    db.all(
-      `SELECT id, podcastId, title, imageUrl AS image, mediaUrl, mediaType
-       FROM episodes WHERE id IN (${placeholders})`,
-      ids,
-      (err, result) => {
-        if (err) return res.status(500).json({ error: "DB error" });
-        const byId = Object.fromEntries(result.map(r => [String(r.id), r]));
-        const items = rows.map(r => ({
-          ...byId[r.episodeId],
-          progress: r.positionSec,
-          lastPlayedAt: r.lastPlayedAt,
-        }));
-        res.json({ items: items.filter(Boolean) });
-      }
-    );
+    const rows = await history.listInProgress(req.user.id, { limit: 10 });
+    const byId = new Map((await episodes.findByIds(rows.map((r) => r.episodeId))).map((e) => [e.id, e]));
+    const items = rows
+      .filter((r) => byId.has(r.episodeId))
+      .map((r) => {
+        const { id, podcastId, title, image, mediaUrl, mediaType } = byId.get(r.episodeId);
+        return { id, podcastId, title, image, mediaUrl, mediaType, progress: r.positionSec, lastPlayedAt: r.lastPlayedAt };
+      });
+    res.json({ items });
   });
 
-  // GET /user/foryou (lightweight recs)
+  // GET /user/foryou (ranked recommendations with reasons)
   router.get("/foryou", async (req, res) => {
-    const recent = await History.find({ userId: req.user.id })
-      .sort({ lastPlayedAt: -1 })
-      .limit(20)
-      .lean();
-    const catHint = recent.length ? "tech" : "life"; // placeholder heuristic
-    const sql = `
-      SELECT id, title, itunesAuthor AS author, imageUrl AS image, url
-      FROM podcasts
-      WHERE lower(category1) LIKE ? OR lower(category2) LIKE ?
-      ORDER BY popularityScore DESC LIMIT 10`;
-    db.all(sql, [`%${catHint}%`, `%${catHint}%`], (e, rows) =>
-      e ? res.status(500).json({ error: "DB error" }) : res.json({ items: rows })
-    );
+    const userId = req.user.id;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const [recent, likes, subs] = await Promise.all([
+      history.listRecent(userId, { limit: 200 }),
+      repos.likes.listPodcastLikes(userId),
+      repos.subscriptions.listByUser(userId),
+    ]);
+
+    try {
+      const [seedPodcasts, played] = await Promise.all([
+        podcasts.findByIds([...recent, ...likes].map((h) => h.podcastId)),
+        episodes.findByIds(recent.map((h) => h.episodeId)),
+      ]);
+
+      // Candidates: popular shows in the listener's categories, plus popular overall
+      const [byCategory, popular] = await Promise.all([
+        podcasts.listByCategories(seedPodcasts.flatMap((p) => [p.category1, p.category2]), { limit: 300 }),
+        podcasts.listPopular({ limit: 100 }),
+      ]);
+
+      const durationById = new Map(played.map((e) => [e.id, e.durationSec]));
+      const subscribedUrls = new Set(subs.map((s) => s.feedKey));
+      const candidates = [...byCategory, ...popular].filter(
+        (p) => !subscribedUrls.has(normalizeFeedUrl(p.url))
+      );
+
+      const items = recommend({
+        userId,
+        now: now(),
+        history: recent.map((h) => ({ ...h, durationSec: durationById.get(h.episodeId) ?? null })),
+        likes,
+        seedPodcasts,
+        candidates,
+        exclude: subs.map((s) => s.podcastId).filter(Boolean),
+        limit,
+      });
+      res.json({ items });
+    } catch (err) {
+      console.error("For-you recommendations failed:", err.message);
+      res.status(500).json({ error: "DB error" });
+    }
   });
 
   return router;
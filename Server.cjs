@@ -1,14 +1,34 @@
 require("dotenv").config();
 const express = require("express");
-const axios = require("axios");
-const crypto = require("crypto");
+const path = require("path");
 const compression = require("compression");
 const helmet = require("helmet");
-const NodeCache = require("node-cache");
+const cookieParser = require("cookie-parser");
 const mongoose = require("mongoose");
 const { createClient } = require("@supabase/supabase-js");
 const mountAIDiscover = require("./api/ai-discover");
-const Parser = require("rss-parser"); // ✅ switched to require()
+const { openDatabase } = require("./Services/sqlite.cjs");
+const { createSearchService } = require("./Services/search.cjs");
+const { createIngestService } = require("./Services/ingest.cjs");
+const { createStorage } = require("./Services/storage.cjs");
+const { attachRatings } = require("./Services/ratings.cjs");
+const { createEpisodeSearch } = require("./Services/episode-search.cjs");
+const { createEmbeddingProvider } = require("./Services/embeddings.cjs");
+const { createAudioProxy } = require("./Services/audio-proxy.cjs");
+const { createSegmentCache } = require("./Services/segment-cache.cjs");
+const { checkUrl, parseAllowlist } = require("./Services/net-guard.cjs");
+const { createSafeFetcher } = require("./Services/safe-fetch.cjs");
+const { createPodcastIndexClient, BASE_URL } = require("./Services/podcastindex.cjs");
+const { createMigrator, bootstrapMongo } = require("./Services/migrations.cjs");
+const { createCacheStore, createRouteCache } = require("./Services/cache.cjs");
+const { normalizeFeedUrl } = require("./Services/feed-url.cjs");
+const { createRepositories } = require("./Services/repos/index.cjs");
+const { createCategoryService } = require("./Services/categories.cjs");
+const { createHomeFeed, loadShelves } = require("./Services/home-feed.cjs");
+const { createLocaleResolver, localeKey, withLanguageFallback } = require("./Services/locale.cjs");
+const { createPodcastDetails } = require("./Services/podcast-details.cjs");
+const { createEventBus } = require("./Services/events.cjs");
+const { createWindowLimiter } = require("./Services/rate-limit.cjs");
 
 console.log("Booting server...");
 console.log("Loaded API_KEY:", process.env.PODCASTINDEX_API_KEY);
@@ -19,9 +39,11 @@ console.log(
 
 const app = express();
 const PORT = process.env.PORT || 4000;
-const BASE_URL = "https://api.podcastindex.org/api/1.0";
 const API_KEY = process.env.PODCASTINDEX_API_KEY?.trim();
 const API_SECRET = process.env.PODCASTINDEX_API_SECRET?.trim();
+const DB_FILE = process.env.DB_FILE || "db.sqlite";
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
+const MINUTE = 60 * 1000;
 
 if (!API_KEY || !API_SECRET) {
   console.error("❌ Missing PodcastIndex credentials in .env");
@@ -37,6 +59,7 @@ app.use(
 );
 app.use(compression());
 app.use(express.json({ limit: "10mb" }));
+app.use(cookieParser());
 
 // CORS
 const allowedOrigins = [
@@ -57,10 +80,14 @@ app.use((req, res, next) => {
     res.setHeader("Access-Control-Allow-Origin", origin);
   }
 
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
   res.setHeader(
     "Access-Control-Allow-Headers",
-    "Content-Type,Authorization,Range"
+    "Content-Type,Authorization,Range,Content-Range,Upload-Offset"
+  );
+  res.setHeader(
+    "Access-Control-Expose-Headers",
+    "Upload-Offset,Content-Range,Content-Length,Accept-Ranges,ETag,X-Cache,Age,Retry-After"
   );
   res.setHeader("Access-Control-Allow-Credentials", "true");
 
@@ -70,45 +97,14 @@ app.use((req, res, next) => {
 
   next();
 });
-//  CACHE + AUTH HELPERS
-
-const cache = new NodeCache({ stdTTL: 90, checkperiod: 120 });
-
-function cachedRoute(keyFn, handler) {
-  return async (req, res) => {
-    const key = keyFn(req);
-    const hit = cache.get(key);
-    if (hit) {
-      console.log(`[CACHE HIT] ${key}`);
-      return res.json(hit);
-    }
-    try {
-      const data = await handler(req, res);
-      cache.set(key, data);
-      res.json(data);
-    } catch (err) {
-      console.error(`[ERROR] ${key}:`, err.message);
-      res.status(500).json({ error: err.message });
-    }
-  };
-}
+//  SQLITE + SUPABASE + MONGO INIT
 
-function getAuthHeaders() {
-  const ts = Math.floor(Date.now() / 1000);
-  const hash = crypto
-    .createHash("sha1")
-    .update(API_KEY + API_SECRET + ts, "utf8")
-    .digest("hex");
-  return {
-    "User-Agent": "PodsAPI/1.0",
-    "X-Auth-Date": String(ts),
-    "X-Auth-Key": API_KEY,
-    Authorization: hash,
-  };
-}
+const db = openDatabase(DB_FILE);
 
-
-//  SUPABASE + MONGO INIT
+// Pending migrations are applied before the server listens (unless
+// MIGRATE_ON_BOOT=0); an edited, unknown or incomplete schema stops the boot
+const migrator = createMigrator({ db });
+const schemaReady = migrator.ensure({ autoMigrate: process.env.MIGRATE_ON_BOOT !== "0" });
 
 let supabase = null;
 if (process.env.SUPABASE_URL && process.env.SUPABASE_KEY) {
@@ -117,124 +113,468 @@ if (process.env.SUPABASE_URL && process.env.SUPABASE_KEY) {
 }
 
 if (process.env.MONGO_URI) {
+  // collections and indexes are created by bootstrapMongo, not on model compile
+  mongoose.set("autoIndex", false);
   mongoose
     .connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 8000 })
     .then(() => {
-      const schema = new mongoose.Schema({
-        title: String,
-        author: String,
-        description: String,
-        fileUrl: String,
-        createdAt: { type: Date, default: Date.now },
-      });
-      mongoose.model("PodcastUpload", schema);
       console.log("✅ MongoDB connected:", mongoose.connection.name);
+      return bootstrapMongo(mongoose);
     })
-    .catch((err) => console.error("❌ MongoDB connection failed:", err.message));
+    .then(({ collections }) => console.log(`✅ Mongo collections and indexes ready (${collections.length} models)`))
+    .catch((err) => {
+      if (err.code === "SCHEMA_MISMATCH") {
+        console.error("❌ Refusing to start:", err.message);
+        process.exit(1);
+      }
+      console.error("❌ MongoDB connection failed:", err.message);
+    });
 } else {
   console.warn("⚠️ MONGO_URI not set – skipping Mongo setup");
 }
 
+// Routes read and write through these rather than the drivers directly
+const repos = createRepositories({ db, ready: schemaReady });
+
+//  CACHE + UPSTREAM CLIENTS
+
+// Response cache shared across instances when CACHE_BACKEND is sqlite or redis
+const routeCache = createRouteCache({
+  store: createCacheStore(process.env, { db, ready: schemaReady }),
+  defaultTtlMs: (Number(process.env.CACHE_TTL_SEC) || 90) * 1000,
+});
+const cachedRoute = routeCache.route;
+console.log(`✅ Response cache: ${routeCache.store.name}`);
+
+// Shared hardened fetcher for feeds, transcripts, chapters and PodcastIndex
+const safeFetch = createSafeFetcher({
+  maxBytes: Number(process.env.FETCH_MAX_BYTES) || undefined,
+  timeoutMs: Number(process.env.FETCH_TIMEOUT_MS) || undefined,
+});
+
+const podcastIndex = createPodcastIndexClient({
+  apiKey: API_KEY,
+  apiSecret: API_SECRET,
+  fetcher: safeFetch,
+  ratePerSec: Number(process.env.PODCASTINDEX_RATE_PER_SEC) || undefined,
+  burst: Number(process.env.PODCASTINDEX_BURST) || undefined,
+});
+
+//  DOMAIN EVENTS
+
+// Stored per user for SSE and replay; webhook deliveries retry from SQLite
+const events = createEventBus({
+  db,
+  ready: schemaReady,
+  send: safeFetch.send,
+  allowlist: parseAllowlist(process.env.WEBHOOK_ALLOWLIST),
+  retentionMs: (Number(process.env.EVENT_RETENTION_DAYS) || 7) * 24 * 60 * MINUTE,
+});
+if (process.env.WEBHOOKS_DISABLED !== "1") events.start();
+
+// A feed is reported once, when it reaches this many failed refreshes in a row
+const FEED_FAILED_AFTER = Number(process.env.FEED_FAILED_AFTER) || 3;
+// Newest episodes announced per refresh; a feed that dumps its archive stays quiet
+const MAX_EPISODE_EVENTS = 20;
+
+// Publishes an event per payload to everyone following the feed
+async function notifyFollowers(feed, type, payloads) {
+  if (!payloads.length || mongoose.connection.readyState !== 1) return;
+  const userIds = await repos.subscriptions.listFollowerIds(feed.urlKey);
+  for (const data of payloads) await events.publish(type, data, { userIds });
+}
+
+const feedRef = (feed) => ({ id: feed.podcastId, title: feed.title, feedUrl: feed.url });
+
+//  AUTH + LOCALE
+
+const { requireAuth, optionalAuth, authError, authPublic } = require("./Routes/auth.cjs")(process.env);
+
+// Catalogue routes read req.locale: ?lang=&region=, then the listener's
+// saved profile, then Accept-Language
+const locale = createLocaleResolver({
+  getProfile: async (userId) =>
+    mongoose.connection.readyState === 1 ? repos.profiles.get(userId) : null,
+});
+app.use(["/trending", "/search", "/categories", "/podcasts/home"], optionalAuth, locale.middleware);
 
 //  CORE PODCAST INDEX ROUTES
 
 app.get("/ping", (req, res) => {
   console.log("→ Ping request received");
-  res.json({ ok: true, message: "Backend connected", apiBase: BASE_URL });
+  res.json({
+    ok: true,
+    message: "Backend connected",
+    apiBase: BASE_URL,
+    podcastIndex: podcastIndex.health(),
+  });
 });
 
 app.get(
   "/trending",
-  cachedRoute(() => "trending", async () => {
+  cachedRoute((req) => `trending:${localeKey(req.locale)}`, async (req) => {
     console.log("→ Fetching trending podcasts...");
-    const headers = getAuthHeaders();
-    const { data } = await axios.get(`${BASE_URL}/podcasts/trending`, {
-      headers,
-    });
+    const { result: data } = await withLanguageFallback(
+      (lang) => podcastIndex.trending({ lang: lang || undefined }),
+      { lang: req.locale.lang, langFallback: !req.locale.strict }
+    );
     console.log(`✓ Trending fetched (${data.feeds?.length || 0})`);
-    return data;
-  })
+    return { ...data, feeds: await attachRatings(data.feeds) };
+  }, { ttlMs: 5 * MINUTE })
 );
 
+const searchService = createSearchService({ db, podcastIndex });
+const categories = createCategoryService({ podcasts: repos.podcasts, podcastIndex });
+
+// Repeated query parameters (?lang=en&lang=fr) arrive as arrays; refuse them before any handler runs
+const singleValued = (...names) => (req, res, next) => {
+  const repeated = names.find((name) => req.query[name] !== undefined && typeof req.query[name] !== "string");
+  if (repeated) return res.status(400).json({ error: `${repeated} must be given once` });
+  next();
+};
+
 app.get(
   "/search/:term",
-  cachedRoute((req) => `search:${req.params.term}`, async (req) => {
-    const { term } = req.params;
-    console.log(`→ Searching for "${term}"`);
-    const headers = getAuthHeaders();
-    const { data } = await axios.get(
-      `${BASE_URL}/search/byterm?q=${encodeURIComponent(term)}`,
-      { headers }
-    );
-    console.log(`✓ Search complete (${data.feeds?.length || 0})`);
-    return data;
+  singleValued("lang", "category", "author", "cursor", "limit"),
+  cachedRoute(
+    (req) => `search:${req.params.term}:${new URLSearchParams(req.query)}:${localeKey(req.locale)}`,
+    async (req) => {
+      const { term } = req.params;
+      const { lang, category, author, cursor, limit } = req.query;
+      console.log(`→ Searching for "${term}"`);
+      const data = await searchService.search(term, {
+        lang,
+        preferLang: req.locale.lang,
+        category,
+        author,
+        cursor,
+        limit,
+      });
+      console.log(
+        `✓ Search complete (${data.count}, local=${data.sources.local}, podcastindex=${data.sources.podcastindex})`
+      );
+      return { ...data, feeds: await attachRatings(data.feeds) };
+    },
+    { ttlMs: 2 * MINUTE }
+  )
+);
+
+//  CATEGORIES + HOME FEED
+
+// GET /categories (taxonomy tree with local catalogue counts)
+app.get(
+  "/categories",
+  cachedRoute(() => "categories", async () => ({ categories: await categories.list() }), {
+    ttlMs: 60 * MINUTE,
   })
 );
 
+// GET /categories/:slug?sort=popular|newest|trending&lang=&cursor=&limit=
+app.get(
+  "/categories/:slug",
+  cachedRoute(
+    (req) => `category:${req.params.slug}:${new URLSearchParams(req.query)}:${localeKey(req.locale)}`,
+    async (req) => {
+      const { sort, cursor, limit } = req.query;
+      const data = await categories.page(req.params.slug, {
+        sort: sort ? String(sort) : undefined,
+        lang: req.locale.lang,
+        langFallback: !req.locale.strict,
+        cursor,
+        limit,
+      });
+      return { ...data, feeds: await attachRatings(data.feeds) };
+    },
+    { ttlMs: 5 * MINUTE }
+  )
+);
+
+// Shelves come from HOME_SHELVES / HOME_SHELVES_FILE, or the built-in defaults
+let homeFeed;
+try {
+  homeFeed = createHomeFeed({
+    shelves: loadShelves(process.env),
+    categories,
+    podcastIndex,
+    decorate: attachRatings,
+  });
+} catch (err) {
+  console.error("❌", err.message);
+  process.exit(1);
+}
+
+// GET /podcasts/home?lang=&region=
 app.get(
   "/podcasts/home",
-  cachedRoute(() => "home", async () => {
-    console.log("→ Building home feed...");
-    const headers = getAuthHeaders();
-    const [trending, tech, lifestyle, sports] = await Promise.all([
-      axios.get(`${BASE_URL}/podcasts/trending?max=10`, { headers }),
-      axios.get(`${BASE_URL}/search/byterm?q=technology&max=10`, { headers }),
-      axios.get(`${BASE_URL}/search/byterm?q=lifestyle&max=10`, { headers }),
-      axios.get(`${BASE_URL}/search/byterm?q=sports&max=10`, { headers }),
-    ]);
-    return {
-      trending: trending.data.feeds || [],
-      technology: tech.data.feeds || [],
-      lifestyle: lifestyle.data.feeds || [],
-      sports: sports.data.feeds || [],
-    };
+  cachedRoute(
+    (req) => `home:${localeKey(req.locale)}`,
+    async (req) => {
+      console.log("→ Building home feed...");
+      return homeFeed.compose({
+        lang: req.locale.lang,
+        region: req.locale.region,
+        langFallback: !req.locale.strict,
+      });
+    },
+    { ttlMs: 5 * MINUTE }
+  )
+);
+
+//  EPISODES (served from the ingestion store)
+
+const ingest = createIngestService({
+  db,
+  ready: schemaReady,
+  fetcher: (url, headers) => safeFetch.fetchText(url, { headers }),
+  lookupPodcastId: async (url) => (await podcastIndex.podcastByFeedUrl(url))?.id ?? null,
+  // without Mongo nobody follows anything; while it is down, skip the sweep
+  followedFeeds: async (urlKeys) => {
+    if (!process.env.MONGO_URI) return new Set();
+    if (mongoose.connection.readyState !== 1) throw new Error("MongoDB not connected");
+    return repos.subscriptions.followedFeedKeys(urlKeys);
+  },
+  onUpdated: (feed, { added }) => {
+    // cached episode lists are tagged with their feed
+    routeCache.invalidate([`feed:${feed.urlKey}`]);
+    const episodes = [...added].sort((a, b) => (b.publishedAt || 0) - (a.publishedAt || 0));
+    notifyFollowers(
+      feed,
+      "episode.published",
+      episodes.slice(0, MAX_EPISODE_EVENTS).map((ep) => ({
+        episode: {
+          stableId: ep.stableId,
+          title: ep.title,
+          pubDate: ep.pubDate,
+          image: ep.image,
+          mediaUrl: ep.mediaUrl,
+          duration: ep.duration,
+        },
+        podcast: feedRef(feed),
+      }))
+    ).catch((err) => console.warn("⚠️ episode.published failed:", err.message));
+  },
+  onFailed: (feed, { failures, error }) => {
+    if (failures !== FEED_FAILED_AFTER) return;
+    notifyFollowers(feed, "feed.failed", [{ podcast: feedRef(feed), failures, error }]).catch((err) =>
+      console.warn("⚠️ feed.failed failed:", err.message)
+    );
+  },
+});
+if (process.env.INGEST_DISABLED !== "1") ingest.start();
+
+// Refuses a missing or unfetchable feedUrl before it becomes a cache key
+function requireFeedUrl(req, res, next) {
+  const { feedUrl } = req.query;
+  if (!feedUrl || typeof feedUrl !== "string") return res.status(400).json({ error: "Missing feedUrl" });
+  try {
+    checkUrl(feedUrl);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  next();
+}
+
+// Feeds nobody has asked for before become rows the worker refreshes, so new ones are rationed
+const newFeeds = createWindowLimiter({
+  windowMs: 60 * MINUTE,
+  perKey: Number(process.env.NEW_FEEDS_PER_CLIENT_HOUR) || 20,
+  total: Number(process.env.NEW_FEEDS_PER_HOUR) || 500,
+});
+
+app.get(
+  "/episodes",
+  requireFeedUrl,
+  optionalAuth,
+  cachedRoute(
+    (req) => `episodes:${normalizeFeedUrl(req.query.feedUrl)}`,
+    async (req) => {
+      const feedUrl = req.query.feedUrl;
+      try {
+        let feed = await ingest.findFeedByUrl(feedUrl);
+        if (feed) await ingest.markRequested(feed.id);
+        else {
+          const allowed = newFeeds.take(req.user?.id || req.ip);
+          if (!allowed.ok) {
+            const err = new Error("Too many new feeds, try again later");
+            err.status = 429;
+            err.retryAfterSec = allowed.retryAfterSec;
+            throw err;
+          }
+          // a URL that is not a working feed is dropped again instead of being kept and retried
+          feed = await ingest.validateFeed(feedUrl);
+        }
+
+        if (!feed.lastSuccessAt) {
+          console.log("Fetching feed:", feedUrl);
+          await ingest.refreshFeed(feed.id);
+        } else if (feed.nextFetchAt <= Date.now()) {
+          ingest.refreshFeed(feed.id).catch(() => {});
+        }
+
+        const episodes = await ingest.listEpisodes(feed.id);
+        if (!episodes.length)
+          throw new Error("No episodes found with valid media URLs.");
+
+        return { episodes };
+      } catch (err) {
+        console.error("Episode fetch failed:", err.message);
+        // refused URLs, oversized or non-feed responses, upstream failures
+        if (err.status) throw err;
+        const failed = new Error("Failed to fetch episodes");
+        failed.status = 500;
+        throw failed;
+      }
+    },
+    { ttlMs: 10 * MINUTE, tags: (req) => [`feed:${normalizeFeedUrl(req.query.feedUrl)}`] }
+  )
+);
+
+const episodeSearch = createEpisodeSearch({
+  db,
+  ready: ingest.ready,
+  embeddings: createEmbeddingProvider(process.env),
+});
+episodeSearch.start();
+
+// GET /episodes/search?q=&podcastId=&feedId=&mode=keyword|semantic|hybrid&cursor=&limit=
+app.get(
+  "/episodes/search",
+  cachedRoute(
+    (req) => `episodes-search:${new URLSearchParams(req.query)}`,
+    async (req) => {
+      const { q, podcastId, feedId, mode, cursor, limit } = req.query;
+      if (!q || !String(q).trim()) {
+        const err = new Error("Missing search query");
+        err.status = 400;
+        throw err;
+      }
+      const data = await episodeSearch.search(String(q), { podcastId, feedId, mode, cursor, limit });
+      console.log(`✓ Episode search "${q}" (${data.count}, ${data.mode})`);
+      return data;
+    },
+    { ttlMs: 2 * MINUTE }
+  )
+);
+
+//  PODCAST + EPISODE DETAILS
+
+const details = createPodcastDetails({
+  podcasts: repos.podcasts,
+  podcastIndex,
+  ingest,
+  ratings: async (podcastId) => (await attachRatings([{ id: podcastId }]))[0].ratings || null,
+  episodeLikes: async (podcastId, episodeId) =>
+    mongoose.connection.readyState === 1 ? repos.likes.counts(podcastId, episodeId) : null,
+});
+
+// GET /podcasts/:id (PodcastIndex feed id; /podcasts/home is matched above)
+app.get(
+  "/podcasts/:id",
+  cachedRoute((req) => `podcast:${req.params.id}`, (req) => details.podcast(req.params.id), {
+    ttlMs: 5 * MINUTE,
   })
 );
 
-//  FIXED EPISODES ROUTE
+// GET /episodes/:id (stable `ep_…` id or row id); after /episodes/search
+app.get(
+  "/episodes/:id",
+  cachedRoute((req) => `episode:${req.params.id}`, (req) => details.episode(req.params.id), {
+    ttlMs: 5 * MINUTE,
+  })
+);
 
-const parser = new Parser({
-  headers: { "User-Agent": "Mozilla/5.0 (PodsApp RSS Fetcher)" },
+//  AUDIO STREAMING PROXY
+
+const audioProxy = createAudioProxy({
+  allowlist: parseAllowlist(process.env.AUDIO_PROXY_ALLOWLIST),
+  cache: process.env.AUDIO_CACHE_DIR
+    ? createSegmentCache({
+        dir: process.env.AUDIO_CACHE_DIR,
+        maxBytes: Number(process.env.AUDIO_CACHE_MAX_BYTES) || undefined,
+      })
+    : null,
 });
 
-app.get("/episodes", async (req, res) => {
-  const feedUrl = req.query.feedUrl;
-  if (!feedUrl) return res.status(400).json({ error: "Missing feedUrl" });
+// GET|HEAD /audio?url=<enclosure URL> — honours Range for seeking
+app.get("/audio", audioProxy.handler);
 
-  try {
-    console.log("Fetching feed:", feedUrl);
-    const feed = await parser.parseURL(feedUrl);
-
-    const episodes = feed.items
-      .map((item) => ({
-        guid: item.guid || null,
-        title: item.title || "Untitled Episode",
-        description: item.contentSnippet || item.content || "",
-        pubDate: item.pubDate || null,
-        link: item.link || null,
-        mediaUrl: item.enclosure?.url || null,
-        mediaType: item.enclosure?.type || null,
-        image:
-          item.itunes?.image ||
-          feed.itunes?.image ||
-          feed.image?.url ||
-          null,
-        duration: item.itunes?.duration || null,
-      }))
-      .filter((e) => e.mediaUrl);
+//  AUTHENTICATED ACCOUNT + USER ROUTES
 
-    if (!episodes.length)
-      throw new Error("No episodes found with valid media URLs.");
+// Mongo-backed routers answer 503 instead of buffering until timeout
+function requireMongo(req, res, next) {
+  if (mongoose.connection.readyState !== 1)
+    return res.status(503).json({ error: "Database unavailable" });
+  next();
+}
 
-    res.json({ episodes });
-  } catch (err) {
-    console.error("Episode fetch failed:", err.message);
-    res.status(500).json({ error: "Failed to fetch episodes" });
-  }
+app.use("/auth", authPublic);
+app.use(
+  "/account",
+  requireAuth,
+  requireMongo,
+  require("./Routes/account.cjs")({
+    uploads: repos.uploads,
+    profiles: repos.profiles,
+    onProfileUpdated: locale.forget,
+  })
+);
+app.use(
+  "/user",
+  requireAuth,
+  requireMongo,
+  require("./Routes/user.cjs")({ repos }),
+  require("./Routes/sync.cjs")(),
+  require("./Routes/queue.cjs")({ ingest }),
+  require("./Routes/subscriptions.cjs")({ ingest, podcastIndex })
+);
+
+// SSE stream, replay and webhooks for the signed-in user's domain events
+const eventRoutes = require("./Routes/events.cjs")({ events });
+app.use("/events", requireAuth, eventRoutes.events);
+app.use("/webhooks", requireAuth, eventRoutes.webhooks);
+
+//  LIKES, RATINGS + REVIEWS
+
+const reactions = require("./Routes/reactions.cjs")({
+  requireAuth,
+  likes: repos.likes,
+  moderatorIds: (process.env.MODERATOR_IDS || "").split(",").map((s) => s.trim()).filter(Boolean),
+  editWindowMs: Number(process.env.REVIEW_EDIT_WINDOW_MS) || undefined,
 });
+app.use("/podcasts", requireMongo, reactions.podcasts);
+app.use("/reviews", requireMongo, reactions.reviews);
+
+//  CREATOR UPLOADS
+
+const storage = createStorage(process.env, { supabase, publicBaseUrl: PUBLIC_BASE_URL });
+console.log(`✅ Upload storage: ${storage.name}`);
+if (storage.name === "local") app.use("/media", express.static(storage.root));
+
+app.use(
+  "/uploads",
+  requireAuth,
+  requireMongo,
+  require("./Routes/upload.cjs")({
+    storage,
+    uploads: repos.uploads,
+    events,
+    workDir: path.join(__dirname, "uploads", "incoming"),
+    quotaBytes: Number(process.env.UPLOAD_QUOTA_BYTES) || undefined,
+    maxFileBytes: Number(process.env.UPLOAD_MAX_BYTES) || undefined,
+  })
+);
+
+//  CREATOR SHOWS + PUBLIC RSS FEEDS
+
+const { shows, feeds } = require("./Routes/shows.cjs")({
+  storage,
+  publicBaseUrl: PUBLIC_BASE_URL,
+});
+app.use("/shows", requireAuth, requireMongo, shows);
+app.use("/feeds", requireMongo, feeds);
 
 //  AI DISCOVER ROUTE
-mountAIDiscover(app, { getAuthHeaders, BASE_URL });
+mountAIDiscover(app, { podcastIndex });
 
 app.get("/health", (req, res) => {
   res.status(200).json({ status: "ok" });
@@ -251,6 +591,23 @@ app.use((req, res) => {
   res.status(404).json({ error: "Route not found", path: req.path });
 });
 
-app.listen(PORT, () => {
-  console.log(`✅ Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Errors thrown from async handlers land here (Express 5 forwards rejections)
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.status === 401 || err.status === 403)
+    return authError(res, err.status, err.code || "forbidden", err.message);
+  console.error(`[ERROR] ${req.method} ${req.path}:`, err.message);
+  res.status(err.status || 500).json({ error: err.expose ? err.message : "Internal server error" });
+});
+
+schemaReady
+  .then(() =>
+    app.listen(PORT, () => {
+      console.log(`✅ Server running on port ${PORT}`);
+    })
+  )
+  .catch((err) => {
+    console.error("❌ Refusing to start:", err.message);
+    if (err.details) console.error(JSON.stringify(err.details, null, 2));
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,344 @@
+/**
+ * Providers behind /api/ai-discover. Each one turns a free-text request into a
+ * search keyword and then picks and explains the best candidate feeds.
+ *
+ *   openai             OpenAI chat completions (AI_MODEL, default gpt-4o-mini)
+ *   openai-compatible  any server speaking the same API at AI_BASE_URL
+ *                      (Ollama, llama.cpp, LM Studio, vLLM, ...)
+ *   rank               no model at all: BM25 over the candidates' text
+ *   mock               deterministic picks for tests
+ *
+ * @typedef {{
+ *   feedId?: number | string,
+ *   podcastTitle?: string,
+ *   author?: string,
+ *   summary?: string,
+ *   image?: string,
+ *   feedUrl?: string | null,
+ *   reasoning?: string
+ * }} DiscoverPick
+ *
+ * @typedef {{ found: boolean, summaryResponse?: string, results?: DiscoverPick[] }} DiscoverResult
+ *
+ * Earlier turns of a discovery session, oldest first (see discover-sessions.cjs)
+ * @typedef {{ turns: import("./discover-sessions.cjs").SessionTurn[] }} DiscoverContext
+ *
+ * @typedef {{
+ *   query: string,
+ *   keyword: string,
+ *   candidates: Array<any>,
+ *   context?: DiscoverContext
+ * }} SelectInput
+ *
+ * @typedef {{
+ *   name: string,
+ *   extractKeyword: (query: string, context?: DiscoverContext) => Promise<string | null>,
+ *   selectPodcasts: (input: SelectInput) => Promise<DiscoverResult>
+ * }} DiscoverProvider
+ */
+
+const OpenAI = require("openai");
+const { tokenize, createIndex } = require("./bm25.cjs");
+
+const MAX_PICKS = 8;
+const NO_CONTEXT = { turns: [] };
+
+const ORDINALS = ["first", "second", "third", "fourth", "fifth", "sixth", "seventh", "eighth", "ninth", "tenth"];
+// Words that only make sense relative to earlier results, never as search terms
+const FOLLOW_UP_WORDS = new Set([
+  ...ORDINALS,
+  "last", "one", "ones", "other", "others", "another", "else", "similar", "same", "different",
+  "less", "shorter", "longer", "newer", "older", "result", "results", "number", "instead",
+]);
+
+const feedUrlOf = (feed) => feed.url || feed.feedUrl || feed.originalUrl || null;
+
+function plainText(html, max = 300) {
+  const text = String(html || "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+function categoryNames(feed) {
+  const { categories } = feed;
+  if (!categories) return [];
+  return Array.isArray(categories) ? categories : Object.values(categories);
+}
+
+function toPick(feed, reasoning) {
+  return {
+    feedId: feed.id ?? undefined,
+    podcastTitle: feed.title,
+    author: feed.author || feed.itunesAuthor || undefined,
+    summary: plainText(feed.description),
+    image: feed.image || feed.artwork || undefined,
+    feedUrl: feedUrlOf(feed) || undefined,
+    reasoning,
+  };
+}
+
+// Local models like to wrap JSON in markdown fences or add a preamble
+function parseJson(raw) {
+  const text = String(raw || "").trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : text.slice(text.indexOf("{"), text.lastIndexOf("}") + 1);
+  return JSON.parse(body);
+}
+
+// What the model sees of each candidate: enough to choose, small enough to fit
+function compactCandidate(feed) {
+  return {
+    id: feed.id,
+    title: feed.title,
+    author: feed.author || feed.itunesAuthor || undefined,
+    categories: categoryNames(feed),
+    episodeCount: feed.episodeCount ?? undefined,
+    description: plainText(feed.description, 240),
+  };
+}
+
+/**
+ * Finds "the second one", "#3", "the last result" etc. in the previous turn.
+ * @param {string} query
+ * @param {DiscoverContext} context
+ */
+function referencedPick(query, context) {
+  const results = context.turns[context.turns.length - 1]?.results || [];
+  const text = query.toLowerCase();
+  const numeric = text.match(/(?:#|\bnumber\s*|\bresult\s*)(\d{1,2})\b/);
+  if (numeric) return results[Number(numeric[1]) - 1] || null;
+  const word = text.match(new RegExp(`\\b(${ORDINALS.join("|")}|last)\\b`));
+  if (!word) return null;
+  return word[1] === "last" ? results[results.length - 1] || null : results[ORDINALS.indexOf(word[1])] || null;
+}
+
+function pickText(pick) {
+  return [pick.podcastTitle, pick.author, pick.summary].filter(Boolean).join(" ");
+}
+
+// Prior turns as plain text for the selection prompt
+function describeConversation(context) {
+  return context.turns
+    .map((turn, t) => {
+      const lines = turn.results.map((r, i) => {
+        const mark = r.feedback === "up" ? " [liked]" : r.feedback === "down" ? " [disliked]" : "";
+        return `  ${i + 1}. ${r.podcastTitle || "?"}${r.author ? ` by ${r.author}` : ""}${mark}`;
+      });
+      return `Turn ${t + 1}: "${turn.query}" (keyword "${turn.keyword}")\n${lines.join("\n")}`;
+    })
+    .join("\n");
+}
+
+/**
+ * @param {{ name: string, client: OpenAI, model: string }} opts
+ * @returns {DiscoverProvider}
+ */
+function createChatProvider({ name, client, model }) {
+  async function complete(messages, temperature) {
+    const completion = await client.chat.completions.create({ model, temperature, messages });
+    return completion.choices?.[0]?.message?.content?.trim() || "";
+  }
+
+  return {
+    name,
+    async extractKeyword(query, context = NO_CONTEXT) {
+      // earlier turns are replayed as chat history so follow-ups resolve against them
+      const history = context.turns.flatMap((turn) => [
+        { role: "user", content: turn.query },
+        { role: "assistant", content: JSON.stringify({ keyword: turn.keyword }) },
+      ]);
+      const content = await complete(
+        [
+          {
+            role: "system",
+            content:
+              'Return the single best keyword for podcast search. If the request refines an earlier one, combine them. JSON only: {"keyword": "..."}',
+          },
+          ...history,
+          { role: "user", content: query },
+        ],
+        0
+      );
+      return parseJson(content).keyword?.trim() || null;
+    },
+    async selectPodcasts({ query, keyword, candidates, context = NO_CONTEXT }) {
+      const conversation = context.turns.length
+        ? `
+Earlier in this conversation (resolve references like "the second one" against the last list,
+prefer shows similar to [liked] ones and avoid shows like [disliked] ones):
+${describeConversation(context)}
+`
+        : "";
+      const selectPrompt = `
+Select the best 5–10 podcasts from the candidates below. Only choose candidates
+from the list, and copy each one's "id" into "feedId". Respond with STRICT JSON:
+
+{
+  "found": true,
+  "summaryResponse": "",
+  "results": [
+    {
+      "feedId": 0,
+      "podcastTitle": "",
+      "author": "",
+      "summary": "",
+      "image": "",
+      "reasoning": ""
+    }
+  ]
+}
+
+User query: "${query}"
+Keyword: "${keyword}"
+${conversation}
+Candidates:
+${JSON.stringify(candidates.slice(0, 20).map(compactCandidate), null, 2).slice(0, 9000)}
+`;
+      const raw = await complete(
+        [
+          { role: "system", content: "Return STRICT JSON only." },
+          { role: "user", content: selectPrompt },
+        ],
+        0.2
+      );
+      return parseJson(raw);
+    },
+  };
+}
+
+/**
+ * Model-free discovery: keywords are the query's content words and picks are
+ * ranked by BM25 over title, author, categories and description.
+ * @returns {DiscoverProvider}
+ */
+function createRankingProvider() {
+  return {
+    name: "rank",
+    async extractKeyword(query, context = NO_CONTEXT) {
+      const ref = referencedPick(query, context);
+      const terms = [
+        ...(ref ? tokenize(ref.podcastTitle).slice(0, 2) : []),
+        ...tokenize(query).filter((t) => !FOLLOW_UP_WORDS.has(t)),
+      ];
+      const unique = [...new Set(terms)].slice(0, 3);
+      if (unique.length) return unique.join(" ");
+      return context.turns[context.turns.length - 1]?.keyword || null;
+    },
+    async selectPodcasts({ query, keyword, candidates, context = NO_CONTEXT }) {
+      const ref = referencedPick(query, context);
+      const liked = context.turns.flatMap((t) => t.results).filter((r) => r.feedback === "up");
+      const anchors = [...new Set([ref, ...liked].filter(Boolean))];
+
+      // Follow-ups should surface something new; fall back to repeats only if nothing else is left
+      const shown = new Set(context.turns.flatMap((t) => t.results.map((r) => r.feedUrl)).filter(Boolean));
+      const others = candidates.filter((feed) => !ref?.feedUrl || feedUrlOf(feed) !== ref.feedUrl);
+      const fresh = others.filter((feed) => !shown.has(feedUrlOf(feed)));
+      const pool = fresh.length ? fresh : others;
+
+      const index = createIndex(pool, (feed) => [
+        { text: feed.title, weight: 3 },
+        { text: feed.author || feed.itunesAuthor, weight: 2 },
+        { text: categoryNames(feed).join(" "), weight: 2 },
+        { text: feed.description },
+      ]);
+      const hits = index
+        .search([query, keyword, ...anchors.map(pickText)].join(" "))
+        .slice(0, MAX_PICKS);
+
+      if (!hits.length) {
+        return {
+          found: pool.length > 0,
+          summaryResponse: `Top podcast results for "${keyword}".`,
+          results: pool
+            .slice(0, MAX_PICKS)
+            .map((feed) => toPick(feed, `One of the top PodcastIndex results for "${keyword}".`)),
+        };
+      }
+
+      const requested = new Set(tokenize(`${query} ${keyword}`));
+      const results = hits.map(({ doc, matched }) => {
+        const anchor = anchors.find((a) => {
+          if (a.feedUrl && a.feedUrl === feedUrlOf(doc)) return false;
+          const terms = new Set(tokenize(pickText(a)));
+          return matched.some((t) => terms.has(t) && !requested.has(t));
+        });
+        const titleTerms = new Set(tokenize(doc.title));
+        const inTitle = matched.filter((t) => titleTerms.has(t));
+        const elsewhere = matched.filter((t) => !titleTerms.has(t));
+        const parts = [];
+        if (inTitle.length) parts.push(`its title mentions ${inTitle.join(", ")}`);
+        if (elsewhere.length) parts.push(`it covers ${elsewhere.join(", ")}`);
+        const lead = anchor ? `Similar to ${anchor.podcastTitle}` : "Matches your request";
+        return toPick(doc, `${lead}: ${parts.join(" and ")}.`);
+      });
+      return {
+        found: true,
+        summaryResponse: `${results.length} ${results.length === 1 ? "podcast" : "podcasts"} ranked by relevance to "${query}".`,
+        results,
+      };
+    },
+  };
+}
+
+/**
+ * Deterministic provider for tests. Overrides can return canned keywords or
+ * selections; by default the first candidates are picked in order.
+ * @param {{
+ *   keyword?: (query: string, context: DiscoverContext) => string | null,
+ *   select?: (input: SelectInput) => DiscoverResult
+ * }} [overrides]
+ * @returns {DiscoverProvider}
+ */
+function createMockProvider(overrides = {}) {
+  return {
+    name: "mock",
+    async extractKeyword(query, context = NO_CONTEXT) {
+      if (overrides.keyword) return overrides.keyword(query, context);
+      return tokenize(query)[0] || context.turns[context.turns.length - 1]?.keyword || null;
+    },
+    async selectPodcasts(input) {
+      if (overrides.select) return overrides.select(input);
+      const results = input.candidates
+        .slice(0, 5)
+        .map((feed, i) => toPick(feed, `Mock pick #${i + 1} for "${input.query}".`));
+      return { found: results.length > 0, summaryResponse: `Mock results for "${input.keyword}".`, results };
+    },
+  };
+}
+
+/**
+ * Chooses a provider from AI_PROVIDER, defaulting to OpenAI when a key is set
+ * and to BM25 ranking otherwise.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {DiscoverProvider}
+ */
+function createAIProvider(env) {
+  const kind = env.AI_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "rank");
+  const model = env.AI_MODEL || "gpt-4o-mini";
+  const timeout = Number(env.AI_TIMEOUT_MS) || 20000;
+
+  switch (kind) {
+    case "openai":
+      if (!env.OPENAI_API_KEY) throw new Error("AI_PROVIDER=openai but OPENAI_API_KEY is not set");
+      return createChatProvider({
+        name: "openai",
+        model,
+        client: new OpenAI({ apiKey: env.OPENAI_API_KEY, timeout, maxRetries: 1 }),
+      });
+    case "openai-compatible":
+      if (!env.AI_BASE_URL) throw new Error("AI_PROVIDER=openai-compatible requires AI_BASE_URL");
+      return createChatProvider({
+        name: "openai-compatible",
+        model,
+        // most local servers ignore the key, but the SDK insists on one
+        client: new OpenAI({ baseURL: env.AI_BASE_URL, apiKey: env.AI_API_KEY || "local", timeout, maxRetries: 1 }),
+      });
+    case "rank":
+      return createRankingProvider();
+    case "mock":
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${kind}"`);
+  }
+}
+
+module.exports = { createAIProvider, createChatProvider, createRankingProvider, createMockProvider };
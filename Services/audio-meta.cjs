@@ -0,0 +1,616 @@
+/**
+ * Content sniffing and metadata extraction for uploaded audio
+ * (MP3, M4A/AAC, Ogg Vorbis/Opus, WebM). Works on file handles so large
+ * uploads are never read fully into memory.
+ *
+ * @typedef {{ size: number, read: (offset: number, length: number) => Promise<Buffer> }} Reader
+ *
+ * @typedef {{
+ *   format: "mp3" | "m4a" | "ogg" | "webm",
+ *   mimeType: string,
+ *   codec: string | null,
+ *   durationSec: number | null,
+ *   bitrate: number | null,
+ *   sampleRate: number | null,
+ *   channels: number | null,
+ *   tags: { title?: string, artist?: string, album?: string },
+ *   cover: { mimeType: string, data: Buffer } | null
+ * }} AudioMeta
+ */
+
+const fs = require("fs/promises");
+
+const HEAD_BYTES = 256 * 1024;
+const MAX_BOX_BYTES = 16 * 1024 * 1024;
+
+// ---------- sniffing ----------
+
+/**
+ * Identifies the container from the first bytes of a file.
+ * @param {Buffer} head
+ * @returns {{ format: AudioMeta["format"], mimeType: string } | null}
+ */
+function sniffAudio(head) {
+  if (head.length < 12) return null;
+  if (head.toString("latin1", 0, 3) === "ID3" || findMp3Frame(head, 0) === 0)
+    return { format: "mp3", mimeType: "audio/mpeg" };
+  if (head.toString("latin1", 4, 8) === "ftyp") {
+    const brand = head.toString("latin1", 8, 12);
+    if (/^(M4A |M4B |mp4[12]|isom|iso[2-9]|dash|3gp)/.test(brand))
+      return { format: "m4a", mimeType: "audio/mp4" };
+    return null;
+  }
+  if (head.toString("latin1", 0, 4) === "OggS") return { format: "ogg", mimeType: "audio/ogg" };
+  if (head.readUInt32BE(0) === 0x1a45dfa3) {
+    const docType = head.indexOf("webm", 4, "latin1");
+    if (docType > 0 && docType < 64) return { format: "webm", mimeType: "audio/webm" };
+  }
+  return null;
+}
+
+// ---------- MP3 ----------
+
+const MP3_BITRATES = {
+  v1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+function parseMp3FrameHeader(buf, i) {
+  if (i + 4 > buf.length || buf[i] !== 0xff || (buf[i + 1] & 0xe0) !== 0xe0) return null;
+  const versionBits = (buf[i + 1] >> 3) & 3; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+  const layerBits = (buf[i + 1] >> 1) & 3; // 1 = Layer III
+  const bitrateIdx = buf[i + 2] >> 4;
+  const srIdx = (buf[i + 2] >> 2) & 3;
+  if (versionBits === 1 || layerBits !== 1 || bitrateIdx === 0 || bitrateIdx === 15 || srIdx === 3)
+    return null;
+  const mpeg1 = versionBits === 3;
+  const sampleRate = MP3_SAMPLE_RATES[srIdx] / (mpeg1 ? 1 : versionBits === 2 ? 2 : 4);
+  const bitrate = (mpeg1 ? MP3_BITRATES.v1 : MP3_BITRATES.v2)[bitrateIdx] * 1000;
+  const padding = (buf[i + 2] >> 1) & 1;
+  const mono = buf[i + 3] >> 6 === 3;
+  const samplesPerFrame = mpeg1 ? 1152 : 576;
+  const frameLength = Math.floor(((samplesPerFrame / 8) * bitrate) / sampleRate) + padding;
+  return { mpeg1, sampleRate, bitrate, mono, samplesPerFrame, frameLength };
+}
+
+// Finds a frame header that is followed by another valid header
+function findMp3Frame(buf, from) {
+  for (let i = from; i < buf.length - 4; i++) {
+    const h = parseMp3FrameHeader(buf, i);
+    if (!h) continue;
+    const next = i + h.frameLength;
+    if (next + 4 > buf.length || parseMp3FrameHeader(buf, next)) return i;
+  }
+  return -1;
+}
+
+function decodeId3Text(buf, encoding) {
+  let text;
+  if (encoding === 1 || encoding === 2) {
+    let b = buf;
+    let le = encoding === 1;
+    if (b[0] === 0xff && b[1] === 0xfe) (b = b.subarray(2)), (le = true);
+    else if (b[0] === 0xfe && b[1] === 0xff) (b = b.subarray(2)), (le = false);
+    if (!le) b = Buffer.from(b.subarray(0, b.length - (b.length % 2))).swap16();
+    text = b.toString("utf16le");
+  } else {
+    text = buf.toString(encoding === 3 ? "utf8" : "latin1");
+  }
+  return text.replace(/\0+$/, "").split("\0")[0].trim();
+}
+
+// Index just past a NUL terminator (two bytes wide for UTF-16 encodings)
+function skipTerminated(buf, start, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = start; i < buf.length - 1; i += 2) if (!buf[i] && !buf[i + 1]) return i + 2;
+    return buf.length;
+  }
+  const i = buf.indexOf(0, start);
+  return i === -1 ? buf.length : i + 1;
+}
+
+function unsynchsafe(buf, i) {
+  return (buf[i] << 21) | (buf[i + 1] << 14) | (buf[i + 2] << 7) | buf[i + 3];
+}
+
+function parseId3v2(tag, major) {
+  const tags = {};
+  let cover = null;
+  const v22 = major === 2;
+  const idLen = v22 ? 3 : 4;
+  const headerLen = v22 ? 6 : 10;
+  const names = v22
+    ? { TT2: "title", TP1: "artist", TAL: "album" }
+    : { TIT2: "title", TPE1: "artist", TALB: "album" };
+
+  let i = 0;
+  while (i + headerLen <= tag.length) {
+    const id = tag.toString("latin1", i, i + idLen);
+    if (!/^[A-Z0-9]+$/.test(id)) break;
+    const size = v22
+      ? tag.readUIntBE(i + 3, 3)
+      : major === 4
+        ? unsynchsafe(tag, i + 4)
+        : tag.readUInt32BE(i + 4);
+    const body = tag.subarray(i + headerLen, i + headerLen + size);
+    i += headerLen + size;
+    if (!body.length) continue;
+
+    if (names[id]) {
+      tags[names[id]] = decodeId3Text(body.subarray(1), body[0]);
+    } else if ((id === "APIC" || id === "PIC") && !cover) {
+      const enc = body[0];
+      let p = 1;
+      let mimeType;
+      if (v22) {
+        const fmt = body.toString("latin1", 1, 4).toLowerCase();
+        mimeType = fmt === "png" ? "image/png" : "image/jpeg";
+        p = 4;
+      } else {
+        const end = skipTerminated(body, 1, 0);
+        mimeType = body.toString("latin1", 1, end - 1) || "image/jpeg";
+        if (!mimeType.includes("/")) mimeType = `image/${mimeType.toLowerCase()}`;
+        p = end;
+      }
+      p = skipTerminated(body, p + 1, enc); // picture type, then description
+      cover = { mimeType, data: Buffer.from(body.subarray(p)) };
+    }
+  }
+  return { tags, cover };
+}
+
+/** @param {Reader} reader */
+async function readMp3(reader) {
+  let head = await reader.read(0, HEAD_BYTES);
+  let audioStart = 0;
+  let tags = {};
+  let cover = null;
+
+  if (head.toString("latin1", 0, 3) === "ID3") {
+    const major = head[3];
+    const footer = head[5] & 0x10 ? 10 : 0;
+    const tagSize = unsynchsafe(head, 6);
+    audioStart = 10 + tagSize + footer;
+    const tag = await reader.read(10, Math.min(tagSize, MAX_BOX_BYTES));
+    ({ tags, cover } = parseId3v2(tag, major));
+    head = await reader.read(audioStart, HEAD_BYTES);
+  }
+
+  const at = findMp3Frame(head, 0);
+  if (at < 0) throw new Error("No MPEG audio frames found");
+  const frame = parseMp3FrameHeader(head, at);
+  const audioBytes = reader.size - audioStart - at;
+
+  // Xing/Info (VBR) header sits after the side information; VBRI at a fixed offset
+  const sideInfo = frame.mpeg1 ? (frame.mono ? 17 : 32) : frame.mono ? 9 : 17;
+  const xingAt = at + 4 + sideInfo;
+  let frames = null;
+  const marker = head.toString("latin1", xingAt, xingAt + 4);
+  if ((marker === "Xing" || marker === "Info") && head.readUInt32BE(xingAt + 4) & 1) {
+    frames = head.readUInt32BE(xingAt + 8);
+  } else if (head.toString("latin1", at + 36, at + 40) === "VBRI") {
+    frames = head.readUInt32BE(at + 36 + 14);
+  }
+
+  const durationSec = frames
+    ? (frames * frame.samplesPerFrame) / frame.sampleRate
+    : (audioBytes * 8) / frame.bitrate;
+
+  return {
+    codec: "mp3",
+    durationSec,
+    bitrate: frames ? Math.round((audioBytes * 8) / durationSec) : frame.bitrate,
+    sampleRate: frame.sampleRate,
+    channels: frame.mono ? 1 : 2,
+    tags,
+    cover,
+  };
+}
+
+// ---------- M4A / MP4 ----------
+
+const MP4_CONTAINERS = new Set(["moov", "trak", "mdia", "minf", "stbl", "udta", "ilst"]);
+
+function* mp4Boxes(buf, start = 0, end = buf.length) {
+  let i = start;
+  while (i + 8 <= end) {
+    let size = buf.readUInt32BE(i);
+    const type = buf.toString("latin1", i + 4, i + 8);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buf.readBigUInt64BE(i + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - i;
+    }
+    if (size < header || i + size > end) return;
+    yield { type, start: i + header, end: i + size };
+    i += size;
+  }
+}
+
+function findMp4Box(buf, path, start = 0, end = buf.length) {
+  const [head, ...rest] = path;
+  for (const box of mp4Boxes(buf, start, end)) {
+    if (box.type !== head) continue;
+    if (!rest.length) return box;
+    // meta is a full box: 4 bytes of version/flags before its children
+    const childStart = box.type === "meta" ? box.start + 4 : box.start;
+    const found = findMp4Box(buf, rest, childStart, box.end);
+    if (found) return found;
+  }
+  return null;
+}
+
+function findAllMp4(buf, type, start = 0, end = buf.length, out = []) {
+  for (const box of mp4Boxes(buf, start, end)) {
+    if (box.type === type) out.push(box);
+    if (MP4_CONTAINERS.has(box.type)) findAllMp4(buf, type, box.start, box.end, out);
+  }
+  return out;
+}
+
+/** @param {Reader} reader */
+async function readM4a(reader) {
+  // Walk top-level boxes by reading only their headers until moov turns up
+  let offset = 0;
+  let moov = null;
+  while (offset + 8 <= reader.size) {
+    const hdr = await reader.read(offset, 16);
+    let size = hdr.readUInt32BE(0);
+    const type = hdr.toString("latin1", 4, 8);
+    if (size === 1) size = Number(hdr.readBigUInt64BE(8));
+    else if (size === 0) size = reader.size - offset;
+    if (size < 8) break;
+    if (type === "moov") {
+      if (size > MAX_BOX_BYTES) throw new Error("moov box too large");
+      moov = await reader.read(offset, size);
+      break;
+    }
+    offset += size;
+  }
+  if (!moov) throw new Error("No moov box found");
+
+  const body = { start: 8, end: moov.length };
+  const mvhd = findMp4Box(moov, ["mvhd"], body.start, body.end);
+  let durationSec = null;
+  if (mvhd) {
+    const v1 = moov[mvhd.start] === 1;
+    const timescale = moov.readUInt32BE(mvhd.start + (v1 ? 20 : 12));
+    const duration = v1
+      ? Number(moov.readBigUInt64BE(mvhd.start + 24))
+      : moov.readUInt32BE(mvhd.start + 16);
+    if (timescale) durationSec = duration / timescale;
+  }
+
+  let sampleRate = null;
+  let channels = null;
+  let codec = null;
+  const stsd = findAllMp4(moov, "stsd", body.start, body.end)[0];
+  if (stsd) {
+    const entry = stsd.start + 8; // version/flags + entry count
+    codec = moov.toString("latin1", entry + 4, entry + 8);
+    channels = moov.readUInt16BE(entry + 24);
+    sampleRate = moov.readUInt32BE(entry + 32) >>> 16;
+  }
+
+  const tags = {};
+  let cover = null;
+  const ilst = findMp4Box(moov, ["udta", "meta", "ilst"], body.start, body.end);
+  if (ilst) {
+    const names = { "©nam": "title", "©ART": "artist", "©alb": "album" };
+    for (const item of mp4Boxes(moov, ilst.start, ilst.end)) {
+      const data = findMp4Box(moov, ["data"], item.start, item.end);
+      if (!data) continue;
+      const kind = moov.readUInt32BE(data.start) & 0xffffff;
+      const payload = moov.subarray(data.start + 8, data.end);
+      const name = names[item.type];
+      if (name) tags[name] = payload.toString("utf8").trim();
+      else if (item.type === "covr" && !cover)
+        cover = { mimeType: kind === 14 ? "image/png" : "image/jpeg", data: Buffer.from(payload) };
+    }
+  }
+
+  return {
+    codec: codec === "mp4a" ? "aac" : codec,
+    durationSec,
+    bitrate: durationSec ? Math.round((reader.size * 8) / durationSec) : null,
+    sampleRate,
+    channels,
+    tags,
+    cover,
+  };
+}
+
+// ---------- Ogg (Vorbis / Opus) ----------
+
+// Reassembles the first `count` logical packets from Ogg pages
+function oggPackets(buf, count) {
+  const packets = [];
+  let current = [];
+  let i = 0;
+  while (i + 27 <= buf.length && packets.length < count) {
+    if (buf.toString("latin1", i, i + 4) !== "OggS") break;
+    const segments = buf[i + 26];
+    let p = i + 27 + segments;
+    for (let s = 0; s < segments; s++) {
+      const len = buf[i + 27 + s];
+      current.push(buf.subarray(p, p + len));
+      p += len;
+      if (len < 255) {
+        packets.push(Buffer.concat(current));
+        current = [];
+        if (packets.length === count) break;
+      }
+    }
+    i = p;
+  }
+  return packets;
+}
+
+function parseFlacPicture(b64) {
+  try {
+    const b = Buffer.from(b64, "base64");
+    let p = 4;
+    const mimeLen = b.readUInt32BE(p);
+    const mimeType = b.toString("latin1", p + 4, p + 4 + mimeLen);
+    p += 4 + mimeLen;
+    p += 4 + b.readUInt32BE(p) + 16; // description, then width/height/depth/colors
+    const dataLen = b.readUInt32BE(p);
+    return { mimeType, data: b.subarray(p + 4, p + 4 + dataLen) };
+  } catch {
+    return null;
+  }
+}
+
+function parseVorbisComments(buf, start) {
+  const tags = {};
+  let cover = null;
+  let p = start;
+  p += 4 + buf.readUInt32LE(p); // vendor string
+  const n = buf.readUInt32LE(p);
+  p += 4;
+  const names = { TITLE: "title", ARTIST: "artist", ALBUM: "album" };
+  for (let k = 0; k < n && p + 4 <= buf.length; k++) {
+    const len = buf.readUInt32LE(p);
+    const entry = buf.toString("utf8", p + 4, p + 4 + len);
+    p += 4 + len;
+    const eq = entry.indexOf("=");
+    const key = entry.slice(0, eq).toUpperCase();
+    const value = entry.slice(eq + 1);
+    if (names[key]) tags[names[key]] = value.trim();
+    else if (key === "METADATA_BLOCK_PICTURE" && !cover) cover = parseFlacPicture(value);
+  }
+  return { tags, cover };
+}
+
+/** @param {Reader} reader */
+async function readOgg(reader) {
+  const head = await reader.read(0, Math.min(reader.size, 4 * 1024 * 1024));
+  const [idPacket, commentPacket] = oggPackets(head, 2);
+  if (!idPacket) throw new Error("No Ogg packets found");
+
+  let codec;
+  let sampleRate;
+  let channels;
+  let preSkip = 0;
+  let granuleRate;
+  let comments = { tags: {}, cover: null };
+
+  if (idPacket.toString("latin1", 1, 7) === "vorbis") {
+    codec = "vorbis";
+    channels = idPacket[11];
+    sampleRate = idPacket.readUInt32LE(12);
+    granuleRate = sampleRate;
+    if (commentPacket?.toString("latin1", 1, 7) === "vorbis")
+      comments = parseVorbisComments(commentPacket, 7);
+  } else if (idPacket.toString("latin1", 0, 8) === "OpusHead") {
+    codec = "opus";
+    channels = idPacket[9];
+    preSkip = idPacket.readUInt16LE(10);
+    sampleRate = idPacket.readUInt32LE(12) || 48000;
+    granuleRate = 48000; // Opus granules always count 48 kHz samples
+    if (commentPacket?.toString("latin1", 0, 8) === "OpusTags")
+      comments = parseVorbisComments(commentPacket, 8);
+  } else {
+    throw new Error("Unsupported Ogg codec");
+  }
+
+  const tailLen = Math.min(reader.size, 64 * 1024);
+  const tail = await reader.read(reader.size - tailLen, tailLen);
+  const last = tail.lastIndexOf("OggS", tail.length - 27, "latin1");
+  let durationSec = null;
+  if (last >= 0) {
+    const granule = Number(tail.readBigInt64LE(last + 6));
+    if (granule > 0) durationSec = (granule - preSkip) / granuleRate;
+  }
+
+  return {
+    codec,
+    durationSec,
+    bitrate: durationSec ? Math.round((reader.size * 8) / durationSec) : null,
+    sampleRate,
+    channels,
+    tags: comments.tags,
+    cover: comments.cover,
+  };
+}
+
+// ---------- WebM / Matroska ----------
+
+const EBML = {
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  CODEC_ID: 0x86,
+  AUDIO: 0xe1,
+  SAMPLING_FREQUENCY: 0xb5,
+  CHANNELS: 0x9f,
+  CLUSTER: 0x1f43b675,
+  TIMECODE: 0xe7,
+  SIMPLE_BLOCK: 0xa3,
+  BLOCK_GROUP: 0xa0,
+  BLOCK: 0xa1,
+};
+
+function readVint(buf, i, keepMarker) {
+  const first = buf[i];
+  if (first === undefined) return null;
+  let len = 1;
+  while (len <= 8 && !(first & (0x80 >> (len - 1)))) len++;
+  if (len > 8 || i + len > buf.length) return null;
+  let value = keepMarker ? first : first & (0xff >> len);
+  let allOnes = value === 0xff >> len;
+  for (let k = 1; k < len; k++) {
+    value = value * 256 + buf[i + k];
+    if (buf[i + k] !== 0xff) allOnes = false;
+  }
+  return { value, length: len, unknown: !keepMarker && allOnes };
+}
+
+function* ebmlElements(buf, start, end) {
+  let i = start;
+  while (i < end) {
+    const id = readVint(buf, i, true);
+    if (!id) return;
+    const size = readVint(buf, i + id.length, false);
+    if (!size) return;
+    const dataStart = i + id.length + size.length;
+    const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+    yield { id: id.value, start: dataStart, end: dataEnd, unknownSize: size.unknown };
+    i = dataEnd;
+  }
+}
+
+function ebmlUint(buf, el) {
+  return buf.readUIntBE(el.start, Math.min(el.end - el.start, 6));
+}
+
+function ebmlFloat(buf, el) {
+  return el.end - el.start === 4 ? buf.readFloatBE(el.start) : buf.readDoubleBE(el.start);
+}
+
+// MediaRecorder output has no Duration; estimate it from the last cluster
+function estimateWebmDuration(tail) {
+  const clusterId = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+  const at = tail.lastIndexOf(clusterId);
+  if (at < 0) return null;
+  const size = readVint(tail, at + 4, false);
+  if (!size) return null;
+  let clusterTime = null;
+  let lastBlock = 0;
+  for (const el of ebmlElements(tail, at + 4 + size.length, tail.length)) {
+    if (el.id === EBML.TIMECODE) clusterTime = ebmlUint(tail, el);
+    let block = el.id === EBML.SIMPLE_BLOCK ? el : null;
+    if (el.id === EBML.BLOCK_GROUP) {
+      for (const child of ebmlElements(tail, el.start, el.end))
+        if (child.id === EBML.BLOCK) block = child;
+    }
+    if (block && block.end <= tail.length) {
+      const track = readVint(tail, block.start, false);
+      if (track) lastBlock = Math.max(lastBlock, tail.readInt16BE(block.start + track.length));
+    }
+  }
+  return clusterTime === null ? null : clusterTime + lastBlock;
+}
+
+/** @param {Reader} reader */
+async function readWebm(reader) {
+  const head = await reader.read(0, Math.min(reader.size, 1024 * 1024));
+  let timecodeScale = 1e6;
+  let duration = null;
+  let codec = null;
+  let sampleRate = null;
+  let channels = null;
+
+  const top = [...ebmlElements(head, 0, head.length)];
+  const segment = top.find((el) => el.id === EBML.SEGMENT);
+  if (!segment) throw new Error("No Matroska segment found");
+
+  for (const el of ebmlElements(head, segment.start, segment.end)) {
+    if (el.id === EBML.CLUSTER) break;
+    if (el.id === EBML.INFO) {
+      for (const child of ebmlElements(head, el.start, el.end)) {
+        if (child.id === EBML.TIMECODE_SCALE) timecodeScale = ebmlUint(head, child);
+        if (child.id === EBML.DURATION) duration = ebmlFloat(head, child);
+      }
+    }
+    if (el.id === EBML.TRACKS) {
+      for (const entry of ebmlElements(head, el.start, el.end)) {
+        if (entry.id !== EBML.TRACK_ENTRY || codec) continue;
+        for (const child of ebmlElements(head, entry.start, entry.end)) {
+          if (child.id === EBML.CODEC_ID)
+            codec = head.toString("latin1", child.start, child.end).replace(/^A_/, "").toLowerCase();
+          if (child.id === EBML.AUDIO) {
+            for (const a of ebmlElements(head, child.start, child.end)) {
+              if (a.id === EBML.SAMPLING_FREQUENCY) sampleRate = ebmlFloat(head, a);
+              if (a.id === EBML.CHANNELS) channels = ebmlUint(head, a);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  if (!duration) {
+    const tailLen = Math.min(reader.size, 512 * 1024);
+    duration = estimateWebmDuration(await reader.read(reader.size - tailLen, tailLen));
+  }
+  const durationSec = duration ? (duration * timecodeScale) / 1e9 : null;
+
+  return {
+    codec,
+    durationSec,
+    bitrate: durationSec ? Math.round((reader.size * 8) / durationSec) : null,
+    sampleRate: sampleRate ? Math.round(sampleRate) : null,
+    channels,
+    tags: {},
+    cover: null,
+  };
+}
+
+// ---------- entry points ----------
+
+const READERS = { mp3: readMp3, m4a: readM4a, ogg: readOgg, webm: readWebm };
+
+/**
+ * @param {import("fs/promises").FileHandle} handle
+ * @returns {Promise<Reader>}
+ */
+async function fileReader(handle) {
+  const { size } = await handle.stat();
+  return {
+    size,
+    async read(offset, length) {
+      const len = Math.max(0, Math.min(length, size - offset));
+      const buf = Buffer.alloc(len);
+      const { bytesRead } = await handle.read(buf, 0, len, offset);
+      return buf.subarray(0, bytesRead);
+    },
+  };
+}
+
+/**
+ * Sniffs and parses an audio file on disk.
+ * @param {string} filePath
+ * @returns {Promise<AudioMeta | null>} null when the content is not a supported audio type
+ */
+async function extractAudioMeta(filePath) {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const reader = await fileReader(handle);
+    const kind = sniffAudio(await reader.read(0, 4096));
+    if (!kind) return null;
+    const meta = await READERS[kind.format](reader);
+    const round = (n) => (n == null || !Number.isFinite(n) ? null : Math.round(n * 1000) / 1000);
+    return { ...kind, ...meta, durationSec: round(meta.durationSec) };
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = { sniffAudio, extractAudioMeta };
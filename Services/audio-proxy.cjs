@@ -0,0 +1,230 @@
+/**
+ * Streaming proxy for episode enclosures, for feed hosts with broken CORS or
+ * plain-HTTP media. Byte ranges are forwarded so web players can seek; when
+ * a host ignores `Range`, the proxy slices the full response itself so the
+ * client still gets an accurate 206 with `Content-Range` and `Content-Length`.
+ *
+ * Upstream requests go through the shared safe fetcher, so every hop,
+ * redirects included, passes the SSRF guard. Segments of frequently
+ * requested files can be kept in an optional disk cache.
+ */
+
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { checkUrl } = require("./net-guard.cjs");
+const { createSafeFetcher } = require("./safe-fetch.cjs");
+
+const MEDIA_TYPE = /^(audio|video)\/|^application\/(octet-stream|ogg|x-mpegurl|vnd\.apple\.mpegurl)|^binary\/octet-stream/i;
+// Copied from the upstream response when present
+const PASS_HEADERS = ["content-type", "etag", "last-modified", "cache-control", "expires"];
+
+/**
+ * Parses a single `bytes=` range; anything else (multiple ranges, other
+ * units, garbage) is ignored and answered with the full body, as RFC 9110
+ * allows.
+ * @param {string | undefined} header
+ * @returns {{ start: number | null, end: number | null } | null} null start means a suffix range
+ */
+function parseRange(header) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+  const start = m[1] === "" ? null : Number(m[1]);
+  const end = m[2] === "" ? null : Number(m[2]);
+  if (start != null && end != null && end < start) return null;
+  return { start, end };
+}
+
+/**
+ * Resolves a parsed range against the file size.
+ * @returns {{ start: number, end: number } | "unsatisfiable"}
+ */
+function resolveRange(range, total) {
+  if (range.start == null) {
+    if (!range.end) return "unsatisfiable";
+    return { start: Math.max(total - range.end, 0), end: total - 1 };
+  }
+  if (range.start >= total) return "unsatisfiable";
+  return { start: range.start, end: Math.min(range.end ?? total - 1, total - 1) };
+}
+
+// "bytes 0-99/1234" -> { start, end, total }; total is null for "*"
+function parseContentRange(header) {
+  const m = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(String(header || "").trim());
+  if (!m) return null;
+  return { start: Number(m[1]), end: Number(m[2]), total: m[3] === "*" ? null : Number(m[3]) };
+}
+
+// Drops the first `skip` bytes and passes on at most `length`
+function slice(skip, length) {
+  let toSkip = skip;
+  let left = length;
+  return new Transform({
+    transform(chunk, _enc, done) {
+      if (toSkip >= chunk.length) {
+        toSkip -= chunk.length;
+        return done();
+      }
+      let part = chunk.subarray(toSkip);
+      toSkip = 0;
+      if (left <= 0) return done();
+      if (part.length > left) part = part.subarray(0, left);
+      left -= part.length;
+      this.push(part);
+      if (left <= 0) this.push(null);
+      done();
+    },
+  });
+}
+
+/**
+ * @param {{
+ *   allowlist?: string[],
+ *   fetcher?: ReturnType<import("./safe-fetch.cjs")["createSafeFetcher"]>,
+ *   cache?: ReturnType<import("./segment-cache.cjs")["createSegmentCache"]> | null
+ * }} [opts]
+ */
+function createAudioProxy({
+  allowlist = [],
+  fetcher = createSafeFetcher({ userAgent: "Mozilla/5.0 (PodsApp Audio Proxy)" }),
+  cache = null,
+} = {}) {
+  function sendError(res, status, message) {
+    if (res.headersSent) return res.destroy();
+    res.status(status).json({ error: message });
+  }
+
+  function setCommonHeaders(res, headers, xCache) {
+    for (const name of PASS_HEADERS) if (headers[name]) res.setHeader(name, headers[name]);
+    res.setHeader("Accept-Ranges", "bytes");
+    res.setHeader("X-Cache", xCache);
+  }
+
+  async function serveFromCache(req, res, url, range) {
+    const meta = await cache.getMeta(url);
+    if (!meta) return false;
+    const bounds = range ? resolveRange(range, meta.total) : { start: 0, end: meta.total - 1 };
+    if (bounds === "unsatisfiable") {
+      res.setHeader("Content-Range", `bytes */${meta.total}`);
+      res.status(416).end();
+      return true;
+    }
+    const body = req.method === "HEAD" ? null : cache.read(url, bounds.start, bounds.end);
+    if (req.method !== "HEAD" && !body) return false;
+
+    setCommonHeaders(res, { "content-type": meta.contentType, etag: meta.etag, "last-modified": meta.lastModified }, "HIT");
+    res.setHeader("Content-Length", bounds.end - bounds.start + 1);
+    if (range) res.setHeader("Content-Range", `bytes ${bounds.start}-${bounds.end}/${meta.total}`);
+    res.status(range ? 206 : 200);
+    if (body) await pipeline(body, res);
+    else res.end();
+    return true;
+  }
+
+  // GET|HEAD /audio?url=<enclosure URL>
+  async function handler(req, res) {
+    let url;
+    try {
+      url = checkUrl(req.query.url, { allowlist });
+    } catch (err) {
+      return sendError(res, err.status || 400, err.message);
+    }
+    const key = url.href;
+    const range = parseRange(req.get("range"));
+    const hot = cache ? cache.recordHit(key) : false;
+
+    try {
+      if (cache && (await serveFromCache(req, res, key, range))) return;
+
+      const headers = { Accept: "audio/*, video/*, */*;q=0.5" };
+      if (range) headers.Range = req.get("range");
+      const { res: upstream } = await fetcher.open(url, {
+        method: req.method === "HEAD" ? "HEAD" : "GET",
+        headers,
+        allowlist,
+      });
+      res.on("close", () => upstream.destroy());
+
+      const { statusCode: status, headers: up } = upstream;
+      if (status >= 400) {
+        upstream.resume();
+        if (status === 416) {
+          if (up["content-range"]) res.setHeader("Content-Range", up["content-range"]);
+          return res.status(416).end();
+        }
+        return sendError(res, status < 500 ? status : 502, `Upstream responded ${status}`);
+      }
+      if (status !== 200 && status !== 206) {
+        upstream.resume();
+        return sendError(res, 502, `Unexpected upstream status ${status}`);
+      }
+      // no Content-Type is refused too: the proxy is not a way to fetch arbitrary bytes
+      if (!MEDIA_TYPE.test(up["content-type"] || "")) {
+        upstream.resume();
+        return sendError(res, 415, "Not an audio resource");
+      }
+
+      const length = up["content-length"] != null ? Number(up["content-length"]) : null;
+      let start = 0;
+      let total = null;
+      let body = upstream;
+      setCommonHeaders(res, up, "MISS");
+
+      if (status === 206) {
+        const cr = parseContentRange(up["content-range"]);
+        if (!cr) {
+          upstream.resume();
+          return sendError(res, 502, "Upstream sent an invalid Content-Range");
+        }
+        ({ start, total } = cr);
+        res.status(206);
+        res.setHeader("Content-Range", up["content-range"]);
+        res.setHeader("Content-Length", cr.end - cr.start + 1);
+      } else if (range && length != null) {
+        // the host ignored Range; cut the requested window out of the full body
+        total = length;
+        const bounds = resolveRange(range, total);
+        if (bounds === "unsatisfiable") {
+          upstream.resume();
+          res.setHeader("Content-Range", `bytes */${total}`);
+          return res.status(416).end();
+        }
+        res.status(206);
+        res.setHeader("Content-Range", `bytes ${bounds.start}-${bounds.end}/${total}`);
+        res.setHeader("Content-Length", bounds.end - bounds.start + 1);
+        body = upstream.pipe(slice(bounds.start, bounds.end - bounds.start + 1));
+      } else {
+        total = length;
+        res.status(200);
+        if (length != null) res.setHeader("Content-Length", length);
+        // without a length the client cannot seek through us
+        else res.removeHeader("Accept-Ranges");
+      }
+
+      if (req.method === "HEAD") {
+        upstream.resume();
+        return res.end();
+      }
+
+      if (cache && hot && total != null) {
+        await cache.putMeta({
+          url: key,
+          total,
+          contentType: up["content-type"] || null,
+          etag: up.etag || null,
+          lastModified: up["last-modified"] || null,
+        });
+        const tee = cache.writer(key, start, total);
+        upstream.on("data", (chunk) => tee.write(chunk));
+      }
+      await pipeline(body, res);
+    } catch (err) {
+      if (err.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+      console.warn(`⚠️ Audio proxy failed for ${url.host}:`, err.message);
+      sendError(res, err.status || 502, err.status ? err.message : "Upstream request failed");
+    }
+  }
+
+  return { handler };
+}
+
+module.exports = { createAudioProxy, parseRange, resolveRange };
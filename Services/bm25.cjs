@@ -0,0 +1,87 @@
+/**
+ * Small in-process BM25 index for ranking short documents (feed titles and
+ * descriptions) when no language model is available.
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by for from has have i im in into is it its me my of on or " +
+    "show shows some something that the their them there these this to was what when where " +
+    "which who with about like want looking find recommend recommendations podcast podcasts " +
+    "episode episodes listen listening good best great any more please can you your"
+  ).split(" ")
+);
+
+/**
+ * Lowercases, strips accents and HTML, and drops stopwords.
+ * @param {string | null | undefined} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return String(text || "")
+    .replace(/<[^>]*>/g, " ")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * @template T
+ * @param {T[]} docs
+ * @param {(doc: T) => Array<{ text: string, weight?: number }>} fields
+ */
+function createIndex(docs, fields) {
+  const entries = docs.map((doc) => {
+    const tf = new Map();
+    let length = 0;
+    for (const { text, weight = 1 } of fields(doc)) {
+      for (const term of tokenize(text)) {
+        tf.set(term, (tf.get(term) || 0) + weight);
+        length += weight;
+      }
+    }
+    return { doc, tf, length };
+  });
+
+  const df = new Map();
+  for (const { tf } of entries) for (const term of tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+  const avgLength = entries.reduce((s, e) => s + e.length, 0) / (entries.length || 1) || 1;
+  const n = entries.length;
+
+  const idf = (term) => {
+    const d = df.get(term) || 0;
+    return Math.log(1 + (n - d + 0.5) / (d + 0.5));
+  };
+
+  /**
+   * Documents with a positive score, best first; ties keep input order.
+   * @param {string} query
+   * @returns {Array<{ doc: T, score: number, matched: string[] }>}
+   */
+  function search(query) {
+    const terms = [...new Set(tokenize(query))];
+    const scored = [];
+    entries.forEach((entry, i) => {
+      let score = 0;
+      const matched = [];
+      for (const term of terms) {
+        const f = entry.tf.get(term);
+        if (!f) continue;
+        matched.push(term);
+        score += (idf(term) * f * (K1 + 1)) / (f + K1 * (1 - B + (B * entry.length) / avgLength));
+      }
+      if (score > 0) scored.push({ doc: entry.doc, score, matched, i });
+    });
+    scored.sort((a, b) => b.score - a.score || a.i - b.i);
+    return scored.map(({ doc, score, matched }) => ({ doc, score, matched }));
+  }
+
+  return { search };
+}
+
+module.exports = { tokenize, createIndex };
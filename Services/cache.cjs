@@ -0,0 +1,349 @@
+/**
+ * Shared response cache for the catalogue routes, with pluggable stores:
+ *
+ *   memory  in-process LRU bounded by entry count (default)
+ *   sqlite  `response_cache` tables in the catalogue database, so entries
+ *           survive restarts and are shared by processes on one host
+ *   redis   any Redis-compatible server at REDIS_URL, shared by every
+ *           instance
+ *
+ * Entries hold the serialized JSON body, a strong ETag and optional tags.
+ * `invalidate(tags)` drops every entry carrying any of them, e.g. a feed's
+ * episode list once ingestion has stored new episodes.
+ *
+ * `route()` wraps a handler that returns JSON: responses carry `X-Cache`
+ * (HIT, MISS or BYPASS when the store is unreachable), `ETag` and
+ * `Cache-Control: no-cache`, so clients revalidate and get a 304 while the
+ * entry is unchanged.
+ *
+ * @typedef {{
+ *   body: string,
+ *   etag: string,
+ *   tags: string[],
+ *   storedAt: number,
+ *   expiresAt: number
+ * }} CacheEntry
+ *
+ * @typedef {{
+ *   name: "memory" | "sqlite" | "redis",
+ *   get: (key: string) => Promise<CacheEntry | null>,
+ *   set: (key: string, entry: CacheEntry) => Promise<void>,
+ *   del: (key: string) => Promise<void>,
+ *   invalidateTags: (tags: string[]) => Promise<number>
+ * }} CacheStore
+ */
+
+const crypto = require("crypto");
+const { dbAll, dbGet, dbRun } = require("./sqlite.cjs");
+const { createRespClient } = require("./resp-client.cjs");
+
+const MINUTE = 60 * 1000;
+
+/**
+ * @param {{ maxEntries?: number, now?: () => number }} [opts]
+ * @returns {CacheStore}
+ */
+function createMemoryStore({ maxEntries = 1000, now = Date.now } = {}) {
+  // key -> entry, least recently used first
+  const entries = new Map();
+  const byTag = new Map();
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = byTag.get(tag);
+      keys?.delete(key);
+      if (keys && !keys.size) byTag.delete(tag);
+    }
+    return true;
+  }
+
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        remove(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      remove(key);
+      entries.set(key, entry);
+      for (const tag of entry.tags) {
+        if (!byTag.has(tag)) byTag.set(tag, new Set());
+        byTag.get(tag).add(key);
+      }
+      while (entries.size > maxEntries) remove(entries.keys().next().value);
+    },
+    async del(key) {
+      remove(key);
+    },
+    async invalidateTags(tags) {
+      let count = 0;
+      for (const tag of tags) for (const key of [...(byTag.get(tag) || [])]) if (remove(key)) count++;
+      return count;
+    },
+  };
+}
+
+/**
+ * Statements run one at a time, never in a transaction: the connection is
+ * shared with ingestion, which has its own.
+ * @param {{
+ *   db: import("sqlite3").Database,
+ *   ready?: Promise<unknown>,
+ *   maxEntries?: number,
+ *   pruneEvery?: number,
+ *   now?: () => number
+ * }} deps
+ * @returns {CacheStore}
+ */
+function createSqliteStore({ db, ready = Promise.resolve(), maxEntries = 10000, pruneEvery = 200, now = Date.now }) {
+  let writes = 0;
+
+  // Expired entries first, then the oldest beyond `maxEntries`
+  async function prune() {
+    await dbRun(db, "DELETE FROM response_cache WHERE expiresAt <= ?", [now()]);
+    const { n } = await dbGet(db, "SELECT COUNT(*) AS n FROM response_cache");
+    if (n > maxEntries)
+      await dbRun(
+        db,
+        "DELETE FROM response_cache WHERE key IN (SELECT key FROM response_cache ORDER BY storedAt ASC LIMIT ?)",
+        [n - maxEntries]
+      );
+    await dbRun(db, "DELETE FROM response_cache_tags WHERE key NOT IN (SELECT key FROM response_cache)");
+  }
+
+  return {
+    name: "sqlite",
+    async get(key) {
+      await ready;
+      const row = await dbGet(
+        db,
+        "SELECT body, etag, storedAt, expiresAt FROM response_cache WHERE key = ? AND expiresAt > ?",
+        [key, now()]
+      );
+      return row ? { ...row, tags: [] } : null;
+    },
+    async set(key, entry) {
+      await ready;
+      await dbRun(
+        db,
+        `INSERT INTO response_cache (key, body, etag, storedAt, expiresAt) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET
+           body = excluded.body, etag = excluded.etag,
+           storedAt = excluded.storedAt, expiresAt = excluded.expiresAt`,
+        [key, entry.body, entry.etag, entry.storedAt, entry.expiresAt]
+      );
+      await dbRun(db, "DELETE FROM response_cache_tags WHERE key = ?", [key]);
+      for (const tag of entry.tags)
+        await dbRun(db, "INSERT OR IGNORE INTO response_cache_tags (tag, key) VALUES (?, ?)", [tag, key]);
+      if (++writes % pruneEvery === 0) await prune();
+    },
+    async del(key) {
+      await ready;
+      await dbRun(db, "DELETE FROM response_cache WHERE key = ?", [key]);
+      await dbRun(db, "DELETE FROM response_cache_tags WHERE key = ?", [key]);
+    },
+    async invalidateTags(tags) {
+      if (!tags.length) return 0;
+      await ready;
+      const marks = tags.map(() => "?").join(",");
+      const keys = (
+        await dbAll(db, `SELECT DISTINCT key FROM response_cache_tags WHERE tag IN (${marks})`, tags)
+      ).map((r) => r.key);
+      if (!keys.length) return 0;
+      const keyMarks = keys.map(() => "?").join(",");
+      const { changes } = await dbRun(db, `DELETE FROM response_cache WHERE key IN (${keyMarks})`, keys);
+      await dbRun(db, `DELETE FROM response_cache_tags WHERE key IN (${keyMarks})`, keys);
+      return changes;
+    },
+  };
+}
+
+/**
+ * Entries are JSON strings with a PX expiry; each tag is a set of keys that
+ * lives as long as `tagTtlMs` after its last write. Members whose entry has
+ * already expired are harmless.
+ * @param {{
+ *   client: { sendCommand: (args: Array<string | number>) => Promise<any> },
+ *   prefix?: string,
+ *   tagTtlMs?: number,
+ *   now?: () => number
+ * }} deps
+ * @returns {CacheStore}
+ */
+function createRedisStore({ client, prefix = "pods:cache:", tagTtlMs = 24 * 60 * MINUTE, now = Date.now }) {
+  const entryKey = (key) => `${prefix}e:${key}`;
+  const tagKey = (tag) => `${prefix}t:${tag}`;
+
+  return {
+    name: "redis",
+    async get(key) {
+      const raw = await client.sendCommand(["GET", entryKey(key)]);
+      if (!raw) return null;
+      const entry = JSON.parse(raw);
+      return entry.expiresAt > now() ? entry : null;
+    },
+    async set(key, entry) {
+      const ttl = Math.max(entry.expiresAt - now(), 1);
+      await client.sendCommand(["SET", entryKey(key), JSON.stringify(entry), "PX", Math.ceil(ttl)]);
+      for (const tag of entry.tags) {
+        await client.sendCommand(["SADD", tagKey(tag), key]);
+        await client.sendCommand(["PEXPIRE", tagKey(tag), tagTtlMs]);
+      }
+    },
+    async del(key) {
+      await client.sendCommand(["DEL", entryKey(key)]);
+    },
+    async invalidateTags(tags) {
+      let count = 0;
+      for (const tag of tags) {
+        const keys = (await client.sendCommand(["SMEMBERS", tagKey(tag)])) || [];
+        if (keys.length) count += await client.sendCommand(["DEL", ...keys.map(entryKey)]);
+        await client.sendCommand(["DEL", tagKey(tag)]);
+      }
+      return count;
+    },
+  };
+}
+
+/**
+ * Picks a store from CACHE_BACKEND (memory | sqlite | redis).
+ * @param {Record<string, string | undefined>} env
+ * @param {{ db?: import("sqlite3").Database, ready?: Promise<unknown> }} [deps]
+ * @returns {CacheStore}
+ */
+function createCacheStore(env, { db, ready } = {}) {
+  const maxEntries = Number(env.CACHE_MAX_ENTRIES) || undefined;
+  switch ((env.CACHE_BACKEND || "memory").toLowerCase()) {
+    case "memory":
+      return createMemoryStore({ maxEntries });
+    case "sqlite":
+      if (!db) throw new Error("CACHE_BACKEND=sqlite requires the SQLite database");
+      return createSqliteStore({ db, ready, maxEntries });
+    case "redis":
+      if (!env.REDIS_URL) throw new Error("CACHE_BACKEND=redis requires REDIS_URL");
+      return createRedisStore({ client: createRespClient(env.REDIS_URL), prefix: env.CACHE_PREFIX || undefined });
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${env.CACHE_BACKEND}"`);
+  }
+}
+
+const etagOf = (body) => `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+
+/**
+ * @param {{
+ *   store: CacheStore,
+ *   defaultTtlMs?: number,
+ *   now?: () => number
+ * }} deps
+ */
+function createRouteCache({ store, defaultTtlMs = 90 * 1000, now = Date.now }) {
+  // concurrent misses for one key share a single handler run
+  const pending = new Map();
+  let lastWarning = 0;
+
+  function warn(message) {
+    if (now() - lastWarning < MINUTE) return;
+    lastWarning = now();
+    console.warn(`⚠️ Cache (${store.name}) unavailable:`, message);
+  }
+
+  function send(req, res, entry, xCache) {
+    res.setHeader("X-Cache", xCache);
+    res.setHeader("ETag", entry.etag);
+    res.setHeader("Cache-Control", "no-cache");
+    if (xCache === "HIT") res.setHeader("Age", String(Math.max(Math.floor((now() - entry.storedAt) / 1000), 0)));
+    // Express answers 304 itself when If-None-Match matches the ETag set above
+    res.type("application/json").send(entry.body);
+  }
+
+  async function fill(key, req, res, handler, { ttlMs = defaultTtlMs, tags = [] }) {
+    const data = await handler(req, res);
+    const body = JSON.stringify(data);
+    const ts = now();
+    const entry = {
+      body,
+      etag: etagOf(body),
+      tags: typeof tags === "function" ? tags(req, data).filter(Boolean) : tags,
+      storedAt: ts,
+      expiresAt: ts + ttlMs,
+    };
+    let stored = true;
+    await store.set(key, entry).catch((err) => {
+      stored = false;
+      warn(err.message);
+    });
+    return { entry, stored };
+  }
+
+  /**
+   * Wraps a handler whose resolved value is the JSON response. Errors it
+   * throws are answered with `err.status` (default 500) and never cached.
+   * @param {(req: import("express").Request) => string} keyFn
+   * @param {(req: import("express").Request, res: import("express").Response) => Promise<any>} handler
+   * @param {{
+   *   ttlMs?: number,
+   *   tags?: string[] | ((req: import("express").Request, data: any) => Array<string | null | undefined>)
+   * }} [opts]
+   */
+  function route(keyFn, handler, opts = {}) {
+    return async (req, res) => {
+      const key = keyFn(req);
+      let reachable = true;
+      const hit = await store.get(key).catch((err) => {
+        reachable = false;
+        warn(err.message);
+        return null;
+      });
+      if (hit) return send(req, res, hit, "HIT");
+
+      try {
+        let filling = pending.get(key);
+        if (!filling) {
+          filling = fill(key, req, res, handler, opts).finally(() => pending.delete(key));
+          pending.set(key, filling);
+        }
+        const { entry, stored } = await filling;
+        send(req, res, entry, reachable && stored ? "MISS" : "BYPASS");
+      } catch (err) {
+        console.error(`[ERROR] ${key}:`, err.message);
+        if (err.retryAfterSec) res.setHeader("Retry-After", String(err.retryAfterSec));
+        res.status(err.status || 500).json({ error: err.message, code: err.code });
+      }
+    };
+  }
+
+  /**
+   * Drops every entry carrying any of `tags`; store failures are logged.
+   * @param {Array<string | null | undefined>} tags
+   */
+  async function invalidate(tags) {
+    const list = tags.filter(Boolean);
+    if (!list.length) return 0;
+    try {
+      return await store.invalidateTags(list);
+    } catch (err) {
+      warn(err.message);
+      return 0;
+    }
+  }
+
+  return { route, invalidate, store };
+}
+
+module.exports = {
+  createCacheStore,
+  createMemoryStore,
+  createSqliteStore,
+  createRedisStore,
+  createRouteCache,
+};
@@ -0,0 +1,276 @@
+/**
+ * Category taxonomy: the Apple Podcasts category tree, mapped onto the
+ * single-word categories PodcastIndex stores ("Health & Fitness > Mental
+ * Health" arrives as "Health", "Fitness", "Mental").
+ *
+ * Each node's `match` says which stored terms put a podcast in it: `|`
+ * separates alternatives and `+` joins terms that must all be present, so
+ * "comedy+interviews" is Comedy Interviews and not every comedy show. A
+ * parent also contains everything in its children.
+ *
+ * @typedef {{
+ *   slug: string,
+ *   name: string,
+ *   parent: string | null,
+ *   children: string[],
+ *   match: import("./repos/podcasts.cjs").CategoryMatch
+ * }} Category
+ */
+
+const { withLanguageFallback } = require("./locale.cjs");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+// PodcastIndex trending is not paginated; category pages slice this many
+const TRENDING_MAX = 100;
+const SORTS = ["popular", "newest", "trending"];
+
+// [name, match, children]; a leaf's match defaults to its lowercased name
+const TREE = [
+  ["Arts", "arts", [
+    ["Books"], ["Design"], ["Fashion & Beauty", "fashion|beauty"], ["Food"],
+    ["Performing Arts", "performing"], ["Visual Arts", "visual"],
+  ]],
+  ["Business", "business", [
+    ["Careers"], ["Entrepreneurship"], ["Investing"], ["Management"], ["Marketing"], ["Non-Profit"],
+  ]],
+  ["Comedy", "comedy", [
+    ["Comedy Interviews", "comedy+interviews"], ["Improv"], ["Stand-Up"],
+  ]],
+  ["Education", "education", [
+    ["Courses"], ["How To", "how-to"], ["Language Learning", "language+learning"], ["Self-Improvement"],
+  ]],
+  ["Fiction", "fiction", [
+    ["Comedy Fiction", "comedy+fiction"], ["Drama"], ["Science Fiction", "science+fiction"],
+  ]],
+  ["Government", "government", []],
+  ["History", "history", []],
+  ["Health & Fitness", "health|fitness", [
+    ["Alternative Health", "alternative"], ["Fitness"], ["Medicine"], ["Mental Health", "mental"],
+    ["Nutrition"], ["Sexuality"],
+  ]],
+  ["Kids & Family", "kids|family", [
+    ["Education for Kids", "kids+education"], ["Parenting"], ["Pets & Animals", "pets|animals"],
+    ["Stories for Kids", "stories"],
+  ]],
+  ["Leisure", "leisure", [
+    ["Animation & Manga", "animation|manga"], ["Automotive"], ["Aviation"], ["Crafts"], ["Games"],
+    ["Hobbies"], ["Home & Garden", "home|garden"], ["Video Games", "video-games"],
+  ]],
+  ["Music", "music", [
+    ["Music Commentary", "music+commentary"], ["Music History", "music+history"],
+    ["Music Interviews", "music+interviews"],
+  ]],
+  ["News", "news", [
+    ["Business News", "news+business"], ["Daily News", "daily"], ["Entertainment News", "entertainment"],
+    ["News Commentary", "news+commentary"], ["Politics"], ["Sports News", "news+sports"],
+    ["Tech News", "news+technology"],
+  ]],
+  ["Religion & Spirituality", "religion|spirituality", [
+    ["Buddhism"], ["Christianity"], ["Hinduism"], ["Islam"], ["Judaism"], ["Religion"], ["Spirituality"],
+  ]],
+  ["Science", "science", [
+    ["Astronomy"], ["Chemistry"], ["Earth Sciences", "earth"], ["Life Sciences", "life"],
+    ["Mathematics"], ["Natural Sciences", "natural"], ["Nature"], ["Physics"],
+    ["Social Sciences", "social"],
+  ]],
+  ["Society & Culture", "society|culture", [
+    ["Documentary"], ["Personal Journals", "personal|journals"], ["Philosophy"],
+    ["Places & Travel", "places|travel"], ["Relationships"],
+  ]],
+  ["Sports", "sports", [
+    ["Baseball"], ["Basketball"], ["Cricket"], ["Fantasy Sports", "fantasy"], ["Football"], ["Golf"],
+    ["Hockey"], ["Rugby"], ["Running"], ["Soccer"], ["Swimming"], ["Tennis"], ["Volleyball"],
+    ["Wilderness"], ["Wrestling"],
+  ]],
+  ["Technology", "technology", []],
+  ["True Crime", "true crime", []],
+  ["TV & Film", "tv|film", [
+    ["After Shows", "after-shows"], ["Film History", "film+history"], ["Film Interviews", "film+interviews"],
+    ["Film Reviews", "film+reviews"], ["TV Reviews", "tv+reviews"],
+  ]],
+];
+
+// Slugs the old hard-coded /podcasts/category/:name route accepted
+const ALIASES = { truecrime: "true-crime", lifestyle: "leisure", tech: "technology" };
+
+const slugify = (name) =>
+  name.toLowerCase().replace(/&/g, " ").replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+const parseMatch = (spec) => spec.split("|").map((alt) => alt.split("+").map((t) => t.trim()));
+
+function buildTaxonomy(tree) {
+  /** @type {Map<string, Category>} */
+  const nodes = new Map();
+  for (const [name, spec, children = []] of tree) {
+    const slug = slugify(name);
+    const kids = children.map(([childName, childSpec]) => ({
+      slug: slugify(childName),
+      name: childName,
+      parent: slug,
+      children: [],
+      match: parseMatch(childSpec || childName.toLowerCase()),
+    }));
+    nodes.set(slug, {
+      slug,
+      name,
+      parent: null,
+      children: kids.map((k) => k.slug),
+      match: [...parseMatch(spec), ...kids.flatMap((k) => k.match)],
+    });
+    for (const kid of kids) nodes.set(kid.slug, kid);
+  }
+  return nodes;
+}
+
+const TAXONOMY = buildTaxonomy(TREE);
+
+/**
+ * Looks a category up by slug, alias or display name.
+ * @param {string} key
+ * @returns {Category | null}
+ */
+function findCategory(key) {
+  const slug = slugify(String(key || ""));
+  return TAXONOMY.get(ALIASES[slug] || slug) || null;
+}
+
+/**
+ * Categories a podcast belongs to, given its stored terms ("Health",
+ * "Fitness"), parents before their children.
+ * @param {Iterable<string>} terms
+ * @returns {Array<{ slug: string, name: string, parent: string | null }>}
+ */
+function categoriesForTerms(terms) {
+  const have = new Set([...terms].filter(Boolean).map((t) => String(t).trim().toLowerCase()));
+  return [...TAXONOMY.values()]
+    .filter((c) => c.match.some((alt) => alt.every((t) => have.has(t))))
+    .map(({ slug, name, parent }) => ({ slug, name, parent }));
+}
+
+/**
+ * PodcastIndex `cat` filter for a category, in its own spelling ("True
+ * Crime", "How-To"). PodcastIndex ORs the values it is given, so for a
+ * compound term the most specific word stands in ("Interviews" for Comedy
+ * Interviews).
+ * @param {Category} category
+ */
+const podcastIndexCategories = (category) =>
+  [...new Set(category.match.map((alt) => alt[alt.length - 1]))]
+    .map((term) => term.replace(/(^|[\s-])\w/g, (c) => c.toUpperCase()))
+    .join(",");
+
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+// `a` marks pages that fell back to all languages, so later pages do too
+function decodeCursor(cursor) {
+  if (!cursor) return { offset: 0, anyLang: false };
+  try {
+    const { o, a } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (Number.isInteger(o) && o >= 0) return { offset: o, anyLang: a === 1 };
+  } catch {
+    // fall through
+  }
+  throw httpError(400, "Invalid cursor");
+}
+
+const encodeCursor = (offset, anyLang) =>
+  Buffer.from(JSON.stringify(anyLang ? { o: offset, a: 1 } : { o: offset })).toString("base64url");
+
+/**
+ * Category listing with counts and paginated category pages.
+ *
+ * @param {{
+ *   podcasts: import("./repos/podcasts.cjs").PodcastRepo,
+ *   podcastIndex: ReturnType<import("./podcastindex.cjs")["createPodcastIndexClient"]>
+ * }} deps
+ */
+function createCategoryService({ podcasts, podcastIndex }) {
+  const summary = (c, counts) => ({
+    slug: c.slug,
+    name: c.name,
+    parent: c.parent,
+    count: counts.get(c.slug) ?? null,
+  });
+
+  /**
+   * The whole tree, parents in display order with their children nested.
+   * Counts come from the local catalogue.
+   */
+  async function list() {
+    const counts = new Map();
+    for (const c of TAXONOMY.values()) counts.set(c.slug, await podcasts.countInCategory(c.match));
+    return [...TAXONOMY.values()]
+      .filter((c) => !c.parent)
+      .map((c) => ({
+        ...summary(c, counts),
+        children: c.children.map((slug) => summary(TAXONOMY.get(slug), counts)),
+      }));
+  }
+
+  /**
+   * One page of a category. `popular` and `newest` read the local catalogue;
+   * `trending` asks PodcastIndex and pages through its top results. With
+   * `langFallback`, a language with no shows here gives way to all languages.
+   * @param {string} slug
+   * @param {{
+   *   sort?: string,
+   *   cursor?: string,
+   *   limit?: string | number,
+   *   lang?: string | null,
+   *   langFallback?: boolean
+   * }} [opts]
+   */
+  async function page(slug, { sort = "popular", cursor, limit, lang = null, langFallback = false } = {}) {
+    const category = findCategory(slug);
+    if (!category) throw httpError(404, "Unknown category", "unknown_category");
+    if (!SORTS.includes(sort)) throw httpError(400, `sort must be one of ${SORTS.join(", ")}`);
+    const size = Math.min(Math.max(parseInt(limit || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const { offset, anyLang } = decodeCursor(cursor);
+
+    const load =
+      sort === "trending"
+        ? async (l) => {
+            const data = await podcastIndex.trending({
+              max: TRENDING_MAX,
+              cat: podcastIndexCategories(category),
+              lang: l || undefined,
+            });
+            return data.feeds.slice(offset, offset + size + 1);
+          }
+        : (l) => podcasts.listInCategory(category.match, { sort, lang: l, offset, limit: size + 1 });
+    const { result: rows, lang: used } = await withLanguageFallback(load, {
+      lang: anyLang ? null : lang,
+      langFallback: langFallback && offset === 0,
+    });
+    const fellBack = anyLang || (lang !== null && used === null);
+
+    return {
+      category: {
+        slug: category.slug,
+        name: category.name,
+        parent: category.parent,
+        children: category.children.map((s) => ({ slug: s, name: TAXONOMY.get(s).name })),
+      },
+      sort,
+      lang: used,
+      feeds: rows.slice(0, size),
+      nextCursor: rows.length > size ? encodeCursor(offset + size, fellBack) : null,
+    };
+  }
+
+  return { list, page };
+}
+
+module.exports = {
+  TAXONOMY,
+  findCategory,
+  categoriesForTerms,
+  podcastIndexCategories,
+  createCategoryService,
+};
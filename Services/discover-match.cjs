@@ -0,0 +1,139 @@
+/**
+ * Reconciles model-selected podcasts with the PodcastIndex candidates they
+ * were chosen from. Anything that cannot be tied back to a candidate is
+ * treated as hallucinated and dropped; matched results take their id, URL,
+ * artwork and episode count from the PodcastIndex record, never the model.
+ */
+
+const MIN_CONFIDENCE = 0.6;
+
+const NOISE = new Set(["the", "a", "an", "podcast", "show", "pod", "radio", "with", "and", "official"]);
+
+/**
+ * @param {string | null | undefined} text
+ * @returns {string[]}
+ */
+function normalizeTokens(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['\u2019]/g, "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t && !NOISE.has(t));
+}
+
+function bigrams(s) {
+  const grams = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  return grams;
+}
+
+// Sørensen–Dice over character bigrams; tolerant of typos and pluralisation
+function dice(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const x = bigrams(a);
+  const y = bigrams(b);
+  let overlap = 0;
+  for (const [g, n] of x) overlap += Math.min(n, y.get(g) || 0);
+  const total = a.length - 1 + (b.length - 1);
+  return total > 0 ? (2 * overlap) / total : 0;
+}
+
+/**
+ * 0..1 similarity of two names: the better of token overlap (order-free) and
+ * character bigrams of the joined tokens (typo-tolerant).
+ * @param {string | null | undefined} a
+ * @param {string | null | undefined} b
+ */
+function similarity(a, b) {
+  const ta = normalizeTokens(a);
+  const tb = normalizeTokens(b);
+  if (!ta.length || !tb.length) return 0;
+  const sb = new Set(tb);
+  const shared = ta.filter((t) => sb.has(t)).length;
+  const tokenScore = (2 * shared) / (ta.length + tb.length);
+  return Math.max(tokenScore, dice(ta.join(" "), tb.join(" ")));
+}
+
+const authorOf = (feed) => feed.author || feed.itunesAuthor || feed.ownerName || "";
+
+/**
+ * @param {{ feedId?: string | number, podcastTitle?: string, author?: string }} pick
+ * @param {any} feed
+ * @returns {number}
+ */
+function scoreMatch(pick, feed) {
+  const title = similarity(pick.podcastTitle, feed.title);
+  const hasAuthors = normalizeTokens(pick.author).length && normalizeTokens(authorOf(feed)).length;
+  const byName = hasAuthors ? title * 0.8 + similarity(pick.author, authorOf(feed)) * 0.2 : title;
+
+  if (pick.feedId != null && String(pick.feedId) === String(feed.id)) {
+    // An id is strong evidence, unless the title says it is a different show
+    if (!normalizeTokens(pick.podcastTitle).length) return 0.9;
+    return title >= 0.3 ? 0.7 + 0.3 * title : title;
+  }
+  return byName;
+}
+
+/**
+ * @template {{ feedId?: string | number, podcastTitle?: string, author?: string }} P
+ * @param {P[]} picks results as returned by the provider
+ * @param {Array<any>} candidates PodcastIndex feeds the provider chose from
+ * @param {{ minConfidence?: number }} [opts]
+ * @returns {{
+ *   results: Array<P & {
+ *     feedId: number | string,
+ *     feedUrl: string | null,
+ *     image: string | undefined,
+ *     episodeCount: number | null,
+ *     matchConfidence: number
+ *   }>,
+ *   rejected: P[]
+ * }}
+ */
+function reconcileResults(picks, candidates, { minConfidence = MIN_CONFIDENCE } = {}) {
+  // Score every pair, then assign greedily so each feed backs at most one result
+  const pairs = [];
+  picks.forEach((pick, p) => {
+    candidates.forEach((feed, c) => {
+      const score = scoreMatch(pick, feed);
+      if (score >= minConfidence) pairs.push({ p, c, score });
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score || a.p - b.p || a.c - b.c);
+
+  const assigned = new Map();
+  const usedFeeds = new Set();
+  for (const { p, c, score } of pairs) {
+    if (assigned.has(p) || usedFeeds.has(c)) continue;
+    assigned.set(p, { feed: candidates[c], score });
+    usedFeeds.add(c);
+  }
+
+  const results = [];
+  const rejected = [];
+  picks.forEach((pick, p) => {
+    const match = assigned.get(p);
+    if (!match) return rejected.push(pick);
+    const { feed, score } = match;
+    results.push({
+      ...pick,
+      feedId: feed.id,
+      podcastTitle: feed.title || pick.podcastTitle,
+      author: authorOf(feed) || pick.author,
+      feedUrl: feed.url || feed.feedUrl || feed.originalUrl || null,
+      image: feed.artwork || feed.image || pick.image,
+      episodeCount: feed.episodeCount ?? null,
+      matchConfidence: Math.round(score * 100) / 100,
+    });
+  });
+  return { results, rejected };
+}
+
+module.exports = { reconcileResults, similarity, normalizeTokens };
@@ -0,0 +1,123 @@
+/**
+ * In-memory conversation state for multi-turn AI discovery. A session keeps
+ * the last few queries, what was shown for each, and the listener's thumbs
+ * up/down so follow-ups ("shorter ones", "more like the second one") can be
+ * interpreted. Sessions slide their expiry on every use.
+ *
+ * @typedef {import("./ai-provider.cjs").DiscoverPick & { feedback?: "up" | "down" }} SessionPick
+ *
+ * @typedef {{
+ *   query: string,
+ *   keyword: string,
+ *   summaryResponse?: string,
+ *   results: SessionPick[],
+ *   createdAt: number
+ * }} SessionTurn
+ *
+ * @typedef {{
+ *   id: string,
+ *   turns: SessionTurn[],
+ *   createdAt: number,
+ *   expiresAt: number
+ * }} DiscoverSession
+ */
+
+const crypto = require("crypto");
+
+/**
+ * @param {{ ttlMs?: number, maxTurns?: number, maxSessions?: number, now?: () => number }} [opts]
+ */
+function createSessionStore({
+  ttlMs = 30 * 60 * 1000,
+  maxTurns = 10,
+  maxSessions = 5000,
+  now = Date.now,
+} = {}) {
+  /** @type {Map<string, DiscoverSession>} */
+  const sessions = new Map();
+  let timer = null;
+
+  function sweep() {
+    const t = now();
+    for (const [id, s] of sessions) if (s.expiresAt <= t) sessions.delete(id);
+  }
+
+  /** @returns {DiscoverSession} */
+  function create() {
+    if (sessions.size >= maxSessions) {
+      sweep();
+      // Map iteration is insertion order, and touch() re-inserts, so the first is the least recently used
+      if (sessions.size >= maxSessions) sessions.delete(sessions.keys().next().value);
+    }
+    const t = now();
+    const session = { id: crypto.randomUUID(), turns: [], createdAt: t, expiresAt: t + ttlMs };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  function touch(session) {
+    session.expiresAt = now() + ttlMs;
+    sessions.delete(session.id);
+    sessions.set(session.id, session);
+  }
+
+  /** @returns {DiscoverSession | null} */
+  function get(id) {
+    const session = sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt <= now()) {
+      sessions.delete(id);
+      return null;
+    }
+    touch(session);
+    return session;
+  }
+
+  /**
+   * @param {DiscoverSession} session
+   * @param {Omit<SessionTurn, "createdAt">} turn
+   * @returns {number} index of the new turn
+   */
+  function addTurn(session, turn) {
+    session.turns.push({ ...turn, createdAt: now() });
+    if (session.turns.length > maxTurns) session.turns.splice(0, session.turns.length - maxTurns);
+    touch(session);
+    return session.turns.length - 1;
+  }
+
+  /**
+   * @param {DiscoverSession} session
+   * @param {{ turn?: number, result?: number, feedUrl?: string, value: "up" | "down" | null }} input
+   * @returns {SessionPick | null} the result the feedback landed on
+   */
+  function setFeedback(session, { turn, result, feedUrl, value }) {
+    const t = session.turns[turn ?? session.turns.length - 1];
+    if (!t) return null;
+    const pick = feedUrl != null ? t.results.find((r) => r.feedUrl === feedUrl) : t.results[result];
+    if (!pick) return null;
+    if (value) pick.feedback = value;
+    else delete pick.feedback;
+    touch(session);
+    return pick;
+  }
+
+  return {
+    create,
+    get,
+    addTurn,
+    setFeedback,
+    delete: (id) => sessions.delete(id),
+    sweep,
+    start() {
+      if (timer) return;
+      timer = setInterval(sweep, Math.min(ttlMs, 60 * 1000));
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,105 @@
+/**
+ * Local embedding providers for the optional semantic episode index.
+ *
+ *   hash               feature-hashed bag of words and bigrams; no model, fully
+ *                      deterministic, good enough for development and CI
+ *   openai-compatible  an /embeddings endpoint at EMBEDDINGS_BASE_URL
+ *                      (Ollama, llama.cpp, LM Studio, text-embeddings-inference, ...)
+ *
+ * @typedef {{
+ *   name: string,
+ *   model: string,
+ *   embed: (texts: string[]) => Promise<Float32Array[]>
+ * }} EmbeddingProvider
+ */
+
+const OpenAI = require("openai");
+const { tokenize } = require("./bm25.cjs");
+
+function normalize(vec) {
+  let norm = 0;
+  for (const v of vec) norm += v * v;
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+  return vec;
+}
+
+// FNV-1a
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * @param {{ dims?: number }} [opts]
+ * @returns {EmbeddingProvider}
+ */
+function createHashingEmbedder({ dims = 384 } = {}) {
+  function embedOne(text) {
+    const vec = new Float32Array(dims);
+    const tokens = tokenize(text);
+    const features = [...tokens, ...tokens.slice(1).map((t, i) => `${tokens[i]} ${t}`)];
+    for (const f of features) {
+      const h = hash(f);
+      // the top bit picks the sign so collisions tend to cancel out
+      vec[h % dims] += h & 0x80000000 ? -1 : 1;
+    }
+    return normalize(vec);
+  }
+  return {
+    name: "hash",
+    model: `hash-${dims}`,
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+}
+
+/**
+ * @param {{ baseURL: string, model: string, apiKey?: string, timeout?: number }} opts
+ * @returns {EmbeddingProvider}
+ */
+function createOpenAICompatibleEmbedder({ baseURL, model, apiKey = "local", timeout = 30000 }) {
+  const client = new OpenAI({ baseURL, apiKey, timeout, maxRetries: 1 });
+  return {
+    name: "openai-compatible",
+    model,
+    async embed(texts) {
+      const res = await client.embeddings.create({ model, input: texts });
+      return res.data
+        .sort((a, b) => a.index - b.index)
+        .map((d) => normalize(Float32Array.from(d.embedding)));
+    },
+  };
+}
+
+/**
+ * Null unless EMBEDDINGS_PROVIDER is set; the keyword index works without it.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {EmbeddingProvider | null}
+ */
+function createEmbeddingProvider(env) {
+  const kind = env.EMBEDDINGS_PROVIDER || "none";
+  switch (kind) {
+    case "none":
+      return null;
+    case "hash":
+      return createHashingEmbedder({ dims: Number(env.EMBEDDINGS_DIMS) || undefined });
+    case "openai-compatible":
+      if (!env.EMBEDDINGS_BASE_URL)
+        throw new Error("EMBEDDINGS_PROVIDER=openai-compatible requires EMBEDDINGS_BASE_URL");
+      return createOpenAICompatibleEmbedder({
+        baseURL: env.EMBEDDINGS_BASE_URL,
+        model: env.EMBEDDINGS_MODEL || "nomic-embed-text",
+        apiKey: env.EMBEDDINGS_API_KEY || undefined,
+      });
+    default:
+      throw new Error(`Unknown EMBEDDINGS_PROVIDER "${kind}"`);
+  }
+}
+
+module.exports = { createEmbeddingProvider, createHashingEmbedder, createOpenAICompatibleEmbedder };
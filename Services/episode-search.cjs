@@ -0,0 +1,364 @@
+/**
+ * Episode-level search over stored show notes and transcript segments.
+ *
+ * Keyword search uses the `episodes_fts` and `transcript_segments_fts`
+ * indexes maintained by ingestion. When an embedding provider is configured,
+ * episodes and segments are also embedded in the background and searched by
+ * cosine similarity; "hybrid" mode fuses both rankings. Transcript hits carry
+ * timestamps so players can seek straight to the moment.
+ *
+ * @typedef {{
+ *   startSec: number | null,
+ *   endSec: number | null,
+ *   speaker: string | null,
+ *   snippet: string
+ * }} Moment
+ *
+ * @typedef {"keyword" | "semantic" | "hybrid"} SearchMode
+ */
+
+const { dbAll, dbRun, withTransaction } = require("./sqlite.cjs");
+const { buildMatchQuery, encodeCursor, decodeCursor } = require("./search.cjs");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_RANKED = 200; // ranking depth; pages beyond this are not served
+const MOMENTS_PER_EPISODE = 3;
+const MIN_SIMILARITY = 0.2;
+const RRF_K = 60;
+const EMBED_TEXT_CHARS = 2000;
+
+const toBlob = (vec) => Buffer.from(vec.buffer, vec.byteOffset, vec.byteLength);
+// copy: SQLite buffers are not guaranteed to be 4-byte aligned
+const fromBlob = (buf) => new Float32Array(Uint8Array.from(buf).buffer);
+
+function dot(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+}
+
+function plainText(html) {
+  return String(html || "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function excerpt(text, max = 200) {
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * @param {{
+ *   db: import("sqlite3").Database,
+ *   ready?: Promise<unknown>,
+ *   embeddings?: import("./embeddings.cjs").EmbeddingProvider | null,
+ *   pollMs?: number,
+ *   batchSize?: number
+ * }} deps
+ */
+function createEpisodeSearch(deps) {
+  const {
+    db,
+    ready = Promise.resolve(),
+    embeddings = null,
+    pollMs = 30_000,
+    batchSize = 32,
+  } = deps;
+  let timer = null;
+  let indexing = false;
+
+  function scopeSql(alias, { podcastId, feedId }, params) {
+    const where = [];
+    if (podcastId != null) {
+      where.push(`${alias}.podcastId = ?`);
+      params.push(String(podcastId));
+    }
+    if (feedId != null) {
+      where.push(`${alias}.feedId = ?`);
+      params.push(Number(feedId));
+    }
+    return where.length ? ` AND ${where.join(" AND ")}` : "";
+  }
+
+  /**
+   * @returns {Promise<Map<number, { score: number, moments: Array<Moment & { score: number }> }>>}
+   */
+  async function keywordRanking(match, scope) {
+    const epParams = [match];
+    const epScope = scopeSql("e", scope, epParams);
+    const segParams = [match];
+    const segScope = scopeSql("e", scope, segParams);
+
+    const [episodes, segments] = await Promise.all([
+      dbAll(
+        db,
+        `SELECT e.id, bm25(episodes_fts, 5.0, 1.0) AS rank
+         FROM episodes_fts JOIN episodes e ON e.id = episodes_fts.rowid
+         WHERE episodes_fts MATCH ?${epScope}
+         ORDER BY rank LIMIT ${MAX_RANKED}`,
+        epParams
+      ),
+      dbAll(
+        db,
+        `SELECT s.episodeId, s.startSec, s.endSec, s.speaker,
+                bm25(transcript_segments_fts) AS rank,
+                snippet(transcript_segments_fts, 0, '<mark>', '</mark>', '…', 24) AS snippet
+         FROM transcript_segments_fts
+         JOIN transcript_segments s ON s.id = transcript_segments_fts.rowid
+         JOIN episodes e ON e.id = s.episodeId
+         WHERE transcript_segments_fts MATCH ?${segScope}
+         ORDER BY rank LIMIT ${MAX_RANKED * MOMENTS_PER_EPISODE}`,
+        segParams
+      ),
+    ]);
+
+    // bm25() is negative, lower is better; flip it so bigger is better everywhere
+    const ranking = new Map();
+    const get = (id) => {
+      if (!ranking.has(id)) ranking.set(id, { score: 0, moments: [] });
+      return ranking.get(id);
+    };
+    for (const row of episodes) get(row.id).score = Math.max(get(row.id).score, -row.rank);
+    for (const row of segments) {
+      const hit = get(row.episodeId);
+      hit.score = Math.max(hit.score, -row.rank);
+      hit.moments.push({
+        startSec: row.startSec,
+        endSec: row.endSec,
+        speaker: row.speaker,
+        snippet: row.snippet,
+        score: -row.rank,
+      });
+    }
+    return ranking;
+  }
+
+  async function semanticRanking(term, scope) {
+    const [query] = await embeddings.embed([term]);
+    const params = [embeddings.model];
+    const scoped = scopeSql("e", scope, params);
+    const rows = await dbAll(
+      db,
+      `SELECT em.kind, em.refId, em.vector, COALESCE(s.episodeId, em.refId) AS episodeId
+       FROM embeddings em
+       LEFT JOIN transcript_segments s ON em.kind = 'segment' AND s.id = em.refId
+       JOIN episodes e ON e.id = COALESCE(s.episodeId, em.refId)
+       WHERE em.model = ? AND (em.kind = 'episode' OR s.id IS NOT NULL)${scoped}`,
+      params
+    );
+
+    const scored = rows
+      .map((r) => ({ ...r, score: dot(query, fromBlob(r.vector)) }))
+      .filter((r) => r.score >= MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RANKED * MOMENTS_PER_EPISODE);
+
+    const segmentIds = scored.filter((r) => r.kind === "segment").map((r) => r.refId);
+    const segments = segmentIds.length
+      ? await dbAll(
+          db,
+          `SELECT id, startSec, endSec, speaker, text FROM transcript_segments
+           WHERE id IN (${segmentIds.map(() => "?").join(",")})`,
+          segmentIds
+        )
+      : [];
+    const segById = new Map(segments.map((s) => [s.id, s]));
+
+    const ranking = new Map();
+    for (const row of scored) {
+      if (!ranking.has(row.episodeId)) ranking.set(row.episodeId, { score: row.score, moments: [] });
+      const hit = ranking.get(row.episodeId);
+      const seg = row.kind === "segment" && segById.get(row.refId);
+      if (seg) {
+        hit.moments.push({
+          startSec: seg.startSec,
+          endSec: seg.endSec,
+          speaker: seg.speaker,
+          snippet: excerpt(seg.text),
+          score: row.score,
+        });
+      }
+    }
+    return ranking;
+  }
+
+  // Reciprocal rank fusion: robust to the two scores living on different scales
+  function fuse(rankings) {
+    const fused = new Map();
+    for (const ranking of rankings) {
+      const ordered = [...ranking.entries()].sort((a, b) => b[1].score - a[1].score);
+      ordered.forEach(([id, hit], i) => {
+        const cur = fused.get(id) || { score: 0, moments: [] };
+        cur.score += 1 / (RRF_K + i + 1);
+        for (const m of hit.moments) {
+          if (!cur.moments.some((x) => x.startSec === m.startSec)) cur.moments.push(m);
+        }
+        fused.set(id, cur);
+      });
+    }
+    return fused;
+  }
+
+  /**
+   * @param {string} term
+   * @param {{
+   *   podcastId?: string,
+   *   feedId?: string | number,
+   *   mode?: SearchMode,
+   *   cursor?: string,
+   *   limit?: number | string
+   * }} [opts]
+   */
+  async function search(term, opts = {}) {
+    await ready;
+    const mode = opts.mode || (embeddings ? "hybrid" : "keyword");
+    if (!["keyword", "semantic", "hybrid"].includes(mode)) throw badRequest("Invalid search mode");
+    if (mode !== "keyword" && !embeddings) throw badRequest("Semantic search is not enabled");
+    const limit = Math.min(Math.max(Number(opts.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = decodeCursor(opts.cursor);
+    const scope = { podcastId: opts.podcastId, feedId: opts.feedId };
+
+    const rankings = [];
+    const match = buildMatchQuery(term);
+    if (mode !== "semantic" && match) rankings.push(await keywordRanking(match, scope));
+    if (mode !== "keyword") rankings.push(await semanticRanking(term, scope));
+    const merged = rankings.length === 1 ? rankings[0] : fuse(rankings);
+
+    const ordered = [...merged.entries()]
+      .sort((a, b) => b[1].score - a[1].score || b[0] - a[0])
+      .slice(0, MAX_RANKED);
+    const page = ordered.slice(offset, offset + limit);
+
+    const ids = page.map(([id]) => id);
+    const rows = ids.length
+      ? await dbAll(
+          db,
+          `SELECT e.id, e.feedId, e.podcastId, e.title, e.description, e.pubDate, e.publishedAt,
+                  e.mediaUrl, e.mediaType, COALESCE(e.imageUrl, f.imageUrl) AS image, e.duration,
+                  f.title AS podcastTitle, f.url AS feedUrl,
+                  t.segmentCount IS NOT NULL AND t.status = 'ok' AS hasTranscript
+           FROM episodes e
+           LEFT JOIN feeds f ON f.id = e.feedId
+           LEFT JOIN transcripts t ON t.episodeId = e.id
+           WHERE e.id IN (${ids.map(() => "?").join(",")})`,
+          ids
+        )
+      : [];
+    const byId = new Map(rows.map((r) => [r.id, r]));
+
+    const episodes = page
+      .filter(([id]) => byId.has(id))
+      .map(([id, hit]) => {
+        const { description, hasTranscript, ...row } = byId.get(id);
+        const moments = hit.moments
+          .sort((a, b) => b.score - a.score)
+          .slice(0, MOMENTS_PER_EPISODE)
+          .sort((a, b) => (a.startSec ?? 0) - (b.startSec ?? 0))
+          .map(({ score, ...m }) => m);
+        return {
+          ...row,
+          id: String(row.id),
+          summary: excerpt(plainText(description), 300),
+          hasTranscript: !!hasTranscript,
+          score: Math.round(hit.score * 1e4) / 1e4,
+          moments,
+        };
+      });
+
+    return {
+      query: term,
+      mode,
+      count: episodes.length,
+      episodes,
+      nextCursor: offset + limit < ordered.length ? encodeCursor(offset + limit) : null,
+    };
+  }
+
+  async function pending(kind, sql) {
+    return dbAll(db, sql, [embeddings.model, batchSize]).then((rows) =>
+      rows.map((r) => ({ kind, refId: r.id, text: r.text }))
+    );
+  }
+
+  /**
+   * Embeds one batch of episodes/segments that have no vector yet.
+   * @returns {Promise<number>} rows embedded
+   */
+  async function indexPending() {
+    if (!embeddings) return 0;
+    await ready;
+    await dbRun(
+      db,
+      `DELETE FROM embeddings WHERE kind = 'segment'
+       AND refId NOT IN (SELECT id FROM transcript_segments)`
+    );
+    const todo = [
+      ...(await pending(
+        "episode",
+        `SELECT e.id, COALESCE(e.title, '') || '. ' || COALESCE(e.description, '') AS text
+         FROM episodes e
+         LEFT JOIN embeddings em ON em.kind = 'episode' AND em.refId = e.id AND em.model = ?
+         WHERE em.refId IS NULL
+         ORDER BY e.publishedAt DESC LIMIT ?`
+      )),
+      ...(await pending(
+        "segment",
+        `SELECT s.id, s.text
+         FROM transcript_segments s
+         LEFT JOIN embeddings em ON em.kind = 'segment' AND em.refId = s.id AND em.model = ?
+         WHERE em.refId IS NULL
+         LIMIT ?`
+      )),
+    ].slice(0, batchSize);
+    if (!todo.length) return 0;
+
+    const vectors = await embeddings.embed(todo.map((t) => plainText(t.text).slice(0, EMBED_TEXT_CHARS)));
+    await withTransaction(db, async () => {
+      for (let i = 0; i < todo.length; i++) {
+        await dbRun(
+          db,
+          "INSERT OR REPLACE INTO embeddings (kind, refId, model, vector) VALUES (?, ?, ?, ?)",
+          [todo[i].kind, todo[i].refId, embeddings.model, toBlob(vectors[i])]
+        );
+      }
+    });
+    return todo.length;
+  }
+
+  async function indexTick() {
+    if (indexing) return;
+    indexing = true;
+    try {
+      // a few batches per tick so a large backlog drains without hogging the loop
+      let batches = 0;
+      while (batches++ < 8 && (await indexPending()) > 0) {
+        // keep going
+      }
+    } catch (err) {
+      console.warn("Embedding index update failed:", err.message);
+    } finally {
+      indexing = false;
+    }
+  }
+
+  function start() {
+    if (!embeddings || timer) return;
+    timer = setInterval(indexTick, pollMs);
+    timer.unref();
+    console.log(`✅ Episode embeddings enabled (${embeddings.name}: ${embeddings.model})`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { ready, search, indexPending, start, stop };
+}
+
+module.exports = { createEpisodeSearch };
@@ -0,0 +1,484 @@
+/**
+ * Domain events. Producers publish an event for a set of users; each
+ * recipient gets a stored copy (for replay), live delivery to their open SSE
+ * streams, and a signed POST to every webhook they registered for that type.
+ *
+ *   episode.published   a followed feed has a new episode
+ *   feed.failed         a followed feed keeps failing to refresh
+ *   upload.processed    an upload was stored and its metadata extracted
+ *   upload.failed       an upload could not be processed
+ *
+ * Live fan-out is in-process: a stream only sees events published by the
+ * instance it is connected to, and clients catch up on the rest with
+ * Last-Event-ID or the replay endpoint.
+ *
+ * Webhook requests carry `X-Pods-Signature: t=<unix seconds>,v1=<hex>`,
+ * an HMAC-SHA256 of `${t}.${body}` keyed with the webhook secret. Failed
+ * deliveries are retried with exponential backoff; a webhook whose
+ * deliveries keep failing is switched off.
+ *
+ * @typedef {{
+ *   id: string,
+ *   type: string,
+ *   createdAt: string,
+ *   data: Record<string, any>
+ * }} DomainEvent
+ *
+ * @typedef {{
+ *   id: string,
+ *   url: string,
+ *   events: string[],
+ *   active: boolean,
+ *   failureCount: number,
+ *   createdAt: string
+ * }} Webhook
+ */
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { dbAll, dbGet, dbRun } = require("./sqlite.cjs");
+const { checkUrl } = require("./net-guard.cjs");
+
+const MINUTE = 60_000;
+const DAY = 24 * 60 * MINUTE;
+
+const EVENT_TYPES = ["episode.published", "feed.failed", "upload.processed", "upload.failed"];
+const DEFAULT_REPLAY_LIMIT = 100;
+const MAX_REPLAY_LIMIT = 500;
+
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+/**
+ * Signature header value for a webhook body.
+ * @param {string} secret
+ * @param {string} body
+ * @param {number} [timestamp] unix seconds
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Receiver-side check of a signature header, rejecting stale timestamps.
+ * @param {string} secret
+ * @param {string} body
+ * @param {string | undefined} header
+ * @param {{ toleranceSec?: number, now?: number }} [opts]
+ */
+function verifySignature(secret, body, header, { toleranceSec = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((p) => p.trim().split("="))
+  );
+  const t = Number(parts.t);
+  if (!Number.isInteger(t) || !parts.v1 || Math.abs(now / 1000 - t) > toleranceSec) return false;
+  const expected = Buffer.from(signPayload(secret, body, t).split("v1=")[1], "hex");
+  const given = Buffer.from(parts.v1, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const toEvent = (row) => ({
+  id: String(row.id),
+  type: row.type,
+  createdAt: new Date(row.createdAt).toISOString(),
+  data: JSON.parse(row.data),
+});
+
+const toWebhook = (row) => ({
+  id: row.id,
+  url: row.url,
+  events: JSON.parse(row.events),
+  active: row.active === 1,
+  failureCount: row.failureCount,
+  createdAt: new Date(row.createdAt).toISOString(),
+});
+
+const subscribes = (webhook, type) => webhook.events.includes("*") || webhook.events.includes(type);
+
+/**
+ * Tables come from Migrations/010_events_webhooks.sql.
+ *
+ * @param {{
+ *   db: import("sqlite3").Database,
+ *   ready?: Promise<unknown>,
+ *   send?: ReturnType<import("./safe-fetch.cjs")["createSafeFetcher"]>["send"],
+ *   allowlist?: string[],
+ *   retentionMs?: number,
+ *   maxAttempts?: number,
+ *   backoffBaseMs?: number,
+ *   backoffMaxMs?: number,
+ *   disableAfter?: number,
+ *   maxWebhooksPerUser?: number,
+ *   pollMs?: number,
+ *   batchSize?: number,
+ *   timeoutMs?: number,
+ *   now?: () => number
+ * }} deps `send` posts webhook bodies (the shared safe fetcher);
+ *   `disableAfter` is how many deliveries in a row may fail for good
+ */
+function createEventBus({
+  db,
+  ready = Promise.resolve(),
+  send,
+  allowlist = [],
+  retentionMs = 7 * DAY,
+  maxAttempts = 8,
+  backoffBaseMs = 30_000,
+  backoffMaxMs = 6 * 60 * MINUTE,
+  disableAfter = 5,
+  maxWebhooksPerUser = 10,
+  pollMs = 15_000,
+  batchSize = 20,
+  timeoutMs = 10_000,
+  now = Date.now,
+}) {
+  const live = new EventEmitter();
+  // one listener per open stream; the cap is enforced by the SSE route
+  live.setMaxListeners(0);
+
+  let timer = null;
+  let ticking = false;
+  let prunedAt = 0;
+
+  /**
+   * Stores an event for each recipient, pushes it to their open streams and
+   * queues deliveries to their webhooks.
+   * @param {string} type one of EVENT_TYPES
+   * @param {Record<string, any>} data
+   * @param {{ userIds: string[] }} to
+   * @returns {Promise<DomainEvent[]>}
+   */
+  async function publish(type, data, { userIds }) {
+    if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type ${type}`);
+    const recipients = [...new Set(userIds.filter(Boolean).map(String))];
+    if (!recipients.length) return [];
+    await ready;
+
+    const ts = now();
+    const body = JSON.stringify(data);
+    const published = [];
+    for (const userId of recipients) {
+      const { lastID } = await dbRun(
+        db,
+        "INSERT INTO events (userId, type, data, createdAt) VALUES (?, ?, ?, ?)",
+        [userId, type, body, ts]
+      );
+      const event = toEvent({ id: lastID, type, data: body, createdAt: ts });
+      const hooks = (await dbAll(db, "SELECT * FROM webhooks WHERE userId = ? AND active = 1", [userId]))
+        .map(toWebhook)
+        .filter((w) => subscribes(w, type));
+      for (const hook of hooks) {
+        await dbRun(
+          db,
+          `INSERT INTO webhook_deliveries (webhookId, eventId, nextAttemptAt, updatedAt)
+           VALUES (?, ?, ?, ?)`,
+          [hook.id, lastID, ts, ts]
+        );
+      }
+      live.emit(userId, event);
+      published.push(event);
+    }
+    // deliver now rather than on the next poll
+    if (timer) setImmediate(tick);
+    return published;
+  }
+
+  /**
+   * Listens for one user's events as they are published.
+   * @param {string} userId
+   * @param {(event: DomainEvent) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  function subscribe(userId, listener) {
+    live.on(userId, listener);
+    return () => live.off(userId, listener);
+  }
+
+  /**
+   * Stored events after `since`, oldest first.
+   * @param {string} userId
+   * @param {{ since?: string | number, types?: string[], limit?: string | number }} [opts]
+   */
+  async function list(userId, { since, types, limit } = {}) {
+    const after = since == null || since === "" ? 0 : Number(since);
+    if (!Number.isInteger(after) || after < 0) throw httpError(400, "since must be an event id");
+    const unknown = (types || []).find((t) => !EVENT_TYPES.includes(t));
+    if (unknown) throw httpError(400, `Unknown event type ${unknown}`);
+    const size = Math.min(
+      Math.max(parseInt(limit || DEFAULT_REPLAY_LIMIT, 10) || DEFAULT_REPLAY_LIMIT, 1),
+      MAX_REPLAY_LIMIT
+    );
+    await ready;
+
+    const typeFilter = types?.length ? `AND type IN (${types.map(() => "?").join(",")})` : "";
+    const rows = await dbAll(
+      db,
+      `SELECT id, type, data, createdAt FROM events
+       WHERE userId = ? AND id > ? ${typeFilter}
+       ORDER BY id ASC LIMIT ?`,
+      [userId, after, ...(types || []), size + 1]
+    );
+    const events = rows.slice(0, size).map(toEvent);
+    return {
+      events,
+      lastEventId: events.length ? events[events.length - 1].id : after ? String(after) : null,
+      hasMore: rows.length > size,
+    };
+  }
+
+  /**
+   * Registers a webhook. The signing secret is only ever returned here.
+   * @param {string} userId
+   * @param {{ url?: unknown, events?: unknown }} input
+   * @returns {Promise<{ webhook: Webhook, secret: string }>}
+   */
+  async function createWebhook(userId, { url, events = ["*"] }) {
+    if (typeof url !== "string" || !url.trim()) throw httpError(400, "url required");
+    checkUrl(url.trim(), { allowlist });
+    if (!Array.isArray(events) || !events.length)
+      throw httpError(400, "events must be a non-empty array");
+    const types = [...new Set(events.map(String))];
+    const unknown = types.find((t) => t !== "*" && !EVENT_TYPES.includes(t));
+    if (unknown) throw httpError(400, `Unknown event type ${unknown}`);
+    await ready;
+
+    const { count } = await dbGet(db, "SELECT COUNT(*) AS count FROM webhooks WHERE userId = ?", [userId]);
+    if (count >= maxWebhooksPerUser)
+      throw httpError(409, `At most ${maxWebhooksPerUser} webhooks per account`, "webhook_limit");
+
+    const id = `wh_${crypto.randomBytes(12).toString("hex")}`;
+    const secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+    await dbRun(
+      db,
+      "INSERT INTO webhooks (id, userId, url, secret, events, createdAt) VALUES (?, ?, ?, ?, ?, ?)",
+      [id, userId, url.trim(), secret, JSON.stringify(types.includes("*") ? ["*"] : types), now()]
+    );
+    const row = await dbGet(db, "SELECT * FROM webhooks WHERE id = ?", [id]);
+    return { webhook: toWebhook(row), secret };
+  }
+
+  /** @param {string} userId */
+  async function listWebhooks(userId) {
+    await ready;
+    const rows = await dbAll(db, "SELECT * FROM webhooks WHERE userId = ? ORDER BY createdAt", [userId]);
+    return rows.map(toWebhook);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} id
+   * @returns {Promise<boolean>} false when the user has no such webhook
+   */
+  async function deleteWebhook(userId, id) {
+    await ready;
+    const { changes } = await dbRun(db, "DELETE FROM webhooks WHERE id = ? AND userId = ?", [id, userId]);
+    if (changes) await dbRun(db, "DELETE FROM webhook_deliveries WHERE webhookId = ?", [id]);
+    return changes > 0;
+  }
+
+  /**
+   * Switches a webhook back on (after it was disabled for failing) and
+   * clears its failure count.
+   * @param {string} userId
+   * @param {string} id
+   * @returns {Promise<Webhook | null>}
+   */
+  async function enableWebhook(userId, id) {
+    await ready;
+    const { changes } = await dbRun(
+      db,
+      "UPDATE webhooks SET active = 1, failureCount = 0 WHERE id = ? AND userId = ?",
+      [id, userId]
+    );
+    return changes ? toWebhook(await dbGet(db, "SELECT * FROM webhooks WHERE id = ?", [id])) : null;
+  }
+
+  /**
+   * Recent deliveries of one webhook, newest first.
+   * @param {string} userId
+   * @param {string} id
+   * @param {{ limit?: number }} [opts]
+   * @returns {Promise<object[] | null>} null when the user has no such webhook
+   */
+  async function listDeliveries(userId, id, { limit = 50 } = {}) {
+    await ready;
+    if (!(await dbGet(db, "SELECT 1 FROM webhooks WHERE id = ? AND userId = ?", [id, userId]))) return null;
+    const rows = await dbAll(
+      db,
+      `SELECT d.id, d.eventId, e.type, d.status, d.attempts, d.nextAttemptAt, d.lastStatus,
+              d.lastError, d.updatedAt
+       FROM webhook_deliveries d LEFT JOIN events e ON e.id = d.eventId
+       WHERE d.webhookId = ?
+       ORDER BY d.id DESC LIMIT ?`,
+      [id, limit]
+    );
+    return rows.map((r) => ({
+      id: String(r.id),
+      eventId: String(r.eventId),
+      type: r.type || null,
+      status: r.status,
+      attempts: r.attempts,
+      nextAttemptAt: r.status === "pending" ? new Date(r.nextAttemptAt).toISOString() : null,
+      lastStatus: r.lastStatus,
+      lastError: r.lastError,
+      updatedAt: new Date(r.updatedAt).toISOString(),
+    }));
+  }
+
+  function backoffDelay(attempts) {
+    const base = Math.min(backoffBaseMs * 2 ** (attempts - 1), backoffMaxMs);
+    return Math.round(base * (0.8 + Math.random() * 0.4));
+  }
+
+  // One attempt at one delivery; the outcome is recorded on the row
+  async function attempt(delivery) {
+    const ts = now();
+    const attempts = delivery.attempts + 1;
+    if (!delivery.data) {
+      // the event aged out of retention before it could be delivered
+      await dbRun(
+        db,
+        "UPDATE webhook_deliveries SET status = 'failed', lastError = ?, updatedAt = ? WHERE id = ?",
+        ["Event expired", ts, delivery.id]
+      );
+      return;
+    }
+
+    const body = JSON.stringify(toEvent({ ...delivery, id: delivery.eventId }));
+    let status = null;
+    let error = null;
+    try {
+      const res = await send(delivery.url, {
+        method: "POST",
+        body,
+        timeoutMs,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Pods-Event": delivery.type,
+          "X-Pods-Delivery": String(delivery.id),
+          "X-Pods-Signature": signPayload(delivery.secret, body, Math.floor(ts / 1000)),
+        },
+      });
+      status = res.status;
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (!error) {
+      await dbRun(
+        db,
+        `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, lastStatus = ?, lastError = NULL,
+                                      updatedAt = ?
+         WHERE id = ?`,
+        [attempts, status, ts, delivery.id]
+      );
+      await dbRun(db, "UPDATE webhooks SET failureCount = 0 WHERE id = ?", [delivery.webhookId]);
+      return;
+    }
+
+    if (attempts < maxAttempts) {
+      await dbRun(
+        db,
+        `UPDATE webhook_deliveries SET attempts = ?, nextAttemptAt = ?, lastStatus = ?, lastError = ?,
+                                      updatedAt = ?
+         WHERE id = ?`,
+        [attempts, ts + backoffDelay(attempts), status, error, ts, delivery.id]
+      );
+      return;
+    }
+
+    await dbRun(
+      db,
+      `UPDATE webhook_deliveries SET status = 'failed', attempts = ?, lastStatus = ?, lastError = ?,
+                                    updatedAt = ?
+       WHERE id = ?`,
+      [attempts, status, error, ts, delivery.id]
+    );
+    await dbRun(db, "UPDATE webhooks SET failureCount = failureCount + 1 WHERE id = ?", [delivery.webhookId]);
+    const hook = await dbGet(db, "SELECT failureCount FROM webhooks WHERE id = ?", [delivery.webhookId]);
+    if (hook && hook.failureCount >= disableAfter) {
+      await dbRun(db, "UPDATE webhooks SET active = 0 WHERE id = ?", [delivery.webhookId]);
+      await dbRun(
+        db,
+        `UPDATE webhook_deliveries SET status = 'failed', lastError = 'Webhook disabled', updatedAt = ?
+         WHERE webhookId = ? AND status = 'pending'`,
+        [ts, delivery.webhookId]
+      );
+      console.warn(`⚠️ Webhook ${delivery.webhookId} disabled after ${hook.failureCount} failed deliveries`);
+    }
+  }
+
+  // Drops events and finished deliveries past the retention window
+  async function prune() {
+    const cutoff = now() - retentionMs;
+    await dbRun(db, "DELETE FROM events WHERE createdAt < ?", [cutoff]);
+    await dbRun(db, "DELETE FROM webhook_deliveries WHERE status <> 'pending' AND updatedAt < ?", [cutoff]);
+  }
+
+  // Sends every delivery that is due; one tick at a time
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await ready;
+      if (now() - prunedAt > 60 * MINUTE) {
+        prunedAt = now();
+        await prune();
+      }
+      for (;;) {
+        const due = await dbAll(
+          db,
+          `SELECT d.id, d.webhookId, d.eventId, d.attempts, w.url, w.secret, e.type, e.data, e.createdAt
+           FROM webhook_deliveries d
+           JOIN webhooks w ON w.id = d.webhookId
+           LEFT JOIN events e ON e.id = d.eventId
+           WHERE d.status = 'pending' AND d.nextAttemptAt <= ? AND w.active = 1
+           ORDER BY d.nextAttemptAt ASC LIMIT ?`,
+          [now(), batchSize]
+        );
+        for (const delivery of due) await attempt(delivery);
+        if (due.length < batchSize) break;
+      }
+    } catch (err) {
+      console.error("Webhook delivery tick failed:", err.message);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, pollMs);
+    timer.unref();
+    console.log(`✅ Webhook deliveries scheduled every ${Math.round(pollMs / 1000)}s`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    publish,
+    subscribe,
+    list,
+    createWebhook,
+    listWebhooks,
+    deleteWebhook,
+    enableWebhook,
+    listDeliveries,
+    tick,
+    start,
+    stop,
+  };
+}
+
+module.exports = { createEventBus, signPayload, verifySignature, EVENT_TYPES };
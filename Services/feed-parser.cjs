@@ -0,0 +1,269 @@
+/**
+ * RSS parsing shared by `/episodes` and ingestion, including the
+ * Podcasting 2.0 namespace (https://podcastindex.org/namespace/1.0).
+ *
+ * @typedef {{
+ *   name: string,
+ *   role: string,
+ *   group: string,
+ *   img: string | null,
+ *   href: string | null
+ * }} Person
+ *
+ * @typedef {{ startTime: number, duration: number, title: string | null }} Soundbite
+ *
+ * @typedef {{
+ *   type: string,
+ *   method: string | null,
+ *   suggested: string | null,
+ *   recipients: Array<{
+ *     name: string | null,
+ *     type: string,
+ *     address: string,
+ *     split: number,
+ *     fee: boolean,
+ *     customKey: string | null,
+ *     customValue: string | null
+ *   }>
+ * }} ValueBlock
+ *
+ * @typedef {{
+ *   type: string,
+ *   length: number | null,
+ *   bitrate: number | null,
+ *   height: number | null,
+ *   lang: string | null,
+ *   title: string | null,
+ *   rel: string | null,
+ *   codecs: string | null,
+ *   default: boolean,
+ *   sources: Array<{ uri: string, contentType: string | null }>,
+ *   integrity: { type: string, value: string } | null
+ * }} AlternateEnclosure
+ *
+ * @typedef {{
+ *   startTime: number,
+ *   endTime: number | null,
+ *   title: string | null,
+ *   img: string | null,
+ *   url: string | null,
+ *   toc: boolean
+ * }} Chapter
+ *
+ * @typedef {{ url: string, title: string | null }} FundingLink
+ *
+ * @typedef {{
+ *   funding: FundingLink[],
+ *   value: ValueBlock | null,
+ *   persons: Person[],
+ *   categories: string[]
+ * }} ChannelExtensions
+ */
+
+const Parser = require("rss-parser");
+
+// keepArray everywhere: without it rss-parser drops the attributes of text elements
+const NS_FIELDS = [
+  ["podcast:chapters", "podcastChapters"],
+  ["podcast:transcript", "podcastTranscripts"],
+  ["podcast:person", "podcastPersons"],
+  ["podcast:season", "podcastSeason"],
+  ["podcast:episode", "podcastEpisode"],
+  ["podcast:soundbite", "podcastSoundbites"],
+  ["podcast:value", "podcastValue"],
+  ["podcast:alternateEnclosure", "podcastAlternateEnclosures"],
+].map(([tag, key]) => [tag, key, { keepArray: true }]);
+
+const parser = new Parser({
+  headers: { "User-Agent": "Mozilla/5.0 (PodsApp RSS Fetcher)" },
+  timeout: 9000,
+  customFields: {
+    feed: [
+      ["podcast:person", "podcastPersons", { keepArray: true }],
+      ["podcast:value", "podcastValue", { keepArray: true }],
+      ["podcast:funding", "podcastFunding", { keepArray: true }],
+    ],
+    item: NS_FIELDS,
+  },
+});
+
+// xml2js yields "text" for bare elements and { _: "text", $: attrs } otherwise
+const attrs = (node) => (node && typeof node === "object" && node.$) || {};
+const text = (node) => String((typeof node === "object" ? node?._ : node) ?? "").trim();
+const num = (value) => (value != null && value !== "" && Number.isFinite(Number(value)) ? Number(value) : null);
+
+function transcriptLinks(item) {
+  return (item.podcastTranscripts || [])
+    .map(attrs)
+    .filter((t) => t.url)
+    .map((t) => ({
+      url: t.url,
+      type: t.type || null,
+      language: t.language || null,
+      rel: t.rel || null,
+    }));
+}
+
+/** @returns {Person[]} */
+function persons(nodes) {
+  return (nodes || [])
+    .map((node) => {
+      const a = attrs(node);
+      return {
+        name: text(node),
+        // spec defaults: group "cast", role "host"
+        role: (a.role || "host").toLowerCase(),
+        group: (a.group || "cast").toLowerCase(),
+        img: a.img || null,
+        href: a.href || null,
+      };
+    })
+    .filter((p) => p.name);
+}
+
+/** @returns {FundingLink[]} */
+function funding(nodes) {
+  return (nodes || [])
+    .map((node) => ({ url: attrs(node).url, title: text(node) || null }))
+    .filter((f) => /^https?:\/\//i.test(f.url || ""));
+}
+
+/** @returns {ValueBlock | null} */
+function valueBlock(nodes) {
+  const node = nodes?.[0];
+  const a = attrs(node);
+  if (!a.type) return null;
+  const recipients = (node["podcast:valueRecipient"] || [])
+    .map(attrs)
+    .filter((r) => r.address && r.type)
+    .map((r) => ({
+      name: r.name || null,
+      type: r.type,
+      address: r.address,
+      split: num(r.split) ?? 0,
+      fee: r.fee === "true",
+      customKey: r.customKey || null,
+      customValue: r.customValue || null,
+    }));
+  return { type: a.type, method: a.method || null, suggested: a.suggested || null, recipients };
+}
+
+/** @returns {AlternateEnclosure[]} */
+function alternateEnclosures(nodes) {
+  return (nodes || [])
+    .map((node) => {
+      const a = attrs(node);
+      const integrity = attrs(node["podcast:integrity"]?.[0]);
+      return {
+        type: a.type || null,
+        length: num(a.length),
+        bitrate: num(a.bitrate),
+        height: num(a.height),
+        lang: a.lang || null,
+        title: a.title || null,
+        rel: a.rel || null,
+        codecs: a.codecs || null,
+        default: a.default === "true",
+        sources: (node["podcast:source"] || [])
+          .map(attrs)
+          .filter((s) => s.uri)
+          .map((s) => ({ uri: s.uri, contentType: s.contentType || null })),
+        integrity: integrity.type && integrity.value ? { type: integrity.type, value: integrity.value } : null,
+      };
+    })
+    .filter((e) => e.type && e.sources.length);
+}
+
+/** @returns {Soundbite[]} */
+function soundbites(nodes) {
+  return (nodes || [])
+    .map((node) => {
+      const a = attrs(node);
+      return { startTime: num(a.startTime), duration: num(a.duration), title: text(node) || null };
+    })
+    .filter((s) => s.startTime != null && s.duration != null);
+}
+
+/**
+ * Maps an rss-parser item to the episode shape served by `/episodes`.
+ * Every Podcasting 2.0 field is always present (null or []), so clients can
+ * rely on the shape whether or not a feed uses the namespace.
+ * @param {Record<string, any>} item
+ * @param {Record<string, any>} feed
+ */
+function normalizeEpisode(item, feed) {
+  const season = item.podcastSeason?.[0];
+  const episode = item.podcastEpisode?.[0];
+  const chapters = attrs(item.podcastChapters?.[0]);
+  const itemPersons = persons(item.podcastPersons);
+
+  return {
+    guid: item.guid || null,
+    title: item.title || "Untitled Episode",
+    description: item.contentSnippet || item.content || "",
+    pubDate: item.pubDate || null,
+    link: item.link || null,
+    mediaUrl: item.enclosure?.url || null,
+    mediaType: item.enclosure?.type || null,
+    image: item.itunes?.image || feed.itunes?.image || feed.image?.url || null,
+    duration: item.itunes?.duration || null,
+    season: num(text(season)) != null ? { number: num(text(season)), name: attrs(season).name || null } : null,
+    episode: num(text(episode)) != null ? { number: num(text(episode)), display: attrs(episode).display || null } : null,
+    chapters: chapters.url ? { url: chapters.url, type: chapters.type || null } : null,
+    transcripts: transcriptLinks(item),
+    // item-level tags replace the channel's, per the namespace spec
+    persons: itemPersons.length ? itemPersons : persons(feed.podcastPersons),
+    soundbites: soundbites(item.podcastSoundbites),
+    value: valueBlock(item.podcastValue) || valueBlock(feed.podcastValue),
+    alternateEnclosures: alternateEnclosures(item.podcastAlternateEnclosures),
+  };
+}
+
+/**
+ * Channel-level fields kept on the feed row: funding links, the value block,
+ * persons and iTunes categories (subcategories included, as written).
+ * @param {Record<string, any>} feed
+ * @returns {ChannelExtensions}
+ */
+function normalizeChannel(feed) {
+  const categories = (feed.itunes?.categoriesWithSubs || []).flatMap((c) => [
+    c.name,
+    ...(c.subs || []).map((sub) => sub.name),
+  ]);
+  return {
+    funding: funding(feed.podcastFunding),
+    value: valueBlock(feed.podcastValue),
+    persons: persons(feed.podcastPersons),
+    categories: [...new Set(categories.filter(Boolean))],
+  };
+}
+
+/**
+ * Normalizes a JSON chapters document (podcast:chapters, version 1.x).
+ * @param {unknown} doc parsed JSON
+ * @returns {Chapter[]}
+ */
+function normalizeChapters(doc) {
+  const list = Array.isArray(doc) ? doc : doc?.chapters;
+  if (!Array.isArray(list)) throw new Error("Chapters document has no chapters array");
+  const chapters = list
+    .filter((c) => c && num(c.startTime) != null)
+    .map((c) => ({
+      startTime: num(c.startTime),
+      endTime: num(c.endTime),
+      title: c.title ? String(c.title) : null,
+      img: c.img ? String(c.img) : null,
+      url: c.url ? String(c.url) : null,
+      toc: c.toc !== false,
+    }))
+    .sort((a, b) => a.startTime - b.startTime);
+  // open-ended chapters run until the next table-of-contents chapter starts
+  chapters.forEach((c, i) => {
+    if (c.endTime != null) return;
+    const next = chapters.slice(i + 1).find((n) => n.toc && n.startTime > c.startTime);
+    c.endTime = next ? next.startTime : null;
+  });
+  return chapters;
+}
+
+module.exports = { parser, normalizeEpisode, normalizeChannel, normalizeChapters };
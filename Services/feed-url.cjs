@@ -0,0 +1,34 @@
+const crypto = require("crypto");
+
+/**
+ * Canonical form of a feed URL used for de-duplication: scheme, "www.",
+ * default ports, trailing slashes and fragments are ignored.
+ * @param {string | null | undefined} url
+ * @returns {string | null}
+ */
+function normalizeFeedUrl(url) {
+  if (!url || typeof url !== "string") return null;
+  try {
+    const u = new URL(url.trim());
+    const host = u.hostname.toLowerCase().replace(/^www\./, "");
+    const port = u.port && !["80", "443"].includes(u.port) ? `:${u.port}` : "";
+    const pathname = u.pathname.replace(/\/+$/, "");
+    return `${host}${port}${pathname}${u.search}`;
+  } catch {
+    return url.trim().toLowerCase().replace(/^https?:\/\/(www\.)?/, "").replace(/\/+$/, "");
+  }
+}
+
+/**
+ * Public id of an episode: derived from its feed and GUID rather than the
+ * row id, so shared links keep working when the store is rebuilt or the
+ * episode is re-ingested.
+ * @param {string} urlKey normalized feed URL (normalizeFeedUrl)
+ * @param {string} guid the item GUID, or its enclosure URL when it has none
+ */
+function stableEpisodeId(urlKey, guid) {
+  const hash = crypto.createHash("sha256").update(`${urlKey}\n${guid}`).digest("base64url");
+  return `ep_${hash.slice(0, 22)}`;
+}
+
+module.exports = { normalizeFeedUrl, stableEpisodeId };
@@ -0,0 +1,143 @@
+/**
+ * Home feed composer. The home screen is a list of shelves, each filled from
+ * PodcastIndex trending or a category page. Which shelves appear, in what
+ * order, and for which languages or regions is configuration: HOME_SHELVES
+ * as JSON, or a JSON file named by HOME_SHELVES_FILE.
+ *
+ *   [{ "id": "cricket", "title": "Cricket", "category": "cricket",
+ *      "sort": "trending", "limit": 10, "regions": ["IN", "GB", "AU"] }]
+ *
+ * A shelf without `category` is overall trending. A shelf with `languages`
+ * or `regions` only appears when the request matches one of them.
+ */
+
+const fs = require("fs");
+const { z } = require("zod");
+const { findCategory } = require("./categories.cjs");
+const { withLanguageFallback } = require("./locale.cjs");
+
+const ShelfSchema = z
+  .object({
+    id: z
+      .string()
+      .regex(/^[a-z0-9_-]{1,40}$/i, "id must be 1-40 letters, digits, - or _")
+      .refine((id) => id !== "shelves", 'id "shelves" is reserved'),
+    title: z.string().min(1).max(80),
+    category: z.string().refine((c) => findCategory(c), "unknown category").optional(),
+    sort: z.enum(["popular", "newest", "trending"]).default("trending"),
+    limit: z.number().int().min(1).max(50).default(10),
+    languages: z.array(z.string().min(2).transform((l) => l.toLowerCase())).min(1).optional(),
+    regions: z.array(z.string().length(2).transform((r) => r.toUpperCase())).min(1).optional(),
+  })
+  .strict();
+
+const ShelvesSchema = z
+  .array(ShelfSchema)
+  .min(1)
+  .max(30)
+  .refine((shelves) => new Set(shelves.map((s) => s.id)).size === shelves.length, "shelf ids must be unique");
+
+/** @typedef {z.infer<typeof ShelfSchema>} Shelf */
+
+// The home feed before it was configurable; ids are the response keys clients read
+const DEFAULT_SHELVES = [
+  { id: "trending", title: "Trending" },
+  { id: "technology", title: "Technology", category: "technology" },
+  { id: "lifestyle", title: "Lifestyle", category: "leisure" },
+  { id: "sports", title: "Sports", category: "sports" },
+];
+
+/**
+ * Reads and validates the shelf configuration; a bad config throws so the
+ * server refuses to start rather than serving a broken home screen.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {Shelf[]}
+ */
+function loadShelves(env) {
+  let raw = DEFAULT_SHELVES;
+  let source = "defaults";
+  try {
+    if (env.HOME_SHELVES) {
+      source = "HOME_SHELVES";
+      raw = JSON.parse(env.HOME_SHELVES);
+    } else if (env.HOME_SHELVES_FILE) {
+      source = env.HOME_SHELVES_FILE;
+      raw = JSON.parse(fs.readFileSync(env.HOME_SHELVES_FILE, "utf8"));
+    }
+  } catch (err) {
+    throw new Error(`Cannot read home shelves from ${source}: ${err.message}`);
+  }
+  const parsed = ShelvesSchema.safeParse(raw);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`Invalid home shelves in ${source}: ${issue.path.join(".") || "config"} ${issue.message}`);
+  }
+  return parsed.data;
+}
+
+/**
+ * @param {Shelf} shelf
+ * @param {{ lang?: string | null, region?: string | null }} locale
+ */
+function shelfApplies(shelf, { lang, region }) {
+  const base = lang ? lang.toLowerCase().split(/[-_]/)[0] : null;
+  if (shelf.languages && !(lang && (shelf.languages.includes(lang.toLowerCase()) || shelf.languages.includes(base))))
+    return false;
+  if (shelf.regions && !(region && shelf.regions.includes(region.toUpperCase()))) return false;
+  return true;
+}
+
+/**
+ * @param {{
+ *   shelves: Shelf[],
+ *   categories: ReturnType<import("./categories.cjs")["createCategoryService"]>,
+ *   podcastIndex: ReturnType<import("./podcastindex.cjs")["createPodcastIndexClient"]>,
+ *   decorate?: (feeds: any[]) => Promise<any[]>
+ * }} deps decorate runs on each shelf's feeds (e.g. attachRatings)
+ */
+function createHomeFeed({ shelves, categories, podcastIndex, decorate = async (feeds) => feeds }) {
+  async function fill(shelf, lang, langFallback) {
+    if (!shelf.category) {
+      const { result } = await withLanguageFallback(
+        (l) => podcastIndex.trending({ max: shelf.limit, lang: l || undefined }),
+        { lang, langFallback }
+      );
+      return result.feeds;
+    }
+    const page = await categories.page(shelf.category, { sort: shelf.sort, limit: shelf.limit, lang, langFallback });
+    return page.feeds;
+  }
+
+  /**
+   * Builds the shelves that apply to a language and region. A shelf that
+   * fails to load is left out; the request only fails when every shelf does.
+   * @param {{ lang?: string | null, region?: string | null, langFallback?: boolean }} [locale]
+   * @returns {Promise<Record<string, any>>} `shelves` (order and titles) plus
+   *   each shelf's feeds under its id
+   */
+  async function compose({ lang = null, region = null, langFallback = false } = {}) {
+    const active = shelves.filter((s) => shelfApplies(s, { lang, region }));
+    const results = await Promise.allSettled(
+      active.map(async (s) => decorate(await fill(s, lang, langFallback)))
+    );
+
+    const out = { shelves: [] };
+    let firstError = null;
+    results.forEach((result, i) => {
+      const shelf = active[i];
+      if (result.status === "rejected") {
+        console.warn(`⚠️ Home shelf "${shelf.id}" failed:`, result.reason.message);
+        firstError ||= result.reason;
+        return;
+      }
+      out.shelves.push({ id: shelf.id, title: shelf.title, category: shelf.category || null, sort: shelf.sort });
+      out[shelf.id] = result.value;
+    });
+    if (firstError && !out.shelves.length) throw firstError;
+    return out;
+  }
+
+  return { compose, shelves };
+}
+
+module.exports = { createHomeFeed, loadShelves, shelfApplies, DEFAULT_SHELVES };
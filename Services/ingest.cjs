@@ -0,0 +1,727 @@
+/**
+ * Feed ingestion: keeps a registry of RSS feeds in SQLite, refreshes them on
+ * a schedule with conditional GETs, and upserts their episodes by GUID.
+ * Podcasting 2.0 transcripts and chapters linked from new or changed episodes
+ * are fetched too: transcripts are stored as timed, full-text indexed
+ * segments and chapters as normalized JSON.
+ *
+ * @typedef {{
+ *   id: number,
+ *   url: string,
+ *   urlKey: string,
+ *   podcastId: string | null,
+ *   title: string | null,
+ *   author: string | null,
+ *   imageUrl: string | null,
+ *   extensions: string | null,
+ *   etag: string | null,
+ *   lastModified: string | null,
+ *   lastSuccessAt: number | null,
+ *   lastRequestedAt: number | null,
+ *   nextFetchAt: number,
+ *   failureCount: number,
+ *   lastError: string | null
+ * }} FeedRow
+ *
+ * @typedef {(url: string, headers: Record<string, string>) => Promise<{
+ *   status: number,
+ *   headers: Record<string, string | undefined>,
+ *   body: string
+ * }>} FeedFetcher
+ */
+
+const {
+  parser: defaultParser,
+  normalizeEpisode,
+  normalizeChannel,
+  normalizeChapters,
+} = require("./feed-parser.cjs");
+const { normalizeFeedUrl, stableEpisodeId } = require("./feed-url.cjs");
+const { pickTranscript, parseTranscript } = require("./transcripts.cjs");
+const { dbAll, dbGet, dbRun, withTransaction } = require("./sqlite.cjs");
+const { createSafeFetcher } = require("./safe-fetch.cjs");
+const { checkUrl } = require("./net-guard.cjs");
+
+const MINUTE = 60_000;
+const DAY = 24 * 60 * MINUTE;
+// Idle feeds checked against followers per round trip
+const FOLLOW_CHECK_BATCH = 500;
+
+// Namespace fields kept in episodes.extensions, in response order
+const EXTENSION_FIELDS = [
+  "season",
+  "episode",
+  "chapters",
+  "transcripts",
+  "persons",
+  "soundbites",
+  "value",
+  "alternateEnclosures",
+];
+
+/**
+ * Builds the stable `/episodes` shape from an episodes row (plus the
+ * fetched chapter list when joined in as `chapterList`).
+ */
+function episodeFromRow({ extensions, chapterList, ...row }) {
+  const ext = extensions ? JSON.parse(extensions) : {};
+  return {
+    ...row,
+    id: String(row.id),
+    season: ext.season ?? null,
+    episode: ext.episode ?? null,
+    chapters: ext.chapters
+      ? { ...ext.chapters, items: chapterList ? JSON.parse(chapterList) : null }
+      : null,
+    transcripts: ext.transcripts || [],
+    persons: ext.persons || [],
+    soundbites: ext.soundbites || [],
+    value: ext.value ?? null,
+    alternateEnclosures: ext.alternateEnclosures || [],
+  };
+}
+
+/**
+ * Channel-level fields stored on a feed row by its last refresh.
+ * @param {FeedRow} feed
+ * @returns {import("./feed-parser.cjs").ChannelExtensions}
+ */
+function feedExtensions(feed) {
+  const ext = feed?.extensions ? JSON.parse(feed.extensions) : {};
+  return {
+    funding: ext.funding || [],
+    value: ext.value ?? null,
+    persons: ext.persons || [],
+    categories: ext.categories || [],
+  };
+}
+
+const safeFetch = createSafeFetcher();
+
+/** @type {FeedFetcher} */
+function defaultFetcher(url, headers) {
+  return safeFetch.fetchText(url, { headers });
+}
+
+/**
+ * Tables come from the SQLite migrations (Migrations/003-005); `ready` is the
+ * promise that resolves once they have run.
+ *
+ * Feeds are refreshed on schedule while someone uses them: a feed nobody
+ * requested (registerFeed / markRequested) for `idleAfterMs` is kept only if
+ * `followedFeeds` says it has followers, and otherwise drops out of the
+ * schedule until it is requested again. Idle feeds that never fetched are
+ * removed.
+ *
+ * @param {{
+ *   db: import("sqlite3").Database,
+ *   ready?: Promise<unknown>,
+ *   fetcher?: FeedFetcher,
+ *   parser?: { parseString: (xml: string) => Promise<any> },
+ *   refreshMs?: number,
+ *   pollMs?: number,
+ *   backoffBaseMs?: number,
+ *   backoffMaxMs?: number,
+ *   batchSize?: number,
+ *   documentBatch?: number,
+ *   idleAfterMs?: number,
+ *   lookupPodcastId?: (url: string) => Promise<string | number | null>,
+ *   followedFeeds?: (urlKeys: string[]) => Promise<Set<string>>,
+ *   onUpdated?: (feed: FeedRow, result: { episodes: number, added: object[] }) => void,
+ *   onFailed?: (feed: FeedRow, result: { failures: number, error: string }) => void,
+ *   now?: () => number
+ * }} deps `lookupPodcastId` finds a new feed's PodcastIndex id when the
+ *   caller does not know it; `followedFeeds` returns the subset of urlKeys
+ *   with followers, and the default treats every feed as followed, so
+ *   nothing expires
+ */
+function createIngestService(deps) {
+  const {
+    db,
+    ready = Promise.resolve(),
+    fetcher = defaultFetcher,
+    parser = defaultParser,
+    refreshMs = 30 * MINUTE,
+    pollMs = MINUTE,
+    backoffBaseMs = 5 * MINUTE,
+    backoffMaxMs = 24 * 60 * MINUTE,
+    batchSize = 10,
+    documentBatch = 5,
+    idleAfterMs = 14 * DAY,
+    lookupPodcastId = async () => null,
+    followedFeeds = async (urlKeys) => new Set(urlKeys),
+    onUpdated = () => {},
+    onFailed = () => {},
+    now = Date.now,
+  } = deps;
+
+  let timer = null;
+  let ticking = false;
+  let sweptAt = 0;
+  // feed id -> refresh in progress, shared by overlapping callers
+  const refreshing = new Map();
+
+  /** @returns {Promise<FeedRow | undefined>} */
+  async function findFeedByUrl(url) {
+    await ready;
+    return dbGet(db, "SELECT * FROM feeds WHERE urlKey = ?", [normalizeFeedUrl(url)]);
+  }
+
+  /** @returns {Promise<FeedRow | undefined>} */
+  async function getFeed(id) {
+    await ready;
+    return dbGet(db, "SELECT * FROM feeds WHERE id = ?", [id]);
+  }
+
+  /**
+   * Adds a feed to the registry (no-op if already known, apart from counting
+   * as a request) and returns its row. URLs the safe fetcher would refuse are
+   * rejected here, before a row exists. `podcastId` must come from the
+   * directory, not from a client; without it a new feed is looked up.
+   * @param {string} url
+   * @param {{ podcastId?: string | number }} [opts]
+   * @returns {Promise<FeedRow>}
+   */
+  async function registerFeed(url, opts = {}) {
+    await ready;
+    checkUrl(url);
+    const urlKey = normalizeFeedUrl(url);
+    if (!urlKey) throw new Error("Invalid feed URL");
+    let podcastId = opts.podcastId;
+    if (podcastId == null && !(await dbGet(db, "SELECT 1 FROM feeds WHERE urlKey = ?", [urlKey]))) {
+      podcastId = await lookupPodcastId(url).catch((err) => {
+        console.warn(`⚠️ Directory lookup failed for ${url}:`, err.message);
+        return null;
+      });
+    }
+    await dbRun(
+      db,
+      `INSERT INTO feeds (url, urlKey, podcastId, nextFetchAt, lastRequestedAt, createdAt)
+       VALUES (?, ?, ?, 0, ?, ?)
+       ON CONFLICT(urlKey) DO UPDATE SET
+         podcastId = COALESCE(feeds.podcastId, excluded.podcastId),
+         lastRequestedAt = excluded.lastRequestedAt`,
+      [url, urlKey, podcastId != null ? String(podcastId) : null, now(), now()]
+    );
+    return dbGet(db, "SELECT * FROM feeds WHERE urlKey = ?", [urlKey]);
+  }
+
+  // Keeps a feed on the refresh schedule (see expireIdleFeeds)
+  async function markRequested(id) {
+    await ready;
+    await dbRun(db, "UPDATE feeds SET lastRequestedAt = ? WHERE id = ?", [now(), id]);
+  }
+
+  // Drops a feed that never fetched successfully (e.g. a dead OPML entry)
+  async function removeUnusedFeed(id) {
+    await ready;
+    await dbRun(db, "DELETE FROM feeds WHERE id = ? AND lastSuccessAt IS NULL", [id]);
+  }
+
+  /**
+   * Registers a feed and makes sure it has fetched and parsed at least once;
+   * a feed that fails its first fetch is removed again and the error thrown.
+   * @param {string} url
+   * @returns {Promise<FeedRow>}
+   */
+  async function validateFeed(url) {
+    const feed = await registerFeed(url);
+    if (feed.lastSuccessAt) return feed;
+    try {
+      await refreshFeed(feed.id);
+    } catch (err) {
+      await removeUnusedFeed(feed.id);
+      throw err;
+    }
+    return getFeed(feed.id);
+  }
+
+  // Returns how many episodes were written and which of them are new
+  function upsertEpisodes(feed, episodes) {
+    return withTransaction(db, async () => {
+      const ts = now();
+      let upserted = 0;
+      const added = [];
+      const known = new Set(
+        (await dbAll(db, "SELECT guid FROM episodes WHERE feedId = ?", [feed.id])).map((r) => r.guid)
+      );
+      for (const ep of episodes) {
+        const guid = ep.guid || ep.mediaUrl;
+        const stableId = stableEpisodeId(feed.urlKey, guid);
+        const publishedAt = ep.pubDate ? Date.parse(ep.pubDate) || null : null;
+        await dbRun(
+          db,
+          `INSERT INTO episodes (feedId, podcastId, guid, stableId, title, description, link,
+                                 pubDate, publishedAt, imageUrl, mediaUrl, mediaType,
+                                 duration, seasonNumber, episodeNumber, extensions, updatedAt)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT(feedId, guid) DO UPDATE SET
+             stableId = COALESCE(episodes.stableId, excluded.stableId),
+             podcastId = COALESCE(excluded.podcastId, episodes.podcastId),
+             title = excluded.title, description = excluded.description,
+             link = excluded.link, pubDate = excluded.pubDate,
+             publishedAt = excluded.publishedAt, imageUrl = excluded.imageUrl,
+             mediaUrl = excluded.mediaUrl, mediaType = excluded.mediaType,
+             duration = excluded.duration, seasonNumber = excluded.seasonNumber,
+             episodeNumber = excluded.episodeNumber, extensions = excluded.extensions,
+             updatedAt = excluded.updatedAt`,
+          [
+            feed.id,
+            // null until the feed is matched to a PodcastIndex id
+            feed.podcastId || null,
+            guid,
+            stableId,
+            ep.title,
+            ep.description,
+            ep.link,
+            ep.pubDate,
+            publishedAt,
+            ep.image,
+            ep.mediaUrl,
+            ep.mediaType,
+            ep.duration != null ? String(ep.duration) : null,
+            ep.season?.number ?? null,
+            ep.episode?.number ?? null,
+            JSON.stringify(Object.fromEntries(EXTENSION_FIELDS.map((k) => [k, ep[k]]))),
+            ts,
+          ]
+        );
+        upserted++;
+        if (!known.has(guid)) {
+          known.add(guid);
+          added.push({ ...ep, guid, stableId, publishedAt });
+        }
+      }
+      return { count: upserted, added };
+    });
+  }
+
+  /**
+   * Downloads one transcript and replaces the episode's stored segments.
+   * @param {number} episodeId
+   * @param {NonNullable<ReturnType<typeof pickTranscript>>} link
+   */
+  async function fetchTranscript(episodeId, link) {
+    const ts = now();
+    let segments;
+    try {
+      const res = await fetcher(link.url, {
+        Accept: "application/json, text/vtt, application/x-subrip;q=0.9, */*;q=0.5",
+      });
+      segments = parseTranscript(res.body, link.format);
+    } catch (err) {
+      await dbRun(
+        db,
+        `INSERT INTO transcripts (episodeId, url, format, language, status, error, fetchedAt)
+         VALUES (?, ?, ?, ?, 'failed', ?, ?)
+         ON CONFLICT(episodeId) DO UPDATE SET
+           url = excluded.url, status = 'failed', error = excluded.error, fetchedAt = excluded.fetchedAt`,
+        [episodeId, link.url, link.format, link.language, err.message, ts]
+      );
+      throw err;
+    }
+
+    await withTransaction(db, async () => {
+      await dbRun(db, "DELETE FROM transcript_segments WHERE episodeId = ?", [episodeId]);
+      for (const seg of segments) {
+        await dbRun(
+          db,
+          `INSERT INTO transcript_segments (episodeId, startSec, endSec, speaker, text)
+           VALUES (?, ?, ?, ?, ?)`,
+          [episodeId, seg.startSec, seg.endSec, seg.speaker, seg.text]
+        );
+      }
+      await dbRun(
+        db,
+        `INSERT INTO transcripts (episodeId, url, format, language, status, segmentCount, fetchedAt)
+         VALUES (?, ?, ?, ?, 'ok', ?, ?)
+         ON CONFLICT(episodeId) DO UPDATE SET
+           url = excluded.url, format = excluded.format, language = excluded.language,
+           status = 'ok', error = NULL, segmentCount = excluded.segmentCount,
+           fetchedAt = excluded.fetchedAt`,
+        [episodeId, link.url, link.format, link.language, segments.length, ts]
+      );
+    });
+    return segments.length;
+  }
+
+  /**
+   * Downloads and normalizes one chapters document.
+   * @param {number} episodeId
+   * @param {{ url: string }} link
+   */
+  async function fetchChapters(episodeId, link) {
+    const ts = now();
+    try {
+      const res = await fetcher(link.url, { Accept: "application/json+chapters, application/json" });
+      const chapters = normalizeChapters(typeof res.body === "string" ? JSON.parse(res.body) : res.body);
+      await dbRun(
+        db,
+        `INSERT INTO chapters (episodeId, url, status, chapters, fetchedAt)
+         VALUES (?, ?, 'ok', ?, ?)
+         ON CONFLICT(episodeId) DO UPDATE SET
+           url = excluded.url, status = 'ok', error = NULL,
+           chapters = excluded.chapters, fetchedAt = excluded.fetchedAt`,
+        [episodeId, link.url, JSON.stringify(chapters), ts]
+      );
+      return chapters.length;
+    } catch (err) {
+      await dbRun(
+        db,
+        `INSERT INTO chapters (episodeId, url, status, error, fetchedAt)
+         VALUES (?, ?, 'failed', ?, ?)
+         ON CONFLICT(episodeId) DO UPDATE SET
+           url = excluded.url, status = 'failed', error = excluded.error, fetchedAt = excluded.fetchedAt`,
+        [episodeId, link.url, err.message, ts]
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Episodes whose linked document is new, changed, or failed over a day ago;
+   * newest episodes first, at most `documentBatch` per refresh.
+   * @param {FeedRow} feed
+   * @param {"transcripts" | "chapters"} table
+   * @param {Map<string, { url: string }>} links by episode guid
+   */
+  async function dueDocuments(feed, table, links) {
+    if (!links.size) return [];
+    const rows = await dbAll(
+      db,
+      `SELECT e.id, e.guid, d.url, d.status, d.fetchedAt
+       FROM episodes e LEFT JOIN ${table} d ON d.episodeId = e.id
+       WHERE e.feedId = ?
+       ORDER BY e.publishedAt DESC`,
+      [feed.id]
+    );
+    return rows
+      .filter((r) => {
+        const link = links.get(r.guid);
+        if (!link) return false;
+        if (r.url !== link.url) return true;
+        return r.status === "failed" && now() - r.fetchedAt > backoffMaxMs;
+      })
+      .slice(0, documentBatch)
+      .map((r) => ({ episodeId: r.id, link: links.get(r.guid) }));
+  }
+
+  // Transcripts and chapters linked from the feed's episodes
+  async function syncDocuments(feed, episodes) {
+    const transcripts = new Map();
+    const chapters = new Map();
+    for (const ep of episodes) {
+      const guid = ep.guid || ep.mediaUrl;
+      const transcript = pickTranscript(ep.transcripts);
+      if (transcript) transcripts.set(guid, transcript);
+      if (ep.chapters) chapters.set(guid, ep.chapters);
+    }
+
+    for (const { episodeId, link } of await dueDocuments(feed, "transcripts", transcripts)) {
+      try {
+        const count = await fetchTranscript(episodeId, link);
+        console.log(`✓ Transcript stored for episode ${episodeId} (${count} segments)`);
+      } catch (err) {
+        console.warn(`⚠️ Transcript fetch failed ${link.url}:`, err.message);
+      }
+    }
+    for (const { episodeId, link } of await dueDocuments(feed, "chapters", chapters)) {
+      try {
+        const count = await fetchChapters(episodeId, link);
+        console.log(`✓ Chapters stored for episode ${episodeId} (${count})`);
+      } catch (err) {
+        console.warn(`⚠️ Chapters fetch failed ${link.url}:`, err.message);
+      }
+    }
+  }
+
+  function backoffDelay(failureCount) {
+    return Math.min(backoffBaseMs * 2 ** (failureCount - 1), backoffMaxMs);
+  }
+
+  /**
+   * Fetches one feed with a conditional GET and stores its episodes.
+   * Failures are recorded on the feed row and rethrown. Callers that ask
+   * while the feed is already being refreshed share that refresh.
+   * @param {number} feedId
+   * @returns {Promise<{ status: "updated" | "not-modified", episodes: number }>}
+   */
+  function refreshFeed(feedId) {
+    const key = String(feedId);
+    if (!refreshing.has(key)) refreshing.set(key, fetchAndStore(feedId).finally(() => refreshing.delete(key)));
+    return refreshing.get(key);
+  }
+
+  async function fetchAndStore(feedId) {
+    const feed = await getFeed(feedId);
+    if (!feed) throw new Error(`Unknown feed ${feedId}`);
+
+    const headers = { Accept: "application/rss+xml, application/xml;q=0.9, */*;q=0.8" };
+    if (feed.etag) headers["If-None-Match"] = feed.etag;
+    if (feed.lastModified) headers["If-Modified-Since"] = feed.lastModified;
+
+    const ts = now();
+    try {
+      const res = await fetcher(feed.url, headers);
+
+      if (res.status === 304) {
+        await dbRun(
+          db,
+          `UPDATE feeds SET lastFetchedAt = ?, lastSuccessAt = ?, nextFetchAt = ?,
+                            failureCount = 0, lastError = NULL
+           WHERE id = ?`,
+          [ts, ts, ts + refreshMs, feed.id]
+        );
+        return { status: "not-modified", episodes: 0 };
+      }
+
+      const parsed = await parser.parseString(res.body);
+      const episodes = (parsed.items || [])
+        .map((item) => normalizeEpisode(item, parsed))
+        .filter((ep) => ep.mediaUrl);
+      const { count, added } = await upsertEpisodes(feed, episodes);
+      await dbRun(
+        db,
+        `UPDATE feeds SET title = ?, author = ?, imageUrl = ?, extensions = ?, etag = ?,
+                          lastModified = ?, lastFetchedAt = ?, lastSuccessAt = ?, nextFetchAt = ?,
+                          failureCount = 0, lastError = NULL
+         WHERE id = ?`,
+        [
+          parsed.title || null,
+          parsed.itunes?.author || null,
+          parsed.itunes?.image || parsed.image?.url || null,
+          JSON.stringify(normalizeChannel(parsed)),
+          res.headers.etag || null,
+          res.headers["last-modified"] || null,
+          ts,
+          ts,
+          ts + refreshMs,
+          feed.id,
+        ]
+      );
+      console.log(`✓ Ingested ${count} episodes from ${feed.url}`);
+      try {
+        // a feed's first fetch is its back catalogue, not new episodes
+        onUpdated(feed, { episodes: count, added: feed.lastSuccessAt ? added : [] });
+      } catch (err) {
+        console.warn(`⚠️ Feed update hook failed ${feed.url}:`, err.message);
+      }
+      // transcript/chapter problems never fail the feed itself
+      await syncDocuments(feed, episodes).catch((err) =>
+        console.warn(`⚠️ Transcript/chapter sync failed ${feed.url}:`, err.message)
+      );
+      return { status: "updated", episodes: count };
+    } catch (err) {
+      const failures = feed.failureCount + 1;
+      await dbRun(
+        db,
+        `UPDATE feeds SET lastFetchedAt = ?, nextFetchAt = ?, failureCount = ?, lastError = ?
+         WHERE id = ?`,
+        [ts, ts + backoffDelay(failures), failures, err.message, feed.id]
+      );
+      console.warn(`⚠️ Feed refresh failed (${failures}x) ${feed.url}:`, err.message);
+      try {
+        onFailed(feed, { failures, error: err.message });
+      } catch (hookErr) {
+        console.warn(`⚠️ Feed failure hook failed ${feed.url}:`, hookErr.message);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @param {number} feedId
+   * @param {{ limit?: number }} [opts]
+   */
+  async function listEpisodes(feedId, { limit = 200 } = {}) {
+    await ready;
+    const rows = await dbAll(
+      db,
+      `SELECT e.id, e.stableId, e.guid, e.title, e.description, e.pubDate, e.publishedAt, e.link,
+              e.mediaUrl, e.mediaType, e.imageUrl AS image, e.duration, e.extensions,
+              c.chapters AS chapterList
+       FROM episodes e
+       LEFT JOIN chapters c ON c.episodeId = e.id AND c.status = 'ok'
+       WHERE e.feedId = ?
+       ORDER BY e.publishedAt DESC, e.id DESC
+       LIMIT ?`,
+      [feedId, limit]
+    );
+    return rows.map(episodeFromRow);
+  }
+
+  /**
+   * Newest episodes across several feeds, each bounded by its own start time.
+   * `before` continues from an episode of an earlier call, in the same order.
+   * @param {Array<{ feedId: number, since: number }>} ranges
+   * @param {{ limit?: number, before?: { publishedAt: number, id: string | number } | null }} [opts]
+   */
+  async function listEpisodesSince(ranges, { limit = 200, before = null } = {}) {
+    await ready;
+    if (!ranges.length) return [];
+    const params = ranges.flatMap((r) => [r.feedId, r.since]);
+    let where = `(${ranges.map(() => "(e.feedId = ? AND e.publishedAt >= ?)").join(" OR ")})`;
+    if (before) {
+      where += " AND (e.publishedAt < ? OR (e.publishedAt = ? AND e.id < ?))";
+      params.push(before.publishedAt, before.publishedAt, Number(before.id));
+    }
+    const rows = await dbAll(
+      db,
+      `SELECT e.id, e.stableId, e.feedId, e.podcastId, e.guid, e.title, e.description, e.pubDate,
+              e.publishedAt, e.link, e.mediaUrl, e.mediaType,
+              COALESCE(e.imageUrl, f.imageUrl) AS image, e.duration, e.extensions,
+              c.chapters AS chapterList, f.title AS podcastTitle, f.url AS feedUrl
+       FROM episodes e
+       JOIN feeds f ON f.id = e.feedId
+       LEFT JOIN chapters c ON c.episodeId = e.id AND c.status = 'ok'
+       WHERE ${where}
+       ORDER BY e.publishedAt DESC, e.id DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(episodeFromRow);
+  }
+
+  /**
+   * Episodes by id, in the order asked for; unknown ids are skipped.
+   * @param {Array<string | number>} ids
+   */
+  async function getEpisodes(ids) {
+    await ready;
+    if (!ids.length) return [];
+    const rows = await dbAll(
+      db,
+      `SELECT e.id, e.stableId, e.feedId, e.podcastId, e.guid, e.title, e.description, e.pubDate,
+              e.publishedAt, e.link, e.mediaUrl, e.mediaType,
+              COALESCE(e.imageUrl, f.imageUrl) AS image, e.duration, e.extensions,
+              c.chapters AS chapterList, f.title AS podcastTitle, f.url AS feedUrl
+       FROM episodes e
+       LEFT JOIN feeds f ON f.id = e.feedId
+       LEFT JOIN chapters c ON c.episodeId = e.id AND c.status = 'ok'
+       WHERE e.id IN (${ids.map(() => "?").join(",")})`,
+      ids.map(Number)
+    );
+    const byId = new Map(rows.map((r) => [String(r.id), episodeFromRow(r)]));
+    return ids.map((id) => byId.get(String(id))).filter(Boolean);
+  }
+
+  /**
+   * @param {string} stableId public episode id (stableEpisodeId)
+   */
+  async function getEpisodeByStableId(stableId) {
+    await ready;
+    const row = await dbGet(db, "SELECT id FROM episodes WHERE stableId = ?", [stableId]);
+    return row ? (await getEpisodes([row.id]))[0] || null : null;
+  }
+
+  /**
+   * Finds an episode by id, or by feed URL plus GUID (or enclosure URL). Feeds
+   * that are not in the registry yet are registered and parsed first.
+   * @param {{ episodeId?: string | number, feedUrl?: string, guid?: string, mediaUrl?: string }} ref
+   */
+  async function resolveEpisode({ episodeId, feedUrl, guid, mediaUrl }) {
+    await ready;
+    if (episodeId != null) return (await getEpisodes([episodeId]))[0] || null;
+    if (!feedUrl || !(guid || mediaUrl)) return null;
+
+    const lookup = async (feedId) => {
+      const row = await dbGet(
+        db,
+        "SELECT id FROM episodes WHERE feedId = ? AND (guid = ? OR mediaUrl = ?) LIMIT 1",
+        [feedId, guid || mediaUrl, mediaUrl || guid]
+      );
+      return row ? (await getEpisodes([row.id]))[0] : null;
+    };
+    const feed = (await findFeedByUrl(feedUrl)) || (await registerFeed(feedUrl));
+    if (feed.lastSuccessAt) {
+      const found = await lookup(feed.id);
+      // a recently fetched feed will not have anything newer
+      if (found || now() - (feed.lastFetchedAt || 0) < MINUTE) return found;
+    }
+    await refreshFeed(feed.id);
+    return lookup(feed.id);
+  }
+
+  /**
+   * Feeds not requested within idleAfterMs: followed ones count as requested
+   * again, the others stay idle (and out of tick) or, if they never fetched,
+   * are removed.
+   */
+  async function expireIdleFeeds() {
+    const idle = await dbAll(
+      db,
+      "SELECT id, urlKey, lastSuccessAt FROM feeds WHERE COALESCE(lastRequestedAt, createdAt) < ?",
+      [now() - idleAfterMs]
+    );
+    for (let i = 0; i < idle.length; i += FOLLOW_CHECK_BATCH) {
+      const batch = idle.slice(i, i + FOLLOW_CHECK_BATCH);
+      const followed = await followedFeeds(batch.map((f) => f.urlKey));
+      const keep = batch.filter((f) => followed.has(f.urlKey)).map((f) => f.id);
+      const dead = batch.filter((f) => !followed.has(f.urlKey) && !f.lastSuccessAt).map((f) => f.id);
+      const list = (ids) => ids.map(() => "?").join(",");
+      if (keep.length)
+        await dbRun(db, `UPDATE feeds SET lastRequestedAt = ? WHERE id IN (${list(keep)})`, [now(), ...keep]);
+      if (dead.length) await dbRun(db, `DELETE FROM feeds WHERE id IN (${list(dead)})`, dead);
+    }
+  }
+
+  // Refreshes every feed that is due and still in use; one tick at a time
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await ready;
+      if (now() - sweptAt > 60 * MINUTE) {
+        sweptAt = now();
+        await expireIdleFeeds().catch((err) => console.warn("⚠️ Idle feed sweep failed:", err.message));
+      }
+      const due = await dbAll(
+        db,
+        `SELECT id FROM feeds
+         WHERE nextFetchAt <= ? AND COALESCE(lastRequestedAt, createdAt) >= ?
+         ORDER BY nextFetchAt ASC LIMIT ?`,
+        [now(), now() - idleAfterMs, batchSize]
+      );
+      for (const { id } of due) {
+        await refreshFeed(id).catch(() => {});
+      }
+    } catch (err) {
+      console.error("Ingestion tick failed:", err.message);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, pollMs);
+    timer.unref();
+    console.log(`✅ Feed ingestion scheduled every ${Math.round(pollMs / 1000)}s`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    ready,
+    registerFeed,
+    markRequested,
+    removeUnusedFeed,
+    validateFeed,
+    findFeedByUrl,
+    getFeed,
+    refreshFeed,
+    listEpisodes,
+    listEpisodesSince,
+    getEpisodes,
+    getEpisodeByStableId,
+    resolveEpisode,
+    tick,
+    start,
+    stop,
+  };
+}
+
+module.exports = { createIngestService, feedExtensions };
@@ -0,0 +1,169 @@
+/**
+ * Listener locale for catalogue routes (/trending, /search, /categories,
+ * /podcasts/home). Language and region are resolved field by field, first
+ * hit wins:
+ *
+ *   1. `?lang=` / `?region=` on the request
+ *   2. the signed-in listener's saved profile
+ *   3. Accept-Language ("fr-CA,fr;q=0.9,en;q=0.8" -> fr, CA)
+ *   4. region only: the usual region for the language (fr -> FR)
+ *
+ * With no signal at all both stay null and nothing is filtered. A language
+ * from the query string is a hard filter; an inferred one is a preference,
+ * so a listener whose language has no matching shows still gets results
+ * (see withLanguageFallback).
+ *
+ * @typedef {{
+ *   lang: string | null,
+ *   region: string | null,
+ *   strict: boolean,
+ *   source: "query" | "profile" | "header" | "default"
+ * }} Locale
+ */
+
+const LANG_RE = /^[a-z]{2,3}$/;
+const REGION_RE = /^([A-Z]{2}|\d{3})$/;
+
+const DEFAULT_REGIONS = {
+  en: "US", fr: "FR", es: "ES", de: "DE", pt: "BR", it: "IT", nl: "NL", sv: "SE",
+  da: "DK", nb: "NO", fi: "FI", pl: "PL", ja: "JP", ko: "KR", zh: "CN", hi: "IN",
+  ar: "SA", tr: "TR", ru: "RU", uk: "UA", he: "IL", id: "ID",
+};
+
+const normalizeLang = (value) => {
+  const lang = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return LANG_RE.test(lang) ? lang : null;
+};
+
+const normalizeRegion = (value) => {
+  const region = String(value || "").trim().toUpperCase();
+  return REGION_RE.test(region) ? region : null;
+};
+
+/**
+ * Parses Accept-Language into tags, most preferred first. Wildcards and
+ * q=0 entries are dropped.
+ * @param {string | undefined} header
+ * @returns {Array<{ lang: string, region: string | null, q: number }>}
+ */
+function parseAcceptLanguage(header) {
+  const tags = [];
+  String(header || "")
+    .split(",")
+    .slice(0, 20)
+    .forEach((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const qParam = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      const q = qParam ? Number(qParam.slice(2)) : 1;
+      const [langPart, ...subtags] = tag.trim().split(/[-_]/);
+      const lang = normalizeLang(langPart);
+      if (!lang || !(q > 0)) return;
+      // skip script subtags: zh-Hant-TW -> TW
+      const region = subtags.map(normalizeRegion).find(Boolean) || null;
+      tags.push({ lang, region, q, i });
+    });
+  return tags.sort((a, b) => b.q - a.q || a.i - b.i).map(({ lang, region, q }) => ({ lang, region, q }));
+}
+
+/**
+ * Language and region from Accept-Language. A region given only on a less
+ * preferred tag of the same language still counts ("fr,fr-CA;q=0.9").
+ * @param {string | undefined} header
+ */
+function localeFromHeader(header) {
+  const tags = parseAcceptLanguage(header);
+  if (!tags.length) return { lang: null, region: null };
+  const { lang } = tags[0];
+  const region = tags.find((t) => t.lang === lang && t.region)?.region || null;
+  return { lang, region };
+}
+
+/**
+ * Runs `load` with the locale language and, when nothing comes back and the
+ * language was only inferred, once more without it.
+ * @template T
+ * @param {(lang: string | null) => Promise<T>} load
+ * @param {{ lang?: string | null, langFallback?: boolean }} opts
+ * @returns {Promise<{ result: T, lang: string | null }>}
+ */
+async function withLanguageFallback(load, { lang = null, langFallback = false }) {
+  const result = await load(lang);
+  const items = Array.isArray(result) ? result : result?.feeds;
+  if (!lang || !langFallback || items?.length) return { result, lang };
+  return { result: await load(null), lang: null };
+}
+
+/**
+ * Cache-key fragment for a locale.
+ * @param {Locale} locale
+ */
+const localeKey = (locale) =>
+  `${locale.lang || "-"}.${locale.region || "-"}${locale.strict ? "!" : ""}`;
+
+/**
+ * @param {{
+ *   getProfile?: (userId: string) => Promise<{ language?: string | null, region?: string | null } | null>,
+ *   profileTtlMs?: number,
+ *   maxProfiles?: number
+ * }} [deps] getProfile is only called for signed-in requests; failures are ignored
+ */
+function createLocaleResolver({ getProfile = async () => null, profileTtlMs = 60 * 1000, maxProfiles = 1000 } = {}) {
+  const profiles = new Map();
+
+  async function profileFor(userId) {
+    const hit = profiles.get(userId);
+    if (hit && Date.now() - hit.at < profileTtlMs) return hit.profile;
+    let profile = null;
+    try {
+      profile = await getProfile(userId);
+    } catch (err) {
+      console.warn("⚠️ Profile lookup for locale failed:", err.message);
+      return hit?.profile || null;
+    }
+    profiles.delete(userId);
+    if (profiles.size >= maxProfiles) profiles.delete(profiles.keys().next().value);
+    profiles.set(userId, { profile, at: Date.now() });
+    return profile;
+  }
+
+  /**
+   * @param {import("express").Request} req
+   * @returns {Promise<Locale>}
+   */
+  async function resolve(req) {
+    const query = { lang: normalizeLang(req.query.lang), region: normalizeRegion(req.query.region) };
+    const profile = req.user ? await profileFor(req.user.id) : null;
+    const saved = { lang: normalizeLang(profile?.language), region: normalizeRegion(profile?.region) };
+    const header = localeFromHeader(req.get("accept-language"));
+
+    const lang = query.lang || saved.lang || header.lang || null;
+    const region = query.region || saved.region || header.region || (lang && DEFAULT_REGIONS[lang]) || null;
+    let source = "default";
+    if (query.lang) source = "query";
+    else if (saved.lang) source = "profile";
+    else if (header.lang) source = "header";
+    return { lang, region, strict: Boolean(query.lang), source };
+  }
+
+  // Express middleware: sets req.locale
+  async function middleware(req, res, next) {
+    req.locale = await resolve(req);
+    res.vary("Accept-Language");
+    next();
+  }
+
+  // Drops a cached profile, e.g. after the listener edits it
+  const forget = (userId) => profiles.delete(userId);
+
+  return { resolve, middleware, forget };
+}
+
+module.exports = {
+  createLocaleResolver,
+  parseAcceptLanguage,
+  localeFromHeader,
+  withLanguageFallback,
+  localeKey,
+  normalizeLang,
+  normalizeRegion,
+};
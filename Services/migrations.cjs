@@ -0,0 +1,399 @@
+/**
+ * Versioned schema migrations for the SQLite catalogue, plus collection and
+ * index bootstrap (and a few versioned steps) for the Mongo models.
+ *
+ * SQLite migrations live in /Migrations as `NNN_name.sql` or `NNN_name.cjs`
+ * and run in version order, each in its own transaction, recorded in
+ * `schema_migrations` with a checksum of the file.
+ *
+ *   - `.sql` files hold a `-- migrate:up` section and optionally a
+ *     `-- migrate:down` section; a file without markers is all "up"
+ *   - `.cjs` files export `up(ctx)` and optionally `down(ctx)`, for changes
+ *     that depend on what is already there (legacy tables, missing columns)
+ *
+ * Migrations without a down step are irreversible; rolling back past one is
+ * refused. Dry runs apply pending migrations inside a transaction and roll
+ * it back, so they check the SQL against the real database without keeping
+ * anything.
+ *
+ * `ensure()` is the boot check: it refuses to start when an applied
+ * migration was edited or is unknown to this build, applies pending ones (or
+ * refuses, with `autoMigrate: false`), then verifies the tables and columns
+ * the code queries are all present.
+ *
+ * @typedef {{
+ *   version: number,
+ *   name: string,
+ *   file: string,
+ *   checksum: string,
+ *   up: (ctx: MigrationContext) => Promise<void>,
+ *   down: ((ctx: MigrationContext) => Promise<void>) | null
+ * }} Migration
+ *
+ * @typedef {{
+ *   db: import("sqlite3").Database,
+ *   exec: (sql: string) => Promise<void>,
+ *   columns: (table: string) => Promise<Set<string>>,
+ *   hasTable: (name: string) => Promise<boolean>,
+ *   dbAll: typeof dbAll,
+ *   dbGet: typeof dbGet,
+ *   dbRun: typeof dbRun
+ * }} MigrationContext
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { dbAll, dbGet, dbRun, exclusively } = require("./sqlite.cjs");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "Migrations");
+const MODELS_DIR = path.join(__dirname, "..", "Models");
+const FILE_RE = /^(\d+)_([\w-]+)\.(sql|cjs)$/;
+
+const MIGRATIONS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    appliedAt INTEGER NOT NULL
+  )`;
+
+// Tables and columns the code reads or writes; checked after migrating
+const EXPECTED_SCHEMA = {
+  podcasts: [
+    "id", "url", "title", "link", "description", "itunesAuthor", "imageUrl",
+    "language", "category1", "category2", "popularityScore",
+  ],
+  podcasts_fts: ["title", "description", "itunesAuthor"],
+  podcast_categories: ["term", "podcastId"],
+  feeds: [
+    "id", "url", "urlKey", "podcastId", "title", "author", "imageUrl", "etag",
+    "lastModified", "lastFetchedAt", "lastSuccessAt", "nextFetchAt",
+    "failureCount", "lastError", "createdAt", "extensions", "lastRequestedAt",
+  ],
+  episodes: [
+    "id", "feedId", "podcastId", "guid", "title", "description", "link", "pubDate",
+    "publishedAt", "imageUrl", "mediaUrl", "mediaType", "duration",
+    "seasonNumber", "episodeNumber", "extensions", "updatedAt", "stableId",
+  ],
+  episodes_fts: ["title", "description"],
+  transcripts: ["episodeId", "url", "format", "language", "status", "error", "segmentCount", "fetchedAt"],
+  transcript_segments: ["id", "episodeId", "startSec", "endSec", "speaker", "text"],
+  transcript_segments_fts: ["text"],
+  chapters: ["episodeId", "url", "status", "error", "chapters", "fetchedAt"],
+  embeddings: ["kind", "refId", "model", "vector"],
+  events: ["id", "userId", "type", "data", "createdAt"],
+  webhooks: ["id", "userId", "url", "secret", "events", "active", "failureCount", "createdAt"],
+  webhook_deliveries: [
+    "id", "webhookId", "eventId", "status", "attempts", "nextAttemptAt",
+    "lastStatus", "lastError", "updatedAt",
+  ],
+};
+
+function schemaError(message, details) {
+  const err = new Error(message);
+  err.code = "SCHEMA_MISMATCH";
+  if (details) err.details = details;
+  return err;
+}
+
+const dbExec = (db, sql) =>
+  new Promise((resolve, reject) => db.exec(sql, (err) => (err ? reject(err) : resolve())));
+
+/**
+ * Splits a .sql migration into its up and down halves.
+ * @param {string} source
+ */
+function parseSqlMigration(source) {
+  const up = /^--\s*migrate:up\s*$/m.exec(source);
+  const down = /^--\s*migrate:down\s*$/m.exec(source);
+  if (!up && !down) return { up: source, down: null };
+  if (!up || (down && down.index < up.index)) throw new Error("-- migrate:down must follow -- migrate:up");
+  return {
+    up: source.slice(up.index + up[0].length, down ? down.index : source.length),
+    down: down ? source.slice(down.index + down[0].length) : null,
+  };
+}
+
+/**
+ * @param {string} dir
+ * @returns {Migration[]}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const seen = new Map();
+  const migrations = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = FILE_RE.exec(file);
+    if (!m) continue;
+    const version = Number(m[1]);
+    if (seen.has(version)) throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} and ${file}`);
+    seen.set(version, file);
+
+    const full = path.join(dir, file);
+    const source = fs.readFileSync(full, "utf8");
+    const checksum = crypto.createHash("sha256").update(source).digest("hex");
+    let up;
+    let down;
+    if (m[3] === "sql") {
+      const sections = parseSqlMigration(source);
+      up = (ctx) => ctx.exec(sections.up);
+      down = sections.down?.trim() ? (ctx) => ctx.exec(sections.down) : null;
+    } else {
+      const mod = require(full);
+      if (typeof mod.up !== "function") throw new Error(`Migration ${file} has no up()`);
+      up = (ctx) => mod.up(ctx);
+      down = typeof mod.down === "function" ? (ctx) => mod.down(ctx) : null;
+    }
+    migrations.push({ version, name: m[2], file, checksum, up, down });
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * @param {{
+ *   db: import("sqlite3").Database,
+ *   dir?: string,
+ *   expected?: Record<string, string[]>,
+ *   now?: () => number
+ * }} deps
+ */
+function createMigrator({ db, dir = MIGRATIONS_DIR, expected = EXPECTED_SCHEMA, now = Date.now }) {
+  const migrations = loadMigrations(dir);
+
+  /** @type {MigrationContext} */
+  const ctx = {
+    db,
+    exec: (sql) => dbExec(db, sql),
+    async columns(table) {
+      const cols = await dbAll(db, `PRAGMA table_info(${JSON.stringify(table)})`);
+      return new Set(cols.map((c) => c.name));
+    },
+    async hasTable(name) {
+      return !!(await dbGet(db, "SELECT 1 FROM sqlite_master WHERE name = ? AND type IN ('table', 'view')", [name]));
+    },
+    dbAll,
+    dbGet,
+    dbRun,
+  };
+
+  async function appliedRows() {
+    if (!(await ctx.hasTable("schema_migrations"))) return [];
+    return dbAll(db, "SELECT version, name, checksum, appliedAt FROM schema_migrations ORDER BY version");
+  }
+
+  /**
+   * Applied, pending, edited and unknown migrations.
+   */
+  async function status() {
+    const rows = await appliedRows();
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+    const appliedVersions = new Set(rows.map((r) => r.version));
+    const applied = rows.map((r) => {
+      const m = byVersion.get(r.version);
+      const state = !m ? "unknown" : m.checksum !== r.checksum ? "modified" : "applied";
+      return { version: r.version, name: r.name, appliedAt: r.appliedAt, state };
+    });
+    const pending = migrations
+      .filter((m) => !appliedVersions.has(m.version))
+      .map((m) => ({ version: m.version, name: m.name }));
+    return {
+      current: rows.length ? rows[rows.length - 1].version : 0,
+      latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+      applied,
+      pending,
+      drift: applied.filter((a) => a.state !== "applied"),
+    };
+  }
+
+  // Runs `steps` in one transaction per step, or all in one rolled-back transaction for a dry run;
+  // holds the connection's write queue throughout, so no other write lands inside a step
+  async function run(steps, direction, dryRun) {
+    if (!steps.length) return [];
+    return exclusively(db, () => runSteps(steps, direction, dryRun));
+  }
+
+  async function runSteps(steps, direction, dryRun) {
+    if (dryRun) await dbRun(db, "BEGIN IMMEDIATE");
+    try {
+      for (const m of steps) {
+        if (!dryRun) await dbRun(db, "BEGIN IMMEDIATE");
+        try {
+          await dbRun(db, MIGRATIONS_TABLE_SQL);
+          if (direction === "up") {
+            await m.up(ctx);
+            await dbRun(
+              db,
+              "INSERT INTO schema_migrations (version, name, checksum, appliedAt) VALUES (?, ?, ?, ?)",
+              [m.version, m.name, m.checksum, now()]
+            );
+          } else {
+            await m.down(ctx);
+            await dbRun(db, "DELETE FROM schema_migrations WHERE version = ?", [m.version]);
+          }
+          if (!dryRun) await dbRun(db, "COMMIT");
+        } catch (err) {
+          if (!dryRun) await dbRun(db, "ROLLBACK").catch(() => {});
+          err.message = `Migration ${m.file} (${direction}) failed: ${err.message}`;
+          throw err;
+        }
+        if (!dryRun) console.log(`✓ Migration ${m.file} ${direction === "up" ? "applied" : "rolled back"}`);
+      }
+    } finally {
+      if (dryRun) await dbRun(db, "ROLLBACK").catch(() => {});
+    }
+    return steps.map((m) => ({ version: m.version, name: m.name }));
+  }
+
+  /**
+   * Applies pending migrations up to `to` (default: all).
+   * @param {{ to?: number, dryRun?: boolean }} [opts]
+   */
+  async function migrate({ to = Infinity, dryRun = false } = {}) {
+    const { drift, applied } = await status();
+    if (drift.length) throw schemaError("Applied migrations do not match this build", drift);
+    const done = new Set(applied.map((a) => a.version));
+    const steps = migrations.filter((m) => !done.has(m.version) && m.version <= to);
+    return run(steps, "up", dryRun);
+  }
+
+  /**
+   * Rolls back applied migrations newer than `to`, or the last `steps` of them.
+   * @param {{ to?: number, steps?: number, dryRun?: boolean }} [opts]
+   */
+  async function rollback({ to, steps = 1, dryRun = false } = {}) {
+    const { applied, drift } = await status();
+    if (drift.length) throw schemaError("Applied migrations do not match this build", drift);
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+    const newestFirst = applied.map((a) => byVersion.get(a.version)).reverse();
+    const targets = to != null ? newestFirst.filter((m) => m.version > to) : newestFirst.slice(0, steps);
+    const irreversible = targets.find((m) => !m.down);
+    if (irreversible) throw new Error(`Migration ${irreversible.file} cannot be rolled back`);
+    return run(targets, "down", dryRun);
+  }
+
+  /**
+   * Missing tables and columns, by table.
+   * @returns {Promise<Record<string, string[]>>}
+   */
+  async function verify() {
+    const missing = {};
+    for (const [table, cols] of Object.entries(expected)) {
+      const have = await ctx.columns(table);
+      const absent = have.size ? cols.filter((c) => !have.has(c)) : ["(table)"];
+      if (absent.length) missing[table] = absent;
+    }
+    return missing;
+  }
+
+  /**
+   * Boot check; throws a SCHEMA_MISMATCH error instead of letting the
+   * server run against a schema it does not understand.
+   * @param {{ autoMigrate?: boolean }} [opts]
+   */
+  async function ensure({ autoMigrate = true } = {}) {
+    const { drift, pending } = await status();
+    if (drift.length) throw schemaError("Applied migrations do not match this build", drift);
+    if (pending.length) {
+      if (!autoMigrate) throw schemaError(`${pending.length} pending migration(s); run "npm run migrate"`, pending);
+      await migrate();
+    }
+    const missing = await verify();
+    if (Object.keys(missing).length) throw schemaError("Database is missing tables or columns", missing);
+    const { current } = await status();
+    console.log(`✅ SQLite schema at version ${current}`);
+    return current;
+  }
+
+  return { migrations, status, migrate, rollback, verify, ensure };
+}
+
+// Requires every model file so mongoose.models is complete
+function loadModels(mongoose, dir = MODELS_DIR) {
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".js"))) require(path.join(dir, file));
+  return Object.values(mongoose.models);
+}
+
+/**
+ * Mongo changes `createIndexes` cannot make by itself, such as dropping an
+ * index a schema has replaced. They run once each, in version order, before
+ * the indexes are created, and are recorded in the `schema_migrations`
+ * collection.
+ * @type {Array<{ version: number, name: string, up: (db: import("mongodb").Db) => Promise<void> }>}
+ */
+const MONGO_STEPS = [
+  {
+    version: 1,
+    name: "podcastlikes_unique_per_episode",
+    // the unique key gained episodeId; the old one allowed a single like per show and user
+    up: (db) => dropIndexIfPresent(db, "podcastlikes", "podcastId_1_userId_1"),
+  },
+];
+
+async function dropIndexIfPresent(db, collection, name) {
+  try {
+    await db.collection(collection).dropIndex(name);
+  } catch (err) {
+    // 26: no such collection, 27: no such index
+    if (err.code !== 26 && err.code !== 27) throw err;
+  }
+}
+
+const indexName = (fields) => Object.entries(fields).map(([k, v]) => `${k}_${v}`).join("_");
+
+/**
+ * Applies pending MONGO_STEPS, then creates missing collections and indexes
+ * for every model. Other indexes that exist in Mongo but not in a schema are
+ * reported, never dropped; an index whose options conflict with the schema is
+ * a schema mismatch.
+ * @param {import("mongoose")} mongoose connected instance
+ * @param {{ dryRun?: boolean, steps?: typeof MONGO_STEPS }} [opts]
+ * @returns {Promise<{ steps: Array<{ version: number, name: string }>, collections: object[] }>}
+ *   `steps` are the steps applied, or pending on a dry run
+ */
+async function bootstrapMongo(mongoose, { dryRun = false, steps = MONGO_STEPS } = {}) {
+  const { db } = mongoose.connection;
+  const applied = new Set((await db.collection("schema_migrations").find({}).toArray()).map((d) => d._id));
+  const pendingSteps = steps.filter((s) => !applied.has(s.version)).sort((a, b) => a.version - b.version);
+  if (!dryRun) {
+    for (const step of pendingSteps) {
+      await step.up(db);
+      await db.collection("schema_migrations").insertOne({ _id: step.version, name: step.name, appliedAt: new Date() });
+      console.log(`✓ Mongo step ${step.version} ${step.name}`);
+    }
+  }
+
+  const report = [];
+  const existing = new Set(
+    (await db.listCollections({}, { nameOnly: true }).toArray()).map((c) => c.name)
+  );
+  for (const model of loadModels(mongoose)) {
+    const collection = model.collection.collectionName;
+    const exists = existing.has(collection);
+    const { toCreate, toDrop } = exists
+      ? await model.diffIndexes()
+      : { toCreate: model.schema.indexes().map(([fields]) => indexName(fields)), toDrop: [] };
+    report.push({ model: model.modelName, collection, create: !exists, toCreate, extraIndexes: toDrop });
+    if (dryRun) continue;
+
+    if (!exists) await model.createCollection();
+    try {
+      await model.createIndexes();
+    } catch (err) {
+      // 85/86: an index of that name or key already exists with other options
+      if (err.code === 85 || err.code === 86)
+        throw schemaError(`Index mismatch on ${collection}: ${err.message}`, { model: model.modelName });
+      throw err;
+    }
+    if (toDrop.length) console.warn(`⚠️ ${collection} has indexes no schema declares: ${toDrop.join(", ")}`);
+  }
+  return { steps: pendingSteps.map(({ version, name }) => ({ version, name })), collections: report };
+}
+
+module.exports = {
+  createMigrator,
+  loadMigrations,
+  parseSqlMigration,
+  bootstrapMongo,
+  EXPECTED_SCHEMA,
+  MONGO_STEPS,
+};
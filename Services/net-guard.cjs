@@ -0,0 +1,143 @@
+/**
+ * SSRF guard for outbound requests to user-supplied URLs: http(s) only, no
+ * embedded credentials, an optional host allowlist, and no connections to
+ * private, loopback, link-local or otherwise non-public addresses.
+ *
+ * Addresses are checked when the socket connects, through `guardedLookup`,
+ * so a hostname that re-resolves between validation and connection (DNS
+ * rebinding) cannot reach an internal address either.
+ */
+
+const dns = require("dns");
+const net = require("net");
+
+const blocked = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, including cloud metadata endpoints
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+]) {
+  blocked.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 96], // unspecified, loopback and IPv4-compatible (::127.0.0.1)
+  ["64:ff9b::", 96], // NAT64
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["2002::", 16], // 6to4, which embeds any IPv4 address
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["fec0::", 10], // site-local (deprecated)
+  ["ff00::", 8], // multicast
+]) {
+  blocked.addSubnet(prefix, bits, "ipv6");
+}
+
+function blockedError(message) {
+  const err = new Error(message);
+  err.status = 403;
+  err.code = "ERR_BLOCKED_ADDRESS";
+  return err;
+}
+
+/**
+ * True for any address a user-supplied URL must not reach.
+ * @param {string} ip
+ */
+function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return blocked.check(ip, "ipv4");
+  if (family !== 6) return true;
+  // IPv4-mapped (::ffff:a.b.c.d or ::ffff:hhhh:hhhh) is checked as IPv4
+  const mapped = ip.toLowerCase().match(/^::ffff:(?:([\d.]+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    if (mapped[1]) return isPrivateAddress(mapped[1]);
+    const hi = parseInt(mapped[2], 16);
+    const lo = parseInt(mapped[3], 16);
+    return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  return blocked.check(ip, "ipv6");
+}
+
+/**
+ * "example.com" matches only that host; "*.example.com" or ".example.com"
+ * match its subdomains and the domain itself.
+ * @param {string | undefined} value comma-separated patterns
+ * @returns {string[]}
+ */
+function parseAllowlist(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/** @param {string} hostname @param {string[]} allowlist */
+function hostAllowed(hostname, allowlist) {
+  if (!allowlist.length) return true;
+  const host = hostname.toLowerCase().replace(/\.$/, "");
+  return allowlist.some((pattern) => {
+    if (!pattern.startsWith("*.") && !pattern.startsWith(".")) return host === pattern;
+    const domain = pattern.replace(/^\*?\./, "");
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Validates a user-supplied URL before any request is made.
+ * @param {string | URL} value
+ * @param {{ allowlist?: string[] }} [opts]
+ * @returns {URL}
+ */
+function checkUrl(value, { allowlist = [] } = {}) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    const err = new Error("Invalid URL");
+    err.status = 400;
+    throw err;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    const err = new Error("Only http and https URLs are allowed");
+    err.status = 400;
+    throw err;
+  }
+  if (url.username || url.password) throw blockedError("URLs with credentials are not allowed");
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isPrivateAddress(host)) throw blockedError("Address not allowed");
+  if (!hostAllowed(host, allowlist)) throw blockedError("Host not allowed");
+  return url;
+}
+
+/**
+ * Drop-in `lookup` for http(s).request / net.connect that refuses to
+ * resolve to a non-public address.
+ * @type {typeof dns.lookup}
+ */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === "function") [callback, options] = [options, {}];
+  const opts = typeof options === "number" ? { family: options } : options || {};
+  dns.lookup(hostname, { ...opts, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    // one internal answer is enough to refuse: the client may pick any of them
+    const bad = addresses.find((a) => isPrivateAddress(a.address));
+    if (bad) return callback(blockedError(`${hostname} resolves to a non-public address`));
+    if (!addresses.length) return callback(Object.assign(new Error(`No addresses for ${hostname}`), { code: "ENOTFOUND" }));
+    if (opts.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = { checkUrl, guardedLookup, isPrivateAddress, parseAllowlist, hostAllowed };
@@ -0,0 +1,143 @@
+/**
+ * OPML reading and writing for subscription import/export.
+ *
+ * The parser is deliberately regex-based rather than a strict XML parser:
+ * exports from popular podcast apps regularly contain unescaped ampersands,
+ * single-quoted or unquoted attributes, odd casing, or a missing `<body>`.
+ */
+
+const { normalizeFeedUrl } = require("./feed-url.cjs");
+
+const MAX_OUTLINES = 1000;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, name) => {
+    if (name[0] === "#") {
+      const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : whole;
+    }
+    return ENTITIES[name.toLowerCase()] ?? whole;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const re = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let m;
+  while ((m = re.exec(source))) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "").trim();
+  }
+  return attrs;
+}
+
+// itpc://, pcast://, feed:// and feed:https:// are common in older exports
+function normalizeScheme(url) {
+  return url
+    .replace(/^feed:(?=https?:)/i, "")
+    .replace(/^(itpc|pcast|feed|podcast):\/\//i, "http://");
+}
+
+/**
+ * @param {string} text raw OPML document
+ * @returns {Array<{ xmlUrl: string, title: string | null, htmlUrl: string | null }>}
+ */
+function parseOpml(text) {
+  const source = String(text || "").replace(/^\uFEFF/, "").replace(/<!--[\s\S]*?-->/g, "");
+  const outlines = [];
+  const seen = new Set();
+  const re = /<outline\b([^>]*)>/gi;
+  let m;
+  while ((m = re.exec(source)) && outlines.length < MAX_OUTLINES) {
+    const attrs = parseAttributes(m[1].replace(/\/\s*$/, ""));
+    const raw = attrs.xmlurl || attrs.rssurl || attrs.feedurl || (attrs.type === "rss" && attrs.url);
+    if (!raw) continue; // folder/category outlines
+    const xmlUrl = normalizeScheme(raw);
+    const key = normalizeFeedUrl(xmlUrl);
+    if (!/^https?:\/\//i.test(xmlUrl) || seen.has(key)) continue;
+    seen.add(key);
+    outlines.push({
+      xmlUrl,
+      title: attrs.title || attrs.text || null,
+      htmlUrl: attrs.htmlurl || null,
+    });
+  }
+  return outlines;
+}
+
+function escAttr(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * @param {Array<{ feedUrl: string, title?: string }>} subscriptions
+ * @param {{ title?: string, ownerEmail?: string }} [opts]
+ * @returns {string}
+ */
+function buildOpml(subscriptions, { title = "Pods subscriptions", ownerEmail } = {}) {
+  const outlines = subscriptions
+    .map((s) => {
+      const name = escAttr(s.title || s.feedUrl);
+      return `    <outline type="rss" text="${name}" title="${name}" xmlUrl="${escAttr(s.feedUrl)}"/>`;
+    })
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escAttr(title)}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>${
+      ownerEmail ? `\n    <ownerEmail>${escAttr(ownerEmail)}</ownerEmail>` : ""
+    }
+  </head>
+  <body>
+${outlines}
+  </body>
+</opml>
+`;
+}
+
+/**
+ * Follows every outline, `concurrency` at a time. A feed that fails is
+ * reported in its result and never stops the others.
+ * @param {ReturnType<typeof parseOpml>} outlines
+ * @param {{
+ *   isSubscribed: (xmlUrl: string) => boolean,
+ *   follow: (outline: { xmlUrl: string, title: string | null }) => Promise<{ title?: string | null }>,
+ *   concurrency?: number
+ * }} opts
+ * @returns {Promise<Array<{
+ *   xmlUrl: string,
+ *   title: string | null,
+ *   status: "subscribed" | "already-subscribed" | "failed",
+ *   error?: string
+ * }>>} in outline order
+ */
+async function importOutlines(outlines, { isSubscribed, follow, concurrency = 4 }) {
+  const results = new Array(outlines.length);
+  let next = 0;
+  async function worker() {
+    while (next < outlines.length) {
+      const i = next++;
+      const { xmlUrl, title } = outlines[i];
+      if (isSubscribed(xmlUrl)) {
+        results[i] = { xmlUrl, title, status: "already-subscribed" };
+        continue;
+      }
+      try {
+        const sub = await follow({ xmlUrl, title });
+        results[i] = { xmlUrl, title: sub?.title || title, status: "subscribed" };
+      } catch (err) {
+        results[i] = { xmlUrl, title, status: "failed", error: err.message };
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return results;
+}
+
+module.exports = { parseOpml, buildOpml, importOutlines };
@@ -0,0 +1,203 @@
+/**
+ * Server-side "up next": one ordered queue per user plus the episode that is
+ * playing. Every edit is a versioned sync write (see playback-sync.cjs), so
+ * other devices pick it up from `GET /user/sync`.
+ *
+ * @typedef {{ episodeId: string, podcastId: string | null, addedAt?: Date }} QueueItem
+ * @typedef {{ items: QueueItem[], currentEpisodeId: string | null }} QueueState
+ */
+
+const PlayQueue = require("../Models/PlayQueue.js");
+const { MAX_QUEUE_ITEMS, writeVersioned, queueRecord } = require("./playback-sync.cjs");
+
+const EMPTY = { items: [], currentEpisodeId: null, deviceId: null, clientUpdatedAt: null, version: 0 };
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Applies `mutate` to the stored queue and writes the result. `mutate` edits
+ * the state in place, or returns false when there is nothing to change.
+ * @param {string} userId
+ * @param {string | null} deviceId
+ * @param {(state: QueueState) => boolean | void} mutate
+ * @param {{ now?: number }} [opts]
+ */
+async function mutateQueue(userId, deviceId, mutate, { now = Date.now() } = {}) {
+  let state;
+  const result = await writeVersioned(
+    PlayQueue,
+    { userId },
+    userId,
+    (current) => {
+      state = {
+        items: (current?.items || []).map((i) => ({ ...i })),
+        currentEpisodeId: current?.currentEpisodeId ?? null,
+      };
+      return mutate(state) === false ? { accept: false } : { accept: true };
+    },
+    () => {
+      if (state.items.length > MAX_QUEUE_ITEMS)
+        throw httpError(400, `Queue is limited to ${MAX_QUEUE_ITEMS} items`);
+      return {
+        items: state.items,
+        currentEpisodeId: state.currentEpisodeId,
+        deviceId,
+        clientUpdatedAt: new Date(now),
+      };
+    }
+  );
+  return queueRecord(result.record) || { ...EMPTY };
+}
+
+/** @param {string} userId */
+async function getQueue(userId) {
+  return queueRecord(await PlayQueue.findOne({ userId }).lean()) || { ...EMPTY };
+}
+
+const indexOf = (state, episodeId) => state.items.findIndex((i) => i.episodeId === episodeId);
+
+/**
+ * Adds episodes at the end, or right after the playing episode with
+ * `next: true`. Episodes already queued are moved rather than duplicated.
+ * @param {string} userId
+ * @param {string | null} deviceId
+ * @param {Array<{ episodeId: string | number, podcastId?: string | number | null }>} episodes
+ * @param {{ next?: boolean, now?: number }} [opts]
+ */
+function addToQueue(userId, deviceId, episodes, { next = false, now = Date.now() } = {}) {
+  const added = episodes.map((e) => ({
+    episodeId: String(e.episodeId),
+    podcastId: e.podcastId != null ? String(e.podcastId) : null,
+    addedAt: new Date(now),
+  }));
+  const ids = new Set(added.map((i) => i.episodeId));
+  return mutateQueue(
+    userId,
+    deviceId,
+    (state) => {
+      if (!added.length) return false;
+      state.items = state.items.filter((i) => !ids.has(i.episodeId));
+      const at = next ? indexOf(state, state.currentEpisodeId) + 1 : state.items.length;
+      state.items.splice(at, 0, ...added);
+    },
+    { now }
+  );
+}
+
+/**
+ * Replaces the queue with `episodes` and starts the first one.
+ * @param {string} userId
+ * @param {string | null} deviceId
+ * @param {Array<{ episodeId: string | number, podcastId?: string | number | null }>} episodes
+ */
+function replaceQueue(userId, deviceId, episodes) {
+  const now = Date.now();
+  const items = [...new Map(episodes.map((e) => [String(e.episodeId), e])).values()].map((e) => ({
+    episodeId: String(e.episodeId),
+    podcastId: e.podcastId != null ? String(e.podcastId) : null,
+    addedAt: new Date(now),
+  }));
+  return mutateQueue(
+    userId,
+    deviceId,
+    (state) => {
+      state.items = items;
+      state.currentEpisodeId = items[0]?.episodeId ?? null;
+    },
+    { now }
+  );
+}
+
+/**
+ * @param {string} userId
+ * @param {string | null} deviceId
+ * @param {string} episodeId
+ * @param {number} index target position, clamped to the queue
+ */
+function moveInQueue(userId, deviceId, episodeId, index) {
+  return mutateQueue(userId, deviceId, (state) => {
+    const from = indexOf(state, episodeId);
+    if (from === -1) throw httpError(404, "Episode is not in the queue");
+    const to = Math.min(Math.max(Math.trunc(index) || 0, 0), state.items.length - 1);
+    if (from === to) return false;
+    const [item] = state.items.splice(from, 1);
+    state.items.splice(to, 0, item);
+  });
+}
+
+/**
+ * @param {string} userId
+ * @param {string | null} deviceId
+ * @param {string} episodeId
+ */
+function removeFromQueue(userId, deviceId, episodeId) {
+  return mutateQueue(userId, deviceId, (state) => {
+    if (indexOf(state, episodeId) === -1) throw httpError(404, "Episode is not in the queue");
+    if (state.currentEpisodeId === episodeId) state.currentEpisodeId = null;
+    state.items = state.items.filter((i) => i.episodeId !== episodeId);
+  });
+}
+
+/** @param {string} userId @param {string | null} deviceId */
+function clearQueue(userId, deviceId) {
+  return mutateQueue(userId, deviceId, (state) => {
+    if (!state.items.length && !state.currentEpisodeId) return false;
+    state.items = [];
+    state.currentEpisodeId = null;
+  });
+}
+
+/**
+ * Marks a queued episode as the one playing; null stops playback.
+ * @param {string} userId
+ * @param {string | null} deviceId
+ * @param {string | null} episodeId
+ */
+function setCurrent(userId, deviceId, episodeId) {
+  return mutateQueue(userId, deviceId, (state) => {
+    if (episodeId != null && indexOf(state, episodeId) === -1)
+      throw httpError(404, "Episode is not in the queue");
+    if (state.currentEpisodeId === episodeId) return false;
+    state.currentEpisodeId = episodeId;
+  });
+}
+
+/**
+ * Drops finished episodes from the queue; if one of them was playing, the
+ * next unfinished item becomes current.
+ * @param {string} userId
+ * @param {string | null} deviceId
+ * @param {string[]} episodeIds
+ * @param {{ now?: number }} [opts]
+ */
+function advancePast(userId, deviceId, episodeIds, { now } = {}) {
+  const done = new Set(episodeIds.map(String));
+  return mutateQueue(
+    userId,
+    deviceId,
+    (state) => {
+      if (!done.has(state.currentEpisodeId) && !state.items.some((i) => done.has(i.episodeId))) return false;
+      if (done.has(state.currentEpisodeId)) {
+        const after = state.items.slice(indexOf(state, state.currentEpisodeId) + 1);
+        state.currentEpisodeId = after.find((i) => !done.has(i.episodeId))?.episodeId ?? null;
+      }
+      state.items = state.items.filter((i) => !done.has(i.episodeId));
+    },
+    { now }
+  );
+}
+
+module.exports = {
+  getQueue,
+  addToQueue,
+  replaceQueue,
+  moveInQueue,
+  removeFromQueue,
+  clearQueue,
+  setCurrent,
+  advancePast,
+};
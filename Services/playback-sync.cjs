@@ -0,0 +1,410 @@
+/**
+ * Cross-device playback sync: episode progress, the play queue and per-show
+ * playback speed.
+ *
+ * Every accepted write takes the next value of a per-user counter, so a
+ * client can pull everything that changed after the last version it saw.
+ * Taking a version and writing the record are two steps, so a version stays
+ * "in flight" until its write lands or fails, and a pull never hands out a
+ * cursor past the lowest one in flight: a slow write cannot be skipped by a
+ * faster one that took a later version. A write that loses a race or turns
+ * out stale leaves a gap in the numbering, which pulls do not mind.
+ * Writes carry the device id and the client's own timestamp of the change;
+ * conflicts are resolved on those timestamps, not on arrival order:
+ *
+ *   - A report older than the stored one is stale and rejected, so an
+ *     offline phone cannot rewind progress saved since on another device.
+ *     The exception is a completion for an episode that was never finished:
+ *     finishing an episode is never lost to reordering.
+ *   - A completed episode is only reopened by a newer in-progress report
+ *     that had seen the completion (`baseVersion` at or above the stored
+ *     version) or that starts over near the beginning (a replay).
+ *   - Otherwise the last writer wins; equal timestamps keep the further position.
+ *
+ * Rejected writes return the stored record so the client can adopt it.
+ *
+ * @typedef {{
+ *   accepted: boolean,
+ *   reason?: "stale" | "completed",
+ *   record: Record<string, any> | null
+ * }} SyncResult
+ */
+
+const History = require("../Models/WatchHistory.js");
+const PlayQueue = require("../Models/PlayQueue.js");
+const ShowSettings = require("../Models/ShowSettings.js");
+const SyncState = require("../Models/SyncState.js");
+
+// Client clocks further ahead than this are clamped to server time
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// An in-progress report this close to the start of a finished episode is a replay
+const REPLAY_START_SEC = 30;
+const MAX_QUEUE_ITEMS = 500;
+const MAX_ATTEMPTS = 3;
+// In-flight versions older than this were left by a crashed write and no longer hold pulls back
+const IN_FLIGHT_TTL_MS = 60 * 1000;
+const SPEED_MIN = 0.5;
+const SPEED_MAX = 3.5;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Client timestamps arrive as epoch ms or ISO strings; missing ones mean "now".
+ * @param {unknown} value
+ * @param {number} now
+ */
+function clientTime(value, now) {
+  if (value == null || value === "") return new Date(now);
+  const ms = typeof value === "number" ? value : Date.parse(String(value));
+  if (!Number.isFinite(ms)) throw badRequest("Invalid clientUpdatedAt");
+  return new Date(Math.min(ms, now + MAX_CLOCK_SKEW_MS));
+}
+
+const timeOf = (doc) => new Date(doc.clientUpdatedAt ?? doc.lastPlayedAt ?? doc.updatedAt ?? 0).getTime();
+
+/**
+ * Decides whether an incoming progress report replaces the stored one.
+ * @param {Record<string, any> | null} current stored WatchHistory row
+ * @param {{ positionSec: number, completed: boolean, clientUpdatedAt: Date, baseVersion?: number | null }} incoming
+ * @returns {{ accept: true } | { accept: false, reason: "stale" | "completed" }}
+ */
+function resolveProgress(current, incoming) {
+  if (!current) return { accept: true };
+  const storedAt = timeOf(current);
+  const at = incoming.clientUpdatedAt.getTime();
+
+  if (incoming.completed) {
+    if (!current.completed && !current.completedAt) return { accept: true };
+    return at >= storedAt ? { accept: true } : { accept: false, reason: "stale" };
+  }
+  if (at < storedAt) return { accept: false, reason: "stale" };
+  if (current.completed) {
+    const sawCompletion = incoming.baseVersion != null && incoming.baseVersion >= (current.version ?? 0);
+    if (!sawCompletion && incoming.positionSec > REPLAY_START_SEC) return { accept: false, reason: "completed" };
+    return { accept: true };
+  }
+  if (at === storedAt && incoming.positionSec < (current.positionSec || 0))
+    return { accept: false, reason: "stale" };
+  return { accept: true };
+}
+
+/** Last-writer-wins for the queue and show settings */
+function resolveLatest(current, incoming) {
+  if (!current || incoming.clientUpdatedAt.getTime() >= timeOf(current)) return { accept: true };
+  return { accept: false, reason: "stale" };
+}
+
+/**
+ * Takes the next `count` versions and marks the block in flight; pair with settleVersions.
+ * @param {string} userId
+ * @returns {Promise<number>} the first version of the block
+ */
+async function takeVersions(userId, count) {
+  const state = await SyncState.findOneAndUpdate(
+    { userId },
+    [
+      { $set: { version: { $add: [{ $ifNull: ["$version", 0] }, count] } } },
+      {
+        $set: {
+          inFlight: {
+            $concatArrays: [
+              { $ifNull: ["$inFlight", []] },
+              [{ version: { $subtract: ["$version", count - 1] }, at: new Date() }],
+            ],
+          },
+        },
+      },
+    ],
+    { upsert: true, new: true, lean: true }
+  );
+  return state.version - count + 1;
+}
+
+/** Releases a block from takeVersions once its writes landed or failed, dropping abandoned ones too */
+async function settleVersions(userId, first) {
+  await SyncState.updateOne(
+    { userId },
+    {
+      $pull: {
+        inFlight: { $or: [{ version: first }, { at: { $lt: new Date(Date.now() - IN_FLIGHT_TTL_MS) } }] },
+      },
+    }
+  );
+}
+
+/**
+ * The highest version whose writes have all landed: a pull may go up to it
+ * without missing a write that is still in flight.
+ * @param {Record<string, any> | null} state SyncState document
+ */
+function settledVersion(state, now = Date.now()) {
+  const inFlight = (state?.inFlight || [])
+    .filter((f) => now - new Date(f.at).getTime() < IN_FLIGHT_TTL_MS)
+    .map((f) => f.version);
+  return inFlight.length ? Math.min(...inFlight) - 1 : state?.version ?? 0;
+}
+
+/**
+ * Read, resolve and write with optimistic concurrency on `version`, retrying
+ * when another device wrote the same record in between.
+ * @returns {Promise<SyncResult>}
+ */
+async function writeVersioned(Model, filter, userId, resolve, fieldsFor) {
+  for (let attempt = 1; ; attempt++) {
+    const current = await Model.findOne(filter).lean();
+    const decision = resolve(current);
+    if (!decision.accept) return { accepted: false, reason: decision.reason, record: current };
+
+    const version = await takeVersions(userId, 1);
+    try {
+      const record = await Model.findOneAndUpdate(
+        { ...filter, version: current ? current.version ?? null : null },
+        { $set: { ...fieldsFor(current), version } },
+        { upsert: !current, new: true, lean: true }
+      );
+      if (record) return { accepted: true, record };
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    } finally {
+      await settleVersions(userId, version);
+    }
+    if (attempt >= MAX_ATTEMPTS) {
+      const err = new Error("Concurrent update, retry");
+      err.status = 409;
+      throw err;
+    }
+  }
+}
+
+/** @param {Record<string, any> | null} doc */
+function progressRecord(doc) {
+  if (!doc) return null;
+  return {
+    episodeId: doc.episodeId,
+    podcastId: doc.podcastId ?? null,
+    positionSec: doc.positionSec ?? 0,
+    completed: !!doc.completed,
+    completedAt: doc.completedAt ?? null,
+    lastPlayedAt: doc.lastPlayedAt ?? null,
+    deviceId: doc.deviceId ?? null,
+    clientUpdatedAt: doc.clientUpdatedAt ?? doc.lastPlayedAt ?? null,
+    version: doc.version ?? 0,
+  };
+}
+
+/** @param {Record<string, any> | null} doc */
+function queueRecord(doc) {
+  if (!doc) return null;
+  return {
+    items: (doc.items || []).map((i) => ({ episodeId: i.episodeId, podcastId: i.podcastId ?? null, addedAt: i.addedAt })),
+    currentEpisodeId: doc.currentEpisodeId ?? null,
+    deviceId: doc.deviceId ?? null,
+    clientUpdatedAt: doc.clientUpdatedAt ?? null,
+    version: doc.version ?? 0,
+  };
+}
+
+/** @param {Record<string, any> | null} doc */
+function showSettingsRecord(doc) {
+  if (!doc) return null;
+  return {
+    podcastId: doc.podcastId,
+    playbackSpeed: doc.playbackSpeed ?? 1,
+    deviceId: doc.deviceId ?? null,
+    clientUpdatedAt: doc.clientUpdatedAt ?? null,
+    version: doc.version ?? 0,
+  };
+}
+
+const withRecord = (result, toRecord) => ({ ...result, record: toRecord(result.record) });
+
+/**
+ * @param {string} userId
+ * @param {string | null} deviceId
+ * @param {{
+ *   episodeId: string,
+ *   podcastId?: string,
+ *   positionSec?: number,
+ *   completed?: boolean,
+ *   source?: string,
+ *   clientUpdatedAt?: number | string,
+ *   baseVersion?: number
+ * }} change
+ * @param {{ now?: number }} [opts]
+ * @returns {Promise<SyncResult>}
+ */
+async function applyProgress(userId, deviceId, change, { now = Date.now() } = {}) {
+  if (!change?.episodeId) throw badRequest("episodeId required");
+  const positionSec = Math.max(0, Math.floor(Number(change.positionSec) || 0));
+  const incoming = {
+    positionSec,
+    completed: !!change.completed,
+    clientUpdatedAt: clientTime(change.clientUpdatedAt, now),
+    baseVersion: change.baseVersion != null ? Number(change.baseVersion) : null,
+  };
+
+  const result = await writeVersioned(
+    History,
+    { userId, episodeId: String(change.episodeId) },
+    userId,
+    (current) => resolveProgress(current, incoming),
+    (current) => ({
+      ...(change.podcastId != null && { podcastId: String(change.podcastId) }),
+      positionSec,
+      completed: incoming.completed,
+      completedAt: incoming.completed
+        ? current?.completed
+          ? current.completedAt ?? incoming.clientUpdatedAt
+          : incoming.clientUpdatedAt
+        : current?.completedAt ?? null,
+      lastPlayedAt: new Date(now),
+      source: change.source || current?.source || "rss",
+      deviceId,
+      clientUpdatedAt: incoming.clientUpdatedAt,
+    })
+  );
+  // finished episodes leave the queue, moving "now playing" on to the next item
+  if (result.accepted && incoming.completed) {
+    // required here: play-queue builds on this module
+    const { advancePast } = require("./play-queue.cjs");
+    await advancePast(userId, deviceId, [String(change.episodeId)], { now });
+  }
+  return withRecord(result, progressRecord);
+}
+
+/**
+ * Replaces the whole queue; the queue is small and edited as a unit.
+ * @param {string} userId
+ * @param {string | null} deviceId
+ * @param {{
+ *   items: Array<{ episodeId: string, podcastId?: string, addedAt?: number | string }>,
+ *   currentEpisodeId?: string | null,
+ *   clientUpdatedAt?: number | string
+ * }} change
+ * @param {{ now?: number }} [opts]
+ * @returns {Promise<SyncResult>}
+ */
+async function applyQueue(userId, deviceId, change, { now = Date.now() } = {}) {
+  if (!Array.isArray(change?.items)) throw badRequest("queue.items must be an array");
+  if (change.items.length > MAX_QUEUE_ITEMS) throw badRequest(`Queue is limited to ${MAX_QUEUE_ITEMS} items`);
+  const seen = new Set();
+  const items = [];
+  for (const item of change.items) {
+    if (!item?.episodeId) throw badRequest("Queue items need an episodeId");
+    const episodeId = String(item.episodeId);
+    if (seen.has(episodeId)) continue;
+    seen.add(episodeId);
+    items.push({
+      episodeId,
+      podcastId: item.podcastId != null ? String(item.podcastId) : null,
+      addedAt: item.addedAt != null ? clientTime(item.addedAt, now) : new Date(now),
+    });
+  }
+  const incoming = { clientUpdatedAt: clientTime(change.clientUpdatedAt, now) };
+
+  const result = await writeVersioned(
+    PlayQueue,
+    { userId },
+    userId,
+    (current) => resolveLatest(current, incoming),
+    () => ({
+      items,
+      currentEpisodeId: change.currentEpisodeId != null ? String(change.currentEpisodeId) : null,
+      deviceId,
+      clientUpdatedAt: incoming.clientUpdatedAt,
+    })
+  );
+  return withRecord(result, queueRecord);
+}
+
+/**
+ * @param {string} userId
+ * @param {string | null} deviceId
+ * @param {{ podcastId: string, playbackSpeed: number, clientUpdatedAt?: number | string }} change
+ * @param {{ now?: number }} [opts]
+ * @returns {Promise<SyncResult>}
+ */
+async function applyShowSettings(userId, deviceId, change, { now = Date.now() } = {}) {
+  if (change?.podcastId == null) throw badRequest("podcastId required");
+  const playbackSpeed = Number(change.playbackSpeed);
+  if (!Number.isFinite(playbackSpeed) || playbackSpeed < SPEED_MIN || playbackSpeed > SPEED_MAX)
+    throw badRequest(`playbackSpeed must be between ${SPEED_MIN} and ${SPEED_MAX}`);
+  const incoming = { clientUpdatedAt: clientTime(change.clientUpdatedAt, now) };
+
+  const result = await writeVersioned(
+    ShowSettings,
+    { userId, podcastId: String(change.podcastId) },
+    userId,
+    (current) => resolveLatest(current, incoming),
+    () => ({ playbackSpeed, deviceId, clientUpdatedAt: incoming.clientUpdatedAt })
+  );
+  return withRecord(result, showSettingsRecord);
+}
+
+// History rows written before sync existed have no version; number them once
+async function backfillVersions(userId) {
+  const rows = await History.find({ userId, version: null }, { _id: 1 }).sort({ lastPlayedAt: 1 }).lean();
+  if (!rows.length) return;
+  const first = await takeVersions(userId, rows.length);
+  try {
+    await History.bulkWrite(
+      rows.map((row, i) => ({
+        updateOne: { filter: { _id: row._id, version: null }, update: { $set: { version: first + i } } },
+      }))
+    );
+  } finally {
+    await settleVersions(userId, first);
+  }
+}
+
+/**
+ * Everything that changed after `since`, oldest first. When there are more
+ * progress changes than `limit`, `hasMore` is set and `version` is the cursor
+ * to pull from next; otherwise `version` is the highest settled version (see
+ * settledVersion), which trails the counter while a write is in flight.
+ * @param {string} userId
+ * @param {number} since
+ * @param {{ limit?: number }} [opts]
+ */
+async function changesSince(userId, since, { limit = 500 } = {}) {
+  if (since <= 0) await backfillVersions(userId);
+
+  // the counter is read first: anything at or below the settled version has landed by then
+  const settled = Math.max(settledVersion(await SyncState.findOne({ userId }).lean()), since);
+  const rows = await History.find({ userId, version: { $gt: since, $lte: settled } })
+    .sort({ version: 1 })
+    .limit(limit + 1)
+    .lean();
+  const hasMore = rows.length > limit;
+  const progress = rows.slice(0, limit);
+  const version = hasMore ? progress[progress.length - 1].version : settled;
+  const range = { $gt: since, $lte: version };
+
+  const [queue, showSettings] = await Promise.all([
+    PlayQueue.findOne({ userId, version: range }).lean(),
+    ShowSettings.find({ userId, version: range }).sort({ version: 1 }).lean(),
+  ]);
+  return {
+    version,
+    hasMore,
+    progress: progress.map(progressRecord),
+    queue: queueRecord(queue),
+    showSettings: showSettings.map(showSettingsRecord),
+  };
+}
+
+module.exports = {
+  MAX_QUEUE_ITEMS,
+  applyProgress,
+  applyQueue,
+  applyShowSettings,
+  changesSince,
+  writeVersioned,
+  resolveProgress,
+  progressRecord,
+  queueRecord,
+};
@@ -0,0 +1,124 @@
+/**
+ * Smart playlist rules and their evaluation. A smart playlist is a saved
+ * query over the episodes of a listener's subscriptions, e.g. "unplayed
+ * from subscriptions under 30 minutes":
+ *
+ *   { source: "subscriptions", played: "unplayed", maxDurationSec: 1800 }
+ */
+
+const { z } = require("zod");
+const Subscription = require("../Models/Subscription.js");
+const History = require("../Models/WatchHistory.js");
+const InboxEntry = require("../Models/InboxEntry.js");
+const { parseDuration } = require("./recommend.cjs");
+
+const DAY = 24 * 60 * 60 * 1000;
+// Episodes considered per evaluation, newest first, before rules are applied
+const CANDIDATE_LIMIT = 1000;
+
+const SmartRulesSchema = z
+  .object({
+    source: z.literal("subscriptions").default("subscriptions"),
+    podcastIds: z.array(z.union([z.string(), z.number()]).transform(String)).max(200).optional(),
+    played: z.enum(["unplayed", "in-progress", "unfinished", "completed", "any"]).default("unplayed"),
+    minDurationSec: z.number().int().min(0).optional(),
+    maxDurationSec: z.number().int().positive().optional(),
+    publishedWithinDays: z.number().int().positive().max(3650).optional(),
+    sort: z.enum(["newest", "oldest", "shortest", "longest"]).default("newest"),
+    limit: z.number().int().min(1).max(200).default(50),
+  })
+  .strict()
+  .refine((r) => r.minDurationSec == null || r.maxDurationSec == null || r.minDurationSec <= r.maxDurationSec, {
+    message: "minDurationSec must not exceed maxDurationSec",
+  });
+
+/**
+ * @param {unknown} rules
+ * @returns {z.infer<typeof SmartRulesSchema>}
+ */
+function parseRules(rules) {
+  const parsed = SmartRulesSchema.safeParse(rules ?? {});
+  if (!parsed.success) {
+    const err = new Error(`Invalid rules: ${parsed.error.issues.map((i) => `${i.path.join(".") || "rules"} ${i.message}`).join("; ")}`);
+    err.status = 400;
+    throw err;
+  }
+  return parsed.data;
+}
+
+/**
+ * Where a listener is with each episode: "completed", "in-progress" or
+ * "unplayed". Inbox "played"/"archived" marks count as completed unless
+ * `inboxMarks` is false.
+ * @param {string} userId
+ * @param {string[]} episodeIds
+ * @param {{ inboxMarks?: boolean }} [opts]
+ * @returns {Promise<Map<string, { state: string, positionSec: number }>>}
+ */
+async function playbackStates(userId, episodeIds, { inboxMarks = true } = {}) {
+  const out = new Map(episodeIds.map((id) => [id, { state: "unplayed", positionSec: 0 }]));
+  if (!episodeIds.length) return out;
+  const [history, marks] = await Promise.all([
+    History.find({ userId, episodeId: { $in: episodeIds } }, { episodeId: 1, positionSec: 1, completed: 1 }).lean(),
+    inboxMarks ? InboxEntry.find({ userId, episodeId: { $in: episodeIds } }, { episodeId: 1 }).lean() : [],
+  ]);
+  for (const h of history) {
+    const state = h.completed ? "completed" : h.positionSec > 0 ? "in-progress" : "unplayed";
+    out.set(h.episodeId, { state, positionSec: h.positionSec || 0 });
+  }
+  for (const m of marks) out.set(m.episodeId, { ...out.get(m.episodeId), state: "completed" });
+  return out;
+}
+
+const PLAYED_FILTERS = {
+  unplayed: (s) => s === "unplayed",
+  "in-progress": (s) => s === "in-progress",
+  unfinished: (s) => s !== "completed",
+  completed: (s) => s === "completed",
+  any: () => true,
+};
+
+const SORTS = {
+  newest: (a, b) => (b.publishedAt || 0) - (a.publishedAt || 0),
+  oldest: (a, b) => (a.publishedAt || 0) - (b.publishedAt || 0),
+  shortest: (a, b) => (a.durationSec ?? Infinity) - (b.durationSec ?? Infinity),
+  longest: (a, b) => (b.durationSec ?? -1) - (a.durationSec ?? -1),
+};
+
+/**
+ * Runs a smart playlist's rules for one listener.
+ * @param {unknown} rawRules
+ * @param {{
+ *   userId: string,
+ *   ingest: ReturnType<import("./ingest.cjs")["createIngestService"]>,
+ *   now?: number
+ * }} ctx
+ */
+async function evaluateSmartPlaylist(rawRules, { userId, ingest, now = Date.now() }) {
+  const rules = parseRules(rawRules);
+  const query = { userId, localFeedId: { $ne: null } };
+  if (rules.podcastIds) query.podcastId = { $in: rules.podcastIds };
+  const subs = await Subscription.find(query, { localFeedId: 1 }).lean();
+  if (!subs.length) return [];
+
+  const since = rules.publishedWithinDays ? now - rules.publishedWithinDays * DAY : 0;
+  const episodes = await ingest.listEpisodesSince(
+    subs.map((s) => ({ feedId: s.localFeedId, since })),
+    { limit: CANDIDATE_LIMIT }
+  );
+  const states = await playbackStates(userId, episodes.map((e) => e.id));
+  const played = PLAYED_FILTERS[rules.played];
+
+  return episodes
+    .map((e) => ({ ...e, durationSec: parseDuration(e.duration) }))
+    .filter((e) => {
+      if (!played(states.get(e.id).state)) return false;
+      if (rules.minDurationSec != null && !(e.durationSec >= rules.minDurationSec)) return false;
+      if (rules.maxDurationSec != null && !(e.durationSec <= rules.maxDurationSec)) return false;
+      return true;
+    })
+    .sort(SORTS[rules.sort])
+    .slice(0, rules.limit);
+}
+
+module.exports = { parseRules, evaluateSmartPlaylist, playbackStates };
@@ -0,0 +1,224 @@
+/**
+ * Podcast and episode detail pages. A podcast is assembled from three
+ * sources, each of which may be missing:
+ *
+ *   podcastIndex   /podcasts/byfeedid (freshest directory data)
+ *   catalogue      the local `podcasts` row from the dump
+ *   feed           the ingested RSS feed: episodes, funding, value, persons
+ *
+ * The directory wins for plain fields, artwork is offered from every source,
+ * and categories and funding links are merged. Episodes are looked up by
+ * their stable id (`ep_…`, see stableEpisodeId) or the older numeric row id.
+ *
+ * @typedef {{
+ *   label: "daily" | "weekly" | "biweekly" | "monthly" | "occasional",
+ *   medianIntervalDays: number,
+ *   sampleSize: number
+ * }} Cadence
+ */
+
+const { feedExtensions } = require("./ingest.cjs");
+const { categoriesForTerms, findCategory } = require("./categories.cjs");
+
+const DAY = 24 * 60 * 60 * 1000;
+// Newest episodes used to work out the publishing cadence
+const CADENCE_SAMPLE = 50;
+const CADENCE_LABELS = [
+  [1.5, "daily"],
+  [9, "weekly"],
+  [18, "biweekly"],
+  [40, "monthly"],
+];
+
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+/**
+ * Typical gap between releases, from episode publish times (ms, any order).
+ * Needs at least three dated episodes.
+ * @param {Array<number | null | undefined>} times
+ * @returns {Cadence | null}
+ */
+function publishingCadence(times) {
+  const sorted = times.filter((t) => Number.isFinite(t)).sort((a, b) => b - a);
+  if (sorted.length < 3) return null;
+  const gaps = sorted
+    .slice(1)
+    .map((t, i) => (sorted[i] - t) / DAY)
+    .sort((a, b) => a - b);
+  const mid = Math.floor(gaps.length / 2);
+  const median = gaps.length % 2 ? gaps[mid] : (gaps[mid - 1] + gaps[mid]) / 2;
+  const label = CADENCE_LABELS.find(([max]) => median <= max)?.[1] || "occasional";
+  return { label, medianIntervalDays: Math.round(median * 10) / 10, sampleSize: sorted.length };
+}
+
+// [url, source] pairs to a de-duplicated list, best first
+const artworkVariants = (candidates) => {
+  const seen = new Set();
+  return candidates
+    .filter(([url]) => url && !seen.has(url) && seen.add(url))
+    .map(([url, source]) => ({ url, source }));
+};
+
+/**
+ * @param {{
+ *   podcasts: import("./repos/podcasts.cjs").PodcastRepo,
+ *   podcastIndex: ReturnType<import("./podcastindex.cjs")["createPodcastIndexClient"]>,
+ *   ingest: ReturnType<import("./ingest.cjs")["createIngestService"]>,
+ *   ratings?: (podcastId: string) => Promise<import("./ratings.cjs").RatingSummary | null>,
+ *   episodeLikes?: (podcastId: string, episodeId: string) => Promise<{ likes: number, dislikes: number } | null>,
+ *   now?: () => number
+ * }} deps ratings and episodeLikes return null when Mongo is unavailable
+ */
+function createPodcastDetails({
+  podcasts,
+  podcastIndex,
+  ingest,
+  ratings = async () => null,
+  episodeLikes = async () => null,
+  now = Date.now,
+}) {
+  // Reactions are extras; a failing store must not fail the page
+  const optional = (promise, what) =>
+    promise.catch((err) => {
+      console.warn(`⚠️ ${what} unavailable:`, err.message);
+      return null;
+    });
+
+  /**
+   * The ingested feed and its newest episodes. A feed seen for the first
+   * time is fetched now; a stale one is refreshed in the background.
+   */
+  async function loadFeed(url, podcastId) {
+    try {
+      let feed = await ingest.findFeedByUrl(url);
+      if (feed) await ingest.markRequested(feed.id);
+      else feed = await ingest.registerFeed(url, { podcastId });
+      if (!feed.lastSuccessAt) {
+        await ingest.refreshFeed(feed.id);
+        feed = await ingest.getFeed(feed.id);
+      } else if (feed.nextFetchAt <= now()) {
+        ingest.refreshFeed(feed.id).catch(() => {});
+      }
+      return { feed, episodes: await ingest.listEpisodes(feed.id, { limit: CADENCE_SAMPLE }) };
+    } catch (err) {
+      console.warn(`⚠️ Feed data for podcast ${podcastId} unavailable:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} id PodcastIndex feed id
+   */
+  async function podcast(id) {
+    if (!/^\d+$/.test(String(id))) throw httpError(400, "Invalid podcast id", "invalid_id");
+
+    const [remoteResult, localResult] = await Promise.allSettled([
+      podcastIndex.podcastByFeedId(id),
+      podcasts.findById(id),
+    ]);
+    if (localResult.status === "rejected") console.warn("⚠️ Catalogue lookup failed:", localResult.reason.message);
+    const remote = remoteResult.status === "fulfilled" ? remoteResult.value : null;
+    const local = localResult.status === "fulfilled" ? localResult.value : null;
+    // without either record there is no feed URL to fall back on
+    if (!remote && !local) {
+      if (remoteResult.status === "rejected") throw remoteResult.reason;
+      throw httpError(404, "Podcast not found", "podcast_not_found");
+    }
+
+    const url = remote?.url || local?.url || null;
+    const [feedData, summary] = await Promise.all([
+      url ? loadFeed(url, String(id)) : null,
+      optional(ratings(String(id)), "Ratings"),
+    ]);
+    const feed = feedData?.feed || null;
+    const episodes = feedData?.episodes || [];
+    const ext = feedExtensions(feed);
+
+    const terms = [...Object.values(remote?.categories || {}), local?.category1, local?.category2];
+    const categories = new Map(categoriesForTerms(terms).map((c) => [c.slug, c]));
+    for (const name of ext.categories) {
+      const c = findCategory(name);
+      if (c && !categories.has(c.slug)) categories.set(c.slug, { slug: c.slug, name: c.name, parent: c.parent });
+    }
+
+    const funding = new Map();
+    if (remote?.funding?.url)
+      funding.set(remote.funding.url, { url: remote.funding.url, title: remote.funding.message || null });
+    for (const link of ext.funding) if (!funding.has(link.url)) funding.set(link.url, link);
+
+    const newest = Math.max(
+      (remote?.newestItemPublishTime || 0) * 1000,
+      (local?.newestItemPubdate || 0) * 1000,
+      ...episodes.map((e) => e.publishedAt || 0)
+    );
+    const artwork = artworkVariants([
+      [remote?.artwork, "podcastindex"],
+      [remote?.image, "podcastindex"],
+      [local?.image, "catalogue"],
+      [feed?.imageUrl, "feed"],
+    ]);
+
+    return {
+      id: String(id),
+      title: remote?.title || local?.title || feed?.title || null,
+      author: remote?.author || local?.author || feed?.author || null,
+      description: remote?.description || local?.description || null,
+      link: remote?.link || local?.link || null,
+      url,
+      language: remote?.language || local?.language || null,
+      image: artwork[0]?.url || null,
+      artwork,
+      categories: [...categories.values()],
+      episodeCount:
+        remote?.episodeCount ??
+        local?.episodeCount ??
+        (feed && episodes.length < CADENCE_SAMPLE ? episodes.length : null),
+      cadence: publishingCadence(episodes.map((e) => e.publishedAt)),
+      lastPublishedAt: newest > 0 ? new Date(newest).toISOString() : null,
+      funding: [...funding.values()],
+      value: ext.value,
+      persons: ext.persons,
+      ratings: summary,
+      sources: { podcastIndex: !!remote, catalogue: !!local, feed: !!feed?.lastSuccessAt },
+    };
+  }
+
+  /**
+   * @param {string} id stable episode id, or the numeric row id
+   */
+  async function episode(id) {
+    const key = String(id);
+    let found;
+    if (key.startsWith("ep_")) found = await ingest.getEpisodeByStableId(key);
+    else if (/^\d+$/.test(key)) [found] = await ingest.getEpisodes([key]);
+    else throw httpError(400, "Invalid episode id", "invalid_id");
+    if (!found) throw httpError(404, "Episode not found", "episode_not_found");
+
+    const { podcastTitle, feedUrl, ...rest } = found;
+    const [local, likes] = await Promise.all([
+      found.podcastId ? podcasts.findById(found.podcastId).catch(() => null) : null,
+      found.podcastId ? optional(episodeLikes(found.podcastId, found.id), "Episode likes") : null,
+    ]);
+
+    return {
+      ...rest,
+      podcast: {
+        id: found.podcastId,
+        title: local?.title || podcastTitle || null,
+        author: local?.author || null,
+        image: local?.image || null,
+        url: feedUrl || local?.url || null,
+      },
+      likes,
+    };
+  }
+
+  return { podcast, episode };
+}
+
+module.exports = { createPodcastDetails, publishingCadence };
@@ -0,0 +1,385 @@
+/**
+ * PodcastIndex API client shared by every route that needs directory data.
+ *
+ *   - a token bucket keeps outgoing calls under `ratePerSec` (bursts of up
+ *     to `burst`); callers queue for a token instead of tripping a 429
+ *   - 429, 5xx, timeouts and network failures are retried with jittered
+ *     exponential backoff, honouring Retry-After when the API sends one
+ *   - a circuit breaker opens after `failureThreshold` failed calls in a row,
+ *     fails fast for `cooldownMs`, then lets a single probe through
+ *   - responses are cached stale-while-revalidate: fresh entries are served
+ *     as is, stale ones are served while a background refresh runs, and when
+ *     upstream is down the last good response is served for up to
+ *     `staleIfErrorMs`
+ *
+ * Errors carry `status`: 503 (code PODCASTINDEX_UNAVAILABLE, plus
+ * `retryAfterSec` when known) while upstream is unavailable and nothing is
+ * cached, 502 for other bad responses.
+ *
+ * @typedef {{
+ *   id: number,
+ *   title: string,
+ *   url: string,
+ *   originalUrl?: string,
+ *   link?: string,
+ *   description?: string,
+ *   author?: string,
+ *   ownerName?: string,
+ *   image?: string,
+ *   artwork?: string,
+ *   language?: string,
+ *   categories?: Record<string, string> | null,
+ *   episodeCount?: number,
+ *   newestItemPublishTime?: number,
+ *   [key: string]: any
+ * }} PodcastIndexFeed
+ *
+ * @typedef {{
+ *   id: number,
+ *   title: string,
+ *   guid?: string,
+ *   link?: string,
+ *   description?: string,
+ *   datePublished?: number,
+ *   enclosureUrl?: string,
+ *   enclosureType?: string,
+ *   duration?: number | null,
+ *   image?: string,
+ *   feedImage?: string,
+ *   feedId?: number,
+ *   chaptersUrl?: string | null,
+ *   transcriptUrl?: string | null,
+ *   [key: string]: any
+ * }} PodcastIndexEpisode
+ *
+ * @typedef {{ status: string, feeds: PodcastIndexFeed[], count: number, [key: string]: any }} FeedList
+ */
+
+const crypto = require("crypto");
+const { createSafeFetcher } = require("./safe-fetch.cjs");
+
+const BASE_URL = "https://api.podcastindex.org/api/1.0";
+const MINUTE = 60 * 1000;
+
+// How long a response counts as fresh, per endpoint
+const TTL = {
+  trending: 10 * MINUTE,
+  search: 10 * MINUTE,
+  podcast: 60 * MINUTE,
+  episodes: 15 * MINUTE,
+};
+
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+// Rate limits, server errors, timeouts and dropped connections are worth another try
+function isTransient(err) {
+  if (err.upstreamStatus) return err.upstreamStatus === 429 || err.upstreamStatus >= 500;
+  return !err.status || err.status === 502 || err.status === 504;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function retryAfterMs(value, now) {
+  if (!value) return null;
+  if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(at - now, 0);
+}
+
+/**
+ * Reservation-style token bucket: each call takes a token now and waits
+ * until the bucket would have refilled it, so waiters are served in order.
+ */
+function createTokenBucket({ ratePerSec, burst, maxWaitMs, now, sleep }) {
+  let tokens = burst;
+  let last = now();
+
+  return async function take() {
+    const t = now();
+    tokens = Math.min(burst, tokens + ((t - last) / 1000) * ratePerSec);
+    last = t;
+    const waitMs = tokens >= 1 ? 0 : ((1 - tokens) / ratePerSec) * 1000;
+    if (waitMs > maxWaitMs) {
+      const err = httpError(503, "PodcastIndex request queue is full", "PODCASTINDEX_UNAVAILABLE");
+      err.retryAfterSec = Math.ceil(waitMs / 1000);
+      throw err;
+    }
+    tokens -= 1;
+    if (waitMs > 0) await sleep(waitMs);
+  };
+}
+
+function createBreaker({ failureThreshold, cooldownMs, now }) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+
+  return {
+    get state() {
+      return state;
+    },
+    /** @returns {number} ms until a call may go through; 0 means now */
+    blockedFor() {
+      if (state === "closed") return 0;
+      if (state === "open") {
+        const left = openedAt + cooldownMs - now();
+        if (left > 0) return left;
+        state = "half-open";
+      }
+      if (probing) return cooldownMs;
+      probing = true;
+      return 0;
+    },
+    success() {
+      state = "closed";
+      failures = 0;
+      probing = false;
+    },
+    // the call never reached upstream; let the next one probe instead
+    release() {
+      probing = false;
+    },
+    failure() {
+      probing = false;
+      failures++;
+      if (state === "half-open" || failures >= failureThreshold) {
+        state = "open";
+        openedAt = now();
+      }
+    },
+  };
+}
+
+/**
+ * @param {{
+ *   apiKey: string,
+ *   apiSecret: string,
+ *   baseUrl?: string,
+ *   fetcher?: ReturnType<import("./safe-fetch.cjs")["createSafeFetcher"]>,
+ *   timeoutMs?: number,
+ *   ratePerSec?: number,
+ *   burst?: number,
+ *   maxQueueWaitMs?: number,
+ *   retries?: number,
+ *   retryBaseMs?: number,
+ *   maxRetryDelayMs?: number,
+ *   failureThreshold?: number,
+ *   cooldownMs?: number,
+ *   staleWhileRevalidateMs?: number,
+ *   staleIfErrorMs?: number,
+ *   maxEntries?: number,
+ *   now?: () => number,
+ *   sleep?: (ms: number) => Promise<void>,
+ *   random?: () => number
+ * }} opts
+ */
+function createPodcastIndexClient({
+  apiKey,
+  apiSecret,
+  baseUrl = BASE_URL,
+  fetcher = createSafeFetcher(),
+  timeoutMs = 8000,
+  ratePerSec = 5,
+  burst = 10,
+  maxQueueWaitMs = 10000,
+  retries = 2,
+  retryBaseMs = 250,
+  maxRetryDelayMs = 5000,
+  failureThreshold = 5,
+  cooldownMs = 30000,
+  staleWhileRevalidateMs = 60 * MINUTE,
+  staleIfErrorMs = 24 * 60 * MINUTE,
+  maxEntries = 500,
+  now = Date.now,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  random = Math.random,
+}) {
+  const take = createTokenBucket({ ratePerSec, burst, maxWaitMs: maxQueueWaitMs, now, sleep });
+  const breaker = createBreaker({ failureThreshold, cooldownMs, now });
+  // key -> { data, storedAt, ttlMs }, least recently used first
+  const cache = new Map();
+  const inflight = new Map();
+
+  function authHeaders() {
+    const ts = Math.floor(now() / 1000);
+    const hash = crypto
+      .createHash("sha1")
+      .update(apiKey + apiSecret + ts, "utf8")
+      .digest("hex");
+    return {
+      "User-Agent": "PodsAPI/1.0",
+      "X-Auth-Date": String(ts),
+      "X-Auth-Key": apiKey,
+      Authorization: hash,
+    };
+  }
+
+  function unavailable(message, retryAfterSec) {
+    const err = httpError(503, message, "PODCASTINDEX_UNAVAILABLE");
+    if (retryAfterSec) err.retryAfterSec = retryAfterSec;
+    return err;
+  }
+
+  // One call through the breaker, bucket and retry loop
+  async function call(path, params) {
+    const blocked = breaker.blockedFor();
+    if (blocked) throw unavailable("PodcastIndex is unavailable", Math.ceil(blocked / 1000));
+
+    const query = new URLSearchParams(params).toString();
+    const url = `${baseUrl}${path}${query ? `?${query}` : ""}`;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await take();
+      } catch (err) {
+        breaker.release();
+        throw err;
+      }
+      try {
+        const { data } = await fetcher.fetchJson(url, { headers: authHeaders(), timeoutMs });
+        breaker.success();
+        return data;
+      } catch (err) {
+        if (!isTransient(err)) {
+          // upstream answered, it just did not like the request
+          breaker.success();
+          throw err;
+        }
+        const hinted = retryAfterMs(err.retryAfter, now());
+        const backoff = random() * Math.min(maxRetryDelayMs, retryBaseMs * 2 ** attempt);
+        const delay = Math.max(hinted ?? 0, backoff);
+        if (attempt >= retries || delay > maxRetryDelayMs) {
+          breaker.failure();
+          console.warn(`⚠️ PodcastIndex ${path} failed after ${attempt + 1} attempt(s):`, err.message);
+          throw unavailable(
+            err.upstreamStatus === 429 ? "PodcastIndex rate limit reached" : "PodcastIndex is unavailable",
+            hinted ? Math.ceil(hinted / 1000) : null
+          );
+        }
+        await sleep(delay);
+      }
+    }
+  }
+
+  function store(key, data, ttlMs) {
+    cache.delete(key);
+    cache.set(key, { data, storedAt: now(), ttlMs });
+    while (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+  }
+
+  // Concurrent requests for the same key share one upstream call
+  function refresh(key, path, params, ttlMs) {
+    let pending = inflight.get(key);
+    if (!pending) {
+      pending = call(path, params)
+        .then((data) => {
+          store(key, data, ttlMs);
+          return data;
+        })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * GET with stale-while-revalidate caching.
+   * @param {string} path
+   * @param {Record<string, string | number | boolean | undefined | null>} params
+   * @param {number} ttlMs
+   */
+  async function get(path, params, ttlMs) {
+    const clean = Object.fromEntries(
+      Object.entries(params)
+        .filter(([, v]) => v != null && v !== "")
+        .map(([k, v]) => [k, String(v)])
+        .sort(([a], [b]) => a.localeCompare(b))
+    );
+    const key = `${path}?${new URLSearchParams(clean)}`;
+    const entry = cache.get(key);
+    const age = entry ? now() - entry.storedAt : Infinity;
+
+    if (entry && age < entry.ttlMs) {
+      cache.delete(key);
+      cache.set(key, entry);
+      return entry.data;
+    }
+    if (entry && age < entry.ttlMs + staleWhileRevalidateMs) {
+      refresh(key, path, clean, ttlMs).catch(() => {});
+      return entry.data;
+    }
+    try {
+      return await refresh(key, path, clean, ttlMs);
+    } catch (err) {
+      if (err.code === "PODCASTINDEX_UNAVAILABLE" && entry && age < entry.ttlMs + staleIfErrorMs) {
+        console.warn(`⚠️ Serving stale PodcastIndex response for ${key}`);
+        return entry.data;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @param {{ max?: number, lang?: string, cat?: string, since?: number }} [opts]
+   * @returns {Promise<FeedList>}
+   */
+  async function trending({ max, lang, cat, since } = {}) {
+    const data = await get("/podcasts/trending", { max, lang, cat, since }, TTL.trending);
+    return { ...data, feeds: data.feeds || [] };
+  }
+
+  /**
+   * @param {string} q
+   * @param {{ max?: number, clean?: boolean, fulltext?: boolean }} [opts]
+   * @returns {Promise<FeedList>}
+   */
+  async function searchByTerm(q, { max, clean, fulltext } = {}) {
+    const data = await get(
+      "/search/byterm",
+      { q, max, clean: clean ? "true" : null, fulltext: fulltext ? "true" : null },
+      TTL.search
+    );
+    return { ...data, feeds: data.feeds || [] };
+  }
+
+  /**
+   * @param {string | number} id PodcastIndex feed id
+   * @returns {Promise<PodcastIndexFeed | null>} null when the id is unknown
+   */
+  async function podcastByFeedId(id) {
+    const data = await get("/podcasts/byfeedid", { id }, TTL.podcast);
+    // unknown ids come back as 200 with `feed: []`
+    return data.feed && !Array.isArray(data.feed) && data.feed.id ? data.feed : null;
+  }
+
+  /**
+   * @param {string} url feed URL as published
+   * @returns {Promise<PodcastIndexFeed | null>} null when the feed is not in the index
+   */
+  async function podcastByFeedUrl(url) {
+    const data = await get("/podcasts/byfeedurl", { url }, TTL.podcast);
+    return data.feed && !Array.isArray(data.feed) && data.feed.id ? data.feed : null;
+  }
+
+  /**
+   * @param {string | number} id PodcastIndex feed id
+   * @param {{ max?: number, since?: number }} [opts]
+   * @returns {Promise<PodcastIndexEpisode[]>}
+   */
+  async function episodesByFeedId(id, { max, since } = {}) {
+    const data = await get("/episodes/byfeedid", { id, max, since }, TTL.episodes);
+    return data.items || [];
+  }
+
+  function health() {
+    return { breaker: breaker.state, cached: cache.size, inflight: inflight.size };
+  }
+
+  return { trending, searchByTerm, podcastByFeedId, podcastByFeedUrl, episodesByFeedId, health };
+}
+
+module.exports = { createPodcastIndexClient, BASE_URL };
@@ -0,0 +1,37 @@
+/**
+ * Fixed-window counters kept in memory, for actions that are cheap to ask
+ * for but leave something behind (e.g. a new feed the worker then refreshes
+ * forever). Each window allows `perKey` actions per caller and `total`
+ * across all callers.
+ *
+ * @param {{ windowMs: number, perKey: number, total: number, now?: () => number }} opts
+ */
+function createWindowLimiter({ windowMs, perKey, total, now = Date.now }) {
+  let windowStart = -Infinity;
+  let used = 0;
+  const byKey = new Map();
+
+  /**
+   * Counts one action for `key` if the window still has room.
+   * @param {string} key the caller (user id or IP)
+   * @returns {{ ok: true } | { ok: false, retryAfterSec: number }}
+   */
+  function take(key) {
+    const ts = now();
+    if (ts - windowStart >= windowMs) {
+      windowStart = ts;
+      used = 0;
+      byKey.clear();
+    }
+    const mine = byKey.get(key) || 0;
+    if (mine >= perKey || used >= total)
+      return { ok: false, retryAfterSec: Math.max(1, Math.ceil((windowStart + windowMs - ts) / 1000)) };
+    byKey.set(key, mine + 1);
+    used++;
+    return { ok: true };
+  }
+
+  return { take };
+}
+
+module.exports = { createWindowLimiter };
@@ -0,0 +1,73 @@
+/**
+ * Per-podcast like counts and star-rating aggregates, attached to catalogue
+ * responses (/trending, /search, /podcasts/home).
+ *
+ * @typedef {{
+ *   likes: number,
+ *   dislikes: number,
+ *   ratingCount: number,
+ *   ratingAverage: number | null
+ * }} RatingSummary
+ */
+
+const mongoose = require("mongoose");
+const PodcastLike = require("../Models/PodcastLike.js");
+const Review = require("../Models/Review.js");
+
+const EMPTY = { likes: 0, dislikes: 0, ratingCount: 0, ratingAverage: null };
+
+/**
+ * @param {Array<string | number>} podcastIds
+ * @returns {Promise<Map<string, RatingSummary>>}
+ */
+async function aggregateRatings(podcastIds) {
+  const ids = [...new Set(podcastIds.filter((id) => id != null).map(String))];
+  const out = new Map(ids.map((id) => [id, { ...EMPTY }]));
+  if (!ids.length) return out;
+
+  const [likeRows, ratingRows] = await Promise.all([
+    PodcastLike.aggregate([
+      { $match: { podcastId: { $in: ids }, episodeId: null } },
+      {
+        $group: {
+          _id: "$podcastId",
+          likes: { $sum: { $cond: ["$liked", 1, 0] } },
+          dislikes: { $sum: { $cond: ["$liked", 0, 1] } },
+        },
+      },
+    ]),
+    Review.aggregate([
+      { $match: { podcastId: { $in: ids }, hidden: false, deletedAt: null } },
+      { $group: { _id: "$podcastId", ratingCount: { $sum: 1 }, ratingAverage: { $avg: "$rating" } } },
+    ]),
+  ]);
+
+  for (const row of likeRows) Object.assign(out.get(row._id), { likes: row.likes, dislikes: row.dislikes });
+  for (const row of ratingRows) {
+    Object.assign(out.get(row._id), {
+      ratingCount: row.ratingCount,
+      ratingAverage: Math.round(row.ratingAverage * 100) / 100,
+    });
+  }
+  return out;
+}
+
+/**
+ * Adds a `ratings` summary to each feed. Catalogue responses must not fail
+ * because Mongo is down, so feeds come back untouched in that case.
+ * @template {{ id?: string | number }} T
+ * @param {T[]} feeds
+ * @returns {Promise<Array<T & { ratings?: RatingSummary }>>}
+ */
+async function attachRatings(feeds) {
+  if (!feeds?.length || mongoose.connection.readyState !== 1) return feeds || [];
+  try {
+    const summaries = await aggregateRatings(feeds.map((f) => f.id));
+    return feeds.map((f) => ({ ...f, ratings: summaries.get(String(f.id)) || { ...EMPTY } }));
+  } catch (err) {
+    console.warn("Rating aggregation failed:", err.message);
+    return feeds;
+  }
+}
+
+module.exports = { aggregateRatings, attachRatings };
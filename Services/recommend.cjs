@@ -0,0 +1,245 @@
+/**
+ * Listening-history recommendations for /user/foryou.
+ *
+ * Everything here is a pure function of its inputs (no I/O, no clock, no
+ * Math.random), so the ranking can be computed offline and reproduced exactly.
+ *
+ * @typedef {{
+ *   podcastId: string,
+ *   episodeId?: string,
+ *   positionSec?: number,
+ *   completed?: boolean,
+ *   lastPlayedAt: Date | string | number,
+ *   durationSec?: number | null
+ * }} HistoryEntry
+ *
+ * @typedef {{ podcastId: string, liked: boolean }} LikeEntry
+ *
+ * @typedef {{
+ *   id: string | number,
+ *   title: string,
+ *   author?: string | null,
+ *   image?: string | null,
+ *   url?: string | null,
+ *   category1?: string | null,
+ *   category2?: string | null,
+ *   popularityScore?: number | null
+ * }} CataloguePodcast
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const HALF_LIFE_DAYS = 30;
+const LIKE_WEIGHT = 1.5;
+const DISLIKE_WEIGHT = -2;
+const EXPLORE_EVERY = 5; // every 5th slot goes to a category outside the profile
+
+/**
+ * Parses itunes:duration style values ("3600", "59:10", "1:02:03").
+ * @param {string | number | null | undefined} value
+ * @returns {number | null}
+ */
+function parseDuration(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "number") return value;
+  const parts = String(value).split(":").map(Number);
+  if (parts.some((n) => !Number.isFinite(n))) return null;
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+function categoriesOf(p) {
+  return [p.category1, p.category2]
+    .filter(Boolean)
+    .map((c) => String(c).trim().toLowerCase());
+}
+
+// How much one play says about taste: finished > mostly heard > sampled
+function engagement(entry) {
+  if (entry.completed) return 1;
+  const pos = entry.positionSec || 0;
+  if (entry.durationSec) return Math.min(pos / entry.durationSec, 1) * 0.9;
+  return Math.min(pos / 1800, 1) * 0.6;
+}
+
+// FNV-1a; seeds the deterministic tie-breaking and exploration picks
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Aggregates history and likes into per-podcast seed weights.
+ * @param {{ history: HistoryEntry[], likes: LikeEntry[], now: number }} input
+ */
+function buildSeeds({ history, likes, now }) {
+  /** @type {Map<string, { weight: number, completed: number, plays: number, liked: boolean, disliked: boolean }>} */
+  const seeds = new Map();
+  const get = (id) => {
+    const key = String(id);
+    if (!seeds.has(key))
+      seeds.set(key, { weight: 0, completed: 0, plays: 0, liked: false, disliked: false });
+    return seeds.get(key);
+  };
+
+  for (const entry of history) {
+    if (!entry.podcastId) continue;
+    const ageDays = Math.max(0, (now - new Date(entry.lastPlayedAt).getTime()) / DAY);
+    const decay = 0.5 ** (ageDays / HALF_LIFE_DAYS);
+    const seed = get(entry.podcastId);
+    seed.weight += engagement(entry) * decay;
+    seed.plays += 1;
+    if (entry.completed) seed.completed += 1;
+  }
+  for (const like of likes) {
+    const seed = get(like.podcastId);
+    if (like.liked) {
+      seed.liked = true;
+      seed.weight += LIKE_WEIGHT;
+    } else {
+      seed.disliked = true;
+      seed.weight += DISLIKE_WEIGHT;
+    }
+  }
+  return seeds;
+}
+
+/**
+ * Category and author affinities from seeds whose catalogue rows are known.
+ * @param {ReturnType<typeof buildSeeds>} seeds
+ * @param {CataloguePodcast[]} seedPodcasts
+ */
+function buildProfile(seeds, seedPodcasts) {
+  const categories = new Map();
+  const authors = new Map();
+  const byId = new Map(seedPodcasts.map((p) => [String(p.id), p]));
+
+  for (const [id, seed] of seeds) {
+    const podcast = byId.get(id);
+    if (!podcast) continue;
+    for (const cat of categoriesOf(podcast)) {
+      const cur = categories.get(cat) || { weight: 0, seeds: [] };
+      cur.weight += seed.weight;
+      if (seed.weight > 0) cur.seeds.push({ podcast, seed });
+      categories.set(cat, cur);
+    }
+    const author = (podcast.author || "").trim().toLowerCase();
+    if (author && seed.weight > 0) {
+      const cur = authors.get(author) || { weight: 0, podcast, seed };
+      cur.weight += seed.weight;
+      authors.set(author, cur);
+    }
+  }
+
+  const total = [...categories.values()].reduce((s, c) => s + Math.max(c.weight, 0), 0) || 1;
+  for (const c of categories.values()) {
+    c.share = c.weight / total;
+    c.seeds.sort((a, b) => b.seed.weight - a.seed.weight);
+  }
+  return { categories, authors };
+}
+
+function explain(seedMatch, category) {
+  if (!seedMatch) return category ? `Popular in ${category}` : "Popular on Pods";
+  const { podcast, seed } = seedMatch;
+  if (seed.completed) return `Because you finished ${podcast.title}`;
+  if (seed.liked) return `Because you liked ${podcast.title}`;
+  return `Because you've been listening to ${podcast.title}`;
+}
+
+/**
+ * @param {{
+ *   userId: string,
+ *   history: HistoryEntry[],
+ *   likes: LikeEntry[],
+ *   seedPodcasts: CataloguePodcast[],
+ *   candidates: CataloguePodcast[],
+ *   exclude?: Iterable<string>,
+ *   limit?: number,
+ *   now: number
+ * }} input
+ * @returns {Array<CataloguePodcast & { score: number, reason: string, exploration: boolean }>}
+ */
+function recommend({ userId, history, likes, seedPodcasts, candidates, exclude = [], limit = 20, now }) {
+  const seeds = buildSeeds({ history, likes, now });
+  const { categories, authors } = buildProfile(seeds, seedPodcasts);
+
+  // Already heard, liked, disliked or followed shows are never recommended
+  const excluded = new Set([...exclude].map(String));
+  for (const id of seeds.keys()) excluded.add(id);
+
+  const maxPopularity = Math.max(1, ...candidates.map((c) => c.popularityScore || 0));
+  const salt = String(userId);
+
+  const scored = [];
+  const seen = new Set();
+  for (const c of candidates) {
+    const id = String(c.id);
+    if (excluded.has(id) || seen.has(id)) continue;
+    seen.add(id);
+
+    const cats = categoriesOf(c);
+    let affinity = 0;
+    let best = null;
+    for (const cat of cats) {
+      const profile = categories.get(cat);
+      if (!profile) continue;
+      affinity += profile.share;
+      if (profile.weight > 0 && (!best || profile.share > best.share)) best = profile;
+    }
+    const author = authors.get((c.author || "").trim().toLowerCase());
+    const popularity = (c.popularityScore || 0) / maxPopularity;
+    const score =
+      affinity * 2 + (author ? 0.5 : 0) + popularity * 0.3 + (hash(salt + id) % 1000) / 1e6;
+
+    const seedMatch = author || best?.seeds[0] || null;
+    scored.push({
+      ...c,
+      score: Math.round(score * 1e4) / 1e4,
+      reason: explain(seedMatch, c.category1 || null),
+      primaryCategory: cats[0] || null,
+      inProfile: affinity > 0 || !!author,
+    });
+  }
+
+  scored.sort((a, b) => b.score - a.score || String(a.id).localeCompare(String(b.id)));
+
+  // Greedy re-rank: repeated categories are damped, and every EXPLORE_EVERY-th
+  // slot goes to the best show outside the listener's usual categories
+  const hasProfile = categories.size > 0;
+  const picked = [];
+  const categoryCounts = new Map();
+  const pool = [...scored];
+  while (picked.length < limit && pool.length) {
+    const exploreSlot = hasProfile && (picked.length + 1) % EXPLORE_EVERY === 0;
+    let bestIdx = -1;
+    let bestValue = -Infinity;
+    for (let i = 0; i < pool.length; i++) {
+      const item = pool[i];
+      if (exploreSlot && item.inProfile) continue;
+      const repeats = categoryCounts.get(item.primaryCategory) || 0;
+      const value = item.score * 0.7 ** repeats;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIdx = i;
+      }
+    }
+    if (bestIdx === -1) bestIdx = 0; // nothing outside the profile left
+    const [item] = pool.splice(bestIdx, 1);
+    categoryCounts.set(item.primaryCategory, (categoryCounts.get(item.primaryCategory) || 0) + 1);
+    const exploration = exploreSlot && !item.inProfile;
+    const { primaryCategory, inProfile, ...rest } = item;
+    picked.push({
+      ...rest,
+      reason: exploration
+        ? `Something new for you${item.category1 ? ` in ${item.category1}` : ""}`
+        : item.reason,
+      exploration,
+    });
+  }
+  return picked;
+}
+
+module.exports = { recommend, parseDuration };
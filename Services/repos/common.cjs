@@ -0,0 +1,41 @@
+/**
+ * Helpers shared by the repositories.
+ *
+ * Every id that leaves a repository is a string: SQLite integer keys, Mongo
+ * ObjectIds and PodcastIndex feed ids alike. Callers can compare and join
+ * them without knowing which store a record came from.
+ */
+
+/** @param {unknown} value @returns {string | null} */
+const toId = (value) => (value == null || value === "" ? null : String(value));
+
+/**
+ * Normalizes, drops empties and de-duplicates, keeping the first-seen order.
+ * @param {unknown[] | null | undefined} values
+ * @returns {string[]}
+ */
+const toIds = (values) => [...new Set((values || []).map(toId).filter(Boolean))];
+
+/**
+ * Lean Mongo document -> plain record with a string `id`. `_id` stays (as a
+ * string) because existing clients read it.
+ * @param {Record<string, any> | null} doc
+ */
+function fromDoc(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...rest } = doc;
+  return { ...rest, _id: toId(_id), id: toId(_id) };
+}
+
+const placeholders = (n) => Array(n).fill("?").join(",");
+
+// Returns rows in the order of `ids`, skipping ids that had no row
+function inIdOrder(ids, rows) {
+  const byId = new Map(rows.map((r) => [r.id, r]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+}
+
+// In-memory repositories hand out copies so callers cannot mutate the store
+const copy = (value) => (value == null ? value : structuredClone(value));
+
+module.exports = { toId, toIds, fromDoc, placeholders, inIdOrder, copy };
@@ -0,0 +1,86 @@
+/**
+ * Episodes from the ingestion store (`episodes`, written by ingest.cjs).
+ * Read-only here; ingestion owns inserts and updates.
+ *
+ * @typedef {{
+ *   id: string,
+ *   feedId: string | null,
+ *   podcastId: string | null,
+ *   stableId?: string | null,
+ *   guid?: string | null,
+ *   title: string | null,
+ *   description?: string | null,
+ *   pubDate?: string | null,
+ *   publishedAt?: number | null,
+ *   image: string | null,
+ *   mediaUrl: string | null,
+ *   mediaType: string | null,
+ *   duration?: string | null,
+ *   durationSec: number | null,
+ *   seasonNumber?: number | null,
+ *   episodeNumber?: number | null
+ * }} Episode
+ *
+ * @typedef {{
+ *   findById(id: string | number): Promise<Episode | null>,
+ *   findByIds(ids: Array<string | number>): Promise<Episode[]>
+ * }} EpisodeRepo
+ */
+
+const { dbAll } = require("../sqlite.cjs");
+const { parseDuration } = require("../recommend.cjs");
+const { toId, toIds, placeholders, inIdOrder, copy } = require("./common.cjs");
+
+const COLUMNS = `id, feedId, podcastId, stableId, guid, title, description, pubDate, publishedAt,
+                 imageUrl AS image, mediaUrl, mediaType, duration, seasonNumber, episodeNumber`;
+
+const toEpisode = (row) => ({
+  ...row,
+  id: toId(row.id),
+  feedId: toId(row.feedId),
+  podcastId: toId(row.podcastId),
+  durationSec: row.durationSec ?? parseDuration(row.duration),
+});
+
+/**
+ * @param {{ db: import("sqlite3").Database, ready?: Promise<unknown> }} deps
+ * @returns {EpisodeRepo}
+ */
+function createSqliteEpisodeRepo({ db, ready = Promise.resolve() }) {
+  async function findByIds(ids) {
+    const keys = toIds(ids);
+    if (!keys.length) return [];
+    await ready;
+    const rows = await dbAll(db, `SELECT ${COLUMNS} FROM episodes WHERE id IN (${placeholders(keys.length)})`, keys);
+    return inIdOrder(keys, rows.map(toEpisode));
+  }
+
+  return {
+    async findById(id) {
+      const [episode] = await findByIds([id]);
+      return episode || null;
+    },
+
+    findByIds,
+  };
+}
+
+/**
+ * @param {Array<Partial<Episode> & { id: string | number }>} [rows]
+ * @returns {EpisodeRepo}
+ */
+function createMemoryEpisodeRepo(rows = []) {
+  const episodes = new Map(rows.map((r) => [toId(r.id), toEpisode(r)]));
+
+  return {
+    async findById(id) {
+      return copy(episodes.get(toId(id)) || null);
+    },
+
+    async findByIds(ids) {
+      return toIds(ids).map((id) => episodes.get(id)).filter(Boolean).map(copy);
+    },
+  };
+}
+
+module.exports = { createSqliteEpisodeRepo, createMemoryEpisodeRepo };
@@ -0,0 +1,70 @@
+/**
+ * Listening history (WatchHistory in Mongo), one row per user and episode.
+ * Progress writes go through playback-sync.cjs, which owns the conflict
+ * rules; this repository is the read side routes use.
+ *
+ * @typedef {{
+ *   id: string,
+ *   userId: string,
+ *   episodeId: string,
+ *   podcastId: string | null,
+ *   positionSec: number,
+ *   completed: boolean,
+ *   completedAt?: Date | null,
+ *   lastPlayedAt: Date
+ * }} HistoryEntry
+ *
+ * @typedef {{
+ *   listRecent(userId: string, opts?: { limit?: number }): Promise<HistoryEntry[]>,
+ *   listInProgress(userId: string, opts?: { limit?: number }): Promise<HistoryEntry[]>
+ * }} HistoryRepo
+ */
+
+const History = require("../../Models/WatchHistory.js");
+const { toId, fromDoc, copy } = require("./common.cjs");
+
+const toEntry = (row) => ({
+  ...row,
+  episodeId: toId(row.episodeId),
+  podcastId: toId(row.podcastId),
+  positionSec: row.positionSec || 0,
+  completed: Boolean(row.completed),
+});
+
+/** @returns {HistoryRepo} */
+function createMongoHistoryRepo() {
+  const find = async (query, limit) =>
+    (await History.find(query).sort({ lastPlayedAt: -1 }).limit(limit).lean()).map((d) => toEntry(fromDoc(d)));
+
+  return {
+    listRecent: (userId, { limit = 200 } = {}) => find({ userId }, limit),
+    listInProgress: (userId, { limit = 10 } = {}) => find({ userId, completed: false }, limit),
+  };
+}
+
+/**
+ * @param {Array<Partial<HistoryEntry> & { userId: string, episodeId: string | number }>} [rows]
+ * @returns {HistoryRepo}
+ */
+function createMemoryHistoryRepo(rows = []) {
+  const entries = rows.map((r, i) =>
+    toEntry({ lastPlayedAt: new Date(0), ...r, id: toId(r.id) || String(i + 1) })
+  );
+  const find = (predicate, limit) =>
+    entries
+      .filter(predicate)
+      .sort((a, b) => new Date(b.lastPlayedAt) - new Date(a.lastPlayedAt))
+      .slice(0, limit)
+      .map(copy);
+
+  return {
+    async listRecent(userId, { limit = 200 } = {}) {
+      return find((e) => e.userId === userId, limit);
+    },
+    async listInProgress(userId, { limit = 10 } = {}) {
+      return find((e) => e.userId === userId && !e.completed, limit);
+    },
+  };
+}
+
+module.exports = { createMongoHistoryRepo, createMemoryHistoryRepo };
@@ -0,0 +1,76 @@
+/**
+ * Data-access layer. Routes receive these repositories instead of reaching
+ * into SQLite, Mongoose models or the storage backend themselves, so a
+ * handler that needs a listener's history and the episodes it points at no
+ * longer juggles two drivers and two error styles.
+ *
+ *   podcasts, episodes         SQLite catalogue and ingestion store
+ *   history, likes, uploads,   Mongo
+ *   subscriptions, profiles
+ *
+ * All methods return promises, and every id is a string whichever store it
+ * came from. `createMemoryRepositories` builds the same interface over
+ * plain arrays, so route logic can be exercised without a live database.
+ *
+ * @typedef {{
+ *   podcasts: import("./podcasts.cjs").PodcastRepo,
+ *   episodes: import("./episodes.cjs").EpisodeRepo,
+ *   history: import("./history.cjs").HistoryRepo,
+ *   likes: import("./likes.cjs").LikeRepo,
+ *   uploads: import("./uploads.cjs").UploadRepo,
+ *   subscriptions: import("./subscriptions.cjs").SubscriptionRepo,
+ *   profiles: import("./profiles.cjs").ProfileRepo
+ * }} Repositories
+ */
+
+const { createSqlitePodcastRepo, createMemoryPodcastRepo } = require("./podcasts.cjs");
+const { createSqliteEpisodeRepo, createMemoryEpisodeRepo } = require("./episodes.cjs");
+const { createMongoHistoryRepo, createMemoryHistoryRepo } = require("./history.cjs");
+const { createMongoLikeRepo, createMemoryLikeRepo } = require("./likes.cjs");
+const { createMongoUploadRepo, createMemoryUploadRepo } = require("./uploads.cjs");
+const { createMongoSubscriptionRepo, createMemorySubscriptionRepo } = require("./subscriptions.cjs");
+const { createMongoProfileRepo, createMemoryProfileRepo } = require("./profiles.cjs");
+const { toId, toIds } = require("./common.cjs");
+
+/**
+ * @param {{ db: import("sqlite3").Database, ready?: Promise<unknown> }} deps
+ *   `ready` resolves once migrations have run; SQLite reads wait for it
+ * @returns {Repositories}
+ */
+function createRepositories({ db, ready = Promise.resolve() }) {
+  return {
+    podcasts: createSqlitePodcastRepo({ db, ready }),
+    episodes: createSqliteEpisodeRepo({ db, ready }),
+    history: createMongoHistoryRepo(),
+    likes: createMongoLikeRepo(),
+    uploads: createMongoUploadRepo(),
+    subscriptions: createMongoSubscriptionRepo(),
+    profiles: createMongoProfileRepo(),
+  };
+}
+
+/**
+ * @param {{
+ *   podcasts?: any[],
+ *   episodes?: any[],
+ *   history?: any[],
+ *   likes?: any[],
+ *   uploads?: any[],
+ *   subscriptions?: any[],
+ *   profiles?: any[]
+ * }} [seed] initial rows, in the shape the repositories return
+ * @returns {Repositories}
+ */
+function createMemoryRepositories(seed = {}) {
+  return {
+    podcasts: createMemoryPodcastRepo(seed.podcasts),
+    episodes: createMemoryEpisodeRepo(seed.episodes),
+    history: createMemoryHistoryRepo(seed.history),
+    likes: createMemoryLikeRepo(seed.likes),
+    uploads: createMemoryUploadRepo(seed.uploads),
+    subscriptions: createMemorySubscriptionRepo(seed.subscriptions),
+    profiles: createMemoryProfileRepo(seed.profiles),
+  };
+}
+
+module.exports = { createRepositories, createMemoryRepositories, toId, toIds };
@@ -0,0 +1,105 @@
+/**
+ * Likes and dislikes on podcasts and episodes (PodcastLike in Mongo). A
+ * null `episodeId` is a like on the show itself.
+ *
+ * @typedef {{
+ *   podcastId: string,
+ *   episodeId: string | null,
+ *   userId: string,
+ *   liked: boolean,
+ *   updatedAt?: Date
+ * }} Like
+ *
+ * @typedef {{ podcastId: string | number, episodeId?: string | number | null, userId: string }} LikeKey
+ *
+ * @typedef {{
+ *   set(key: LikeKey, liked: boolean): Promise<Like>,
+ *   remove(key: LikeKey): Promise<boolean>,
+ *   counts(podcastId: string | number, episodeId?: string | number | null): Promise<{ likes: number, dislikes: number }>,
+ *   listPodcastLikes(userId: string): Promise<Like[]>
+ * }} LikeRepo
+ */
+
+const PodcastLike = require("../../Models/PodcastLike.js");
+const { toId, copy } = require("./common.cjs");
+
+const keyOf = ({ podcastId, episodeId = null, userId }) => ({
+  podcastId: toId(podcastId),
+  episodeId: toId(episodeId),
+  userId,
+});
+
+const toLike = ({ podcastId, episodeId, userId, liked, updatedAt }) => ({
+  podcastId: toId(podcastId),
+  episodeId: toId(episodeId),
+  userId,
+  liked: liked !== false,
+  updatedAt,
+});
+
+/** @returns {LikeRepo} */
+function createMongoLikeRepo() {
+  return {
+    async set(key, liked) {
+      const filter = keyOf(key);
+      await PodcastLike.updateOne(filter, { $set: { liked } }, { upsert: true });
+      return { ...filter, liked };
+    },
+
+    async remove(key) {
+      const { deletedCount } = await PodcastLike.deleteOne(keyOf(key));
+      return deletedCount > 0;
+    },
+
+    async counts(podcastId, episodeId = null) {
+      const filter = { podcastId: toId(podcastId), episodeId: toId(episodeId) };
+      const [likes, dislikes] = await Promise.all([
+        PodcastLike.countDocuments({ ...filter, liked: true }),
+        PodcastLike.countDocuments({ ...filter, liked: false }),
+      ]);
+      return { likes, dislikes };
+    },
+
+    async listPodcastLikes(userId) {
+      return (await PodcastLike.find({ userId, episodeId: null }).lean()).map(toLike);
+    },
+  };
+}
+
+/**
+ * @param {Array<Partial<Like> & LikeKey>} [rows]
+ * @returns {LikeRepo}
+ */
+function createMemoryLikeRepo(rows = []) {
+  const likes = new Map();
+  const slot = (k) => JSON.stringify([k.podcastId, k.episodeId, k.userId]);
+  for (const row of rows) {
+    const like = toLike({ updatedAt: new Date(), ...row, ...keyOf(row) });
+    likes.set(slot(like), like);
+  }
+
+  return {
+    async set(key, liked) {
+      const like = { ...keyOf(key), liked };
+      likes.set(slot(like), { ...like, updatedAt: new Date() });
+      return like;
+    },
+
+    async remove(key) {
+      return likes.delete(slot(keyOf(key)));
+    },
+
+    async counts(podcastId, episodeId = null) {
+      const [p, e] = [toId(podcastId), toId(episodeId)];
+      const matching = [...likes.values()].filter((l) => l.podcastId === p && l.episodeId === e);
+      const liked = matching.filter((l) => l.liked).length;
+      return { likes: liked, dislikes: matching.length - liked };
+    },
+
+    async listPodcastLikes(userId) {
+      return [...likes.values()].filter((l) => l.userId === userId && l.episodeId === null).map(copy);
+    },
+  };
+}
+
+module.exports = { createMongoLikeRepo, createMemoryLikeRepo };
@@ -0,0 +1,203 @@
+/**
+ * Podcast catalogue: the `podcasts` table imported from the PodcastIndex
+ * dump. Read-only; the dump is the only writer.
+ *
+ * @typedef {{
+ *   id: string,
+ *   title: string | null,
+ *   author: string | null,
+ *   image: string | null,
+ *   url: string | null,
+ *   link?: string | null,
+ *   description?: string | null,
+ *   language?: string | null,
+ *   category1?: string | null,
+ *   category2?: string | null,
+ *   popularityScore?: number | null,
+ *   episodeCount?: number | null,
+ *   newestItemPubdate?: number | null
+ * }} Podcast
+ *
+ * A category match is a list of alternatives, each a list of lowercase
+ * category terms that must all be present: [["comedy", "interviews"]] is
+ * "Comedy Interviews", [["health"], ["fitness"]] either word.
+ * @typedef {string[][]} CategoryMatch
+ *
+ * @typedef {{
+ *   sort?: "popular" | "newest",
+ *   lang?: string | null,
+ *   offset?: number,
+ *   limit?: number
+ * }} CategoryListOptions
+ *
+ * @typedef {{
+ *   findById(id: string | number): Promise<Podcast | null>,
+ *   findByIds(ids: Array<string | number>): Promise<Podcast[]>,
+ *   listByCategories(categories: string[], opts?: { limit?: number }): Promise<Podcast[]>,
+ *   listPopular(opts?: { limit?: number }): Promise<Podcast[]>,
+ *   countInCategory(match: CategoryMatch): Promise<number>,
+ *   listInCategory(match: CategoryMatch, opts?: CategoryListOptions): Promise<Podcast[]>
+ * }} PodcastRepo
+ */
+
+const { dbAll } = require("../sqlite.cjs");
+const { toId, toIds, placeholders, inIdOrder, copy } = require("./common.cjs");
+
+const COLUMNS = `id, title, itunesAuthor AS author, imageUrl AS image, url, link, description,
+                 language, category1, category2, popularityScore, episodeCount, newestItemPubdate`;
+
+const ORDER = {
+  popular: "popularityScore DESC, id",
+  newest: "newestItemPubdate DESC, id",
+};
+
+const toPodcast = (row) => ({ ...row, id: toId(row.id) });
+
+// Podcast ids matching a category, as a subquery over podcast_categories
+function categorySubquery(match) {
+  const params = [];
+  const parts = match.map((terms) => {
+    params.push(...terms);
+    if (terms.length === 1) return "SELECT podcastId FROM podcast_categories WHERE term = ?";
+    return `SELECT podcastId FROM podcast_categories WHERE term IN (${placeholders(terms.length)})
+            GROUP BY podcastId HAVING COUNT(*) = ${terms.length}`;
+  });
+  return { sql: parts.join(" UNION "), params };
+}
+
+// "en" matches "en", "en-us" and "en_GB"
+const languageMatches = (language, lang) => {
+  const value = String(language || "").toLowerCase().replace("_", "-");
+  return value === lang || value.startsWith(`${lang}-`);
+};
+
+// Category terms of a podcast row, for the in-memory repository
+const termsOf = (p) =>
+  new Set(
+    Array.from({ length: 10 }, (_, i) => p[`category${i + 1}`])
+      .filter((c) => c && String(c).trim())
+      .map((c) => String(c).trim().toLowerCase())
+  );
+
+/**
+ * @param {{ db: import("sqlite3").Database, ready?: Promise<unknown> }} deps
+ * @returns {PodcastRepo}
+ */
+function createSqlitePodcastRepo({ db, ready = Promise.resolve() }) {
+  async function query(sql, params) {
+    await ready;
+    return (await dbAll(db, sql, params)).map(toPodcast);
+  }
+
+  async function findByIds(ids) {
+    const keys = toIds(ids);
+    if (!keys.length) return [];
+    return inIdOrder(keys, await query(`SELECT ${COLUMNS} FROM podcasts WHERE id IN (${placeholders(keys.length)})`, keys));
+  }
+
+  return {
+    async findById(id) {
+      const [podcast] = await findByIds([id]);
+      return podcast || null;
+    },
+
+    findByIds,
+
+    // Matches the primary or secondary category, case-insensitively; most popular first
+    async listByCategories(categories, { limit = 300 } = {}) {
+      const cats = [...new Set(categories.filter(Boolean).map((c) => String(c).toLowerCase()))];
+      if (!cats.length) return [];
+      return query(
+        `SELECT ${COLUMNS} FROM podcasts
+         WHERE lower(category1) IN (${placeholders(cats.length)})
+            OR lower(category2) IN (${placeholders(cats.length)})
+         ORDER BY ${ORDER.popular} LIMIT ?`,
+        [...cats, ...cats, limit]
+      );
+    },
+
+    listPopular({ limit = 100 } = {}) {
+      return query(`SELECT ${COLUMNS} FROM podcasts ORDER BY ${ORDER.popular} LIMIT ?`, [limit]);
+    },
+
+    async countInCategory(match) {
+      if (!match.length) return 0;
+      await ready;
+      const { sql, params } = categorySubquery(match);
+      const [row] = await dbAll(db, `SELECT COUNT(*) AS count FROM (${sql})`, params);
+      return row.count;
+    },
+
+    listInCategory(match, { sort = "popular", lang = null, offset = 0, limit = 20 } = {}) {
+      if (!match.length) return Promise.resolve([]);
+      const { sql, params } = categorySubquery(match);
+      const where = [`id IN (${sql})`];
+      if (lang) {
+        where.push("(lower(language) = ? OR replace(lower(language), '_', '-') LIKE ?)");
+        params.push(lang, `${lang}-%`);
+      }
+      return query(
+        `SELECT ${COLUMNS} FROM podcasts WHERE ${where.join(" AND ")}
+         ORDER BY ${ORDER[sort] || ORDER.popular} LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+    },
+  };
+}
+
+/**
+ * @param {Array<Partial<Podcast> & { id: string | number }>} [rows]
+ * @returns {PodcastRepo}
+ */
+function createMemoryPodcastRepo(rows = []) {
+  const podcasts = new Map(rows.map((r) => [toId(r.id), toPodcast(r)]));
+  // same order as ORDER.popular: equal scores by id
+  const popular = () =>
+    [...podcasts.values()].sort(
+      (a, b) => (b.popularityScore || 0) - (a.popularityScore || 0) || Number(a.id) - Number(b.id)
+    );
+  const inCategory = (match) => {
+    const matches = (p) => {
+      const terms = termsOf(p);
+      return match.some((alt) => alt.every((t) => terms.has(t)));
+    };
+    return [...podcasts.values()].filter(matches);
+  };
+
+  return {
+    async findById(id) {
+      return copy(podcasts.get(toId(id)) || null);
+    },
+
+    async findByIds(ids) {
+      return toIds(ids).map((id) => podcasts.get(id)).filter(Boolean).map(copy);
+    },
+
+    async listByCategories(categories, { limit = 300 } = {}) {
+      const cats = new Set(categories.filter(Boolean).map((c) => String(c).toLowerCase()));
+      return popular()
+        .filter((p) => [p.category1, p.category2].some((c) => c && cats.has(c.toLowerCase())))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async listPopular({ limit = 100 } = {}) {
+      return popular().slice(0, limit).map(copy);
+    },
+
+    async countInCategory(match) {
+      return inCategory(match).length;
+    },
+
+    async listInCategory(match, { sort = "popular", lang = null, offset = 0, limit = 20 } = {}) {
+      const key = sort === "newest" ? "newestItemPubdate" : "popularityScore";
+      return inCategory(match)
+        .filter((p) => !lang || languageMatches(p.language, lang))
+        .sort((a, b) => (b[key] || 0) - (a[key] || 0) || Number(a.id) - Number(b.id))
+        .slice(offset, offset + limit)
+        .map(copy);
+    },
+  };
+}
+
+module.exports = { createSqlitePodcastRepo, createMemoryPodcastRepo };
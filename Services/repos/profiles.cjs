@@ -0,0 +1,67 @@
+/**
+ * Listener profiles (UserProfile in Mongo): saved preferences such as the
+ * catalogue language and region.
+ *
+ * @typedef {{
+ *   userId: string,
+ *   language: string | null,
+ *   region: string | null,
+ *   updatedAt?: Date
+ * }} Profile
+ *
+ * @typedef {{
+ *   get(userId: string): Promise<Profile | null>,
+ *   update(userId: string, fields: { language?: string | null, region?: string | null }): Promise<Profile>
+ * }} ProfileRepo
+ */
+
+const UserProfile = require("../../Models/UserProfile.js");
+const { copy } = require("./common.cjs");
+
+const toProfile = ({ userId, language = null, region = null, updatedAt }) => ({
+  userId,
+  language,
+  region,
+  updatedAt,
+});
+
+/** @returns {ProfileRepo} */
+function createMongoProfileRepo() {
+  return {
+    async get(userId) {
+      const doc = await UserProfile.findOne({ userId }).lean();
+      return doc ? toProfile(doc) : null;
+    },
+
+    async update(userId, fields) {
+      const doc = await UserProfile.findOneAndUpdate(
+        { userId },
+        { $set: fields },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      ).lean();
+      return toProfile(doc);
+    },
+  };
+}
+
+/**
+ * @param {Array<Partial<Profile> & { userId: string }>} [rows]
+ * @returns {ProfileRepo}
+ */
+function createMemoryProfileRepo(rows = []) {
+  const profiles = new Map(rows.map((r) => [r.userId, toProfile({ updatedAt: new Date(), ...r })]));
+
+  return {
+    async get(userId) {
+      return copy(profiles.get(userId) || null);
+    },
+
+    async update(userId, fields) {
+      const profile = toProfile({ ...profiles.get(userId), ...fields, userId, updatedAt: new Date() });
+      profiles.set(userId, profile);
+      return copy(profile);
+    },
+  };
+}
+
+module.exports = { createMongoProfileRepo, createMemoryProfileRepo };
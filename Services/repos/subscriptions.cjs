@@ -0,0 +1,76 @@
+/**
+ * Read side of a user's subscriptions (Subscription in Mongo), for routes
+ * that only need to know what a listener already follows, or who follows a
+ * feed. Subscribing and OPML import stay in Routes/subscriptions.cjs.
+ *
+ * @typedef {{
+ *   id: string,
+ *   userId: string,
+ *   feedUrl: string,
+ *   feedKey: string,
+ *   podcastId: string | null,
+ *   localFeedId: string | null,
+ *   title?: string,
+ *   image?: string
+ * }} SubscriptionRecord
+ *
+ * @typedef {{
+ *   listByUser(userId: string): Promise<SubscriptionRecord[]>,
+ *   listFollowerIds(feedKey: string): Promise<string[]>,
+ *   followedFeedKeys(feedKeys: string[]): Promise<Set<string>>
+ * }} SubscriptionRepo
+ */
+
+const Subscription = require("../../Models/Subscription.js");
+const { normalizeFeedUrl } = require("../feed-url.cjs");
+const { toId, fromDoc, copy } = require("./common.cjs");
+
+const toSubscription = (row) => ({
+  ...row,
+  podcastId: toId(row.podcastId),
+  localFeedId: toId(row.localFeedId),
+});
+
+/** @returns {SubscriptionRepo} */
+function createMongoSubscriptionRepo() {
+  return {
+    async listByUser(userId) {
+      const docs = await Subscription.find({ userId }).sort({ createdAt: -1 }).lean();
+      return docs.map((d) => toSubscription(fromDoc(d)));
+    },
+
+    async listFollowerIds(feedKey) {
+      return Subscription.distinct("userId", { feedKey });
+    },
+
+    async followedFeedKeys(feedKeys) {
+      return new Set(await Subscription.distinct("feedKey", { feedKey: { $in: feedKeys } }));
+    },
+  };
+}
+
+/**
+ * @param {Array<Partial<SubscriptionRecord> & { userId: string, feedUrl: string }>} [rows]
+ * @returns {SubscriptionRepo}
+ */
+function createMemorySubscriptionRepo(rows = []) {
+  const subs = rows.map((r, i) =>
+    toSubscription({ feedKey: normalizeFeedUrl(r.feedUrl), ...r, id: toId(r.id) || String(i + 1) })
+  );
+
+  return {
+    async listByUser(userId) {
+      return subs.filter((s) => s.userId === userId).map(copy);
+    },
+
+    async listFollowerIds(feedKey) {
+      return [...new Set(subs.filter((s) => s.feedKey === feedKey).map((s) => s.userId))];
+    },
+
+    async followedFeedKeys(feedKeys) {
+      return new Set(feedKeys.filter((k) => subs.some((s) => s.feedKey === k)));
+    },
+  };
+}
+
+module.exports = { createMongoSubscriptionRepo, createMemorySubscriptionRepo };
@@ -0,0 +1,92 @@
+/**
+ * Creator uploads (UploadMeta in Mongo). The audio and cover files
+ * themselves live in the storage backend (Supabase or local disk); these
+ * records hold their URLs and storage keys.
+ *
+ * @typedef {Record<string, any> & {
+ *   id: string,
+ *   _id: string,
+ *   userId: string,
+ *   title: string,
+ *   size: number,
+ *   showId: string | null,
+ *   createdAt: Date
+ * }} Upload
+ *
+ * @typedef {{
+ *   create(fields: Record<string, any>): Promise<Upload>,
+ *   listByUser(userId: string, opts?: { limit?: number }): Promise<Upload[]>,
+ *   countByUser(userId: string): Promise<number>,
+ *   totalBytes(userId: string): Promise<number>
+ * }} UploadRepo
+ */
+
+const crypto = require("crypto");
+const UploadMeta = require("../../Models/UploadMeta.js");
+const { toId, fromDoc, copy } = require("./common.cjs");
+
+const toUpload = (doc) => {
+  const upload = fromDoc(doc);
+  return { ...upload, showId: toId(upload.showId) };
+};
+
+/** @returns {UploadRepo} */
+function createMongoUploadRepo() {
+  return {
+    async create(fields) {
+      const doc = await UploadMeta.create(fields);
+      return toUpload(doc.toObject());
+    },
+
+    async listByUser(userId, { limit = 50 } = {}) {
+      const docs = await UploadMeta.find({ userId }).sort({ createdAt: -1 }).limit(limit).lean();
+      return docs.map(toUpload);
+    },
+
+    countByUser: (userId) => UploadMeta.countDocuments({ userId }),
+
+    async totalBytes(userId) {
+      const [row] = await UploadMeta.aggregate([
+        { $match: { userId } },
+        { $group: { _id: null, total: { $sum: "$size" } } },
+      ]);
+      return row?.total || 0;
+    },
+  };
+}
+
+/**
+ * @param {Array<Record<string, any>>} [rows]
+ * @returns {UploadRepo}
+ */
+function createMemoryUploadRepo(rows = []) {
+  // ObjectId-shaped ids, so code that validates them keeps working
+  const newId = () => crypto.randomBytes(12).toString("hex");
+  const normalize = (r) =>
+    toUpload({ size: 0, showId: null, publishedAt: null, createdAt: new Date(), ...r, _id: toId(r._id ?? r.id) || newId() });
+  const uploads = rows.map(normalize);
+  const mine = (userId) =>
+    uploads.filter((u) => u.userId === userId).sort((a, b) => b.createdAt - a.createdAt);
+
+  return {
+    async create(fields) {
+      const upload = normalize({ ...fields, _id: null, createdAt: new Date() });
+      uploads.push(upload);
+      return copy(upload);
+    },
+
+    async listByUser(userId, { limit = 50 } = {}) {
+      return mine(userId).slice(0, limit).map(copy);
+    },
+
+    async countByUser(userId) {
+      return mine(userId).length;
+    },
+
+    async totalBytes(userId) {
+      return mine(userId).reduce((sum, u) => sum + (u.size || 0), 0);
+    },
+  };
+}
+
+module.exports = { createMongoUploadRepo, createMemoryUploadRepo };
@@ -0,0 +1,183 @@
+/**
+ * Minimal RESP2 client for Redis-compatible servers (Redis, Valkey,
+ * KeyDB, Dragonfly, or a local stand-in). Exposes the same
+ * `sendCommand(args)` shape as node-redis, so either can back the shared
+ * cache. Commands are pipelined over one connection, which is opened on
+ * first use and reopened after it drops.
+ */
+
+const net = require("net");
+const tls = require("tls");
+
+const CRLF = "\r\n";
+
+function encode(args) {
+  let out = `*${args.length}${CRLF}`;
+  for (const arg of args) {
+    const s = String(arg);
+    out += `$${Buffer.byteLength(s)}${CRLF}${s}${CRLF}`;
+  }
+  return out;
+}
+
+/**
+ * Reads one reply starting at `offset`; null when the buffer ends mid-reply.
+ * Error replies are returned as Error values so they can sit inside arrays.
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @returns {{ value: any, offset: number } | null}
+ */
+function parseReply(buf, offset) {
+  if (offset >= buf.length) return null;
+  const end = buf.indexOf(CRLF, offset);
+  if (end === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, end);
+  const next = end + 2;
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new Error(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const len = Number(line);
+      if (len < 0) return { value: null, offset: next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.toString("utf8", next, next + len), offset: next + len + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count < 0) return { value: null, offset: next };
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, pos);
+        if (!item) return null;
+        items.push(item.value);
+        pos = item.offset;
+      }
+      return { value: items, offset: pos };
+    }
+    default:
+      throw new Error(`Unexpected RESP type ${JSON.stringify(type)}`);
+  }
+}
+
+/**
+ * @param {string} url redis://[user:password@]host[:port][/db] or rediss://
+ * @param {{ connectTimeoutMs?: number, commandTimeoutMs?: number }} [opts]
+ */
+function createRespClient(url, { connectTimeoutMs = 5000, commandTimeoutMs = 5000 } = {}) {
+  const target = new URL(url);
+  if (target.protocol !== "redis:" && target.protocol !== "rediss:")
+    throw new Error(`Unsupported cache URL ${target.protocol}`);
+  const host = target.hostname || "127.0.0.1";
+  const port = Number(target.port) || 6379;
+  const dbIndex = Number(target.pathname.slice(1)) || 0;
+  const username = decodeURIComponent(target.username);
+  const password = decodeURIComponent(target.password);
+
+  let socket = null;
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  /** @type {Array<{ resolve: (v: any) => void, reject: (e: Error) => void }>} */
+  let waiting = [];
+
+  function failAll(err) {
+    const pending = waiting;
+    waiting = [];
+    pending.forEach((w) => w.reject(err));
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    for (;;) {
+      let reply;
+      try {
+        reply = parseReply(buffer, offset);
+      } catch (err) {
+        socket.destroy(err);
+        return;
+      }
+      if (!reply) break;
+      offset = reply.offset;
+      const w = waiting.shift();
+      if (!w) continue;
+      if (reply.value instanceof Error) w.reject(reply.value);
+      else w.resolve(reply.value);
+    }
+    buffer = buffer.subarray(offset);
+  }
+
+  function write(args) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      socket.write(encode(args));
+    });
+  }
+
+  function connect() {
+    if (connecting) return connecting;
+    connecting = new Promise((resolve, reject) => {
+      const opts = { host, port };
+      const sock = target.protocol === "rediss:" ? tls.connect({ ...opts, servername: host }) : net.connect(opts);
+      sock.setNoDelay(true);
+      sock.setTimeout(connectTimeoutMs, () => sock.destroy(new Error(`Cache connection to ${host}:${port} timed out`)));
+      sock.once(target.protocol === "rediss:" ? "secureConnect" : "connect", async () => {
+        sock.setTimeout(0);
+        socket = sock;
+        try {
+          if (password) await write(username ? ["AUTH", username, password] : ["AUTH", password]);
+          if (dbIndex) await write(["SELECT", dbIndex]);
+          resolve(sock);
+        } catch (err) {
+          sock.destroy(err);
+        }
+      });
+      sock.on("data", onData);
+      sock.on("error", () => {});
+      sock.on("close", () => {
+        const err = new Error(`Cache connection to ${host}:${port} closed`);
+        if (socket === sock) socket = null;
+        connecting = null;
+        buffer = Buffer.alloc(0);
+        failAll(err);
+        reject(err);
+      });
+    });
+    return connecting;
+  }
+
+  /**
+   * @param {Array<string | number>} args
+   * @returns {Promise<any>}
+   */
+  async function sendCommand(args) {
+    await connect();
+    let timer;
+    return Promise.race([
+      write(args),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          // replies are matched by order, so a lost one poisons the connection
+          socket?.destroy();
+          reject(new Error(`Cache command ${args[0]} timed out`));
+        }, commandTimeoutMs);
+        timer.unref();
+      }),
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  async function quit() {
+    if (!socket) return;
+    await sendCommand(["QUIT"]).catch(() => {});
+    socket?.destroy();
+  }
+
+  return { sendCommand, quit };
+}
+
+module.exports = { createRespClient, encode, parseReply };
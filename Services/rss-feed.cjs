@@ -0,0 +1,115 @@
+/**
+ * Renders a creator show as an RSS 2.0 feed with the iTunes podcast
+ * namespace, so it can be subscribed to from any podcast app.
+ */
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML = /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+function esc(value) {
+  return String(value ?? "")
+    .replace(INVALID_XML, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function cdata(value) {
+  const text = String(value ?? "").replace(INVALID_XML, "");
+  return `<![CDATA[${text.replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+function tag(name, value, attrs = "") {
+  if (value === undefined || value === null || value === "") return "";
+  return `<${name}${attrs}>${esc(value)}</${name}>`;
+}
+
+function formatDuration(seconds) {
+  if (!seconds) return null;
+  return String(Math.round(seconds));
+}
+
+function categoryXml(categories = []) {
+  return categories
+    .filter((c) => c?.name)
+    .map((c) =>
+      c.subcategory
+        ? `<itunes:category text="${esc(c.name)}"><itunes:category text="${esc(c.subcategory)}"/></itunes:category>`
+        : `<itunes:category text="${esc(c.name)}"/>`
+    )
+    .join("\n    ");
+}
+
+// Joins element lines at one indent, leaving out optional elements that rendered empty
+function lines(indent, parts) {
+  return parts.filter(Boolean).join(`\n${indent}`);
+}
+
+function itemXml(ep, show) {
+  const guid = String(ep.guid || ep._id);
+  const explicit = ep.explicit ?? show.explicit;
+  return `<item>
+      ${lines("      ", [
+        tag("title", ep.title),
+        tag("itunes:title", ep.title),
+        `<description>${cdata(ep.description)}</description>`,
+        `<guid isPermaLink="false">${esc(guid)}</guid>`,
+        tag("pubDate", new Date(ep.publishedAt).toUTCString()),
+        `<enclosure url="${esc(ep.fileUrl)}" length="${Number(ep.size) || 0}" type="${esc(ep.mimeType || "audio/mpeg")}"/>`,
+        tag("itunes:duration", formatDuration(ep.durationSec)),
+        ep.coverUrl && `<itunes:image href="${esc(ep.coverUrl)}"/>`,
+        tag("itunes:season", ep.seasonNumber),
+        tag("itunes:episode", ep.episodeNumber),
+        tag("itunes:episodeType", ep.episodeType || "full"),
+        tag("itunes:explicit", explicit ? "true" : "false"),
+      ])}
+    </item>`;
+}
+
+/**
+ * @param {Record<string, any>} show  Show document
+ * @param {Array<Record<string, any>>} episodes  published UploadMeta documents, newest first
+ * @param {{ selfUrl: string }} opts
+ * @returns {string}
+ */
+function buildShowFeed(show, episodes, { selfUrl }) {
+  const link = show.link || selfUrl;
+  const author = show.author || show.ownerName || "Pods Creator";
+  const lastBuild = episodes[0]?.publishedAt || show.updatedAt || new Date();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+  xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    ${lines("    ", [
+      tag("title", show.title),
+      tag("link", link),
+      `<atom:link href="${esc(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+      `<description>${cdata(show.description)}</description>`,
+      tag("language", show.language || "en"),
+      tag("copyright", show.copyright),
+      tag("lastBuildDate", new Date(lastBuild).toUTCString()),
+      tag("generator", "Pods"),
+      tag("itunes:author", author),
+      tag("itunes:summary", show.description),
+      tag("itunes:type", show.type || "episodic"),
+      `<itunes:owner>
+      ${lines("      ", [tag("itunes:name", show.ownerName || author), tag("itunes:email", show.ownerEmail)])}
+    </itunes:owner>`,
+      show.artworkUrl && `<itunes:image href="${esc(show.artworkUrl)}"/>`,
+      show.artworkUrl &&
+        `<image>${tag("url", show.artworkUrl)}${tag("title", show.title)}${tag("link", link)}</image>`,
+      categoryXml(show.categories),
+      tag("itunes:explicit", show.explicit ? "true" : "false"),
+      ...episodes.map((ep) => itemXml(ep, show)),
+    ])}
+  </channel>
+</rss>
+`;
+}
+
+module.exports = { buildShowFeed };
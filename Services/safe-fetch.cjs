@@ -0,0 +1,257 @@
+/**
+ * Hardened outbound HTTP for anything that fetches URLs users or feeds
+ * supply: RSS feeds, transcripts, chapters, enclosures and PodcastIndex.
+ *
+ *   - http(s) only, optional host allowlist, and DNS answers checked at
+ *     connect time so private, loopback and link-local addresses are
+ *     unreachable (see net-guard.cjs)
+ *   - redirects followed by hand, each hop re-validated, at most `maxRedirects`;
+ *     credential headers are dropped once a redirect leaves the first origin
+ *   - an idle timeout per socket plus an overall deadline for buffered bodies
+ *   - buffered bodies capped at `maxBytes` after decompression, refused up
+ *     front when Content-Length is already too large
+ *   - an optional Content-Type check
+ *   - bodies can be sent (webhooks); those requests never follow redirects
+ *
+ * Errors carry `status` (400/403 for refused URLs, 413, 415, 502, 504) so
+ * routes can pass them straight through; upstream error statuses also keep
+ * the original code and Retry-After as `upstreamStatus` and `retryAfter`.
+ *
+ * @typedef {{
+ *   status: number,
+ *   url: string,
+ *   headers: import("http").IncomingHttpHeaders,
+ *   body: string
+ * }} FetchResult
+ */
+
+const http = require("http");
+const https = require("https");
+const zlib = require("zlib");
+const { checkUrl, guardedLookup } = require("./net-guard.cjs");
+
+const MB = 1024 * 1024;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Feeds, transcripts and chapters: anything textual, never media or images
+const TEXT_TYPES = /xml|rss|atom|json|text\/|subrip|octet-stream/i;
+// Only ever sent to the origin they were given for (PodcastIndex signs with X-Auth-*)
+const CREDENTIAL_HEADERS = /^(authorization|proxy-authorization|cookie|x-auth-[\w-]+|x-api-key)$/i;
+
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+function withoutCredentials(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !CREDENTIAL_HEADERS.test(name)));
+}
+
+function decoderFor(encoding) {
+  switch ((encoding || "").trim().toLowerCase()) {
+    case "gzip":
+    case "x-gzip":
+      return zlib.createGunzip();
+    case "deflate":
+      return zlib.createInflate();
+    case "br":
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+function charsetOf(contentType) {
+  const m = /charset="?([\w-]+)"?/i.exec(contentType || "");
+  return m ? m[1].toLowerCase() : "utf-8";
+}
+
+function decodeText(buf, contentType) {
+  try {
+    return new TextDecoder(charsetOf(contentType)).decode(buf);
+  } catch {
+    return buf.toString("utf8");
+  }
+}
+
+/**
+ * @param {{
+ *   allowlist?: string[],
+ *   maxBytes?: number,
+ *   maxRedirects?: number,
+ *   timeoutMs?: number,
+ *   idleTimeoutMs?: number,
+ *   userAgent?: string
+ * }} [opts]
+ */
+function createSafeFetcher({
+  allowlist = [],
+  maxBytes = 20 * MB,
+  maxRedirects = 5,
+  timeoutMs = 15000,
+  idleTimeoutMs = 15000,
+  userAgent = "Mozilla/5.0 (PodsApp RSS Fetcher)",
+} = {}) {
+  /**
+   * One request; resolves with the response once headers arrive.
+   * @param {URL} url
+   */
+  function request(url, method, headers, signal, body) {
+    const lib = url.protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = lib.request(url, { method, headers, signal, lookup: guardedLookup }, resolve);
+      req.setTimeout(idleTimeoutMs, () => req.destroy(httpError(504, `Timed out fetching ${url.host}`)));
+      req.on("error", (err) => {
+        if (!err.status && err.code !== "ERR_BLOCKED_ADDRESS") err.status = 502;
+        reject(err);
+      });
+      req.end(body);
+    });
+  }
+
+  /**
+   * Opens a response stream after following redirects. The caller owns the
+   * stream and must consume or destroy it; no size or deadline is applied,
+   * which is what streaming (the audio proxy) needs.
+   * @param {string | URL} target
+   * @param {{
+   *   method?: string,
+   *   headers?: Record<string, string>,
+   *   allowlist?: string[],
+   *   signal?: AbortSignal
+   * }} [opts]
+   * @returns {Promise<{ url: URL, res: import("http").IncomingMessage }>}
+   */
+  async function open(target, { method = "GET", headers = {}, allowlist: hosts = allowlist, signal } = {}) {
+    let url = checkUrl(target, { allowlist: hosts });
+    let sent = { "User-Agent": userAgent, ...headers };
+    for (let hop = 0; ; hop++) {
+      const res = await request(url, method, sent, signal);
+      if (!REDIRECT_STATUSES.has(res.statusCode) || !res.headers.location) return { url, res };
+      res.resume();
+      if (hop >= maxRedirects) throw httpError(502, "Too many redirects");
+      const next = checkUrl(new URL(res.headers.location, url), { allowlist: hosts });
+      if (next.origin !== url.origin) sent = withoutCredentials(sent);
+      url = next;
+    }
+  }
+
+  /**
+   * Fetches a whole body as text. Statuses from 400 up throw; 2xx and 304
+   * are returned.
+   * @param {string | URL} target
+   * @param {{
+   *   headers?: Record<string, string>,
+   *   accept?: RegExp | null,
+   *   maxBytes?: number,
+   *   timeoutMs?: number
+   * }} [opts]
+   * @returns {Promise<FetchResult>}
+   */
+  async function fetchText(target, { headers = {}, accept = TEXT_TYPES, maxBytes: limit = maxBytes, timeoutMs: deadline = timeoutMs } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), deadline);
+    timer.unref();
+    try {
+      const { url, res } = await open(target, {
+        headers: { "Accept-Encoding": "gzip, deflate, br", ...headers },
+        signal: controller.signal,
+      });
+      const status = res.statusCode;
+      if (status >= 400 || status < 200 || (status >= 300 && status !== 304)) {
+        res.resume();
+        const err = httpError(502, `HTTP ${status} from ${url.host}`, "ERR_UPSTREAM_STATUS");
+        err.upstreamStatus = status;
+        err.retryAfter = res.headers["retry-after"] || null;
+        throw err;
+      }
+      if (status === 304) {
+        res.resume();
+        return { status, url: url.href, headers: res.headers, body: "" };
+      }
+      const type = res.headers["content-type"];
+      if (accept && type && !accept.test(type)) {
+        res.resume();
+        throw httpError(415, `Unexpected content type ${type}`);
+      }
+      if (Number(res.headers["content-length"]) > limit && !res.headers["content-encoding"]) {
+        res.resume();
+        throw httpError(413, `Response larger than ${limit} bytes`);
+      }
+
+      const decoder = decoderFor(res.headers["content-encoding"]);
+      const stream = decoder ? res.pipe(decoder) : res;
+      if (decoder) res.on("error", (err) => decoder.destroy(err));
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of stream) {
+        size += chunk.length;
+        if (size > limit) {
+          res.destroy();
+          throw httpError(413, `Response larger than ${limit} bytes`);
+        }
+        chunks.push(chunk);
+      }
+      return { status, url: url.href, headers: res.headers, body: decodeText(Buffer.concat(chunks), type) };
+    } catch (err) {
+      if (controller.signal.aborted) throw httpError(504, "Fetch deadline exceeded");
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * @param {string | URL} target
+   * @param {{ headers?: Record<string, string>, maxBytes?: number, timeoutMs?: number }} [opts]
+   */
+  async function fetchJson(target, opts = {}) {
+    const res = await fetchText(target, {
+      ...opts,
+      accept: /json|text\/plain/i,
+      headers: { Accept: "application/json", ...opts.headers },
+    });
+    try {
+      return { ...res, data: JSON.parse(res.body) };
+    } catch {
+      throw httpError(502, `Invalid JSON from ${new URL(res.url).host}`);
+    }
+  }
+
+  /**
+   * Sends a body and resolves with the status once headers arrive. The
+   * response body is discarded and a redirect is returned as is, so a
+   * signed payload is only ever delivered to the URL it was signed for.
+   * @param {string | URL} target
+   * @param {{
+   *   method?: string,
+   *   headers?: Record<string, string>,
+   *   body?: string | Buffer,
+   *   timeoutMs?: number
+   * }} [opts]
+   * @returns {Promise<{ status: number, url: string, headers: import("http").IncomingHttpHeaders }>}
+   */
+  async function send(target, { method = "POST", headers = {}, body = "", timeoutMs: deadline = timeoutMs } = {}) {
+    const url = checkUrl(target, { allowlist });
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), deadline);
+    timer.unref();
+    try {
+      const sent = { "User-Agent": userAgent, "Content-Length": String(Buffer.byteLength(body)), ...headers };
+      const res = await request(url, method, sent, controller.signal, body);
+      res.resume();
+      return { status: res.statusCode, url: url.href, headers: res.headers };
+    } catch (err) {
+      if (controller.signal.aborted) throw httpError(504, `Timed out sending to ${url.host}`);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { open, fetchText, fetchJson, send };
+}
+
+module.exports = { createSafeFetcher, TEXT_TYPES };
@@ -0,0 +1,222 @@
+/**
+ * Podcast search: ranked hits from the local `podcasts_fts` index first,
+ * merged with (or replaced by) PodcastIndex `/search/byterm` results.
+ *
+ * `lang` filters; `preferLang` (the listener's inferred language) only moves
+ * shows in that language ahead of the rest.
+ *
+ * @typedef {{
+ *   lang?: string,
+ *   preferLang?: string | null,
+ *   category?: string,
+ *   author?: string,
+ *   cursor?: string,
+ *   limit?: number
+ * }} SearchOptions
+ */
+
+const { dbAll } = require("./sqlite.cjs");
+const { normalizeFeedUrl } = require("./feed-url.cjs");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+/**
+ * Turns user input into an FTS5 MATCH expression.
+ * "quoted text" becomes a phrase query, `word*` a prefix query, and the last
+ * bare word is always prefix-matched so search-as-you-type works.
+ * @param {string} term
+ * @returns {string | null}
+ */
+function buildMatchQuery(term) {
+  const parts = [];
+  const phraseRe = /"([^"]*)"/g;
+
+  const rest = term.replace(phraseRe, (_, phrase) => {
+    const words = phrase.match(/[\p{L}\p{N}_]+/gu);
+    if (words) parts.push(`"${words.join(" ")}"`);
+    return " ";
+  });
+
+  const tokens = rest.match(/[\p{L}\p{N}_]+\*?/gu) || [];
+  tokens.forEach((token, i) => {
+    const isPrefix = token.endsWith("*") || i === tokens.length - 1;
+    const word = token.replace(/\*$/, "");
+    parts.push(isPrefix ? `"${word}"*` : `"${word}"`);
+  });
+
+  return parts.length ? parts.join(" ") : null;
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  try {
+    const { o } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (Number.isInteger(o) && o >= 0) return o;
+  } catch {
+    // fall through
+  }
+  const err = new Error("Invalid cursor");
+  err.status = 400;
+  throw err;
+}
+
+function localRowToFeed(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    author: row.author || "Unknown",
+    description: row.description || "",
+    image: row.image || null,
+    artwork: row.image || null,
+    url: row.url || null,
+    link: row.link || null,
+    language: row.language || null,
+    categories: [row.category1, row.category2].filter(Boolean),
+    titleHighlight: row.titleHighlight || null,
+    snippet: row.snippet || null,
+    source: "local",
+  };
+}
+
+function upstreamToFeed(feed) {
+  return {
+    ...feed,
+    author: feed.author || feed.ownerName || "Unknown",
+    image: feed.image || feed.artwork || null,
+    categories: Object.values(feed.categories || {}),
+    source: "podcastindex",
+  };
+}
+
+function matchesFilters(feed, { lang, category, author }) {
+  if (lang && !(feed.language || "").toLowerCase().startsWith(lang.toLowerCase()))
+    return false;
+  if (
+    category &&
+    !feed.categories.some((c) => c.toLowerCase().includes(category.toLowerCase()))
+  )
+    return false;
+  if (author && !(feed.author || "").toLowerCase().includes(author.toLowerCase()))
+    return false;
+  return true;
+}
+
+/**
+ * @param {{
+ *   db: import("sqlite3").Database,
+ *   podcastIndex: ReturnType<import("./podcastindex.cjs")["createPodcastIndexClient"]>
+ * }} deps
+ */
+function createSearchService({ db, podcastIndex }) {
+  async function searchLocal(match, { lang, category, author }, limit, offset) {
+    const where = ["podcasts_fts MATCH ?"];
+    const params = [match];
+    if (lang) {
+      where.push("lower(p.language) LIKE ?");
+      params.push(`${lang.toLowerCase()}%`);
+    }
+    if (category) {
+      where.push("(lower(p.category1) LIKE ? OR lower(p.category2) LIKE ?)");
+      params.push(`%${category.toLowerCase()}%`, `%${category.toLowerCase()}%`);
+    }
+    if (author) {
+      where.push("lower(p.itunesAuthor) LIKE ?");
+      params.push(`%${author.toLowerCase()}%`);
+    }
+
+    // bm25 weights: title, description, author
+    const sql = `
+      SELECT p.id, p.title, p.description, p.itunesAuthor AS author,
+             p.imageUrl AS image, p.url, p.link, p.language,
+             p.category1, p.category2,
+             highlight(podcasts_fts, 0, '<mark>', '</mark>') AS titleHighlight,
+             snippet(podcasts_fts, 1, '<mark>', '</mark>', '…', 16) AS snippet
+      FROM podcasts_fts
+      JOIN podcasts p ON p.id = podcasts_fts.rowid
+      WHERE ${where.join(" AND ")}
+      ORDER BY bm25(podcasts_fts, 10.0, 1.0, 4.0) ASC, p.popularityScore DESC
+      LIMIT ? OFFSET ?`;
+    params.push(limit + 1, offset);
+
+    const rows = await dbAll(db, sql, params);
+    return {
+      feeds: rows.slice(0, limit).map(localRowToFeed),
+      hasMore: rows.length > limit,
+    };
+  }
+
+  async function searchUpstream(term, filters) {
+    const data = await podcastIndex.searchByTerm(term, { max: MAX_LIMIT });
+    return data.feeds
+      .map(upstreamToFeed)
+      .filter((f) => matchesFilters(f, filters));
+  }
+
+  /**
+   * @param {string} term
+   * @param {SearchOptions} [opts]
+   */
+  async function search(term, opts = {}) {
+    const filters = { lang: opts.lang, category: opts.category, author: opts.author };
+    const limit = Math.min(Math.max(Number(opts.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = decodeCursor(opts.cursor);
+    const match = buildMatchQuery(term);
+
+    let local = null;
+    if (match) {
+      try {
+        local = await searchLocal(match, filters, limit, offset);
+      } catch (err) {
+        console.warn("Local FTS search failed:", err.message);
+      }
+    }
+
+    // Later pages come from the local index only; upstream has no cursor
+    let upstream = null;
+    if (offset === 0 && (!local || local.feeds.length < limit)) {
+      try {
+        upstream = await searchUpstream(term, filters);
+      } catch (err) {
+        console.warn("PodcastIndex search failed:", err.message);
+      }
+    }
+
+    if (!local && !upstream) {
+      const err = new Error("Search unavailable");
+      err.status = 503;
+      throw err;
+    }
+
+    const seen = new Set();
+    const feeds = [];
+    for (const feed of [...(local?.feeds || []), ...(upstream || [])]) {
+      const key = normalizeFeedUrl(feed.url) || `${feed.source}:${feed.id}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      feeds.push(feed);
+    }
+
+    if (opts.preferLang && !filters.lang) {
+      const preferred = (f) => matchesFilters(f, { lang: opts.preferLang });
+      feeds.sort((a, b) => preferred(b) - preferred(a));
+    }
+
+    const page = feeds.slice(0, offset === 0 ? limit : feeds.length);
+    return {
+      query: term,
+      count: page.length,
+      feeds: page,
+      nextCursor: local?.hasMore ? encodeCursor(offset + limit) : null,
+      sources: { local: !!local, podcastindex: !!upstream },
+    };
+  }
+
+  return { search };
+}
+
+module.exports = { createSearchService, buildMatchQuery, encodeCursor, decodeCursor };
@@ -0,0 +1,227 @@
+/**
+ * Disk cache of fixed-size, aligned byte segments of remote audio files, so
+ * the parts players request over and over (the first seconds, the ID3 tail,
+ * popular episodes) are served without a round trip to the feed host.
+ *
+ * Layout: `<dir>/<sha1(url)>/meta.json` plus one `<index>.bin` per segment.
+ * Segments are evicted least-recently-used once the total passes `maxBytes`.
+ *
+ * @typedef {{
+ *   url: string,
+ *   total: number,
+ *   contentType: string | null,
+ *   etag: string | null,
+ *   lastModified: string | null,
+ *   storedAt: number
+ * }} SegmentMeta
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { Readable } = require("stream");
+
+const MB = 1024 * 1024;
+
+/**
+ * @param {{
+ *   dir: string,
+ *   maxBytes?: number,
+ *   segmentBytes?: number,
+ *   metaTtlMs?: number,
+ *   hotAfter?: number,
+ *   now?: () => number
+ * }} opts
+ */
+function createSegmentCache({
+  dir,
+  maxBytes = 512 * MB,
+  segmentBytes = MB,
+  metaTtlMs = 24 * 60 * 60 * 1000,
+  hotAfter = 2,
+  now = Date.now,
+}) {
+  // file path -> size, in least-recently-used first order
+  const segments = new Map();
+  const metas = new Map();
+  const hits = new Map();
+  let totalBytes = 0;
+
+  const keyOf = (url) => crypto.createHash("sha1").update(url).digest("hex");
+  const segmentFile = (key, index) => path.join(dir, key, `${index}.bin`);
+
+  const ready = (async () => {
+    await fsp.mkdir(dir, { recursive: true });
+    const found = [];
+    for (const key of await fsp.readdir(dir)) {
+      const files = await fsp.readdir(path.join(dir, key)).catch(() => []);
+      for (const name of files) {
+        if (!name.endsWith(".bin")) continue;
+        const file = path.join(dir, key, name);
+        const stat = await fsp.stat(file).catch(() => null);
+        if (stat) found.push({ file, size: stat.size, atime: stat.atimeMs });
+      }
+    }
+    found.sort((a, b) => a.atime - b.atime);
+    for (const { file, size } of found) {
+      segments.set(file, size);
+      totalBytes += size;
+    }
+    await evict();
+  })();
+  ready.catch((err) => console.error("❌ Audio cache setup failed:", err.message));
+
+  function touch(file) {
+    const size = segments.get(file);
+    segments.delete(file);
+    segments.set(file, size);
+  }
+
+  async function evict() {
+    for (const [file, size] of segments) {
+      if (totalBytes <= maxBytes) break;
+      segments.delete(file);
+      totalBytes -= size;
+      await fsp.rm(file, { force: true });
+    }
+  }
+
+  /** @returns {Promise<SegmentMeta | null>} */
+  async function getMeta(url) {
+    const key = keyOf(url);
+    let meta = metas.get(key);
+    if (!meta) {
+      meta = await fsp
+        .readFile(path.join(dir, key, "meta.json"), "utf8")
+        .then(JSON.parse)
+        .catch(() => null);
+      if (!meta || meta.url !== url) return null;
+      metas.set(key, meta);
+    }
+    return now() - meta.storedAt < metaTtlMs ? meta : null;
+  }
+
+  /**
+   * Counts a request for `url`; segments are only stored for URLs requested
+   * at least `hotAfter` times.
+   */
+  function recordHit(url) {
+    const key = keyOf(url);
+    const count = (hits.get(key) || 0) + 1;
+    hits.delete(key);
+    hits.set(key, count);
+    if (hits.size > 10000) hits.delete(hits.keys().next().value);
+    return count >= hotAfter;
+  }
+
+  /**
+   * Streams bytes start..end (inclusive) if every segment is cached.
+   * @param {string} url
+   * @param {number} start
+   * @param {number} end
+   * @returns {Readable | null}
+   */
+  function read(url, start, end) {
+    const key = keyOf(url);
+    const first = Math.floor(start / segmentBytes);
+    const last = Math.floor(end / segmentBytes);
+    const parts = [];
+    for (let i = first; i <= last; i++) {
+      const file = segmentFile(key, i);
+      if (!segments.has(file)) return null;
+      parts.push({
+        file,
+        start: i === first ? start - i * segmentBytes : 0,
+        end: i === last ? end - i * segmentBytes : segmentBytes - 1,
+      });
+    }
+    parts.forEach((p) => touch(p.file));
+    return Readable.from(
+      (async function* () {
+        for (const p of parts) yield* fs.createReadStream(p.file, { start: p.start, end: p.end });
+      })()
+    );
+  }
+
+  /**
+   * Records validators for `url`; a changed file drops its old segments.
+   * @param {Omit<SegmentMeta, "storedAt">} next
+   */
+  async function putMeta(next) {
+    const key = keyOf(next.url);
+    const prev = await getMeta(next.url);
+    if (prev && (prev.total !== next.total || (prev.etag && next.etag && prev.etag !== next.etag))) {
+      for (const [file, size] of segments) {
+        if (path.basename(path.dirname(file)) !== key) continue;
+        segments.delete(file);
+        totalBytes -= size;
+      }
+      await fsp.rm(path.join(dir, key), { recursive: true, force: true });
+    }
+    const meta = { ...next, storedAt: now() };
+    metas.set(key, meta);
+    await fsp.mkdir(path.join(dir, key), { recursive: true });
+    await fsp.writeFile(path.join(dir, key, "meta.json"), JSON.stringify(meta));
+  }
+
+  async function putSegment(key, index, buf) {
+    const file = segmentFile(key, index);
+    if (segments.has(file)) return;
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(tmp, buf);
+    await fsp.rename(tmp, file);
+    segments.set(file, buf.length);
+    totalBytes += buf.length;
+    await evict();
+  }
+
+  /**
+   * Collects whole aligned segments from a body that starts at `offset`;
+   * partial segments at either end are skipped.
+   * @param {string} url
+   * @param {number} offset absolute position of the first byte written
+   * @param {number} total full size of the remote file
+   * @returns {{ write: (buf: Buffer) => void }}
+   */
+  function writer(url, offset, total) {
+    const key = keyOf(url);
+    let pos = offset;
+    let parts = null;
+    let index = 0;
+    return {
+      write(buf) {
+        let off = 0;
+        while (off < buf.length && pos < total) {
+          if (!parts) {
+            const into = pos % segmentBytes;
+            if (into) {
+              const skip = Math.min(segmentBytes - into, buf.length - off);
+              pos += skip;
+              off += skip;
+              continue;
+            }
+            parts = [];
+            index = pos / segmentBytes;
+          }
+          const segmentEnd = Math.min((index + 1) * segmentBytes, total);
+          const take = Math.min(segmentEnd - pos, buf.length - off);
+          parts.push(buf.subarray(off, off + take));
+          pos += take;
+          off += take;
+          if (pos === segmentEnd) {
+            putSegment(key, index, Buffer.concat(parts)).catch((err) =>
+              console.warn("⚠️ Audio cache write failed:", err.message)
+            );
+            parts = null;
+          }
+        }
+      },
+    };
+  }
+
+  return { ready, getMeta, putMeta, recordHit, read, writer };
+}
+
+module.exports = { createSegmentCache };
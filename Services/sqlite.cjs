@@ -0,0 +1,89 @@
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const sqlite3 = require("sqlite3");
+
+/**
+ * Opens the shared SQLite catalogue (podcasts, episodes, FTS index).
+ * @param {string} file path relative to the repo root, or absolute
+ */
+function openDatabase(file) {
+  const dbPath = path.isAbsolute(file) ? file : path.join(__dirname, "..", file);
+  const db = new sqlite3.Database(dbPath, (err) => {
+    if (err) console.error("❌ SQLite connection failed:", err.message);
+    else console.log("✅ SQLite connected:", dbPath);
+  });
+  db.configure("busyTimeout", 60000);
+  return db;
+}
+
+// Promise wrappers around the callback API
+const dbAll = (db, sql, params = []) =>
+  new Promise((resolve, reject) =>
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)))
+  );
+
+const dbGet = (db, sql, params = []) =>
+  new Promise((resolve, reject) =>
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)))
+  );
+
+const runStatement = (db, sql, params = []) =>
+  new Promise((resolve, reject) =>
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    })
+  );
+
+// Tail of each connection's write queue
+const writeQueues = new WeakMap();
+// The connection whose queue slot the current async flow holds
+const queueSlot = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` alone in the connection's write queue. Writes issued inside it
+ * run straight away; writes from anywhere else wait for it to finish.
+ * @template T
+ * @param {import("sqlite3").Database} db
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function exclusively(db, fn) {
+  const result = (writeQueues.get(db) || Promise.resolve()).then(() => queueSlot.run(db, fn));
+  writeQueues.set(db, result.catch(() => {}));
+  return result;
+}
+
+/**
+ * A write. A sqlite3 connection has one transaction at a time and every
+ * statement on it joins the open one, so writes go through the same queue
+ * as transactions; otherwise a rollback elsewhere would take them with it.
+ */
+const dbRun = (db, sql, params = []) =>
+  queueSlot.getStore() === db ? runStatement(db, sql, params) : exclusively(db, () => runStatement(db, sql, params));
+
+/**
+ * Runs `fn` between BEGIN and COMMIT, rolling back if it throws. Transactions
+ * and single writes on the same connection are queued and run one after
+ * another; reads that must agree with the writes (e.g. "which rows exist
+ * already") belong inside `fn`.
+ * @template T
+ * @param {import("sqlite3").Database} db
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function withTransaction(db, fn) {
+  return exclusively(db, async () => {
+    await runStatement(db, "BEGIN");
+    try {
+      const result = await fn();
+      await runStatement(db, "COMMIT");
+      return result;
+    } catch (err) {
+      await runStatement(db, "ROLLBACK").catch(() => {});
+      throw err;
+    }
+  });
+}
+
+module.exports = { openDatabase, dbAll, dbGet, dbRun, withTransaction, exclusively };
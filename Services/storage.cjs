@@ -0,0 +1,90 @@
+/**
+ * Pluggable object storage for uploaded audio and artwork.
+ * "supabase" writes to a Supabase Storage bucket; "local" copies into a
+ * directory served under `/media` (used in development and tests).
+ *
+ * @typedef {{
+ *   name: "supabase" | "local",
+ *   put: (key: string, source: string | Buffer, opts: { contentType: string }) => Promise<{ url: string }>,
+ *   remove: (key: string) => Promise<void>,
+ *   root?: string
+ * }} Storage
+ */
+
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+
+/**
+ * @param {import("@supabase/supabase-js").SupabaseClient} supabase
+ * @param {string} bucket
+ * @returns {Storage}
+ */
+function createSupabaseStorage(supabase, bucket) {
+  return {
+    name: "supabase",
+    async put(key, source, { contentType }) {
+      const body = Buffer.isBuffer(source) ? source : fs.createReadStream(source);
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(key, body, { contentType, duplex: "half", upsert: false });
+      if (error) throw error;
+      const { data } = supabase.storage.from(bucket).getPublicUrl(key);
+      if (!data?.publicUrl) throw new Error("Failed to obtain public URL");
+      return { url: data.publicUrl };
+    },
+    async remove(key) {
+      const { error } = await supabase.storage.from(bucket).remove([key]);
+      if (error) throw error;
+    },
+  };
+}
+
+/**
+ * @param {string} root directory files are copied into
+ * @param {string} publicBaseUrl URL prefix the directory is served from
+ * @returns {Storage}
+ */
+function createLocalStorage(root, publicBaseUrl) {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) throw new Error("Invalid storage key");
+    return file;
+  };
+  return {
+    name: "local",
+    root,
+    async put(key, source) {
+      const file = resolve(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      if (Buffer.isBuffer(source)) await fsp.writeFile(file, source);
+      else await fsp.copyFile(source, file);
+      return { url: `${publicBaseUrl.replace(/\/$/, "")}/${key}` };
+    },
+    async remove(key) {
+      await fsp.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+/**
+ * Picks a backend from STORAGE_BACKEND, defaulting to Supabase when a client
+ * is configured and local disk otherwise.
+ * @param {NodeJS.ProcessEnv} env
+ * @param {{
+ *   supabase: import("@supabase/supabase-js").SupabaseClient | null,
+ *   publicBaseUrl: string
+ * }} deps
+ * @returns {Storage}
+ */
+function createStorage(env, { supabase, publicBaseUrl }) {
+  const backend = env.STORAGE_BACKEND || (supabase ? "supabase" : "local");
+  if (backend === "supabase") {
+    if (!supabase) throw new Error("STORAGE_BACKEND=supabase but Supabase is not configured");
+    return createSupabaseStorage(supabase, env.SUPABASE_BUCKET || "podcasts");
+  }
+  const root = path.resolve(env.LOCAL_STORAGE_DIR || path.join(__dirname, "..", "uploads", "media"));
+  return createLocalStorage(root, `${publicBaseUrl}/media`);
+}
+
+module.exports = { createStorage, createSupabaseStorage, createLocalStorage };
@@ -0,0 +1,139 @@
+/**
+ * Podcasting 2.0 `<podcast:transcript>` handling: choosing the best of an
+ * episode's transcript links and parsing SRT, WebVTT and JSON transcripts
+ * into timed segments.
+ *
+ * @typedef {{ url: string, type: string | null, language: string | null, rel: string | null }} TranscriptLink
+ *
+ * @typedef {{ startSec: number | null, endSec: number | null, speaker: string | null, text: string }} TranscriptSegment
+ */
+
+// Cues are merged into passages of about this length so a hit has enough context
+const TARGET_SEGMENT_SEC = 30;
+const MAX_SEGMENT_CHARS = 1200;
+
+// Formats with timestamps first
+const TYPE_PREFERENCE = ["application/json", "text/vtt", "application/x-subrip", "application/srt", "text/srt"];
+
+/**
+ * @param {TranscriptLink[]} links
+ * @returns {(TranscriptLink & { format: "json" | "vtt" | "srt" }) | null}
+ */
+function pickTranscript(links) {
+  const supported = (links || [])
+    .map((link) => ({ ...link, format: formatOf(link.type, link.url) }))
+    .filter((link) => link.url && link.format && link.rel !== "captions-burned-in");
+  supported.sort((a, b) => rank(a) - rank(b));
+  return supported[0] || null;
+}
+
+function rank(link) {
+  const i = TYPE_PREFERENCE.indexOf((link.type || "").toLowerCase());
+  return i === -1 ? TYPE_PREFERENCE.length : i;
+}
+
+/**
+ * @param {string | null} type
+ * @param {string} [url]
+ * @returns {"json" | "vtt" | "srt" | null}
+ */
+function formatOf(type, url = "") {
+  const t = (type || "").toLowerCase();
+  if (t.includes("json")) return "json";
+  if (t.includes("vtt")) return "vtt";
+  if (t.includes("srt") || t.includes("subrip")) return "srt";
+  const ext = url.split("?")[0].split(".").pop().toLowerCase();
+  if (ext === "json") return "json";
+  if (ext === "vtt") return "vtt";
+  if (ext === "srt") return "srt";
+  return null;
+}
+
+// "01:02:03,456", "02:03.456", "3.5"
+function parseTimestamp(value) {
+  const parts = String(value).trim().replace(",", ".").split(":").map(Number);
+  if (!parts.length || parts.some((n) => !Number.isFinite(n))) return null;
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+function cleanCueText(text) {
+  return text
+    .replace(/<\/?[^>]+>/g, "") // VTT voice/styling tags
+    .replace(/\{\\[^}]*\}/g, "") // SSA overrides that leak into SRT
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** SRT and WebVTT share the "start --> end" cue layout */
+function parseCues(body) {
+  const cues = [];
+  const blocks = String(body).replace(/\r\n?/g, "\n").split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const timing = lines.findIndex((l) => l.includes("-->"));
+    if (timing === -1) continue;
+    const [start, end] = lines[timing].split("-->").map((s) => s.trim().split(/\s+/)[0]);
+    let text = lines.slice(timing + 1).join(" ");
+    // <v Speaker Name>text</v>
+    const voice = text.match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+    text = cleanCueText(text);
+    if (!text) continue;
+    cues.push({
+      startSec: parseTimestamp(start),
+      endSec: parseTimestamp(end),
+      speaker: voice ? voice[1].trim() : null,
+      text,
+    });
+  }
+  return cues;
+}
+
+function parseJsonTranscript(body) {
+  const data = typeof body === "string" ? JSON.parse(body) : body;
+  const segments = Array.isArray(data) ? data : data?.segments || [];
+  return segments
+    .map((s) => ({
+      startSec: s.startTime != null ? Number(s.startTime) : null,
+      endSec: s.endTime != null ? Number(s.endTime) : null,
+      speaker: s.speaker || null,
+      text: cleanCueText(String(s.body ?? s.text ?? "")),
+    }))
+    .filter((s) => s.text);
+}
+
+/**
+ * Joins consecutive cues into passages, breaking on speaker changes.
+ * @param {TranscriptSegment[]} cues
+ * @returns {TranscriptSegment[]}
+ */
+function mergeCues(cues) {
+  const out = [];
+  let cur = null;
+  for (const cue of cues) {
+    const fits =
+      cur &&
+      cur.speaker === cue.speaker &&
+      cur.text.length + cue.text.length < MAX_SEGMENT_CHARS &&
+      (cur.startSec == null || cue.endSec == null || cue.endSec - cur.startSec <= TARGET_SEGMENT_SEC);
+    if (fits) {
+      cur.text += ` ${cue.text}`;
+      cur.endSec = cue.endSec ?? cur.endSec;
+    } else {
+      cur = { ...cue };
+      out.push(cur);
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {string} body
+ * @param {"json" | "vtt" | "srt"} format
+ * @returns {TranscriptSegment[]}
+ */
+function parseTranscript(body, format) {
+  const cues = format === "json" ? parseJsonTranscript(body) : parseCues(body);
+  return mergeCues(cues);
+}
+
+module.exports = { pickTranscript, parseTranscript, formatOf };
@@ -0,0 +1,100 @@
+/**
+ * Schema migrations from the command line.
+ *
+ *   node migrate.cjs status                      applied, pending and edited migrations
+ *   node migrate.cjs up [--to N] [--dry-run]     apply pending SQLite migrations
+ *   node migrate.cjs down [--steps N | --to N] [--dry-run]
+ *   node migrate.cjs mongo [--dry-run]           apply Mongo steps, create missing collections and indexes
+ *
+ * Uses DB_FILE and MONGO_URI from the environment, like the server.
+ */
+
+require("dotenv").config();
+const { parseArgs } = require("util");
+const mongoose = require("mongoose");
+const { openDatabase } = require("./Services/sqlite.cjs");
+const { createMigrator, bootstrapMongo } = require("./Services/migrations.cjs");
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    "dry-run": { type: "boolean", default: false },
+    to: { type: "string" },
+    steps: { type: "string" },
+  },
+});
+const command = positionals[0] || "status";
+const dryRun = values["dry-run"];
+const to = values.to != null ? Number(values.to) : undefined;
+const steps = values.steps != null ? Number(values.steps) : undefined;
+
+function closeDb(db) {
+  return new Promise((resolve) => db.close(() => resolve()));
+}
+
+async function sqlite(fn) {
+  const db = openDatabase(process.env.DB_FILE || "db.sqlite");
+  try {
+    return await fn(createMigrator({ db }));
+  } finally {
+    await closeDb(db);
+  }
+}
+
+function printList(label, list) {
+  if (!list.length) return console.log(`${label}: none`);
+  console.log(`${label}:`);
+  for (const m of list) console.log(`  ${String(m.version).padStart(3, "0")} ${m.name}${m.state && m.state !== "applied" ? ` (${m.state})` : ""}`);
+}
+
+async function main() {
+  switch (command) {
+    case "status":
+      return sqlite(async (migrator) => {
+        const status = await migrator.status();
+        console.log(`Schema version ${status.current} of ${status.latest}`);
+        printList("Applied", status.applied);
+        printList("Pending", status.pending);
+        const missing = status.pending.length ? {} : await migrator.verify();
+        for (const [table, cols] of Object.entries(missing)) console.log(`Missing in ${table}: ${cols.join(", ")}`);
+        if (status.drift.length || status.pending.length || Object.keys(missing).length) process.exitCode = 1;
+      });
+    case "up":
+      return sqlite(async (migrator) => {
+        const done = await migrator.migrate({ to, dryRun });
+        printList(dryRun ? "Would apply (dry run, rolled back)" : "Applied", done);
+      });
+    case "down":
+      return sqlite(async (migrator) => {
+        const done = await migrator.rollback({ to, steps, dryRun });
+        printList(dryRun ? "Would roll back (dry run, rolled back)" : "Rolled back", done);
+      });
+    case "mongo": {
+      if (!process.env.MONGO_URI) throw new Error("MONGO_URI is not set");
+      await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 8000, autoIndex: false });
+      try {
+        const { steps: applied, collections } = await bootstrapMongo(mongoose, { dryRun });
+        printList(dryRun ? "Would apply (dry run)" : "Applied", applied);
+        for (const r of collections) {
+          const changes = [
+            r.create && "create collection",
+            r.toCreate.length && `create ${r.toCreate.join(", ")}`,
+            r.extraIndexes.length && `unmanaged ${r.extraIndexes.join(", ")}`,
+          ].filter(Boolean);
+          console.log(`${r.collection}: ${changes.join("; ") || "up to date"}`);
+        }
+      } finally {
+        await mongoose.disconnect();
+      }
+      return;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (status | up | down | mongo)`);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌", err.message);
+  if (err.details) console.error(JSON.stringify(err.details, null, 2));
+  process.exit(1);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { sniffAudio, extractAudioMeta } = require("../Services/audio-meta.cjs");
+const fixtures = require("./fixtures/audio.cjs");
+
+async function metaOf(t, bytes) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "audio-meta-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "upload.part");
+  await fs.writeFile(file, bytes);
+  return extractAudioMeta(file);
+}
+
+test("sniffAudio recognises each supported container from its first bytes", () => {
+  assert.deepStrictEqual(sniffAudio(fixtures.mp3()), { format: "mp3", mimeType: "audio/mpeg" });
+  assert.deepStrictEqual(sniffAudio(fixtures.mp3({ tagged: false })), { format: "mp3", mimeType: "audio/mpeg" });
+  assert.deepStrictEqual(sniffAudio(fixtures.m4a()), { format: "m4a", mimeType: "audio/mp4" });
+  assert.deepStrictEqual(sniffAudio(fixtures.oggVorbis()), { format: "ogg", mimeType: "audio/ogg" });
+  assert.deepStrictEqual(sniffAudio(fixtures.webm()), { format: "webm", mimeType: "audio/webm" });
+  assert.strictEqual(sniffAudio(Buffer.from("<html><body>not audio</body></html>")), null);
+  assert.strictEqual(sniffAudio(Buffer.from([0xff, 0xfb, 0x90, 0x00])), null);
+  // a lone frame sync with garbage after it is not an MP3
+  assert.strictEqual(sniffAudio(Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x00]), Buffer.alloc(500, 0x41)])), null);
+});
+
+test("MP3 with ID3v2.3 tags: CBR duration, Latin-1 and UTF-16 text, cover art", async (t) => {
+  const meta = await metaOf(t, fixtures.mp3());
+  assert.strictEqual(meta.format, "mp3");
+  assert.strictEqual(meta.codec, "mp3");
+  assert.strictEqual(meta.bitrate, 128000);
+  assert.strictEqual(meta.sampleRate, 44100);
+  assert.strictEqual(meta.channels, 2);
+  assert.strictEqual(meta.durationSec, 0.261); // 10 * 417 bytes at 128 kbps
+  assert.deepStrictEqual(meta.tags, { title: "Pilot", artist: "Ana Díaz" });
+  assert.strictEqual(meta.cover.mimeType, "image/png");
+  assert.deepStrictEqual(meta.cover.data, fixtures.PNG);
+});
+
+test("MP3 with a Xing header takes the duration from its frame count", async (t) => {
+  const meta = await metaOf(t, fixtures.mp3Xing());
+  assert.strictEqual(meta.durationSec, 2.612); // 100 * 1152 / 44100
+  assert.deepStrictEqual(meta.tags, {});
+  assert.strictEqual(meta.cover, null);
+});
+
+test("M4A: duration from mvhd, codec and layout from stsd, iTunes tags and covr", async (t) => {
+  const meta = await metaOf(t, fixtures.m4a());
+  assert.strictEqual(meta.format, "m4a");
+  assert.strictEqual(meta.mimeType, "audio/mp4");
+  assert.strictEqual(meta.codec, "aac");
+  assert.strictEqual(meta.durationSec, 3);
+  assert.strictEqual(meta.sampleRate, 44100);
+  assert.strictEqual(meta.channels, 2);
+  assert.deepStrictEqual(meta.tags, { title: "Episode 1", album: "The Show" });
+  assert.strictEqual(meta.cover.mimeType, "image/png");
+  assert.deepStrictEqual(meta.cover.data, fixtures.PNG);
+});
+
+test("Ogg Vorbis: identification and comment packets, duration from the last granule", async (t) => {
+  const meta = await metaOf(t, fixtures.oggVorbis());
+  assert.strictEqual(meta.format, "ogg");
+  assert.strictEqual(meta.codec, "vorbis");
+  assert.strictEqual(meta.sampleRate, 44100);
+  assert.strictEqual(meta.channels, 2);
+  assert.strictEqual(meta.durationSec, 2);
+  // the comment packet spans several lacing values
+  assert.deepStrictEqual(meta.tags, { title: "Morning Show", artist: "Radio Uno" });
+});
+
+test("Ogg Opus: 48 kHz granules minus pre-skip, METADATA_BLOCK_PICTURE cover", async (t) => {
+  const meta = await metaOf(t, fixtures.oggOpus());
+  assert.strictEqual(meta.codec, "opus");
+  assert.strictEqual(meta.sampleRate, 16000);
+  assert.strictEqual(meta.channels, 1);
+  assert.strictEqual(meta.durationSec, 2);
+  assert.deepStrictEqual(meta.tags, { title: "Voice Memo" });
+  assert.strictEqual(meta.cover.mimeType, "image/png");
+  assert.deepStrictEqual(meta.cover.data, fixtures.PNG);
+});
+
+test("WebM: Info duration, else the end of the last cluster", async (t) => {
+  const meta = await metaOf(t, fixtures.webm());
+  assert.strictEqual(meta.format, "webm");
+  assert.strictEqual(meta.codec, "opus");
+  assert.strictEqual(meta.sampleRate, 48000);
+  assert.strictEqual(meta.channels, 2);
+  assert.strictEqual(meta.durationSec, 2.5);
+
+  const recorded = await metaOf(t, fixtures.webm({ withDuration: false }));
+  assert.strictEqual(recorded.durationSec, 2.48);
+});
+
+test("garbage and empty files are not audio", async (t) => {
+  assert.strictEqual(await metaOf(t, Buffer.alloc(0)), null);
+  assert.strictEqual(await metaOf(t, Buffer.from("This is a plain text file, not audio at all.")), null);
+  assert.strictEqual(await metaOf(t, Buffer.alloc(4096, 0)), null);
+});
+
+test("truncated files fail with a reason or report what they could read", async (t) => {
+  await assert.rejects(metaOf(t, fixtures.mp3({ frames: 0 })), /No MPEG audio frames found/);
+  const m4a = fixtures.m4a();
+  await assert.rejects(metaOf(t, m4a.subarray(0, 1030)), /No moov box found/);
+  await assert.rejects(metaOf(t, Buffer.concat([Buffer.from("OggS"), Buffer.alloc(40)])), /No Ogg packets found/);
+
+  // moov cut inside the tags: the header boxes before it still count
+  const cutM4a = await metaOf(t, m4a.subarray(0, m4a.length - 60));
+  assert.strictEqual(cutM4a.durationSec, 3);
+  assert.deepStrictEqual(cutM4a.tags, {});
+
+  // only the first Ogg page: the stream is known but not its length
+  const headOnly = await metaOf(t, fixtures.oggVorbis({ complete: false }));
+  assert.strictEqual(headOnly.codec, "vorbis");
+  assert.strictEqual(headOnly.durationSec, null);
+  assert.deepStrictEqual(headOnly.tags, {});
+
+  const cutWebm = await metaOf(t, fixtures.webm().subarray(0, 60));
+  assert.strictEqual(cutWebm.format, "webm");
+  assert.strictEqual(cutWebm.durationSec, null);
+});
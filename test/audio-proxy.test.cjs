@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Readable } = require("stream");
+const express = require("express");
+const { createAudioProxy, parseRange, resolveRange } = require("../Services/audio-proxy.cjs");
+const { quiet, serve } = require("./helpers.cjs");
+
+test("parseRange accepts one bytes= range and ignores everything else", () => {
+  assert.deepStrictEqual(parseRange("bytes=0-99"), { start: 0, end: 99 });
+  assert.deepStrictEqual(parseRange("bytes=100-"), { start: 100, end: null });
+  assert.deepStrictEqual(parseRange("bytes=-500"), { start: null, end: 500 });
+  for (const header of [undefined, "", "bytes=-", "bytes=5-1", "bytes=0-1,4-5", "items=0-1", "bytes=a-b"])
+    assert.strictEqual(parseRange(header), null, String(header));
+});
+
+test("resolveRange clamps to the file and reports unsatisfiable ranges", () => {
+  assert.deepStrictEqual(resolveRange({ start: 0, end: 99 }, 1000), { start: 0, end: 99 });
+  assert.deepStrictEqual(resolveRange({ start: 900, end: 5000 }, 1000), { start: 900, end: 999 });
+  assert.deepStrictEqual(resolveRange({ start: 10, end: null }, 1000), { start: 10, end: 999 });
+  assert.deepStrictEqual(resolveRange({ start: null, end: 100 }, 1000), { start: 900, end: 999 });
+  assert.deepStrictEqual(resolveRange({ start: null, end: 5000 }, 1000), { start: 0, end: 999 });
+  assert.strictEqual(resolveRange({ start: 1000, end: null }, 1000), "unsatisfiable");
+  assert.strictEqual(resolveRange({ start: null, end: 0 }, 1000), "unsatisfiable");
+});
+
+// An upstream that ignores Range and always sends the whole file
+function fullBodyFetcher(body, contentType = "audio/mpeg") {
+  return {
+    async open() {
+      const res = Readable.from([Buffer.from(body)]);
+      Object.assign(res, {
+        statusCode: 200,
+        headers: {
+          ...(contentType && { "content-type": contentType }),
+          "content-length": String(body.length),
+        },
+      });
+      return { res };
+    },
+  };
+}
+
+async function proxyUrl(t, body, contentType) {
+  const app = express();
+  app.get("/audio", createAudioProxy({ fetcher: fullBodyFetcher(body, contentType) }).handler);
+  return `${await serve(t, app)}/audio?url=${encodeURIComponent("https://media.example.com/ep.mp3")}`;
+}
+
+test("the proxy slices a range out of a full upstream body", async (t) => {
+  quiet(t);
+  const res = await fetch(await proxyUrl(t, "abcdefghij"), { headers: { Range: "bytes=2-4" } });
+  assert.strictEqual(res.status, 206);
+  assert.strictEqual(res.headers.get("content-range"), "bytes 2-4/10");
+  assert.strictEqual(res.headers.get("content-length"), "3");
+  assert.strictEqual(await res.text(), "cde");
+});
+
+test("the proxy answers 416 for a range past the end of the file", async (t) => {
+  quiet(t);
+  const res = await fetch(await proxyUrl(t, "abcdefghij"), { headers: { Range: "bytes=20-" } });
+  assert.strictEqual(res.status, 416);
+  assert.strictEqual(res.headers.get("content-range"), "bytes */10");
+  await res.arrayBuffer();
+});
+
+test("the proxy answers 415 when the upstream sends no Content-Type or not a media type", async (t) => {
+  quiet(t);
+  for (const contentType of [null, "text/html", "application/json"]) {
+    const res = await fetch(await proxyUrl(t, "<html></html>", contentType));
+    assert.strictEqual(res.status, 415, String(contentType));
+    await res.arrayBuffer();
+  }
+  const ok = await fetch(await proxyUrl(t, "abc", "application/octet-stream"));
+  assert.strictEqual(ok.status, 200);
+  assert.strictEqual(await ok.text(), "abc");
+});
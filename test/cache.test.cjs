@@ -0,0 +1,193 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const express = require("express");
+const {
+  createMemoryStore,
+  createSqliteStore,
+  createRedisStore,
+  createRouteCache,
+} = require("../Services/cache.cjs");
+const { createRespClient } = require("../Services/resp-client.cjs");
+const { startRespServer } = require("./fixtures/resp-server.cjs");
+const { openMigratedDb, closeDb, quiet, serve } = require("./helpers.cjs");
+
+// Each backend on a clock the test moves by hand
+const BACKENDS = {
+  memory: async (t, now) => createMemoryStore({ now }),
+  sqlite: async (t, now) => {
+    const db = await openMigratedDb();
+    t.after(() => closeDb(db));
+    return createSqliteStore({ db, now });
+  },
+  redis: async (t, now) => {
+    const server = await startRespServer({ now, password: "s3cret" });
+    const client = createRespClient(`${server.url}/2`);
+    t.after(async () => {
+      await client.quit();
+      await server.close();
+    });
+    return createRedisStore({ client, now });
+  },
+};
+
+// A conditional GET without fetch(), which sends Cache-Control: no-cache with If-None-Match
+function revalidate(url, etag) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, { headers: { "If-None-Match": etag } }, (res) => {
+        res.resume();
+        res.on("end", () => resolve({ status: res.statusCode, xCache: res.headers["x-cache"] }));
+      })
+      .on("error", reject);
+  });
+}
+
+function clock() {
+  let time = Date.UTC(2026, 0, 1);
+  return { now: () => time, advance: (ms) => (time += ms) };
+}
+
+const entry = (now, body, { ttlMs = 1000, tags = [] } = {}) => ({
+  body,
+  etag: `"${body}"`,
+  tags,
+  storedAt: now(),
+  expiresAt: now() + ttlMs,
+});
+
+for (const [name, open] of Object.entries(BACKENDS)) {
+  test(`${name} store: entries round-trip, are replaced, and can be deleted`, async (t) => {
+    const { now } = clock();
+    const store = await open(t, now);
+    assert.strictEqual(await store.get("missing"), null);
+
+    await store.set("a", entry(now, '{"v":1}'));
+    const hit = await store.get("a");
+    assert.strictEqual(hit.body, '{"v":1}');
+    assert.strictEqual(hit.etag, '"{"v":1}"');
+    assert.strictEqual(hit.expiresAt, now() + 1000);
+
+    await store.set("a", entry(now, '{"v":2}'));
+    assert.strictEqual((await store.get("a")).body, '{"v":2}');
+    await store.del("a");
+    assert.strictEqual(await store.get("a"), null);
+  });
+
+  test(`${name} store: an entry is gone once its TTL has passed`, async (t) => {
+    const { now, advance } = clock();
+    const store = await open(t, now);
+    await store.set("short", entry(now, "1", { ttlMs: 1000 }));
+    await store.set("long", entry(now, "2", { ttlMs: 5000 }));
+
+    advance(999);
+    assert.ok(await store.get("short"));
+    advance(1);
+    assert.strictEqual(await store.get("short"), null);
+    assert.strictEqual((await store.get("long")).body, "2");
+    advance(4000);
+    assert.strictEqual(await store.get("long"), null);
+  });
+
+  test(`${name} store: invalidating a tag drops every entry carrying it, and only those`, async (t) => {
+    const { now } = clock();
+    const store = await open(t, now);
+    await store.set("a", entry(now, "a", { tags: ["feed:1"] }));
+    await store.set("b", entry(now, "b", { tags: ["feed:1", "feed:2"] }));
+    await store.set("c", entry(now, "c", { tags: ["feed:2"] }));
+    await store.set("d", entry(now, "d"));
+
+    assert.strictEqual(await store.invalidateTags(["feed:1"]), 2);
+    assert.strictEqual(await store.get("a"), null);
+    assert.strictEqual(await store.get("b"), null);
+    assert.strictEqual((await store.get("c")).body, "c");
+    assert.strictEqual((await store.get("d")).body, "d");
+
+    assert.strictEqual(await store.invalidateTags(["feed:2", "feed:9"]), 1);
+    assert.strictEqual(await store.get("c"), null);
+    assert.strictEqual(await store.invalidateTags(["feed:1"]), 0);
+    assert.strictEqual((await store.get("d")).body, "d");
+  });
+
+  test(`${name} store behind route(): X-Cache, ETag revalidation, tags and TTL`, async (t) => {
+    quiet(t);
+    const { now, advance } = clock();
+    const cache = createRouteCache({ store: await open(t, now), defaultTtlMs: 1000, now });
+    let runs = 0;
+    const app = express();
+    app.get(
+      "/items/:id",
+      cache.route(
+        (req) => `item:${req.params.id}`,
+        async (req) => {
+          runs++;
+          if (req.params.id === "gone") throw Object.assign(new Error("Not found"), { status: 404 });
+          return { id: req.params.id, runs };
+        },
+        { tags: (req) => [`item:${req.params.id}`] }
+      )
+    );
+    const base = await serve(t, app);
+    const get = (path) => fetch(`${base}${path}`);
+
+    const miss = await get("/items/1");
+    assert.strictEqual(miss.headers.get("x-cache"), "MISS");
+    assert.strictEqual(miss.headers.get("cache-control"), "no-cache");
+    const etag = miss.headers.get("etag");
+    assert.deepStrictEqual(await miss.json(), { id: "1", runs: 1 });
+
+    advance(500);
+    const hit = await get("/items/1");
+    assert.strictEqual(hit.headers.get("x-cache"), "HIT");
+    assert.strictEqual(hit.headers.get("etag"), etag);
+    assert.deepStrictEqual(await hit.json(), { id: "1", runs: 1 });
+
+    assert.deepStrictEqual(await revalidate(`${base}/items/1`, etag), { status: 304, xCache: "HIT" });
+
+    assert.strictEqual(await cache.invalidate(["item:1", null]), 1);
+    const refilled = await get("/items/1");
+    assert.strictEqual(refilled.headers.get("x-cache"), "MISS");
+    assert.deepStrictEqual(await refilled.json(), { id: "1", runs: 2 });
+    // the new body has a new ETag, so the old one no longer matches
+    assert.deepStrictEqual(await revalidate(`${base}/items/1`, etag), { status: 200, xCache: "HIT" });
+
+    advance(1000);
+    const expired = await get("/items/1");
+    assert.strictEqual(expired.headers.get("x-cache"), "MISS");
+    assert.deepStrictEqual(await expired.json(), { id: "1", runs: 3 });
+
+    // errors are answered with their status and never cached
+    for (let i = 0; i < 2; i++) {
+      const res = await get("/items/gone");
+      assert.strictEqual(res.status, 404);
+      assert.deepStrictEqual(await res.json(), { error: "Not found" });
+    }
+    assert.strictEqual(runs, 5);
+  });
+}
+
+test("route() answers with X-Cache BYPASS while the store is unreachable", async (t) => {
+  quiet(t);
+  const down = {
+    name: "redis",
+    get: async () => {
+      throw new Error("connection refused");
+    },
+    set: async () => {
+      throw new Error("connection refused");
+    },
+    del: async () => {},
+    invalidateTags: async () => {
+      throw new Error("connection refused");
+    },
+  };
+  const cache = createRouteCache({ store: down });
+  const app = express();
+  app.get("/x", cache.route(() => "x", async () => ({ ok: true })));
+  const res = await fetch(`${await serve(t, app)}/x`);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get("x-cache"), "BYPASS");
+  assert.ok(res.headers.get("etag"));
+  assert.deepStrictEqual(await res.json(), { ok: true });
+  assert.strictEqual(await cache.invalidate(["x"]), 0);
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const createEventRoutes = require("../Routes/events.cjs");
+const { signPayload, verifySignature } = require("../Services/events.cjs");
+const { delay, quiet, serve } = require("./helpers.cjs");
+
+test("verifySignature accepts what signPayload produced", () => {
+  const now = Date.UTC(2025, 0, 1);
+  const header = signPayload("whsec_1", '{"a":1}', now / 1000);
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.strictEqual(verifySignature("whsec_1", '{"a":1}', header, { now }), true);
+  assert.strictEqual(verifySignature("whsec_1", '{"a":1}', header.replace(",", ", "), { now }), true);
+});
+
+test("verifySignature rejects the wrong secret, a changed body and bad headers", () => {
+  const now = Date.UTC(2025, 0, 1);
+  const header = signPayload("whsec_1", '{"a":1}', now / 1000);
+  assert.strictEqual(verifySignature("whsec_2", '{"a":1}', header, { now }), false);
+  assert.strictEqual(verifySignature("whsec_1", '{"a":2}', header, { now }), false);
+  for (const bad of [undefined, "", "garbage", `t=${now / 1000}`, "v1=abcd", `t=x,v1=${header.split("v1=")[1]}`])
+    assert.strictEqual(verifySignature("whsec_1", '{"a":1}', bad, { now }), false, String(bad));
+  assert.strictEqual(verifySignature("whsec_1", '{"a":1}', header.slice(0, -2), { now }), false);
+  assert.strictEqual(verifySignature("whsec_1", '{"a":1}', header.replace(/v1=../, "v1=zz"), { now }), false);
+});
+
+test("verifySignature rejects timestamps outside the tolerance", () => {
+  const signedAt = Date.UTC(2025, 0, 1);
+  const header = signPayload("whsec_1", "{}", signedAt / 1000);
+  assert.strictEqual(verifySignature("whsec_1", "{}", header, { now: signedAt + 299_000 }), true);
+  assert.strictEqual(verifySignature("whsec_1", "{}", header, { now: signedAt + 301_000 }), false);
+  assert.strictEqual(verifySignature("whsec_1", "{}", header, { now: signedAt - 301_000 }), false);
+  assert.strictEqual(verifySignature("whsec_1", "{}", header, { now: signedAt + 3_000_000, toleranceSec: 3600 }), true);
+});
+
+const event = (id, type = "episode.published") => ({ id: String(id), type, createdAt: "2025-01-01T00:00:00.000Z", data: {} });
+
+// Mounts the event routes for user "u1" over a stand-in bus
+async function streamUrl(t, bus, opts = {}) {
+  const app = express();
+  app.use((req, _res, next) => {
+    req.user = { id: "u1" };
+    next();
+  });
+  app.use("/events", createEventRoutes({ events: bus, ...opts }).events);
+  return `${await serve(t, app)}/events/stream`;
+}
+
+// Reads an SSE response until `done(text)` holds, then hangs up
+async function readUntil(res, controller, done) {
+  const decoder = new TextDecoder();
+  let text = "";
+  for await (const chunk of res.body) {
+    text += decoder.decode(chunk, { stream: true });
+    if (done(text)) break;
+  }
+  controller.abort();
+  return text;
+}
+
+test("the stream replays missed events, then live ones, each once", async (t) => {
+  quiet(t);
+  let listener;
+  const bus = {
+    subscribe: (_userId, fn) => {
+      listener = fn;
+      return () => {};
+    },
+    async list() {
+      // published while the replay query runs: one overlaps the replay, one is new
+      listener(event(3));
+      listener(event(4));
+      return { events: [event(2), event(3)], hasMore: false, lastEventId: "3" };
+    },
+  };
+  const controller = new AbortController();
+  const res = await fetch(await streamUrl(t, bus), { headers: { "Last-Event-ID": "1" }, signal: controller.signal });
+  assert.strictEqual(res.status, 200);
+  const text = await readUntil(res, controller, (s) => s.includes("id: 4"));
+  assert.deepStrictEqual([...text.matchAll(/^id: (\d+)$/gm)].map((m) => m[1]), ["2", "3", "4"]);
+});
+
+test("a client that leaves during the replay frees its stream slot", async (t) => {
+  quiet(t);
+  let subscribed = 0;
+  let listed;
+  const bus = {
+    subscribe: () => {
+      subscribed++;
+      return () => subscribed--;
+    },
+    async list() {
+      await delay(100);
+      listed = true;
+      return { events: [event(2)], hasMore: false, lastEventId: "2" };
+    },
+  };
+  const url = await streamUrl(t, bus, { maxStreamsPerUser: 1 });
+
+  const first = new AbortController();
+  const pending = fetch(url, { headers: { "Last-Event-ID": "1" }, signal: first.signal }).catch(() => {});
+  await delay(30);
+  // the first stream is still replaying and holds the only slot
+  assert.strictEqual((await fetch(url)).status, 429);
+  first.abort();
+  await pending;
+  await delay(150);
+  assert.strictEqual(listed, true);
+  assert.strictEqual(subscribed, 0);
+
+  const second = new AbortController();
+  const res = await fetch(url, { signal: second.signal });
+  assert.strictEqual(res.status, 200);
+  await readUntil(res, second, (s) => s.includes("retry:"));
+});
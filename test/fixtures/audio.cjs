@@ -0,0 +1,232 @@
+/**
+ * Small, hand-built audio files for the metadata parser: just enough of
+ * each container for sniffing, tags, cover art and duration, with the
+ * expected values documented next to each builder.
+ */
+
+const PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+
+const u32be = (n) => {
+  const b = Buffer.alloc(4);
+  b.writeUInt32BE(n);
+  return b;
+};
+const u16le = (n) => {
+  const b = Buffer.alloc(2);
+  b.writeUInt16LE(n);
+  return b;
+};
+const u32le = (n) => {
+  const b = Buffer.alloc(4);
+  b.writeUInt32LE(n);
+  return b;
+};
+
+// ---------- MP3 ----------
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, stereo: 417-byte frames
+const MP3_FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x90, 0x00]);
+const MP3_FRAME_BYTES = 417;
+
+function mp3Frame(body = Buffer.alloc(0)) {
+  const frame = Buffer.alloc(MP3_FRAME_BYTES);
+  MP3_FRAME_HEADER.copy(frame);
+  body.copy(frame, 4);
+  return frame;
+}
+
+function id3Frame(id, body) {
+  return Buffer.concat([Buffer.from(id, "latin1"), u32be(body.length), Buffer.alloc(2), body]);
+}
+
+function id3v23(frames) {
+  const body = Buffer.concat(frames);
+  const n = body.length;
+  const size = Buffer.from([(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f]);
+  return Buffer.concat([Buffer.from("ID3", "latin1"), Buffer.from([3, 0, 0]), size, body]);
+}
+
+/**
+ * CBR: 10 frames, so 4170 audio bytes at 128 kbps = 0.260625 s. Tagged with
+ * a Latin-1 title, a UTF-16 artist and a PNG cover.
+ */
+function mp3({ frames = 10, tagged = true } = {}) {
+  const tag = tagged
+    ? id3v23([
+        id3Frame("TIT2", Buffer.concat([Buffer.from([0]), Buffer.from("Pilot", "latin1")])),
+        id3Frame("TPE1", Buffer.concat([Buffer.from([1, 0xff, 0xfe]), Buffer.from("Ana Díaz", "utf16le")])),
+        id3Frame(
+          "APIC",
+          Buffer.concat([Buffer.from([0]), Buffer.from("image/png\0", "latin1"), Buffer.from([3, 0]), PNG])
+        ),
+      ])
+    : Buffer.alloc(0);
+  return Buffer.concat([tag, ...Array.from({ length: frames }, () => mp3Frame())]);
+}
+
+/** VBR: a Xing header counting 100 frames, so 100 * 1152 / 44100 s */
+function mp3Xing() {
+  const xing = Buffer.concat([Buffer.alloc(32), Buffer.from("Xing", "latin1"), u32be(1), u32be(100)]);
+  return Buffer.concat([mp3Frame(xing), mp3Frame(), mp3Frame()]);
+}
+
+// ---------- M4A ----------
+
+function box(type, ...children) {
+  const body = Buffer.concat(children);
+  return Buffer.concat([u32be(body.length + 8), Buffer.from(type, "latin1"), body]);
+}
+
+function mvhd(timescale, duration) {
+  const body = Buffer.alloc(100);
+  body.writeUInt32BE(timescale, 12);
+  body.writeUInt32BE(duration, 16);
+  return box("mvhd", body);
+}
+
+function mp4aEntry(channels, sampleRate) {
+  const entry = Buffer.alloc(36);
+  entry.writeUInt32BE(36, 0);
+  entry.write("mp4a", 4, "latin1");
+  entry.writeUInt16BE(channels, 24);
+  entry.writeUInt32BE(sampleRate * 65536, 32);
+  return entry;
+}
+
+const ilstItem = (type, kind, payload) =>
+  box(type, box("data", u32be(kind), Buffer.alloc(4), payload));
+
+/** AAC, 44.1 kHz stereo, 3 s (132300 / 44100), with title, album and a PNG cover */
+function m4a() {
+  const moov = box(
+    "moov",
+    mvhd(44100, 132300),
+    box(
+      "trak",
+      box("mdia", box("minf", box("stbl", box("stsd", Buffer.alloc(4), u32be(1), mp4aEntry(2, 44100)))))
+    ),
+    box(
+      "udta",
+      box(
+        "meta",
+        Buffer.alloc(4),
+        box(
+          "ilst",
+          ilstItem("©nam", 1, Buffer.from("Episode 1")),
+          ilstItem("©alb", 1, Buffer.from("The Show")),
+          ilstItem("covr", 14, PNG)
+        )
+      )
+    )
+  );
+  const ftyp = box("ftyp", Buffer.from("M4A ", "latin1"), u32be(0), Buffer.from("M4A isom", "latin1"));
+  return Buffer.concat([ftyp, box("mdat", Buffer.alloc(1000)), moov]);
+}
+
+// ---------- Ogg ----------
+
+function oggPage(packet, granule, sequence) {
+  const lacing = [];
+  let left = packet.length;
+  while (left >= 255) {
+    lacing.push(255);
+    left -= 255;
+  }
+  lacing.push(left);
+  const header = Buffer.alloc(27);
+  header.write("OggS", 0, "latin1");
+  header.writeBigInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(1, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = lacing.length;
+  return Buffer.concat([header, Buffer.from(lacing), packet]);
+}
+
+function vorbisComments(entries) {
+  const vendor = Buffer.from("fixture");
+  return Buffer.concat([
+    u32le(vendor.length),
+    vendor,
+    u32le(entries.length),
+    ...entries.map((e) => Buffer.concat([u32le(Buffer.byteLength(e)), Buffer.from(e)])),
+  ]);
+}
+
+function flacPicture(mimeType, data) {
+  return Buffer.concat([
+    u32be(3),
+    u32be(mimeType.length),
+    Buffer.from(mimeType),
+    u32be(0),
+    Buffer.alloc(16),
+    u32be(data.length),
+    data,
+  ]).toString("base64");
+}
+
+/** Vorbis, 44.1 kHz stereo, 2 s; the comments packet is bigger than one lacing value */
+function oggVorbis({ complete = true } = {}) {
+  const id = Buffer.concat([Buffer.from("\x01vorbis", "latin1"), u32le(0), Buffer.from([2]), u32le(44100), Buffer.alloc(12)]);
+  const comments = Buffer.concat([
+    Buffer.from("\x03vorbis", "latin1"),
+    vorbisComments(["TITLE=Morning Show", "ARTIST=Radio Uno", `COMMENT=${"x".repeat(300)}`]),
+    Buffer.from([1]),
+  ]);
+  const pages = [oggPage(id, 0, 0), oggPage(comments, 0, 1)];
+  if (complete) pages.push(oggPage(Buffer.alloc(100), 88200, 2));
+  return Buffer.concat(complete ? pages : pages.slice(0, 1));
+}
+
+/** Opus, mono, 2 s after a 312-sample pre-skip, with a FLAC-style picture */
+function oggOpus() {
+  const head = Buffer.concat([Buffer.from("OpusHead", "latin1"), Buffer.from([1, 1]), u16le(312), u32le(16000), Buffer.alloc(3)]);
+  const tags = Buffer.concat([
+    Buffer.from("OpusTags", "latin1"),
+    vorbisComments(["title=Voice Memo", `METADATA_BLOCK_PICTURE=${flacPicture("image/png", PNG)}`]),
+  ]);
+  return Buffer.concat([oggPage(head, 0, 0), oggPage(tags, 0, 1), oggPage(Buffer.alloc(60), 96312, 2)]);
+}
+
+// ---------- WebM ----------
+
+function ebml(idHex, ...content) {
+  const body = Buffer.concat(content.map((c) => (Buffer.isBuffer(c) ? c : Buffer.from(c))));
+  const size = Buffer.alloc(8);
+  size[0] = 0x01;
+  size.writeUIntBE(body.length, 2, 6);
+  return Buffer.concat([Buffer.from(idHex, "hex"), size, body]);
+}
+
+const float64 = (n) => {
+  const b = Buffer.alloc(8);
+  b.writeDoubleBE(n);
+  return b;
+};
+
+function simpleBlock(timecode) {
+  const b = Buffer.alloc(8);
+  b[0] = 0x81; // track 1
+  b.writeInt16BE(timecode, 1);
+  return ebml("a3", b);
+}
+
+/**
+ * Opus in WebM, 48 kHz stereo. With a Duration of 2500 ms; without one (as
+ * MediaRecorder writes it) the last cluster ends at 2000 + 480 ms.
+ */
+function webm({ withDuration = true } = {}) {
+  const header = ebml("1a45dfa3", ebml("4282", "webm"));
+  const info = ebml("1549a966", ebml("2ad7b1", Buffer.from([0x0f, 0x42, 0x40])), ...(withDuration ? [ebml("4489", float64(2500))] : []));
+  const tracks = ebml(
+    "1654ae6b",
+    ebml("ae", ebml("86", "A_OPUS"), ebml("e1", ebml("b5", float64(48000)), ebml("9f", Buffer.from([2]))))
+  );
+  const clusters = [
+    ebml("1f43b675", ebml("e7", Buffer.from([0])), simpleBlock(0), simpleBlock(20)),
+    ebml("1f43b675", ebml("e7", Buffer.from([0x07, 0xd0])), simpleBlock(460), simpleBlock(480)),
+  ];
+  const segment = Buffer.concat([Buffer.from("18538067", "hex"), Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]), info, tracks, ...clusters]);
+  return Buffer.concat([header, segment]);
+}
+
+module.exports = { PNG, MP3_FRAME_BYTES, mp3, mp3Xing, m4a, oggVorbis, oggOpus, webm };
@@ -0,0 +1,108 @@
+/**
+ * A Redis stand-in for tests: the few commands the cache store sends, over
+ * real RESP on a local port, with PX / PEXPIRE measured on `now`.
+ */
+
+const net = require("net");
+const { parseReply } = require("../../Services/resp-client.cjs");
+
+const CRLF = "\r\n";
+const bulk = (s) => (s == null ? `$-1${CRLF}` : `$${Buffer.byteLength(s)}${CRLF}${s}${CRLF}`);
+const array = (items) => `*${items.length}${CRLF}${items.map(bulk).join("")}`;
+const int = (n) => `:${n}${CRLF}`;
+
+/**
+ * @param {{ now?: () => number, password?: string }} [opts]
+ * @returns {Promise<{ url: string, data: Map<string, any>, close: () => Promise<void> }>}
+ */
+async function startRespServer({ now = Date.now, password = null } = {}) {
+  // key -> { value: string | Set<string>, expiresAt: number | null }
+  const data = new Map();
+  const sockets = new Set();
+
+  const live = (key) => {
+    const item = data.get(key);
+    if (item && item.expiresAt != null && item.expiresAt <= now()) {
+      data.delete(key);
+      return null;
+    }
+    return item || null;
+  };
+
+  function run([command, ...args], session) {
+    const name = String(command).toUpperCase();
+    if (name === "AUTH") {
+      if (args[args.length - 1] !== password) return `-WRONGPASS invalid password${CRLF}`;
+      session.authed = true;
+      return `+OK${CRLF}`;
+    }
+    if (password && !session.authed) return `-NOAUTH Authentication required.${CRLF}`;
+    switch (name) {
+      case "PING":
+        return `+PONG${CRLF}`;
+      case "SELECT":
+      case "QUIT":
+        return `+OK${CRLF}`;
+      case "GET": {
+        const item = live(args[0]);
+        return bulk(item && typeof item.value === "string" ? item.value : null);
+      }
+      case "SET": {
+        const px = args.findIndex((a) => String(a).toUpperCase() === "PX");
+        data.set(args[0], { value: args[1], expiresAt: px === -1 ? null : now() + Number(args[px + 1]) });
+        return `+OK${CRLF}`;
+      }
+      case "DEL":
+        return int(args.filter((key) => live(key) && data.delete(key)).length);
+      case "SADD": {
+        const item = live(args[0]) || { value: new Set(), expiresAt: null };
+        const before = item.value.size;
+        args.slice(1).forEach((m) => item.value.add(m));
+        data.set(args[0], item);
+        return int(item.value.size - before);
+      }
+      case "SMEMBERS": {
+        const item = live(args[0]);
+        return array(item ? [...item.value] : []);
+      }
+      case "PEXPIRE": {
+        const item = live(args[0]);
+        if (!item) return int(0);
+        item.expiresAt = now() + Number(args[1]);
+        return int(1);
+      }
+      default:
+        return `-ERR unknown command '${name}'${CRLF}`;
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    const session = { authed: false };
+    let buffer = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let offset = 0;
+      for (let reply = parseReply(buffer, offset); reply; reply = parseReply(buffer, offset)) {
+        offset = reply.offset;
+        socket.write(run(reply.value, session));
+      }
+      buffer = buffer.subarray(offset);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const auth = password ? `:${encodeURIComponent(password)}@` : "";
+  return {
+    url: `redis://${auth}127.0.0.1:${server.address().port}`,
+    data,
+    close: () =>
+      new Promise((resolve) => {
+        sockets.forEach((s) => s.destroy());
+        server.close(() => resolve());
+      }),
+  };
+}
+
+module.exports = { startRespServer };
@@ -0,0 +1,63 @@
+const http = require("http");
+const sqlite3 = require("sqlite3");
+const { createMigrator } = require("../Services/migrations.cjs");
+
+/**
+ * A fresh in-memory catalogue with every migration applied.
+ * @returns {Promise<import("sqlite3").Database>}
+ */
+async function openMigratedDb() {
+  const db = new sqlite3.Database(":memory:");
+  await createMigrator({ db }).migrate();
+  return db;
+}
+
+const closeDb = (db) => new Promise((resolve) => db.close(() => resolve()));
+
+/**
+ * Minimal RSS document with one audio item per guid.
+ * @param {string} title
+ * @param {string[]} guids
+ */
+function rss(title, guids) {
+  const items = guids
+    .map(
+      (guid, i) => `
+    <item>
+      <title>${guid}</title>
+      <guid>${guid}</guid>
+      <pubDate>${new Date(Date.UTC(2024, 0, i + 1)).toUTCString()}</pubDate>
+      <enclosure url="https://cdn.example.com/${guid}.mp3" type="audio/mpeg" length="1"/>
+    </item>`
+    )
+    .join("");
+  return `<?xml version="1.0"?><rss version="2.0"><channel><title>${title}</title>${items}</channel></rss>`;
+}
+
+/**
+ * Silences the services' progress logging for one test; the runner reads
+ * test results from the same stdout and chokes on interleaved output.
+ * @param {import("node:test").TestContext} t
+ */
+function quiet(t) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+}
+
+// Resolves after `ms`, so overlapping calls really interleave
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Listens on a free local port until the test ends.
+ * @param {import("node:test").TestContext} t
+ * @param {import("http").RequestListener} app
+ * @returns {Promise<string>} base URL
+ */
+async function serve(t, app) {
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+module.exports = { openMigratedDb, closeDb, quiet, rss, delay, serve };
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createIngestService } = require("../Services/ingest.cjs");
+const { dbAll } = require("../Services/sqlite.cjs");
+const { openMigratedDb, closeDb, quiet, rss, delay } = require("./helpers.cjs");
+
+// Serves `feeds` by URL after a short delay; counts requests per URL
+function fakeFetcher(feeds) {
+  const calls = new Map();
+  const fetcher = async (url) => {
+    calls.set(url, (calls.get(url) || 0) + 1);
+    await delay(5);
+    return { status: 200, headers: {}, body: feeds[url]() };
+  };
+  return { fetcher, calls };
+}
+
+test("overlapping refreshes of different feeds all succeed", async (t) => {
+  quiet(t);
+  const db = await openMigratedDb();
+  t.after(() => closeDb(db));
+  const urls = [1, 2, 3, 4].map((n) => `https://feeds.example.com/${n}.xml`);
+  const { fetcher } = fakeFetcher(
+    Object.fromEntries(urls.map((url, n) => [url, () => rss(`Show ${n}`, [`a${n}`, `b${n}`, `c${n}`])]))
+  );
+  const ingest = createIngestService({ db, fetcher });
+
+  const feeds = await Promise.all(urls.map((url) => ingest.registerFeed(url)));
+  const results = await Promise.all(feeds.map((f) => ingest.refreshFeed(f.id)));
+
+  assert.deepStrictEqual(
+    results.map((r) => r.status),
+    ["updated", "updated", "updated", "updated"]
+  );
+  const rows = await dbAll(db, "SELECT failureCount, lastSuccessAt FROM feeds ORDER BY id");
+  assert.ok(rows.every((r) => r.failureCount === 0 && r.lastSuccessAt));
+  const [{ n }] = await dbAll(db, "SELECT COUNT(*) AS n FROM episodes");
+  assert.strictEqual(n, 12);
+});
+
+test("overlapping refreshes of one feed share a fetch and report new episodes once", async (t) => {
+  quiet(t);
+  const db = await openMigratedDb();
+  t.after(() => closeDb(db));
+  const url = "https://feeds.example.com/show.xml";
+  let guids = ["one"];
+  const { fetcher, calls } = fakeFetcher({ [url]: () => rss("Show", guids) });
+  const added = [];
+  const ingest = createIngestService({ db, fetcher, onUpdated: (feed, r) => added.push(...r.added) });
+
+  const feed = await ingest.registerFeed(url);
+  await ingest.refreshFeed(feed.id);
+  guids = ["one", "two", "three"];
+  await Promise.all([ingest.refreshFeed(feed.id), ingest.refreshFeed(feed.id), ingest.refreshFeed(feed.id)]);
+
+  assert.strictEqual(calls.get(url), 2);
+  assert.deepStrictEqual(added.map((ep) => ep.guid).sort(), ["three", "two"]);
+});
+
+test("idle feeds leave the schedule unless someone follows them", async (t) => {
+  quiet(t);
+  const db = await openMigratedDb();
+  t.after(() => closeDb(db));
+  const DAY = 24 * 60 * 60 * 1000;
+  let clock = Date.UTC(2024, 5, 1);
+  const [followed, idle, dead] = ["followed", "idle", "dead"].map((n) => `https://feeds.example.com/${n}.xml`);
+  const { fetcher, calls } = fakeFetcher({
+    [followed]: () => rss("Followed", ["f1"]),
+    [idle]: () => rss("Idle", ["i1"]),
+    [dead]: () => rss("Dead", ["d1"]),
+  });
+  const ingest = createIngestService({
+    db,
+    fetcher,
+    now: () => clock,
+    idleAfterMs: 7 * DAY,
+    followedFeeds: async (keys) => new Set(keys.filter((k) => k.includes("followed"))),
+  });
+
+  const [f, i, d] = await Promise.all([followed, idle, dead].map((url) => ingest.registerFeed(url)));
+  await ingest.refreshFeed(f.id);
+  await ingest.refreshFeed(i.id);
+  clock += 8 * DAY;
+  calls.clear();
+  await ingest.tick();
+
+  assert.deepStrictEqual([...calls.keys()], [followed]);
+  assert.strictEqual(await ingest.getFeed(d.id), undefined);
+  assert.ok(await ingest.getFeed(i.id));
+
+  // asking for the idle feed puts it back on the schedule
+  await ingest.markRequested(i.id);
+  clock += 60 * 60 * 1000;
+  calls.clear();
+  await ingest.tick();
+  assert.deepStrictEqual([...calls.keys()].sort(), [followed, idle]);
+});
+
+test("new feeds take their directory id from the lookup, not the caller's guess", async (t) => {
+  quiet(t);
+  const db = await openMigratedDb();
+  t.after(() => closeDb(db));
+  const lookups = [];
+  const ingest = createIngestService({
+    db,
+    lookupPodcastId: async (url) => {
+      lookups.push(url);
+      return url.includes("indexed") ? 4242 : null;
+    },
+  });
+
+  const indexed = await ingest.registerFeed("https://feeds.example.com/indexed.xml");
+  const unindexed = await ingest.registerFeed("https://feeds.example.com/private.xml");
+  await ingest.registerFeed("https://feeds.example.com/indexed.xml");
+
+  assert.strictEqual(indexed.podcastId, "4242");
+  assert.strictEqual(unindexed.podcastId, null);
+  assert.strictEqual(lookups.length, 2);
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const PodcastLike = require("../Models/PodcastLike.js");
+const { createMemoryLikeRepo } = require("../Services/repos/likes.cjs");
+
+test("PodcastLike is unique per show, episode and user", () => {
+  const unique = PodcastLike.schema
+    .indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields]) => Object.keys(fields));
+  assert.deepStrictEqual(unique, [["podcastId", "episodeId", "userId"]]);
+});
+
+test("a user can like a show and two of its episodes independently", async () => {
+  const likes = createMemoryLikeRepo();
+  await likes.set({ podcastId: 7, userId: "u1" }, true);
+  await likes.set({ podcastId: 7, episodeId: 70, userId: "u1" }, true);
+  await likes.set({ podcastId: 7, episodeId: 71, userId: "u1" }, false);
+
+  assert.deepStrictEqual(await likes.counts(7), { likes: 1, dislikes: 0 });
+  assert.deepStrictEqual(await likes.counts(7, 70), { likes: 1, dislikes: 0 });
+  assert.deepStrictEqual(await likes.counts("7", "71"), { likes: 0, dislikes: 1 });
+  assert.deepStrictEqual(
+    (await likes.listPodcastLikes("u1")).map((l) => [l.podcastId, l.episodeId, l.liked]),
+    [["7", null, true]]
+  );
+
+  // changing one episode's like leaves the show's and the other episode's alone
+  await likes.set({ podcastId: 7, episodeId: 71, userId: "u1" }, true);
+  assert.strictEqual(await likes.remove({ podcastId: 7, episodeId: 70, userId: "u1" }), true);
+  assert.deepStrictEqual(await likes.counts(7), { likes: 1, dislikes: 0 });
+  assert.deepStrictEqual(await likes.counts(7, 70), { likes: 0, dislikes: 0 });
+  assert.deepStrictEqual(await likes.counts(7, 71), { likes: 1, dislikes: 0 });
+});
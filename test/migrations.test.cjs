@@ -0,0 +1,229 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const { createMigrator, loadMigrations, parseSqlMigration, bootstrapMongo } = require("../Services/migrations.cjs");
+const { dbAll } = require("../Services/sqlite.cjs");
+const { closeDb, quiet } = require("./helpers.cjs");
+
+function memoryDb(t) {
+  const db = new sqlite3.Database(":memory:");
+  t.after(() => closeDb(db));
+  return db;
+}
+
+// A throwaway migrations directory holding `files`
+function migrationsDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), source);
+  return dir;
+}
+
+const tables = async (db) =>
+  (await dbAll(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 't_%' ORDER BY name")).map(
+    (r) => r.name
+  );
+
+const TWO_STEPS = {
+  "001_first.sql": "-- migrate:up\nCREATE TABLE t_one (id INTEGER);\n-- migrate:down\nDROP TABLE t_one;\n",
+  "002_second.sql": "-- migrate:up\nCREATE TABLE t_two (id INTEGER);\n-- migrate:down\nDROP TABLE t_two;\n",
+};
+
+test("the repo's migrations apply, roll back to the last irreversible one and apply again", async (t) => {
+  quiet(t);
+  const db = memoryDb(t);
+  const migrator = createMigrator({ db });
+  const latest = migrator.migrations.at(-1).version;
+
+  await migrator.migrate();
+  assert.deepStrictEqual(await migrator.verify(), {});
+  assert.strictEqual((await migrator.status()).current, latest);
+
+  const floor = Math.max(...migrator.migrations.filter((m) => !m.down).map((m) => m.version));
+  await assert.rejects(migrator.rollback({ to: 0 }), /cannot be rolled back/);
+  await migrator.rollback({ to: floor });
+  const afterRollback = await migrator.status();
+  assert.strictEqual(afterRollback.current, floor);
+  assert.strictEqual(afterRollback.pending.length, latest - floor);
+
+  await migrator.migrate();
+  assert.deepStrictEqual(await migrator.verify(), {});
+  assert.strictEqual((await migrator.status()).current, latest);
+});
+
+test("applied migrations are recorded with the checksum of their file", async (t) => {
+  quiet(t);
+  const db = memoryDb(t);
+  const dir = migrationsDir(t, TWO_STEPS);
+  await createMigrator({ db, dir, expected: {}, now: () => 1234 }).migrate();
+
+  const rows = await dbAll(db, "SELECT version, name, checksum, appliedAt FROM schema_migrations ORDER BY version");
+  assert.deepStrictEqual(
+    rows,
+    loadMigrations(dir).map((m) => ({ version: m.version, name: m.name, checksum: m.checksum, appliedAt: 1234 }))
+  );
+  assert.match(rows[0].checksum, /^[0-9a-f]{64}$/);
+  assert.deepStrictEqual(await tables(db), ["t_one", "t_two"]);
+});
+
+test("an edited or unknown applied migration is drift and blocks migrating", async (t) => {
+  quiet(t);
+  const db = memoryDb(t);
+  const dir = migrationsDir(t, TWO_STEPS);
+  await createMigrator({ db, dir, expected: {} }).migrate();
+
+  fs.appendFileSync(path.join(dir, "001_first.sql"), "-- edited\n");
+  fs.renameSync(path.join(dir, "002_second.sql"), path.join(dir, "002_second.txt"));
+  fs.writeFileSync(path.join(dir, "003_third.sql"), "CREATE TABLE t_three (id INTEGER);");
+  const migrator = createMigrator({ db, dir, expected: {} });
+
+  const { drift, pending } = await migrator.status();
+  assert.deepStrictEqual(
+    drift.map((d) => [d.version, d.state]),
+    [
+      [1, "modified"],
+      [2, "unknown"],
+    ]
+  );
+  assert.deepStrictEqual(pending, [{ version: 3, name: "third" }]);
+  await assert.rejects(migrator.migrate(), { code: "SCHEMA_MISMATCH" });
+  await assert.rejects(migrator.ensure(), { code: "SCHEMA_MISMATCH" });
+  await assert.rejects(migrator.rollback(), { code: "SCHEMA_MISMATCH" });
+  assert.deepStrictEqual(await tables(db), ["t_one", "t_two"]);
+});
+
+test("rollback runs down steps newest first and forgets them", async (t) => {
+  quiet(t);
+  const db = memoryDb(t);
+  const migrator = createMigrator({ db, dir: migrationsDir(t, TWO_STEPS), expected: {} });
+  await migrator.migrate();
+
+  assert.deepStrictEqual(await migrator.rollback(), [{ version: 2, name: "second" }]);
+  assert.deepStrictEqual(await tables(db), ["t_one"]);
+  assert.deepStrictEqual(await migrator.rollback({ to: 0 }), [{ version: 1, name: "first" }]);
+  assert.deepStrictEqual(await tables(db), []);
+  assert.strictEqual((await migrator.status()).current, 0);
+});
+
+test("a failing migration keeps the steps before it and nothing of its own", async (t) => {
+  quiet(t);
+  const db = memoryDb(t);
+  const migrator = createMigrator({
+    db,
+    dir: migrationsDir(t, {
+      ...TWO_STEPS,
+      "003_broken.sql": "CREATE TABLE t_three (id INTEGER);\nINSERT INTO t_missing VALUES (1);",
+    }),
+    expected: {},
+  });
+
+  await assert.rejects(migrator.migrate(), /003_broken\.sql \(up\) failed/);
+  assert.deepStrictEqual(await tables(db), ["t_one", "t_two"]);
+  assert.deepStrictEqual((await migrator.status()).pending, [{ version: 3, name: "broken" }]);
+});
+
+test("a dry run checks pending migrations without keeping them", async (t) => {
+  quiet(t);
+  const db = memoryDb(t);
+  const migrator = createMigrator({ db, dir: migrationsDir(t, TWO_STEPS), expected: {} });
+
+  assert.strictEqual((await migrator.migrate({ dryRun: true })).length, 2);
+  assert.deepStrictEqual(await tables(db), []);
+  assert.strictEqual((await migrator.status()).pending.length, 2);
+});
+
+test("ensure refuses a missing column even when every migration is applied", async (t) => {
+  quiet(t);
+  const db = memoryDb(t);
+  const migrator = createMigrator({ db, dir: migrationsDir(t, TWO_STEPS), expected: { t_one: ["id", "title"] } });
+  await assert.rejects(migrator.ensure({ autoMigrate: false }), { code: "SCHEMA_MISMATCH", message: /pending/ });
+  await assert.rejects(migrator.ensure(), (err) => {
+    assert.strictEqual(err.code, "SCHEMA_MISMATCH");
+    assert.deepStrictEqual(err.details, { t_one: ["title"] });
+    return true;
+  });
+});
+
+// Just enough of a connected mongoose for bootstrapMongo: a podcastlikes
+// collection that still has the pre-episode unique index
+function fakeMongoose(calls) {
+  const collections = {
+    podcastlikes: { docs: [], indexes: new Set(["_id_", "podcastId_1_userId_1", "podcastId_1"]) },
+  };
+  const collection = (name) => {
+    collections[name] ??= { docs: [], indexes: new Set(["_id_"]) };
+    const c = collections[name];
+    return {
+      find: () => ({ toArray: async () => c.docs }),
+      insertOne: async (doc) => void c.docs.push(doc),
+      dropIndex: async (index) => {
+        calls.push(`drop ${name}.${index}`);
+        if (!c.indexes.delete(index)) throw Object.assign(new Error("index not found"), { code: 27 });
+      },
+    };
+  };
+  const PodcastLike = {
+    modelName: "PodcastLike",
+    collection: { collectionName: "podcastlikes" },
+    diffIndexes: async () => ({ toCreate: [], toDrop: [] }),
+    createIndexes: async () => {
+      // Mongo would now refuse a show like and an episode like by the same user
+      if (collections.podcastlikes.indexes.has("podcastId_1_userId_1")) throw new Error("E11000");
+      calls.push("createIndexes podcastlikes");
+    },
+  };
+  return {
+    collections,
+    connection: {
+      db: {
+        collection,
+        listCollections: () => ({ toArray: async () => Object.keys(collections).map((name) => ({ name })) }),
+      },
+    },
+    models: { PodcastLike },
+  };
+}
+
+test("bootstrapMongo drops the old per-show like index once, before creating indexes", async (t) => {
+  quiet(t);
+  const calls = [];
+  const mongoose = fakeMongoose(calls);
+
+  const dry = await bootstrapMongo(mongoose, { dryRun: true });
+  assert.deepStrictEqual(dry.steps, [{ version: 1, name: "podcastlikes_unique_per_episode" }]);
+  assert.deepStrictEqual(calls, []);
+
+  const first = await bootstrapMongo(mongoose);
+  assert.deepStrictEqual(first.steps, [{ version: 1, name: "podcastlikes_unique_per_episode" }]);
+  assert.deepStrictEqual(calls, ["drop podcastlikes.podcastId_1_userId_1", "createIndexes podcastlikes"]);
+  assert.ok(!mongoose.collections.podcastlikes.indexes.has("podcastId_1_userId_1"));
+  assert.deepStrictEqual(
+    mongoose.collections.schema_migrations.docs.map((d) => [d._id, d.name]),
+    [[1, "podcastlikes_unique_per_episode"]]
+  );
+
+  const second = await bootstrapMongo(mongoose);
+  assert.deepStrictEqual(second.steps, []);
+  assert.deepStrictEqual(calls.slice(2), ["createIndexes podcastlikes"]);
+});
+
+test("a Mongo step that finds nothing to drop still counts as applied", async (t) => {
+  quiet(t);
+  const calls = [];
+  const mongoose = fakeMongoose(calls);
+  mongoose.collections.podcastlikes.indexes.delete("podcastId_1_userId_1");
+  const { steps } = await bootstrapMongo(mongoose);
+  assert.strictEqual(steps.length, 1);
+  assert.strictEqual(mongoose.collections.schema_migrations.docs.length, 1);
+});
+
+test("parseSqlMigration splits the up and down sections", () => {
+  assert.deepStrictEqual(parseSqlMigration("CREATE TABLE a (x);"), { up: "CREATE TABLE a (x);", down: null });
+  const { up, down } = parseSqlMigration("-- migrate:up\nCREATE TABLE a (x);\n-- migrate:down\nDROP TABLE a;\n");
+  assert.strictEqual(up.trim(), "CREATE TABLE a (x);");
+  assert.strictEqual(down.trim(), "DROP TABLE a;");
+  assert.throws(() => parseSqlMigration("-- migrate:down\nDROP TABLE a;\n-- migrate:up\nCREATE TABLE a (x);"));
+});
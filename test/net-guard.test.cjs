@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { checkUrl, isPrivateAddress, hostAllowed } = require("../Services/net-guard.cjs");
+
+test("isPrivateAddress blocks internal IPv4 and IPv6 ranges", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0"])
+    assert.strictEqual(isPrivateAddress(ip), true, ip);
+  for (const ip of ["::", "::1", "fe80::1", "fd00::1", "ff02::1", "64:ff9b::a00:1"])
+    assert.strictEqual(isPrivateAddress(ip), true, ip);
+  for (const ip of ["93.184.216.34", "8.8.8.8", "2606:4700::1111"])
+    assert.strictEqual(isPrivateAddress(ip), false, ip);
+});
+
+test("isPrivateAddress checks IPv4-mapped IPv6 as IPv4", () => {
+  assert.strictEqual(isPrivateAddress("::ffff:127.0.0.1"), true);
+  assert.strictEqual(isPrivateAddress("::FFFF:169.254.169.254"), true);
+  assert.strictEqual(isPrivateAddress("::ffff:7f00:1"), true);
+  assert.strictEqual(isPrivateAddress("::ffff:a9fe:a9fe"), true);
+  assert.strictEqual(isPrivateAddress("::ffff:8.8.8.8"), false);
+  assert.strictEqual(isPrivateAddress("::ffff:808:808"), false);
+});
+
+test("isPrivateAddress blocks IPv4-compatible, 6to4 and site-local IPv6", () => {
+  for (const ip of ["::127.0.0.1", "::a9fe:a9fe", "::8.8.8.8", "2002:7f00:1::1", "2002:c0a8:101::", "fec0::1", "feff::1"])
+    assert.strictEqual(isPrivateAddress(ip), true, ip);
+  assert.throws(() => checkUrl("http://[::127.0.0.1]/feed"), { status: 403 });
+  assert.throws(() => checkUrl("http://[2002:a9fe:a9fe::]/latest"), { status: 403 });
+  for (const ip of ["2003::1", "2001:4860:4860::8888", "ff::1"])
+    assert.strictEqual(isPrivateAddress(ip), false, ip);
+});
+
+test("isPrivateAddress treats anything that is not an IP as blocked", () => {
+  assert.strictEqual(isPrivateAddress("localhost"), true);
+  assert.strictEqual(isPrivateAddress(""), true);
+});
+
+test("checkUrl rejects private literals, credentials and other schemes", () => {
+  assert.throws(() => checkUrl("http://[::ffff:127.0.0.1]/feed"), { status: 403 });
+  assert.throws(() => checkUrl("http://169.254.169.254/latest"), { status: 403 });
+  assert.throws(() => checkUrl("https://user:pw@example.com/"), { status: 403 });
+  assert.throws(() => checkUrl("file:///etc/passwd"), { status: 400 });
+  assert.throws(() => checkUrl("not a url"), { status: 400 });
+  assert.strictEqual(checkUrl("https://example.com/feed.xml").hostname, "example.com");
+});
+
+test("hostAllowed matches exact hosts and wildcard subdomains", () => {
+  assert.strictEqual(hostAllowed("anything.test", []), true);
+  assert.strictEqual(hostAllowed("example.com", ["example.com"]), true);
+  assert.strictEqual(hostAllowed("cdn.example.com", ["example.com"]), false);
+  assert.strictEqual(hostAllowed("cdn.example.com", ["*.example.com"]), true);
+  assert.strictEqual(hostAllowed("example.com.", ["*.example.com"]), true);
+  assert.strictEqual(hostAllowed("badexample.com", ["*.example.com"]), false);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createIngestService } = require("../Services/ingest.cjs");
+const { parseOpml, importOutlines } = require("../Services/opml.cjs");
+const { dbAll } = require("../Services/sqlite.cjs");
+const { openMigratedDb, closeDb, quiet, rss, delay } = require("./helpers.cjs");
+
+test("importing several valid feeds at once subscribes to all of them", async (t) => {
+  quiet(t);
+  const db = await openMigratedDb();
+  t.after(() => closeDb(db));
+  const urls = Array.from({ length: 8 }, (_, n) => `https://feeds.example.com/show-${n}.xml`);
+  const opml = `<opml version="2.0"><body>${urls
+    .map((url, n) => `<outline type="rss" text="Show ${n}" xmlUrl="${url}"/>`)
+    .join("")}</body></opml>`;
+  const ingest = createIngestService({
+    db,
+    fetcher: async (url) => {
+      await delay(5);
+      return { status: 200, headers: {}, body: rss(url, ["a", "b", "c"]) };
+    },
+  });
+
+  const followed = [];
+  const results = await importOutlines(parseOpml(opml), {
+    concurrency: 4,
+    isSubscribed: () => false,
+    follow: async ({ xmlUrl, title }) => {
+      await ingest.validateFeed(xmlUrl);
+      followed.push(xmlUrl);
+      return { title };
+    },
+  });
+
+  assert.deepStrictEqual(
+    results.map((r) => [r.xmlUrl, r.status, r.error]),
+    urls.map((url) => [url, "subscribed", undefined])
+  );
+  assert.deepStrictEqual(followed.sort(), [...urls].sort());
+  const feeds = await dbAll(db, "SELECT failureCount, lastSuccessAt FROM feeds");
+  assert.strictEqual(feeds.length, urls.length);
+  assert.ok(feeds.every((f) => f.failureCount === 0 && f.lastSuccessAt));
+});
+
+test("a dead feed fails on its own and is not kept", async (t) => {
+  quiet(t);
+  const db = await openMigratedDb();
+  t.after(() => closeDb(db));
+  const ingest = createIngestService({
+    db,
+    fetcher: async (url) => {
+      await delay(5);
+      if (url.includes("dead")) return { status: 200, headers: {}, body: "<html>not a feed</html>" };
+      return { status: 200, headers: {}, body: rss(url, ["a"]) };
+    },
+  });
+  const outlines = ["live-1", "dead", "live-2", "known"].map((name) => ({
+    xmlUrl: `https://feeds.example.com/${name}.xml`,
+    title: name,
+  }));
+
+  const results = await importOutlines(outlines, {
+    isSubscribed: (xmlUrl) => xmlUrl.includes("known"),
+    follow: async ({ xmlUrl, title }) => {
+      await ingest.validateFeed(xmlUrl);
+      return { title };
+    },
+  });
+
+  assert.deepStrictEqual(
+    results.map((r) => r.status),
+    ["subscribed", "failed", "subscribed", "already-subscribed"]
+  );
+  assert.strictEqual(await ingest.findFeedByUrl("https://feeds.example.com/dead.xml"), undefined);
+});
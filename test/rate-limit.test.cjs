@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createWindowLimiter } = require("../Services/rate-limit.cjs");
+
+test("each caller gets perKey actions per window", () => {
+  let now = 0;
+  const limiter = createWindowLimiter({ windowMs: 60_000, perKey: 2, total: 100, now: () => now });
+  assert.strictEqual(limiter.take("a").ok, true);
+  assert.strictEqual(limiter.take("a").ok, true);
+  assert.deepStrictEqual(limiter.take("a"), { ok: false, retryAfterSec: 60 });
+  assert.strictEqual(limiter.take("b").ok, true);
+  now = 45_000;
+  assert.deepStrictEqual(limiter.take("a"), { ok: false, retryAfterSec: 15 });
+  now = 60_000;
+  assert.strictEqual(limiter.take("a").ok, true);
+});
+
+test("the total caps all callers together", () => {
+  const limiter = createWindowLimiter({ windowMs: 60_000, perKey: 5, total: 3, now: () => 0 });
+  assert.deepStrictEqual(
+    ["a", "b", "c", "d", "a"].map((key) => limiter.take(key).ok),
+    [true, true, true, false, false]
+  );
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const Review = require("../Models/Review.js");
+const { createMemoryLikeRepo } = require("../Services/repos/likes.cjs");
+const { serve, delay } = require("./helpers.cjs");
+
+async function reactionsApi(t, { likes = createMemoryLikeRepo() } = {}) {
+  const app = express();
+  app.use(express.json());
+  const requireAuth = (req, _res, next) => {
+    req.user = { id: "u1" };
+    next();
+  };
+  const { podcasts } = require("../Routes/reactions.cjs")({ requireAuth, likes });
+  app.use("/podcasts", podcasts);
+  const base = await serve(t, app);
+  return (method, path, body) =>
+    fetch(`${base}/podcasts${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+}
+
+test("the show and two of its episodes can each be liked through the routes", async (t) => {
+  const call = await reactionsApi(t);
+  for (const path of ["/7/like", "/7/episodes/70/like", "/7/episodes/71/like"]) {
+    const res = await call("PUT", path, { liked: true });
+    assert.strictEqual(res.status, 200, path);
+    await res.arrayBuffer();
+  }
+  for (const episodeId of ["70", "71"]) {
+    const res = await call("GET", `/7/episodes/${episodeId}/likes`);
+    assert.deepStrictEqual(await res.json(), { podcastId: "7", episodeId, likes: 1, dislikes: 0 });
+  }
+});
+
+test("two first reviews racing for the same show end as one create and one edit", async (t) => {
+  // a Review collection of one slot, with the unique (podcastId, userId) index
+  let stored = null;
+  t.mock.method(Review, "findOne", async () => stored);
+  t.mock.method(Review, "create", async (fields) => {
+    await delay(10);
+    if (stored) throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    stored = new Review({ ...fields, createdAt: new Date() });
+    return stored;
+  });
+  t.mock.method(Review.prototype, "save", async function () {
+    return this;
+  });
+
+  const call = await reactionsApi(t);
+  const responses = await Promise.all([
+    call("PUT", "/7/review", { rating: 4, text: "Good" }),
+    call("PUT", "/7/review", { rating: 5, text: "Great" }),
+  ]);
+  assert.deepStrictEqual(responses.map((r) => r.status).sort(), [200, 201]);
+  const bodies = await Promise.all(responses.map((r) => r.json()));
+  const edit = bodies[responses.findIndex((r) => r.status === 200)];
+  assert.ok(edit.review.editedAt);
+  assert.strictEqual(stored.rating, edit.review.rating);
+  assert.strictEqual(Review.create.mock.callCount(), 2);
+});
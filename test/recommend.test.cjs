@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const { createMemoryRepositories } = require("../Services/repos/index.cjs");
+const { recommend } = require("../Services/recommend.cjs");
+const { serve } = require("./helpers.cjs");
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 1);
+
+const show = (id, title, category1, popularityScore, extra = {}) => ({
+  id,
+  title,
+  category1,
+  popularityScore,
+  url: `https://feeds.example.com/${id}.xml`,
+  ...extra,
+});
+
+const CATALOGUE = [
+  show(1, "One", "Technology", 40, { author: "Ann" }),
+  show(2, "Two", "Technology", 30, { category2: "Science" }),
+  show(3, "Three", "Technology", 80),
+  show(4, "Four", "Technology", 50, { author: "Ann" }),
+  show(5, "Five", "Science", 100),
+  show(6, "Six", "Technology", 10),
+  show(7, "Seven", "News", 90),
+  show(8, "Eight", "History", 5),
+  show(9, "Nine", "Comedy", 200),
+  show(10, "Ten", "Comedy", 60),
+];
+
+// Finished an episode of One two days ago, liked Two, disliked Nine, follows Three
+function listenerRepos() {
+  return createMemoryRepositories({
+    podcasts: CATALOGUE,
+    episodes: [{ id: 101, podcastId: 1, title: "Pilot", durationSec: 1800 }],
+    history: [
+      { userId: "u1", podcastId: "1", episodeId: "101", positionSec: 1800, completed: true, lastPlayedAt: new Date(NOW - 2 * DAY) },
+    ],
+    likes: [
+      { userId: "u1", podcastId: "2", episodeId: null, liked: true },
+      { userId: "u1", podcastId: "9", episodeId: null, liked: false },
+    ],
+    subscriptions: [{ userId: "u1", podcastId: null, feedUrl: "https://feeds.example.com/3.xml" }],
+  });
+}
+
+async function forYou(t, repos, query = "") {
+  const app = express();
+  app.use((req, _res, next) => {
+    req.user = { id: "u1" };
+    next();
+  });
+  app.use("/user", require("../Routes/user.cjs")({ repos, now: () => NOW }));
+  const res = await fetch(`${await serve(t, app)}/user/foryou${query}`);
+  assert.strictEqual(res.status, 200);
+  return (await res.json()).items;
+}
+
+test("GET /user/foryou ranks by taste with reasons and leaves out heard, disliked and followed shows", async (t) => {
+  const items = await forYou(t, listenerRepos(), "?limit=6");
+  assert.deepStrictEqual(
+    items.map((i) => [i.id, i.reason, i.exploration]),
+    [
+      ["4", "Because you finished One", false], // same author as a finished show
+      ["5", "Because you liked Two", false],
+      ["6", "Because you liked Two", false],
+      ["7", "Popular in News", false],
+      ["8", "Something new for you in History", true],
+      ["10", "Popular in Comedy", false],
+    ]
+  );
+  // 1 and 2 are already known, 3 is followed, 9 was disliked
+  for (const id of ["1", "2", "3", "9"]) assert.ok(!items.some((i) => i.id === id), id);
+});
+
+test("every fifth slot goes to the best show outside the listener's categories", async (t) => {
+  const items = await forYou(t, listenerRepos(), "?limit=5");
+  assert.deepStrictEqual(items.map((i) => i.exploration), [false, false, false, false, true]);
+  assert.strictEqual(items[4].id, "8");
+
+  // without any taste profile there is nothing to explore away from
+  const fresh = await forYou(t, createMemoryRepositories({ podcasts: CATALOGUE }), "?limit=5");
+  assert.deepStrictEqual(fresh.map((i) => i.id), ["9", "5", "7", "3", "10"]);
+  assert.ok(fresh.every((i) => !i.exploration && i.reason.startsWith("Popular in ")));
+});
+
+test("recommend is reproducible for a given clock, and listening fades while likes stay", () => {
+  const input = {
+    userId: "u1",
+    history: [{ podcastId: "7", completed: true, lastPlayedAt: NOW - 2 * DAY }],
+    likes: [{ podcastId: "8", liked: true }],
+    seedPodcasts: CATALOGUE,
+    candidates: [show("11", "Eleven", "News", 10), show("12", "Twelve", "History", 10)],
+  };
+  const today = recommend({ ...input, now: NOW });
+  assert.deepStrictEqual(recommend({ ...input, now: NOW }), today);
+  assert.deepStrictEqual(today.map((i) => [i.id, i.reason]), [
+    ["12", "Because you liked Eight"],
+    ["11", "Because you finished Seven"],
+  ]);
+
+  const yearLater = recommend({ ...input, now: NOW + 365 * DAY });
+  const score = (items, id) => items.find((i) => i.id === id).score;
+  assert.ok(score(yearLater, "11") < score(today, "11"));
+  assert.ok(score(yearLater, "12") > score(today, "12"));
+});
@@ -0,0 +1,212 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const PodcastLike = require("../Models/PodcastLike.js");
+const { createRepositories, createMemoryRepositories } = require("../Services/repos/index.cjs");
+const { createMongoLikeRepo, createMemoryLikeRepo } = require("../Services/repos/likes.cjs");
+const { dbRun } = require("../Services/sqlite.cjs");
+const { openMigratedDb, closeDb, quiet, serve } = require("./helpers.cjs");
+
+// Rows in the shape the repositories return, with every column the SQLite ones select
+const podcast = (id, title, fields = {}) => ({
+  id: String(id),
+  title,
+  author: null,
+  image: null,
+  url: `https://feeds.example.com/${id}.xml`,
+  link: null,
+  description: null,
+  language: "en",
+  category1: null,
+  category2: null,
+  popularityScore: null,
+  episodeCount: null,
+  newestItemPubdate: null,
+  ...fields,
+});
+
+const PODCASTS = [
+  podcast(1, "Byte Size", { category1: "Technology", category2: "News", popularityScore: 9, newestItemPubdate: 300, author: "Ann" }),
+  podcast(2, "Nachrichten", { category1: "News", popularityScore: 7, newestItemPubdate: 500, language: "de" }),
+  podcast(3, "Lab Notes", { category1: "Science", category2: "technology", popularityScore: 7, newestItemPubdate: 100, language: "en-GB" }),
+  podcast(4, "Unscored", { category1: "Technology" }),
+  podcast(10, "Ten", { category1: "Comedy", popularityScore: 3, newestItemPubdate: 200, language: "en_US" }),
+];
+
+const episode = (id, fields = {}) => ({
+  id: String(id),
+  feedId: null,
+  podcastId: null,
+  stableId: null,
+  guid: `guid-${id}`,
+  title: `Episode ${id}`,
+  description: null,
+  pubDate: null,
+  publishedAt: null,
+  image: null,
+  mediaUrl: `https://cdn.example.com/${id}.mp3`,
+  mediaType: "audio/mpeg",
+  duration: null,
+  seasonNumber: null,
+  episodeNumber: null,
+  ...fields,
+});
+
+const EPISODES = [
+  episode(101, { feedId: "5", podcastId: "1", duration: "1:02:03", publishedAt: 1000, seasonNumber: 2, episodeNumber: 4 }),
+  episode(102, { feedId: "5", duration: "59:10" }),
+  episode(103, { duration: "3600" }),
+];
+
+async function sqliteRepos(t) {
+  const db = await openMigratedDb();
+  t.after(() => closeDb(db));
+  for (const p of PODCASTS)
+    await dbRun(
+      db,
+      `INSERT INTO podcasts (id, title, itunesAuthor, imageUrl, url, link, description, language,
+                             category1, category2, popularityScore, episodeCount, newestItemPubdate)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [Number(p.id), p.title, p.author, p.image, p.url, p.link, p.description, p.language,
+        p.category1, p.category2, p.popularityScore, p.episodeCount, p.newestItemPubdate]
+    );
+  for (const e of EPISODES)
+    await dbRun(
+      db,
+      `INSERT INTO episodes (id, feedId, podcastId, stableId, guid, title, description, pubDate, publishedAt,
+                             imageUrl, mediaUrl, mediaType, duration, seasonNumber, episodeNumber)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [Number(e.id), e.feedId && Number(e.feedId), e.podcastId, e.stableId, e.guid, e.title, e.description,
+        e.pubDate, e.publishedAt, e.image, e.mediaUrl, e.mediaType, e.duration, e.seasonNumber, e.episodeNumber]
+    );
+  return createRepositories({ db });
+}
+
+// Returns a check that runs `read` against both implementations and expects the same answer
+async function parityCheck(t) {
+  quiet(t);
+  const sqlite = await sqliteRepos(t);
+  const memory = createMemoryRepositories({ podcasts: PODCASTS, episodes: EPISODES });
+  return async (read) => {
+    const expected = await read(sqlite);
+    assert.deepStrictEqual(await read(memory), expected);
+    return expected;
+  };
+}
+
+test("podcast lookups by id: string ids, asked-for order, unknown and repeated ids skipped", async (t) => {
+  const parity = await parityCheck(t);
+  const found = await parity((r) => r.podcasts.findByIds([3, "1", 99, "3", null, ""]));
+  assert.deepStrictEqual(found.map((p) => p.id), ["3", "1"]);
+  assert.strictEqual(found[1].author, "Ann");
+
+  assert.strictEqual((await parity((r) => r.podcasts.findById(10))).title, "Ten");
+  assert.strictEqual(await parity((r) => r.podcasts.findById("404")), null);
+  assert.deepStrictEqual(await parity((r) => r.podcasts.findByIds([])), []);
+});
+
+test("podcast listings order the same way in SQLite and in memory, ties by id", async (t) => {
+  const parity = await parityCheck(t);
+  const ids = (list) => list.map((p) => p.id);
+  // primary or secondary category, any case; most popular first, unscored last
+  assert.deepStrictEqual(ids(await parity((r) => r.podcasts.listByCategories(["TECHNOLOGY", null]))), ["1", "3", "4"]);
+  assert.deepStrictEqual(ids(await parity((r) => r.podcasts.listByCategories(["news", "science"]))), ["1", "2", "3"]);
+  assert.deepStrictEqual(ids(await parity((r) => r.podcasts.listPopular({ limit: 4 }))), ["1", "2", "3", "10"]);
+
+  const tech = [["technology"]];
+  assert.strictEqual(await parity((r) => r.podcasts.countInCategory([["technology"], ["comedy"]])), 4);
+  assert.deepStrictEqual(ids(await parity((r) => r.podcasts.listInCategory([["news"], ["science"]]))), ["1", "2", "3"]);
+  assert.deepStrictEqual(ids(await parity((r) => r.podcasts.listInCategory(tech, { sort: "newest" }))), ["1", "3", "4"]);
+  // "en" matches en-GB; the one without a language is left out
+  assert.deepStrictEqual(ids(await parity((r) => r.podcasts.listInCategory(tech, { lang: "en", offset: 1, limit: 5 }))), ["3", "4"]);
+  assert.deepStrictEqual(ids(await parity((r) => r.podcasts.listInCategory([["comedy"]], { lang: "en" }))), ["10"]);
+});
+
+test("episodes: string ids, null podcastId kept, durations parsed", async (t) => {
+  const parity = await parityCheck(t);
+  const found = await parity((r) => r.episodes.findByIds(["103", 101, 102, 404]));
+  assert.deepStrictEqual(
+    found.map((e) => [e.id, e.feedId, e.podcastId, e.durationSec]),
+    [
+      ["103", null, null, 3600],
+      ["101", "5", "1", 3723],
+      ["102", "5", null, 3550],
+    ]
+  );
+  assert.strictEqual(found[1].seasonNumber, 2);
+  assert.strictEqual(await parity((r) => r.episodes.findById(404)), null);
+});
+
+// What the Mongo like repository sends, next to what the memory one keeps
+function recordLikeQueries(t) {
+  const calls = [];
+  t.mock.method(PodcastLike, "updateOne", async (filter, update) => {
+    calls.push(["updateOne", filter, update.$set]);
+    return { acknowledged: true };
+  });
+  t.mock.method(PodcastLike, "countDocuments", async (filter) => {
+    calls.push(["countDocuments", filter]);
+    return 0;
+  });
+  t.mock.method(PodcastLike, "find", (filter) => {
+    calls.push(["find", filter]);
+    return { lean: async () => [{ _id: "x", podcastId: "7", userId: "u1", liked: true }] };
+  });
+  return calls;
+}
+
+test("likes: a missing or empty episodeId means the show, in Mongo queries and in memory", async (t) => {
+  const calls = recordLikeQueries(t);
+  const mongo = createMongoLikeRepo();
+  await mongo.set({ podcastId: 7, userId: "u1" }, true);
+  await mongo.set({ podcastId: 7, episodeId: 70, userId: "u1" }, false);
+  await mongo.counts(7, "");
+  const listed = await mongo.listPodcastLikes("u1");
+  assert.deepStrictEqual(calls, [
+    ["updateOne", { podcastId: "7", episodeId: null, userId: "u1" }, { liked: true }],
+    ["updateOne", { podcastId: "7", episodeId: "70", userId: "u1" }, { liked: false }],
+    ["countDocuments", { podcastId: "7", episodeId: null, liked: true }],
+    ["countDocuments", { podcastId: "7", episodeId: null, liked: false }],
+    ["find", { userId: "u1", episodeId: null }],
+  ]);
+  // a document without the field, as Mongo matches it for episodeId: null
+  assert.deepStrictEqual(listed, [{ podcastId: "7", episodeId: null, userId: "u1", liked: true, updatedAt: undefined }]);
+
+  const memory = createMemoryLikeRepo([{ podcastId: 7, userId: "u1", liked: true }]);
+  await memory.set({ podcastId: "7", episodeId: 70, userId: "u1" }, false);
+  assert.deepStrictEqual(await memory.counts(7, ""), { likes: 1, dislikes: 0 });
+  assert.deepStrictEqual(await memory.counts("7", "70"), { likes: 0, dislikes: 1 });
+  assert.deepStrictEqual(
+    (await memory.listPodcastLikes("u1")).map(({ updatedAt, ...like }) => like),
+    [{ podcastId: "7", episodeId: null, userId: "u1", liked: true }]
+  );
+});
+
+test("GET /user/continue joins history and episodes from memory repositories", async (t) => {
+  const repos = createMemoryRepositories({
+    episodes: EPISODES,
+    history: [
+      { userId: "u1", episodeId: 101, podcastId: 1, positionSec: 600, lastPlayedAt: new Date("2026-03-02") },
+      { userId: "u1", episodeId: 102, positionSec: 60, lastPlayedAt: new Date("2026-03-03") },
+      { userId: "u1", episodeId: 103, completed: true, lastPlayedAt: new Date("2026-03-04") },
+      { userId: "u1", episodeId: 999, positionSec: 5, lastPlayedAt: new Date("2026-03-05") },
+      { userId: "u2", episodeId: 101, positionSec: 5, lastPlayedAt: new Date("2026-03-06") },
+    ],
+  });
+  const app = express();
+  app.use((req, _res, next) => {
+    req.user = { id: "u1" };
+    next();
+  });
+  app.use("/user", require("../Routes/user.cjs")({ repos }));
+  const res = await fetch(`${await serve(t, app)}/user/continue`);
+  const { items } = await res.json();
+  // newest first; finished episodes and ones missing from the catalogue are left out
+  assert.deepStrictEqual(
+    items.map((i) => [i.id, i.podcastId, i.progress]),
+    [
+      ["102", null, 60],
+      ["101", "1", 600],
+    ]
+  );
+});
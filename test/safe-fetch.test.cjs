@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const https = require("https");
+const { EventEmitter } = require("events");
+const { Readable } = require("stream");
+const { createSafeFetcher } = require("../Services/safe-fetch.cjs");
+
+/**
+ * Answers outbound requests from a URL -> response table instead of the
+ * network, recording each request the fetcher makes.
+ */
+function fakeUpstream(t, routes) {
+  const requests = [];
+  const fake = (url, opts, onResponse) => {
+    requests.push({ url: url.href, headers: opts.headers });
+    const req = new EventEmitter();
+    req.setTimeout = () => req;
+    req.end = () =>
+      process.nextTick(() => {
+        const route = routes[url.href];
+        if (!route) return req.emit("error", new Error(`unexpected request to ${url.href}`));
+        const res = Readable.from([Buffer.from(route.body || "")]);
+        Object.assign(res, { statusCode: route.status, headers: route.headers || {} });
+        onResponse(res);
+      });
+    return req;
+  };
+  t.mock.method(http, "request", fake);
+  t.mock.method(https, "request", fake);
+  return requests;
+}
+
+const redirect = (location, status = 302) => ({ status, headers: { location } });
+const ok = (body) => ({ status: 200, headers: { "content-type": "application/rss+xml" }, body });
+
+test("a redirect to a private address is refused before it is requested", async (t) => {
+  const requests = fakeUpstream(t, {
+    "https://feeds.example.com/feed.xml": redirect("http://169.254.169.254/latest/meta-data/"),
+  });
+  const fetcher = createSafeFetcher();
+  await assert.rejects(fetcher.fetchText("https://feeds.example.com/feed.xml"), { status: 403 });
+  assert.deepStrictEqual(requests.map((r) => r.url), ["https://feeds.example.com/feed.xml"]);
+});
+
+test("every hop is checked against the allowlist", async (t) => {
+  const requests = fakeUpstream(t, {
+    "https://feeds.example.com/feed.xml": redirect("https://elsewhere.test/feed.xml"),
+  });
+  const fetcher = createSafeFetcher({ allowlist: ["*.example.com"] });
+  await assert.rejects(fetcher.fetchText("https://feeds.example.com/feed.xml"), { status: 403 });
+  assert.strictEqual(requests.length, 1);
+});
+
+test("redirect chains are capped", async (t) => {
+  fakeUpstream(t, {
+    "https://feeds.example.com/a": redirect("/b"),
+    "https://feeds.example.com/b": redirect("/a"),
+  });
+  const fetcher = createSafeFetcher({ maxRedirects: 3 });
+  await assert.rejects(fetcher.fetchText("https://feeds.example.com/a"), { status: 502, message: "Too many redirects" });
+});
+
+test("credential headers follow same-origin redirects only", async (t) => {
+  const requests = fakeUpstream(t, {
+    "https://api.example.com/v1/feed": redirect("/v1/feed/", 301),
+    "https://api.example.com/v1/feed/": redirect("https://cdn.example.net/feed.xml"),
+    "https://cdn.example.net/feed.xml": ok("<rss/>"),
+  });
+  const fetcher = createSafeFetcher();
+  const { res } = await fetcher.open("https://api.example.com/v1/feed", {
+    headers: { Authorization: "secret", "X-Auth-Key": "key", "X-Auth-Date": "1", Cookie: "s=1", Accept: "*/*" },
+  });
+  res.resume();
+
+  const [first, sameOrigin, crossOrigin] = requests.map((r) => r.headers);
+  assert.strictEqual(sameOrigin.Authorization, "secret");
+  assert.strictEqual(sameOrigin["X-Auth-Key"], "key");
+  assert.deepStrictEqual(Object.keys(crossOrigin).sort(), ["Accept", "User-Agent"]);
+  assert.strictEqual(crossOrigin["User-Agent"], first["User-Agent"]);
+});
+
+test("a downgrade to http counts as leaving the origin", async (t) => {
+  const requests = fakeUpstream(t, {
+    "https://api.example.com/feed": redirect("http://api.example.com/feed"),
+    "http://api.example.com/feed": ok("<rss/>"),
+  });
+  const fetcher = createSafeFetcher();
+  const { body } = await fetcher.fetchText("https://api.example.com/feed", { headers: { Authorization: "secret" } });
+  assert.strictEqual(body, "<rss/>");
+  assert.strictEqual(requests[1].headers.Authorization, undefined);
+});
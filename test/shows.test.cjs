@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const mongoose = require("mongoose");
+const Show = require("../Models/Show.js");
+const Upload = require("../Models/UploadMeta.js");
+const { serve } = require("./helpers.cjs");
+
+test("POST /shows/:id/episodes answers 400 for season and episode numbers that are not positive integers", async (t) => {
+  const showId = new mongoose.Types.ObjectId().toString();
+  t.mock.method(Show, "findOne", async () => new Show({ _id: showId, userId: "user-1", title: "Show" }));
+  const uploadLookup = t.mock.method(Upload, "findOne", async () => null);
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = { id: "user-1" };
+    next();
+  });
+  const { shows } = require("../Routes/shows.cjs")({ storage: {}, publicBaseUrl: "http://localhost" });
+  app.use("/shows", shows);
+  const base = await serve(t, app);
+
+  const post = (body) =>
+    fetch(`${base}/shows/${showId}/episodes`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ uploadId: new mongoose.Types.ObjectId().toString(), ...body }),
+    });
+
+  for (const [field, value] of [
+    ["seasonNumber", 0],
+    ["seasonNumber", -2],
+    ["seasonNumber", 1.5],
+    ["seasonNumber", "two"],
+    ["seasonNumber", true],
+    ["episodeNumber", "NaN"],
+    ["episodeNumber", ""],
+    ["episodeNumber", -1],
+    ["episodeNumber", 2.25],
+  ]) {
+    const res = await post({ [field]: value });
+    assert.strictEqual(res.status, 400, `${field}=${JSON.stringify(value)}`);
+    assert.deepStrictEqual(await res.json(), { error: `${field} must be a positive integer` });
+  }
+  assert.strictEqual(uploadLookup.mock.callCount(), 0);
+
+  // valid numbers, also as strings, get as far as the upload lookup
+  const res = await post({ seasonNumber: "2", episodeNumber: 7 });
+  assert.strictEqual(res.status, 404);
+  await res.arrayBuffer();
+  assert.strictEqual(uploadLookup.mock.callCount(), 1);
+});
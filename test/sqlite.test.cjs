@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const sqlite3 = require("sqlite3");
+const { dbAll, dbRun, withTransaction } = require("../Services/sqlite.cjs");
+const { closeDb, delay } = require("./helpers.cjs");
+
+test("transactions on one connection run one after another", async (t) => {
+  const db = new sqlite3.Database(":memory:");
+  t.after(() => closeDb(db));
+  await dbRun(db, "CREATE TABLE t (flow TEXT, n INTEGER)");
+
+  const flow = (name, fail) =>
+    withTransaction(db, async () => {
+      for (let n = 0; n < 3; n++) {
+        await dbRun(db, "INSERT INTO t (flow, n) VALUES (?, ?)", [name, n]);
+        await delay(2);
+      }
+      if (fail) throw new Error(`${name} failed`);
+    });
+
+  const results = await Promise.allSettled([flow("a"), flow("b", true), flow("c")]);
+
+  assert.deepStrictEqual(
+    results.map((r) => r.status),
+    ["fulfilled", "rejected", "fulfilled"]
+  );
+  const rows = await dbAll(db, "SELECT flow, n FROM t ORDER BY rowid");
+  assert.deepStrictEqual(
+    rows.map((r) => `${r.flow}${r.n}`),
+    ["a0", "a1", "a2", "c0", "c1", "c2"]
+  );
+});
+
+test("a write from outside waits for an open transaction instead of joining it", async (t) => {
+  const db = new sqlite3.Database(":memory:");
+  t.after(() => closeDb(db));
+  await dbRun(db, "CREATE TABLE t (flow TEXT, n INTEGER)");
+
+  let opened;
+  const begun = new Promise((resolve) => (opened = resolve));
+  const failing = withTransaction(db, async () => {
+    await dbRun(db, "INSERT INTO t (flow, n) VALUES ('tx', 0)");
+    opened();
+    await delay(20);
+    throw new Error("tx failed");
+  });
+  await begun;
+  const outside = dbRun(db, "INSERT INTO t (flow, n) VALUES ('outside', 0)");
+
+  await assert.rejects(failing, /tx failed/);
+  await outside;
+  const rows = await dbAll(db, "SELECT flow FROM t");
+  assert.deepStrictEqual(rows.map((r) => r.flow), ["outside"]);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const Subscription = require("../Models/Subscription.js");
+const InboxEntry = require("../Models/InboxEntry.js");
+const History = require("../Models/WatchHistory.js");
+const { createIngestService } = require("../Services/ingest.cjs");
+const { dbAll } = require("../Services/sqlite.cjs");
+const { openMigratedDb, closeDb, quiet, rss, serve } = require("./helpers.cjs");
+
+const lean = (rows) => ({ lean: async () => rows });
+
+test("GET /user/inbox fills each page past played and archived episodes and pages with a cursor", async (t) => {
+  quiet(t);
+  const db = await openMigratedDb();
+  t.after(() => closeDb(db));
+  const url = "https://feeds.example.com/show.xml";
+  const guids = Array.from({ length: 12 }, (_, i) => `ep${i + 1}`);
+  const ingest = createIngestService({ db, fetcher: async () => ({ status: 200, headers: {}, body: rss("Show", guids) }) });
+  const feed = await ingest.registerFeed(url);
+  await ingest.refreshFeed(feed.id);
+  const idOf = Object.fromEntries((await dbAll(db, "SELECT id, guid FROM episodes")).map((r) => [r.guid, String(r.id)]));
+
+  // the newest episodes are mostly done with, so the first batch alone cannot fill a page
+  const archived = ["ep12", "ep11", "ep9", "ep8"].map((g) => idOf[g]);
+  const completed = ["ep7", "ep5"].map((g) => idOf[g]);
+  t.mock.method(Subscription, "find", () =>
+    lean([{ localFeedId: feed.id, title: "Show", createdAt: new Date("2024-01-10"), lastVisitedAt: new Date("2024-01-11") }])
+  );
+  const pick = (ids) => (query) => lean(query.episodeId.$in.filter((id) => ids.includes(id)).map((episodeId) => ({ episodeId })));
+  t.mock.method(InboxEntry, "find", pick(archived));
+  t.mock.method(History, "find", pick(completed));
+
+  const app = express();
+  app.use((req, _res, next) => {
+    req.user = { id: "user-1" };
+    next();
+  });
+  app.use("/user", require("../Routes/subscriptions.cjs")({ ingest, podcastIndex: {} }));
+  const base = await serve(t, app);
+  const inbox = async (query) => (await fetch(`${base}/user/inbox?${query}`)).json();
+
+  const first = await inbox("limit=3");
+  assert.deepStrictEqual(first.items.map((e) => e.guid), ["ep10", "ep6", "ep4"]);
+  assert.strictEqual(first.newCount, 0);
+  assert.ok(first.nextCursor);
+
+  const second = await inbox(`limit=3&cursor=${first.nextCursor}`);
+  assert.deepStrictEqual(second.items.map((e) => e.guid), ["ep3", "ep2", "ep1"]);
+  assert.strictEqual(second.nextCursor, null);
+
+  const res = await fetch(`${base}/user/inbox?cursor=nonsense`);
+  assert.strictEqual(res.status, 400);
+  await res.arrayBuffer();
+});
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { createMemoryUploadRepo } = require("../Services/repos/uploads.cjs");
+const { createLocalStorage } = require("../Services/storage.cjs");
+const { quiet, serve, delay } = require("./helpers.cjs");
+const fixtures = require("./fixtures/audio.cjs");
+
+async function uploadApi(t, { storage, uploads = createMemoryUploadRepo(), quotaBytes } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  storage ??= createLocalStorage(path.join(dir, "media"), "http://media.test");
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = { id: "user-1" };
+    next();
+  });
+  app.use(
+    "/uploads",
+    require("../Routes/upload.cjs")({
+      storage,
+      uploads,
+      events: { publish: async () => {} },
+      workDir: path.join(dir, "incoming"),
+      quotaBytes,
+    })
+  );
+  app.use((err, _req, res, _next) => res.status(500).json({ error: err.message }));
+  const base = await serve(t, app);
+  return {
+    dir,
+    start: (size) =>
+      fetch(`${base}/uploads`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ filename: "ep.mp3", size }),
+      }),
+    // starts a session and sends the whole file as one chunk
+    async send(bytes) {
+      const { uploadId } = await (await this.start(bytes.length)).json();
+      const put = await fetch(`${base}/uploads/${uploadId}`, {
+        method: "PUT",
+        headers: { "Upload-Offset": "0", "Content-Type": "application/octet-stream" },
+        body: bytes,
+      });
+      assert.strictEqual(put.status, 200);
+      return uploadId;
+    },
+    complete: (id) => fetch(`${base}/uploads/${id}/complete`, { method: "POST" }),
+    status: (id) => fetch(`${base}/uploads/${id}`),
+    abort: (id) => fetch(`${base}/uploads/${id}`, { method: "DELETE" }),
+  };
+}
+
+test("parallel creates cannot reserve more than the quota between them", async (t) => {
+  const api = await uploadApi(t, { quotaBytes: 1000 });
+  const responses = await Promise.all([api.start(600), api.start(600), api.start(600)]);
+  assert.deepStrictEqual(responses.map((r) => r.status).sort(), [201, 413, 413]);
+  const bodies = await Promise.all(responses.map((r) => r.json()));
+  const { uploadId } = bodies.find((b) => b.uploadId);
+
+  // the reservation is released when the session is aborted
+  assert.strictEqual((await api.abort(uploadId)).status, 204);
+  const again = await api.start(600);
+  assert.strictEqual(again.status, 201);
+  await again.arrayBuffer();
+});
+
+test("a second complete of the same upload gets 409 and stores nothing twice", async (t) => {
+  quiet(t);
+  const uploads = createMemoryUploadRepo();
+  const puts = [];
+  const storage = {
+    async put(key) {
+      puts.push(key);
+      await delay(30);
+      return { url: `http://media.test/${key}` };
+    },
+    async remove() {},
+  };
+  const api = await uploadApi(t, { storage, uploads });
+  const id = await api.send(fixtures.mp3());
+
+  const [first, second] = await Promise.all([api.complete(id), api.complete(id)]);
+  assert.deepStrictEqual([first.status, second.status].sort(), [201, 409]);
+  await Promise.all([first.arrayBuffer(), second.arrayBuffer()]);
+  assert.strictEqual(await uploads.countByUser("user-1"), 1);
+  assert.deepStrictEqual(puts, [`user-1/${id}.mp3`, `user-1/${id}-cover.png`]);
+});
+
+test("stored objects are removed when the upload record cannot be written", async (t) => {
+  quiet(t);
+  const removed = [];
+  const storage = {
+    async put(key) {
+      return { url: `http://media.test/${key}` };
+    },
+    async remove(key) {
+      removed.push(key);
+    },
+  };
+  const uploads = {
+    ...createMemoryUploadRepo(),
+    async create() {
+      throw new Error("database unavailable");
+    },
+  };
+  const api = await uploadApi(t, { storage, uploads });
+  const id = await api.send(fixtures.mp3());
+
+  const res = await api.complete(id);
+  assert.strictEqual(res.status, 500);
+  await res.arrayBuffer();
+  assert.deepStrictEqual(removed.sort(), [`user-1/${id}-cover.png`, `user-1/${id}.mp3`]);
+  // the session is kept for another try
+  assert.strictEqual((await api.status(id)).status, 200);
+});